@@ -1,8 +1,228 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { db } from './lib/supabase';
+import { auth } from './lib/auth';
+import { ROLES, can, getRoleLabel } from './lib/permissions';
+import {
+  getCategoryTotals,
+  getProjectTotals,
+  getRetainagePayableByVendor,
+  getRetainagePercent,
+  getRetainageWithheld,
+  isLaborExpense
+} from './lib/calculations';
+import {
+  buildInvoiceLines,
+  getInvoiceSummary,
+  getLatestInvoice,
+  getNextInvoiceNumber,
+  printInvoice
+} from './lib/invoice';
+import { downloadCsv, parseCsv } from './lib/csv';
+import { build1099Csv, buildCategoryTotalsCsv, buildExpensesCsv, buildPaymentsCsv } from './lib/exports';
+import { IMPORT_FIELDS, guessColumnMapping, validateImportRows } from './lib/imports';
+import { diffBackup, downloadBackup, parseBackup, restoreRecords } from './lib/backup';
+import { getPortfolioSummary } from './lib/portfolio';
+import {
+  ALLOCATION_STRATEGIES,
+  getAllocationsTotal,
+  scaleAllocations,
+  suggestAllocations
+} from './lib/paymentAllocation';
+import {
+  getBudgetSplit,
+  getContractTotal,
+  getDrawAllocations,
+  getDrawAmount,
+  getDrawStatus,
+  sortDraws
+} from './lib/draws';
+import { TEMPLATE_BASES, buildCategoriesFromTemplate, buildTemplateFromProject } from './lib/templates';
+import {
+  ESTIMATE_UNITS,
+  buildCategoryData,
+  getAcceptBlocker,
+  getEstimateStatusLabel,
+  getEstimateTotals,
+  getGroupTotals,
+  getLinePrice
+} from './lib/estimates';
+import { DEFAULT_PROPOSAL_TERMS, buildProposal, buildProposalHtml, getSignatureBlocker, printProposal } from './lib/proposal';
+import {
+  DEFAULT_PROJECT_STATUS,
+  PROJECT_STATUSES,
+  getProjectStatus,
+  getProjectStatusLabel,
+  groupProjectsByStatus,
+  isFinishedStatus
+} from './lib/projectStatus';
+import { getInsuranceStatus, getVendorExpenses, getVendorTotalsByYear } from './lib/vendors';
+import { build1099Report, get1099Threshold } from './lib/tax1099';
+import { buildCashFlowForecast, getCashOnHand } from './lib/forecast';
+import {
+  ATTACHMENT_ACCEPT,
+  formatFileSize,
+  getAttachmentError,
+  getRecordAttachments,
+  isImageAttachment,
+  withAttachmentLinks
+} from './lib/attachments';
+import {
+  AUDIT_ACTION_LABELS,
+  AUDIT_ENTITY_LABELS,
+  buildAuditEntry,
+  filterAuditEntries,
+  getAuditChanges
+} from './lib/audit';
+import {
+  TRASH_KIND_LABELS,
+  TRASH_RETENTION_DAYS,
+  buildTrashEntry,
+  getRestoreBlocker,
+  getTrashExpiry,
+  refreshTrashEntry,
+  removeTrashEntry,
+  restoreTrashEntry
+} from './lib/trash';
 import './index.css';
 
-const ContractorCRM = () => {
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(amount);
+};
+
+const formatDate = (dateStr) => {
+  return new Date(dateStr).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+};
+
+// Calendar day (YYYY-MM-DD) as the local date; parsed bare it would be UTC midnight,
+// which shows as the day before west of Greenwich
+const formatDay = (dateStr) => formatDate(`${dateStr}T00:00:00`);
+
+// Unique numeric ids; Date.now() alone repeats when records are created in a batch
+let lastGeneratedId = 0;
+const generateId = () => {
+  lastGeneratedId = Math.max(Date.now(), lastGeneratedId + 1);
+  return lastGeneratedId;
+};
+
+// Budget/cost fields for a category, based on its mode
+const getCategoryBudgetFields = (categoryData) => {
+  if (categoryData.mode === 'separate') {
+    return {
+      laborBudget: parseFloat(categoryData.laborBudget) || 0,
+      laborCost: parseFloat(categoryData.laborCost) || 0,
+      materialsBudget: parseFloat(categoryData.materialsBudget) || 0,
+      totalBudget: null,
+      totalCost: null
+    };
+  }
+  return {
+    totalBudget: parseFloat(categoryData.totalBudget) || 0,
+    totalCost: parseFloat(categoryData.totalCost) || 0,
+    laborBudget: null,
+    laborCost: null,
+    materialsBudget: null
+  };
+};
+
+// Category retainage override; blank means use the project's percentage
+const getCategoryRetainagePercent = (categoryData) => (
+  categoryData.retainagePercent === '' || categoryData.retainagePercent == null
+    ? null
+    : parseFloat(categoryData.retainagePercent) || 0
+);
+
+// Change order fields parsed from form data (fields outside the category's mode are 0)
+const getChangeOrderFields = (changeOrderData) => ({
+  description: changeOrderData.description,
+  date: changeOrderData.date,
+  status: changeOrderData.status,
+  budgetDelta: parseFloat(changeOrderData.budgetDelta) || 0,
+  costDelta: parseFloat(changeOrderData.costDelta) || 0,
+  laborBudgetDelta: parseFloat(changeOrderData.laborBudgetDelta) || 0,
+  laborCostDelta: parseFloat(changeOrderData.laborCostDelta) || 0,
+  materialsBudgetDelta: parseFloat(changeOrderData.materialsBudgetDelta) || 0
+});
+
+// Allocation with the retainage the client withheld behind each amount (unused parts
+// are null, matching what Supabase returns). A retainage release collects money
+// previously held back, so it reduces the receivable instead.
+const withAllocationRetainage = (allocation, percent, isRelease) => {
+  const heldBack = (amount) => (isRelease
+    ? -(parseFloat(amount) || 0)
+    : getRetainageWithheld(parseFloat(amount) || 0, percent)) || null;
+
+  return {
+    categoryId: allocation.categoryId,
+    amount: parseFloat(allocation.amount) || null,
+    laborAmount: parseFloat(allocation.laborAmount) || null,
+    materialsAmount: parseFloat(allocation.materialsAmount) || null,
+    retainage: heldBack(allocation.amount),
+    laborRetainage: heldBack(allocation.laborAmount),
+    materialsRetainage: heldBack(allocation.materialsAmount)
+  };
+};
+
+// Draws a payment's allocations can be matched to, with what each is expected to bring
+const getDrawOptions = (project) => sortDraws(project.drawSchedule || []).map(draw => ({
+  id: draw.id,
+  name: draw.name,
+  allocations: getDrawAllocations(project, draw)
+}));
+
+// Retainage percentage in effect for each category: { [categoryId]: percent }
+const getRetainagePercents = (project) => Object.fromEntries(
+  project.categories.map(c => [c.id, getRetainagePercent(project, c)])
+);
+
+const hasAllocatedAmount = (a) => (a.amount > 0) || (a.laborAmount > 0) || (a.materialsAmount > 0);
+
+// Project with new payments added, each allocation also recorded on its category
+const withNewPayments = (project, payments) => ({
+  ...project,
+  categories: project.categories.map(cat => {
+    const added = payments.flatMap(payment => payment.allocations
+      .filter(a => a.categoryId === cat.id)
+      .map(a => ({
+        paymentId: payment.id,
+        amount: a.amount,
+        laborAmount: a.laborAmount,
+        materialsAmount: a.materialsAmount,
+        retainage: a.retainage,
+        laborRetainage: a.laborRetainage,
+        materialsRetainage: a.materialsRetainage,
+        date: payment.date
+      })));
+    return added.length > 0 ? { ...cat, allocations: [...cat.allocations, ...added] } : cat;
+  }),
+  payments: [...project.payments, ...payments]
+});
+
+// Project with new expenses ([{ categoryId, expense }]) added to their categories
+const withNewExpenses = (project, expenses) => ({
+  ...project,
+  categories: project.categories.map(cat => {
+    const added = expenses.filter(e => e.categoryId === cat.id).map(e => e.expense);
+    return added.length > 0 ? { ...cat, expenses: [...cat.expenses, ...added] } : cat;
+  })
+});
+
+// Undo steps kept for the session, and how long the undo toast stays up
+const UNDO_LIMIT = 50;
+const TOAST_DURATION_MS = 8000;
+
+// Typing in a form field keeps the browser's own undo
+const isEditingText = (target) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+
+const ContractorCRM = ({ user }) => {
   const [projects, setProjects] = useState([]);
   const [selectedProject, setSelectedProject] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
@@ -10,14 +230,59 @@ const ContractorCRM = () => {
   const [showNewCategory, setShowNewCategory] = useState(false);
   const [showNewPayment, setShowNewPayment] = useState(false);
   const [showNewExpense, setShowNewExpense] = useState(false);
+  const [showEditProject, setShowEditProject] = useState(false);
+  const [editingCategory, setEditingCategory] = useState(null);
+  const [editingPayment, setEditingPayment] = useState(null);
+  const [editingExpense, setEditingExpense] = useState(null); // { categoryId, expense }
+  const [showNewChangeOrder, setShowNewChangeOrder] = useState(false);
+  const [editingChangeOrder, setEditingChangeOrder] = useState(null); // { categoryId, changeOrder }
+  const [releasingRetainage, setReleasingRetainage] = useState(null); // category
+  const [newForecastKind, setNewForecastKind] = useState(null); // 'draw' | 'sub'
+  const [showNewDraw, setShowNewDraw] = useState(false);
+  const [editingDraw, setEditingDraw] = useState(null);
+  const [recordingDraw, setRecordingDraw] = useState(null); // draw a payment is being recorded against
+  const [editingForecastItem, setEditingForecastItem] = useState(null); // forecast item
+  const [showNewInvoice, setShowNewInvoice] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [show1099Report, setShow1099Report] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showRestore, setShowRestore] = useState(false);
+  const [vendors, setVendors] = useState([]);
+  const [view, setView] = useState('project'); // 'project' | 'dashboard' | 'estimates' | 'vendors' | 'cashFlow' | 'trash'
+  const [projectStatusFilter, setProjectStatusFilter] = useState(''); // '' for every status
+  const [showArchived, setShowArchived] = useState(false);
+  const [selectedVendorId, setSelectedVendorId] = useState(null);
+  const [estimates, setEstimates] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false);
+  const [selectedEstimateId, setSelectedEstimateId] = useState(null);
+  const [showNewVendor, setShowNewVendor] = useState(false);
+  const [editingVendor, setEditingVendor] = useState(null);
+  const [membership, setMembership] = useState(null);
+  const [showTeam, setShowTeam] = useState(false);
+  const [syncStatus, setSyncStatus] = useState(() => db.getSyncStatus());
+  const [showSyncConflicts, setShowSyncConflicts] = useState(false);
+  const [trash, setTrash] = useState([]);
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+  const [toast, setToast] = useState(null); // { message, canUndo }
+  const [auditCount, setAuditCount] = useState(0); // bumps the History tab to reload
   const [isLoading, setIsLoading] = useState(true);
 
+  // Whether the signed-in user's role allows a change (see lib/permissions)
+  const userCan = (action) => can(membership?.role, action);
+
   // Load data from database on mount
   useEffect(() => {
     const loadData = async () => {
       try {
+        setMembership(await db.getMembership());
         const loadedProjects = await db.getProjects();
         setProjects(loadedProjects);
+        setVendors(await db.getVendors());
+        setEstimates(await db.getEstimates());
+        setTemplates(await db.getTemplates());
+        setTrash(await db.getTrash());
         if (loadedProjects.length > 0) {
           setSelectedProject(loadedProjects[0].id);
         }
@@ -29,230 +294,612 @@ const ContractorCRM = () => {
     loadData();
   }, []);
 
-  // Save data whenever projects change
+  // Save data whenever projects or vendors change
   useEffect(() => {
     if (!isLoading && projects.length > 0) {
-      // For localStorage fallback, save all data
-      localStorage.setItem('contractor-crm-data', JSON.stringify({ projects }));
+      // The data itself for localStorage fallback, an offline copy in Supabase mode
+      db.cacheData({ projects, vendors });
+    }
+  }, [projects, vendors, isLoading]);
+
+  // Pending offline writes and sync conflicts (Supabase mode)
+  useEffect(() => db.onSyncChange(setSyncStatus), []);
+
+  // Latest projects for undo steps and trash restores, which run after later changes
+  const projectsRef = useRef(projects);
+  const isReplayingRef = useRef(false);
+  useEffect(() => {
+    projectsRef.current = projects;
+  }, [projects]);
+
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  // Replace local state with the server's copy (after discarding a conflicting change)
+  const reloadData = async () => {
+    const loadedProjects = await db.getProjects();
+    setProjects(loadedProjects);
+    setVendors(await db.getVendors());
+    setEstimates(await db.getEstimates());
+    setTemplates(await db.getTemplates());
+    setTrash(await db.getTrash());
+    if (!loadedProjects.some(p => p.id === selectedProject)) {
+      setSelectedProject(loadedProjects[0]?.id ?? null);
     }
-  }, [projects, isLoading]);
+  };
+
+  const resolveSyncConflict = async (writeId, choice) => {
+    db.resolveSyncConflict(writeId, choice);
+    if (choice === 'server') await reloadData();
+  };
 
   const currentProject = projects.find(p => p.id === selectedProject);
+  const projectGroups = groupProjectsByStatus(projects, { status: projectStatusFilter, showArchived });
 
-  // Warning level calculation
-  const getWarningLevel = (buffer, remainingToPay) => {
-    if (remainingToPay <= 0) return 'green'; // All paid, no risk
-    const threshold = remainingToPay * 0.20;
-    if (buffer < 0) return 'red';      // SHORTFALL
-    if (buffer <= threshold) return 'yellow';  // Low buffer
-    return 'green';  // Healthy buffer
+  // Append a change to the project's activity log (History tab)
+  const logChange = async (entity, action, { projectId, before = null, after = null }) => {
+    await db.addAuditEntry(buildAuditEntry({ id: generateId(), projectId, entity, action, before, after }));
+    setAuditCount(count => count + 1);
   };
 
-  // Calculate totals for a category (supports both modes)
-  const getCategoryTotals = (category) => {
-    const mode = category.mode || 'all-inclusive';
+  // Why the user can't put a deleted record back right now, or null
+  const getTrashBlocker = (entry, currentProjects = projectsRef.current) => {
+    if (!userCan(`${entry.kind}.delete`)) {
+      return `Your role can't restore a ${TRASH_KIND_LABELS[entry.kind].toLowerCase()}`;
+    }
+    const blocker = getRestoreBlocker(currentProjects, entry);
+    if (blocker) return blocker;
+    if (entry.kind === 'category' && entry.record.allocations.length > 0 && !userCan('payment.write')) {
+      return 'Its client payment allocations need an owner or bookkeeper to restore';
+    }
+    return null;
+  };
 
-    if (mode === 'separate') {
-      // Separate mode: Labor + Materials
-      const laborCollected = category.allocations?.reduce((sum, a) => sum + (a.laborAmount || 0), 0) || 0;
-      const materialsCollected = category.allocations?.reduce((sum, a) => sum + (a.materialsAmount || 0), 0) || 0;
-      const laborPaid = category.expenses?.filter(e => e.type === 'labor').reduce((sum, e) => sum + e.amount, 0) || 0;
-      const materialsPaid = category.expenses?.filter(e => e.type === 'materials').reduce((sum, e) => sum + e.amount, 0) || 0;
+  // Take a record out of its project and the database. Resolves to its entry as it was
+  // just before, or null when it's already gone or the role can't delete it.
+  const removeRecord = async (entry) => {
+    const current = refreshTrashEntry(projectsRef.current, entry);
+    if (!current) return null;
 
-      const laborBudget = category.laborBudget || 0;
-      const laborCost = category.laborCost || 0;
-      const materialsBudget = category.materialsBudget || 0;
+    const { id } = current.record;
+    const deleted = current.kind === 'project' ? await db.deleteProject(id)
+      : current.kind === 'category' ? await db.deleteCategory(id)
+      : current.kind === 'payment' ? await db.deletePayment(id)
+      : await db.deleteExpense(id);
+    if (!deleted) return null;
 
-      const laborRemainingToCollect = laborBudget - laborCollected;
-      const laborRemainingToPay = laborCost - laborPaid;
-      const laborBuffer = laborRemainingToCollect - laborRemainingToPay;
+    setProjects(prevProjects => removeTrashEntry(prevProjects, current));
+    logChange(current.kind, 'delete', { projectId: current.projectId, before: current.record });
+    if (current.kind === 'project') {
+      const nextSelected = projectsRef.current.find(p => p.id !== id)?.id ?? null;
+      setSelectedProject(selected => selected === id ? nextSelected : selected);
+    }
+    return current;
+  };
 
-      const materialsRemainingToCollect = materialsBudget - materialsCollected;
-      const materialsRemainingToPay = materialsBudget - materialsPaid; // Materials: budget = cost (pass-through)
+  // Put a record back with everything under it. Resolves to the entry, or null when it
+  // can't be restored (the toast says why).
+  const putBackRecord = async (entry) => {
+    const blocker = getTrashBlocker(entry);
+    if (blocker) {
+      setToast({ message: `Can't restore "${entry.label}": ${blocker}` });
+      return null;
+    }
 
-      return {
-        mode: 'separate',
-        // Labor metrics
-        laborCollected,
-        laborPaid,
-        laborRemainingToCollect,
-        laborRemainingToPay,
-        laborBuffer,
-        laborWarningLevel: getWarningLevel(laborBuffer, laborRemainingToPay),
-        laborProfit: laborBudget - laborCost, // Projected profit from labor
-        // Materials metrics (pass-through, no profit margin)
-        materialsCollected,
-        materialsPaid,
-        materialsRemainingToCollect,
-        materialsRemainingToPay,
-        // Combined totals for project-level calculations
-        totalCollected: laborCollected + materialsCollected,
-        totalPaid: laborPaid + materialsPaid,
-        totalBudget: laborBudget + materialsBudget,
-        totalCost: laborCost + materialsBudget, // Materials are pass-through
-        projectedProfit: laborBudget - laborCost, // Only labor has margin
-        currentProfit: (laborCollected + materialsCollected) - (laborPaid + materialsPaid)
-      };
+    const project = restoreTrashEntry(projectsRef.current, entry).find(p => p.id === entry.projectId);
+    if (entry.kind === 'project') {
+      await db.saveProject(project);
+    } else if (entry.kind === 'category') {
+      const category = project.categories.find(c => c.id === entry.record.id);
+      await db.saveCategory(project.id, category);
+      for (const expense of category.expenses) {
+        await db.saveExpense(category.id, expense);
+      }
+      for (const changeOrder of category.changeOrders || []) {
+        await db.saveChangeOrder(category.id, changeOrder);
+      }
+      // Payments split across the category get their share back
+      for (const payment of project.payments.filter(pay => pay.allocations.some(a => a.categoryId === category.id))) {
+        await db.savePayment(project.id, payment, payment.allocations);
+      }
+    } else if (entry.kind === 'payment') {
+      const payment = project.payments.find(pay => pay.id === entry.record.id);
+      await db.savePayment(project.id, payment, payment.allocations);
     } else {
-      // All-inclusive mode (default, also handles migrated data)
-      const budget = category.totalBudget ?? category.clientBudget ?? 0;
-      const cost = category.totalCost ?? category.yourCost ?? 0;
+      await db.saveExpense(entry.categoryId, entry.record);
+    }
 
-      const collected = category.allocations?.reduce((sum, a) => sum + (a.amount || 0), 0) || 0;
-      const paid = category.expenses?.reduce((sum, e) => sum + e.amount, 0) || 0;
+    setProjects(prevProjects => restoreTrashEntry(prevProjects, entry));
+    logChange(entry.kind, 'restore', { projectId: entry.projectId, after: entry.record });
+    if (entry.kind === 'project') {
+      setSelectedProject(entry.projectId);
+      setView('project');
+    }
+    return entry;
+  };
 
-      const remainingToCollect = budget - collected;
-      const remainingToPay = cost - paid;
-      const buffer = remainingToCollect - remainingToPay;
+  const moveToTrash = async (entry) => {
+    const removed = await removeRecord(entry);
+    if (!removed) return null;
 
-      return {
-        mode: 'all-inclusive',
-        budget,
-        cost,
-        collected,
-        paid,
-        remainingToCollect,
-        remainingToPay,
-        buffer,
-        warningLevel: getWarningLevel(buffer, remainingToPay),
-        projectedProfit: budget - cost,
-        currentMargin: collected - paid,
-        // For backward compatibility with old code
-        clientPaid: collected,
-        youPaid: paid,
-        remaining: remainingToCollect,
-        yourRemaining: remainingToPay,
-        profit: collected - paid,
-        // For project totals
-        totalCollected: collected,
-        totalPaid: paid,
-        totalBudget: budget,
-        totalCost: cost
-      };
+    await db.saveTrashItem(removed);
+    setTrash(prevTrash => [removed, ...prevTrash.filter(item => item.id !== removed.id)]);
+    return removed;
+  };
+
+  const restoreFromTrash = async (item) => {
+    const restored = await putBackRecord(item);
+    if (!restored) return null;
+
+    await db.deleteTrashItem(item);
+    setTrash(prevTrash => prevTrash.filter(i => i.id !== item.id));
+    return restored;
+  };
+
+  // Record a step for undo/redo and offer it in the toast. undo and redo take the entry
+  // and resolve to its latest copy (so edits in between aren't lost), or null on failure.
+  const pushUndoStep = (label, entry, { undo, redo }) => {
+    let latest = entry;
+    const run = (action) => async () => {
+      const result = await action(latest);
+      if (result) latest = result;
+      return Boolean(result);
+    };
+
+    setUndoStack(stack => [...stack, { label, undo: run(undo), redo: run(redo) }].slice(-UNDO_LIMIT));
+    setRedoStack([]);
+    setToast({ message: label, canUndo: true });
+  };
+
+  const describeStep = (verb, entry) => `${verb} ${TRASH_KIND_LABELS[entry.kind].toLowerCase()} "${entry.label}"`;
+
+  // Adds can be undone by whoever may delete the record
+  const recordAdd = (entry) => {
+    if (userCan(`${entry.kind}.delete`)) {
+      pushUndoStep(describeStep('Added', entry), entry, { undo: removeRecord, redo: putBackRecord });
+    }
+  };
+
+  // Deleting moves the record to the trash
+  const trashRecord = async (entry) => {
+    const removed = await moveToTrash(entry);
+    if (removed) {
+      pushUndoStep(describeStep('Deleted', removed), removed, { undo: restoreFromTrash, redo: moveToTrash });
+    }
+  };
+
+  const restoreTrashItem = async (item) => {
+    const restored = await restoreFromTrash(item);
+    if (restored) {
+      pushUndoStep(describeStep('Restored', restored), restored, { undo: moveToTrash, redo: restoreFromTrash });
+    }
+  };
+
+  const purgeTrashItem = async (item) => {
+    if (confirm(`Delete "${item.label}" forever? This cannot be undone.`)) {
+      await db.deleteTrashItem(item);
+      await db.deleteAttachments(getRecordAttachments(item.kind, item.record));
+      setTrash(prevTrash => prevTrash.filter(i => i.id !== item.id));
+    }
+  };
+
+  // Run the newest step of one stack and move it onto the other
+  const replayStep = async (stack, setStack, setOtherStack, direction) => {
+    const step = stack[stack.length - 1];
+    if (!step || isReplayingRef.current) return;
+
+    isReplayingRef.current = true;
+    if (await step[direction]()) {
+      setStack(steps => steps.slice(0, -1));
+      setOtherStack(steps => [...steps, step]);
+      setToast({ message: `${direction === 'undo' ? 'Undid' : 'Redid'}: ${step.label}` });
     }
+    isReplayingRef.current = false;
   };
 
-  // Add new project
-  const addProject = async (name, clientName) => {
+  const undo = () => replayStep(undoStack, setUndoStack, setRedoStack, 'undo');
+  const redo = () => replayStep(redoStack, setRedoStack, setUndoStack, 'redo');
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isEditingText(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if (key === 'z' || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const getProjectStatusFields = (projectData) => ({
+    status: projectData.status || DEFAULT_PROJECT_STATUS,
+    startDate: projectData.startDate || null,
+    targetDate: projectData.targetDate || null,
+    completedDate: projectData.completedDate || null
+  });
+
+  // Add new project, with the categories given (from a template or an estimate)
+  const addProject = async (projectData) => {
     const newProject = {
-      id: Date.now(),
-      name,
-      clientName,
+      id: generateId(),
+      name: projectData.name,
+      clientName: projectData.clientName,
+      retainagePercent: parseFloat(projectData.retainagePercent) || 0,
+      ...getProjectStatusFields(projectData),
+      proposal: projectData.proposal || null,
       categories: [],
       payments: [],
+      invoices: [],
+      forecastItems: [],
+      drawSchedule: [],
       createdAt: new Date().toISOString()
     };
 
     await db.saveProject(newProject);
-    setProjects([...projects, newProject]);
+    setProjects(current => [...current, newProject]);
     setSelectedProject(newProject.id);
+    setView('project');
     setShowNewProject(false);
+    logChange('project', 'create', { projectId: newProject.id, after: newProject });
+    recordAdd(buildTrashEntry('project', newProject, newProject));
+    for (const categoryData of projectData.categories || []) {
+      await addCategory(categoryData, newProject, { undoable: false });
+    }
+    return newProject;
+  };
+
+  // Update project details
+  const updateProject = async (projectData) => {
+    const updatedProject = {
+      ...currentProject,
+      name: projectData.name,
+      clientName: projectData.clientName,
+      retainagePercent: parseFloat(projectData.retainagePercent) || 0,
+      ...getProjectStatusFields(projectData)
+    };
+
+    await db.saveProjectDetails(updatedProject);
+    setProjects(projects.map(p => p.id === selectedProject ? updatedProject : p));
+    setShowEditProject(false);
+    logChange('project', 'update', { projectId: updatedProject.id, before: currentProject, after: updatedProject });
   };
 
-  // Add category to project (supports both modes)
-  const addCategory = async (categoryData) => {
+  // Add category to project (supports both modes). Categories added along with their
+  // project aren't undone on their own.
+  const addCategory = async (categoryData, project = currentProject, { undoable = true } = {}) => {
     const newCategory = {
-      id: Date.now(),
+      id: generateId(),
       name: categoryData.name,
       mode: categoryData.mode,
+      ...getCategoryBudgetFields(categoryData),
+      retainagePercent: getCategoryRetainagePercent(categoryData),
       allocations: [],
-      expenses: []
+      expenses: [],
+      changeOrders: []
     };
 
-    if (categoryData.mode === 'separate') {
-      newCategory.laborBudget = parseFloat(categoryData.laborBudget) || 0;
-      newCategory.laborCost = parseFloat(categoryData.laborCost) || 0;
-      newCategory.materialsBudget = parseFloat(categoryData.materialsBudget) || 0;
-      newCategory.totalBudget = null;
-      newCategory.totalCost = null;
-    } else {
-      newCategory.totalBudget = parseFloat(categoryData.totalBudget) || 0;
-      newCategory.totalCost = parseFloat(categoryData.totalCost) || 0;
-      newCategory.laborBudget = null;
-      newCategory.laborCost = null;
-      newCategory.materialsBudget = null;
+    await db.saveCategory(project.id, newCategory);
+
+    setProjects(current => current.map(p => {
+      if (p.id === project.id) {
+        return {
+          ...p,
+          categories: [...p.categories, newCategory]
+        };
+      }
+      return p;
+    }));
+    setShowNewCategory(false);
+    logChange('category', 'create', { projectId: project.id, after: newCategory });
+    if (undoable) recordAdd(buildTrashEntry('category', project, newCategory));
+  };
+
+  // Saving under an existing template's name replaces it
+  const saveTemplate = async ({ name, basis }) => {
+    const existing = templates.find(t => t.name.trim().toLowerCase() === name.trim().toLowerCase());
+    const template = buildTemplateFromProject(currentProject, { id: existing?.id ?? generateId(), name: name.trim(), basis });
+
+    await db.saveTemplate(template);
+    setTemplates([...templates.filter(t => t.id !== template.id), template].sort((a, b) => a.name.localeCompare(b.name)));
+    setShowSaveTemplate(false);
+  };
+
+  const deleteTemplate = async (template) => {
+    if (confirm(`Delete template "${template.name}"? Projects created from it keep their categories.`)) {
+      await db.deleteTemplate(template);
+      setTemplates(templates.filter(t => t.id !== template.id));
+    }
+  };
+
+  const createEstimate = async () => {
+    const newEstimate = {
+      id: generateId(),
+      name: 'New estimate',
+      clientName: '',
+      status: 'draft',
+      projectId: null,
+      groups: [],
+      notes: '',
+      createdAt: new Date().toISOString(),
+      acceptedAt: null
+    };
+
+    await db.saveEstimate(newEstimate);
+    setEstimates([newEstimate, ...estimates]);
+    setSelectedEstimateId(newEstimate.id);
+  };
+
+  const saveEstimate = async (estimate) => {
+    await db.saveEstimate(estimate);
+    setEstimates(current => current.map(e => e.id === estimate.id ? estimate : e));
+  };
+
+  const deleteEstimate = async (estimate) => {
+    if (confirm(`Delete estimate "${estimate.name}"?`)) {
+      await db.deleteEstimate(estimate);
+      setEstimates(estimates.filter(e => e.id !== estimate.id));
+      setSelectedEstimateId(null);
+    }
+  };
+
+  // Accepting an estimate creates its project with a category per group. A signed
+  // proposal is the client's acceptance, so it's stored on the project without asking.
+  const acceptEstimate = async (estimate, { proposal = null } = {}) => {
+    const blocker = getAcceptBlocker(estimate);
+    if (blocker) {
+      alert(blocker);
+      return;
+    }
+    if (!proposal && !confirm(`Accept "${estimate.name}" and create a project with ${estimate.groups.length} categor${estimate.groups.length === 1 ? 'y' : 'ies'}?`)) {
+      return;
+    }
+
+    const project = await addProject({
+      name: estimate.name,
+      clientName: estimate.clientName,
+      retainagePercent: 0,
+      status: 'active',
+      proposal,
+      categories: estimate.groups.map(buildCategoryData)
+    });
+    await saveEstimate({
+      ...estimate,
+      status: 'accepted',
+      projectId: project.id,
+      acceptedAt: new Date().toISOString()
+    });
+  };
+
+  // Store a signed proposal on the estimate's project (creating it if the estimate
+  // hasn't been accepted yet) and make the project active
+  const signProposal = async (estimate, proposal) => {
+    const project = projects.find(p => p.id === estimate.projectId);
+    if (!project) {
+      await acceptEstimate(estimate, { proposal });
+      return;
     }
 
-    await db.saveCategory(selectedProject, newCategory);
+    const updatedProject = { ...project, proposal, status: 'active' };
+    await db.saveProposal(project.id, proposal);
+    setProjects(projects.map(p => p.id === project.id ? updatedProject : p));
+    logChange('project', 'update', { projectId: project.id, before: project, after: updatedProject });
+  };
+
+  // Update category name, mode and budgets (allocations and expenses are kept)
+  const updateCategory = async (categoryData) => {
+    const updatedCategory = {
+      ...editingCategory,
+      name: categoryData.name,
+      mode: categoryData.mode,
+      ...getCategoryBudgetFields(categoryData),
+      retainagePercent: getCategoryRetainagePercent(categoryData)
+    };
+
+    await db.saveCategory(selectedProject, updatedCategory);
 
     setProjects(projects.map(p => {
       if (p.id === selectedProject) {
         return {
           ...p,
-          categories: [...p.categories, newCategory]
+          categories: p.categories.map(c => c.id === updatedCategory.id ? updatedCategory : c)
         };
       }
       return p;
     }));
-    setShowNewCategory(false);
+    setEditingCategory(null);
+    logChange('category', 'update', { projectId: selectedProject, before: editingCategory, after: updatedCategory });
+  };
+
+  // Attachments a form kept plus its new files, stored now; files of attachments the
+  // form removed are deleted. A file that can't be stored is left off, so the record
+  // still saves.
+  const saveAttachments = async (previous, { attachments = [], files = [] }, action) => {
+    await db.deleteAttachments(previous.filter(a => !attachments.some(kept => kept.id === a.id)));
+    const added = [];
+    const failed = [];
+    for (const file of files) {
+      const attachment = await db.saveAttachment(file, action);
+      if (attachment) added.push(attachment);
+      else failed.push(file.name);
+    }
+    if (failed.length > 0) {
+      alert(`Couldn't store ${failed.join(', ')} on this device, so the record was saved without ${failed.length > 1 ? 'them' : 'it'}.`);
+    }
+    return [...attachments, ...added];
+  };
+
+  // Allocations with amounts, each with the retainage withheld at its category's rate
+  const getPaymentAllocations = (paymentData) => paymentData.allocations
+    .filter(hasAllocatedAmount)
+    .map(a => withAllocationRetainage(
+      a,
+      getRetainagePercent(currentProject, currentProject.categories.find(c => c.id === a.categoryId)),
+      paymentData.retainageRelease
+    ));
+
+  // New client payment (supports both allocation types). Retainage the client withheld
+  // is recorded on each allocation, apart from the amount collected.
+  const buildPayment = (paymentData, attachments = []) => ({
+    id: generateId(),
+    paymentMethod: paymentData.paymentMethod,
+    reference: paymentData.reference,
+    totalAmount: parseFloat(paymentData.totalAmount),
+    allocations: getPaymentAllocations(paymentData),
+    date: paymentData.date,
+    notes: paymentData.notes,
+    retainageRelease: Boolean(paymentData.retainageRelease),
+    attachments
+  });
+
+  // Add payment from client. Batches (retainage release) pass undoable: false.
+  const addPayment = async (paymentData, { undoable = true } = {}) => {
+    const newPayment = buildPayment(paymentData, await saveAttachments([], paymentData, 'payment.write'));
+    const paymentId = newPayment.id;
+
+    await db.savePayment(selectedProject, newPayment, newPayment.allocations);
+
+    // A payment recorded against a draw marks the draw received
+    const drawSchedule = (currentProject.drawSchedule || []).map(draw =>
+      draw.id === paymentData.drawId ? { ...draw, paymentId } : draw
+    );
+    if (paymentData.drawId) await db.saveDrawSchedule(selectedProject, drawSchedule);
+
+    // Functional update so batched calls (retainage release) build on each other
+    setProjects(prevProjects => prevProjects.map(p => (p.id === selectedProject
+      ? { ...withNewPayments(p, [newPayment]), ...(paymentData.drawId ? { drawSchedule } : {}) }
+      : p)));
+    setShowNewPayment(false);
+    setRecordingDraw(null);
+    logChange('payment', 'create', { projectId: selectedProject, after: newPayment });
+    if (paymentData.drawId) {
+      logChange('draw', 'update', {
+        projectId: selectedProject,
+        before: currentProject.drawSchedule.find(draw => draw.id === paymentData.drawId),
+        after: drawSchedule.find(draw => draw.id === paymentData.drawId)
+      });
+    }
+    if (undoable) recordAdd(buildTrashEntry('payment', currentProject, newPayment));
   };
 
-  // Add payment from client (supports both allocation types)
-  const addPayment = async (paymentData) => {
-    const paymentId = Date.now();
-    const newPayment = {
-      id: paymentId,
+  // Update payment and replace its allocations in every category
+  const updatePayment = async (paymentData) => {
+    const paymentId = editingPayment.id;
+    const allocations = getPaymentAllocations({
+      ...paymentData,
+      retainageRelease: editingPayment.retainageRelease
+    });
+    const updatedPayment = {
+      ...editingPayment,
       paymentMethod: paymentData.paymentMethod,
       reference: paymentData.reference,
       totalAmount: parseFloat(paymentData.totalAmount),
-      allocations: paymentData.allocations.filter(a =>
-        (a.amount > 0) || (a.laborAmount > 0) || (a.materialsAmount > 0)
-      ),
+      allocations,
       date: paymentData.date,
-      notes: paymentData.notes
+      notes: paymentData.notes,
+      attachments: await saveAttachments(editingPayment.attachments || [], paymentData, 'payment.write')
     };
 
-    await db.savePayment(selectedProject, newPayment, paymentData.allocations);
+    await db.savePayment(selectedProject, updatedPayment, allocations);
 
     setProjects(projects.map(p => {
       if (p.id === selectedProject) {
         const newCategories = p.categories.map(cat => {
-          const allocation = paymentData.allocations.find(a => a.categoryId === cat.id);
-          if (!allocation) return cat;
-
-          const hasAllocation = (allocation.amount > 0) ||
-                               (allocation.laborAmount > 0) ||
-                               (allocation.materialsAmount > 0);
-
-          if (hasAllocation) {
-            return {
-              ...cat,
-              allocations: [...cat.allocations, {
-                paymentId,
-                amount: parseFloat(allocation.amount) || null,
-                laborAmount: parseFloat(allocation.laborAmount) || null,
-                materialsAmount: parseFloat(allocation.materialsAmount) || null,
-                date: paymentData.date
-              }]
-            };
-          }
-          return cat;
+          const otherAllocations = cat.allocations.filter(a => a.paymentId !== paymentId);
+          const allocation = allocations.find(a => a.categoryId === cat.id);
+
+          return {
+            ...cat,
+            allocations: allocation ? [...otherAllocations, {
+              paymentId,
+              amount: parseFloat(allocation.amount) || null,
+              laborAmount: parseFloat(allocation.laborAmount) || null,
+              materialsAmount: parseFloat(allocation.materialsAmount) || null,
+              retainage: allocation.retainage || null,
+              laborRetainage: allocation.laborRetainage || null,
+              materialsRetainage: allocation.materialsRetainage || null,
+              date: paymentData.date
+            }] : otherAllocations
+          };
         });
 
         return {
           ...p,
           categories: newCategories,
-          payments: [...p.payments, newPayment]
+          payments: p.payments.map(pay => pay.id === paymentId ? updatedPayment : pay)
         };
       }
       return p;
     }));
-    setShowNewPayment(false);
+    setEditingPayment(null);
+    logChange('payment', 'update', { projectId: selectedProject, before: editingPayment, after: updatedPayment });
+  };
+
+  // Retainage held back from a sub on a labor expense; a release pays out what was held
+  const getExpenseRetainage = (expenseData, isRelease) => {
+    const amount = parseFloat(expenseData.amount) || 0;
+    if (isRelease) return -amount;
+
+    const category = currentProject.categories.find(c => c.id === expenseData.categoryId);
+    if (!category || !isLaborExpense(category, expenseData)) return 0;
+    return getRetainageWithheld(amount, getRetainagePercent(currentProject, category));
+  };
+
+  // New expense (payment to sub) - supports typed expenses for separate mode
+  const buildExpense = (expenseData, attachments = []) => ({
+    id: generateId(),
+    amount: parseFloat(expenseData.amount),
+    date: expenseData.date,
+    description: expenseData.description,
+    type: expenseData.type || null,
+    paymentMethod: expenseData.paymentMethod || null,
+    reference: expenseData.reference || null,
+    vendorId: expenseData.vendorId || null,
+    retainage: getExpenseRetainage(expenseData, expenseData.retainageRelease),
+    retainageRelease: Boolean(expenseData.retainageRelease),
+    attachments
+  });
+
+  // Add expense. Batches (retainage release) pass undoable: false.
+  const addExpense = async (expenseData, { undoable = true } = {}) => {
+    const newExpense = buildExpense(expenseData, await saveAttachments([], expenseData, 'expense.write'));
+
+    await db.saveExpense(expenseData.categoryId, newExpense);
+
+    // Functional update so batched calls (retainage release) build on each other
+    setProjects(prevProjects => prevProjects.map(p => (p.id === selectedProject
+      ? withNewExpenses(p, [{ categoryId: expenseData.categoryId, expense: newExpense }])
+      : p)));
+    setShowNewExpense(false);
+    logChange('expense', 'create', { projectId: selectedProject, after: newExpense });
+    if (undoable) recordAdd(buildTrashEntry('expense', currentProject, newExpense, expenseData.categoryId));
   };
 
-  // Add expense (payment to sub) - supports typed expenses for separate mode
-  const addExpense = async (expenseData) => {
-    const newExpense = {
-      id: Date.now(),
+  // Update expense - may also move it to a different category
+  const updateExpense = async (expenseData) => {
+    const { categoryId: originalCategoryId, expense } = editingExpense;
+    const updatedExpense = {
+      ...expense,
       amount: parseFloat(expenseData.amount),
       date: expenseData.date,
       description: expenseData.description,
       type: expenseData.type || null,
       paymentMethod: expenseData.paymentMethod || null,
-      reference: expenseData.reference || null
+      reference: expenseData.reference || null,
+      vendorId: expenseData.vendorId || null,
+      retainage: getExpenseRetainage(expenseData, expense.retainageRelease),
+      attachments: await saveAttachments(expense.attachments || [], expenseData, 'expense.write')
     };
 
-    await db.saveExpense(expenseData.categoryId, newExpense);
+    await db.saveExpense(expenseData.categoryId, updatedExpense);
 
     setProjects(projects.map(p => {
       if (p.id === selectedProject) {
@@ -262,7 +909,13 @@ const ContractorCRM = () => {
             if (cat.id === expenseData.categoryId) {
               return {
                 ...cat,
-                expenses: [...cat.expenses, newExpense]
+                expenses: [...cat.expenses.filter(e => e.id !== expense.id), updatedExpense]
+              };
+            }
+            if (cat.id === originalCategoryId) {
+              return {
+                ...cat,
+                expenses: cat.expenses.filter(e => e.id !== expense.id)
               };
             }
             return cat;
@@ -271,66 +924,166 @@ const ContractorCRM = () => {
       }
       return p;
     }));
-    setShowNewExpense(false);
+    setEditingExpense(null);
+    logChange('expense', 'update', { projectId: selectedProject, before: expense, after: updatedExpense });
   };
 
-  // Delete handlers
-  const deleteProject = async (projectId) => {
-    if (confirm('Delete this project? This cannot be undone.')) {
-      await db.deleteProject(projectId);
-      setProjects(projects.filter(p => p.id !== projectId));
-      if (selectedProject === projectId) {
-        setSelectedProject(projects.length > 1 ? projects.find(p => p.id !== projectId)?.id : null);
+  // Commit validated CSV rows in a single write, so a failed import leaves nothing
+  // behind, and log the import as one entry
+  const importRecords = async (kind, records) => {
+    const payments = kind === 'payments' ? records.map(record => buildPayment(record)) : [];
+    const expenses = kind === 'payments' ? [] : records.map(record => ({
+      categoryId: record.categoryId,
+      expense: buildExpense(record)
+    }));
+    if (!(await db.importRecords(selectedProject, { payments, expenses }))) return;
+
+    setProjects(prevProjects => prevProjects.map(p => (p.id === selectedProject
+      ? withNewExpenses(withNewPayments(p, payments), expenses)
+      : p)));
+    setShowImport(false);
+
+    const imported = kind === 'payments' ? payments : expenses.map(e => e.expense);
+    logChange(kind === 'payments' ? 'payment' : 'expense', 'import', {
+      projectId: selectedProject,
+      after: {
+        id: generateId(),
+        amount: imported.reduce((sum, record) => sum + (record.totalAmount ?? record.amount), 0),
+        records: imported
+      }
+    });
+  };
+
+  // Restore projects, vendors, estimates and templates from a validated backup (merge or
+  // replace). Estimates and templates are left alone when the backup predates them.
+  const restoreBackup = async (backup, mode) => {
+    const nextProjects = restoreRecords(projects, backup.projects, mode);
+    const nextVendors = restoreRecords(vendors, backup.vendors || [], mode);
+
+    await db.importProjects(backup.projects, mode);
+    // One entry per project the restore touched
+    const diff = diffBackup(projects, backup.projects);
+    [...diff.added, ...diff.replaced].forEach(project => logChange('project', 'restore', {
+      projectId: project.id,
+      before: projects.find(p => p.id === project.id) || null,
+      after: project
+    }));
+    if (mode === 'replace') {
+      diff.removed.forEach(project => logChange('project', 'delete', { projectId: project.id, before: project }));
+    }
+    if (backup.estimates) {
+      await db.importEstimates(backup.estimates, mode);
+      setEstimates(restoreRecords(estimates, backup.estimates, mode)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+    }
+    if (backup.templates) {
+      await db.importTemplates(backup.templates, mode);
+      setTemplates(restoreRecords(templates, backup.templates, mode)
+        .sort((a, b) => a.name.localeCompare(b.name)));
+    }
+    for (const vendor of backup.vendors || []) {
+      await db.saveVendor(vendor);
+    }
+    if (mode === 'replace') {
+      for (const vendor of vendors.filter(v => !nextVendors.some(next => next.id === v.id))) {
+        await db.deleteVendor(vendor.id);
       }
     }
+    setProjects(nextProjects);
+    setVendors(nextVendors);
+    if (!nextProjects.some(p => p.id === selectedProject)) {
+      setSelectedProject(nextProjects[0]?.id ?? null);
+    }
+    setShowRestore(false);
   };
 
-  const deleteCategory = async (categoryId) => {
-    if (confirm('Delete this category? All allocations and expenses will be lost.')) {
-      await db.deleteCategory(categoryId);
-      setProjects(projects.map(p => {
-        if (p.id === selectedProject) {
-          return {
-            ...p,
-            categories: p.categories.filter(c => c.id !== categoryId)
-          };
-        }
-        return p;
-      }));
+  // Settle retainage on a completed category: the client's release comes in as a
+  // payment, and what we held back goes out to each sub as an expense
+  const releaseRetainage = async ({ date, client, subs }) => {
+    const category = releasingRetainage;
+    const description = `Retainage release - ${category.name}`;
+
+    if (client) {
+      await addPayment({
+        paymentMethod: client.paymentMethod,
+        reference: client.reference,
+        totalAmount: client.amount + client.laborAmount + client.materialsAmount,
+        date,
+        notes: description,
+        retainageRelease: true,
+        allocations: [{
+          categoryId: category.id,
+          amount: client.amount,
+          laborAmount: client.laborAmount,
+          materialsAmount: client.materialsAmount
+        }]
+      }, { undoable: false });
+    }
+
+    for (const sub of subs) {
+      await addExpense({
+        categoryId: category.id,
+        amount: sub.amount,
+        date,
+        description,
+        type: category.mode === 'separate' ? 'labor' : null,
+        paymentMethod: sub.paymentMethod,
+        reference: null,
+        vendorId: sub.vendorId,
+        retainageRelease: true
+      }, { undoable: false });
     }
+
+    setReleasingRetainage(null);
   };
 
-  const deletePayment = async (paymentId) => {
-    if (confirm('Delete this payment? Allocations will be removed from categories.')) {
-      await db.deletePayment(paymentId);
-      setProjects(projects.map(p => {
-        if (p.id === selectedProject) {
-          return {
-            ...p,
-            payments: p.payments.filter(pay => pay.id !== paymentId),
-            categories: p.categories.map(cat => ({
-              ...cat,
-              allocations: cat.allocations.filter(a => a.paymentId !== paymentId)
-            }))
-          };
-        }
-        return p;
-      }));
+  // Vendor directory
+  const getVendorName = (vendorId) => vendors.find(v => v.id === vendorId)?.name || null;
+
+  const addVendor = async (vendorData) => {
+    const newVendor = { id: generateId(), ...vendorData };
+
+    await db.saveVendor(newVendor);
+    setVendors([...vendors, newVendor]);
+    setShowNewVendor(false);
+    logChange('vendor', 'create', { projectId: null, after: newVendor });
+  };
+
+  const updateVendor = async (vendorData) => {
+    const updatedVendor = { ...editingVendor, ...vendorData };
+
+    await db.saveVendor(updatedVendor);
+    setVendors(vendors.map(v => v.id === updatedVendor.id ? updatedVendor : v));
+    setEditingVendor(null);
+    logChange('vendor', 'update', { projectId: null, before: editingVendor, after: updatedVendor });
+  };
+
+  // Expenses keep their amounts but are unlinked from the deleted vendor
+  const deleteVendor = async (vendorId) => {
+    if (confirm('Delete this vendor? Their expenses stay on each project but will no longer be linked.')) {
+      await db.deleteVendor(vendorId);
+      setVendors(vendors.filter(v => v.id !== vendorId));
+      logChange('vendor', 'delete', { projectId: null, before: vendors.find(v => v.id === vendorId) });
+      setProjects(projects.map(p => ({
+        ...p,
+        categories: p.categories.map(cat => ({
+          ...cat,
+          expenses: cat.expenses.map(e => e.vendorId === vendorId ? { ...e, vendorId: null } : e)
+        }))
+      })));
+      if (selectedVendorId === vendorId) setSelectedVendorId(null);
     }
   };
 
-  const deleteExpense = async (categoryId, expenseId) => {
-    await db.deleteExpense(expenseId);
+  // Apply a change to one category's change orders in the current project
+  const setCategoryChangeOrders = (categoryId, update) => {
     setProjects(projects.map(p => {
       if (p.id === selectedProject) {
         return {
           ...p,
           categories: p.categories.map(cat => {
             if (cat.id === categoryId) {
-              return {
-                ...cat,
-                expenses: cat.expenses.filter(e => e.id !== expenseId)
-              };
+              return { ...cat, changeOrders: update(cat.changeOrders || []) };
             }
             return cat;
           })
@@ -340,135 +1093,541 @@ const ContractorCRM = () => {
     }));
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    }).format(amount);
-  };
+  // Add change order to a category
+  const addChangeOrder = async (changeOrderData) => {
+    const newChangeOrder = {
+      id: generateId(),
+      ...getChangeOrderFields(changeOrderData)
+    };
 
-  const formatDate = (dateStr) => {
-    return new Date(dateStr).toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      year: 'numeric'
-    });
+    await db.saveChangeOrder(changeOrderData.categoryId, newChangeOrder);
+    setCategoryChangeOrders(changeOrderData.categoryId, changeOrders => [...changeOrders, newChangeOrder]);
+    setShowNewChangeOrder(false);
+    logChange('changeOrder', 'create', { projectId: selectedProject, after: newChangeOrder });
   };
 
-  // Project totals (handles both category modes)
-  const getProjectTotals = () => {
-    if (!currentProject) return {
-      totalBudget: 0, totalCost: 0, totalPaid: 0, totalSpent: 0,
-      categoryHealth: { green: 0, yellow: 0, red: 0 }
+  const updateChangeOrder = async (changeOrderData) => {
+    const { categoryId, changeOrder } = editingChangeOrder;
+    const updatedChangeOrder = {
+      ...changeOrder,
+      ...getChangeOrderFields(changeOrderData)
     };
 
-    let totalBudget = 0;
-    let totalCost = 0;
-    let totalPaid = 0;
-    let totalSpent = 0;
-    let greenCount = 0;
-    let yellowCount = 0;
-    let redCount = 0;
-
-    currentProject.categories.forEach(cat => {
-      const totals = getCategoryTotals(cat);
-
-      totalBudget += totals.totalBudget || 0;
-      totalCost += totals.totalCost || 0;
-      totalPaid += totals.totalCollected || 0;
-      totalSpent += totals.totalPaid || 0;
-
-      // Count warning levels
-      const warningLevel = totals.mode === 'separate'
-        ? totals.laborWarningLevel
-        : totals.warningLevel;
-
-      if (warningLevel === 'red') redCount++;
-      else if (warningLevel === 'yellow') yellowCount++;
-      else greenCount++;
-    });
+    await db.saveChangeOrder(categoryId, updatedChangeOrder);
+    setCategoryChangeOrders(categoryId, changeOrders =>
+      changeOrders.map(co => co.id === updatedChangeOrder.id ? updatedChangeOrder : co)
+    );
+    setEditingChangeOrder(null);
+    logChange('changeOrder', 'update', { projectId: selectedProject, before: changeOrder, after: updatedChangeOrder });
+  };
 
-    return {
-      totalBudget,
-      totalCost,
-      totalPaid,
-      totalSpent,
-      categoryHealth: { green: greenCount, yellow: yellowCount, red: redCount }
+  // Approve or reject a change order
+  const setChangeOrderStatus = async (categoryId, changeOrder, status) => {
+    const updatedChangeOrder = { ...changeOrder, status };
+
+    await db.saveChangeOrder(categoryId, updatedChangeOrder);
+    setCategoryChangeOrders(categoryId, changeOrders =>
+      changeOrders.map(co => co.id === updatedChangeOrder.id ? updatedChangeOrder : co)
+    );
+    logChange('changeOrder', 'update', { projectId: selectedProject, before: changeOrder, after: updatedChangeOrder });
+  };
+
+  // Create a numbered invoice, store it on the project and open it for printing
+  const addInvoice = async (invoiceData) => {
+    const newInvoice = {
+      id: generateId(),
+      number: getNextInvoiceNumber(currentProject),
+      date: invoiceData.date,
+      periodTo: invoiceData.periodTo,
+      lines: invoiceData.lines,
+      createdAt: new Date().toISOString()
     };
+    const updatedProject = {
+      ...currentProject,
+      invoices: [...(currentProject.invoices || []), newInvoice]
+    };
+
+    // Open the print window before awaiting so the browser treats it as user-initiated
+    printInvoice(updatedProject, newInvoice);
+    await db.saveInvoices(updatedProject.id, updatedProject.invoices);
+    setProjects(projects.map(p => p.id === selectedProject ? updatedProject : p));
+    setShowNewInvoice(false);
+    logChange('invoice', 'create', { projectId: selectedProject, after: newInvoice });
   };
 
-  if (isLoading) {
-    return (
-      <div style={styles.loadingContainer}>
-        <div style={styles.loadingSpinner}></div>
-        <p style={styles.loadingText}>Loading your data...</p>
-      </div>
-    );
-  }
+  // Expected client draws and sub payments for the cash-flow forecast
+  const saveForecastItems = async (forecastItems) => {
+    const updatedProject = { ...currentProject, forecastItems };
 
-  return (
-    <div style={styles.container}>
-      {/* Sidebar */}
-      <div style={styles.sidebar}>
-        <div style={styles.logo}>
-          <span style={styles.logoIcon}>⚒</span>
-          <span style={styles.logoText}>ContractorCRM</span>
-        </div>
+    await db.saveForecastItems(updatedProject.id, forecastItems);
+    setProjects(projects.map(p => p.id === selectedProject ? updatedProject : p));
+  };
 
-        <div style={styles.projectList}>
-          <div style={styles.sectionHeader}>
-            <span>PROJECTS</span>
-            <button style={styles.addBtn} onClick={() => setShowNewProject(true)}>+</button>
-          </div>
+  const addForecastItem = async (itemData) => {
+    const newItem = { id: generateId(), ...itemData };
 
-          {projects.map(project => (
-            <div
-              key={project.id}
-              style={{
-                ...styles.projectItem,
-                ...(selectedProject === project.id ? styles.projectItemActive : {})
-              }}
-              onClick={() => setSelectedProject(project.id)}
-            >
-              <div style={styles.projectName}>{project.name}</div>
-              <div style={styles.projectClient}>{project.clientName}</div>
-            </div>
-          ))}
+    await saveForecastItems([...(currentProject.forecastItems || []), newItem]);
+    setNewForecastKind(null);
+    logChange('forecastItem', 'create', { projectId: selectedProject, after: newItem });
+  };
 
-          {projects.length === 0 && (
-            <div style={styles.emptyState}>
-              No projects yet.<br/>Click + to add one.
-            </div>
-          )}
-        </div>
-      </div>
+  const updateForecastItem = async (itemData) => {
+    const updatedItem = { ...editingForecastItem, ...itemData };
 
-      {/* Main Content */}
-      <div style={styles.main}>
-        {currentProject ? (
-          <>
-            {/* Header */}
-            <div style={styles.header}>
-              <div>
-                <h1 style={styles.projectTitle}>{currentProject.name}</h1>
-                <p style={styles.clientLabel}>Client: {currentProject.clientName}</p>
-              </div>
-              <button
-                style={styles.deleteProjectBtn}
-                onClick={() => deleteProject(currentProject.id)}
+    await saveForecastItems((currentProject.forecastItems || []).map(item =>
+      item.id === updatedItem.id ? updatedItem : item
+    ));
+    setEditingForecastItem(null);
+    logChange('forecastItem', 'update', { projectId: selectedProject, before: editingForecastItem, after: updatedItem });
+  };
+
+  const deleteForecastItem = async (itemId) => {
+    const item = (currentProject.forecastItems || []).find(i => i.id === itemId);
+
+    await saveForecastItems((currentProject.forecastItems || []).filter(i => i.id !== itemId));
+    logChange('forecastItem', 'delete', { projectId: selectedProject, before: item });
+  };
+
+  const saveDrawSchedule = async (drawSchedule) => {
+    const updatedProject = { ...currentProject, drawSchedule };
+
+    await db.saveDrawSchedule(updatedProject.id, drawSchedule);
+    setProjects(projects.map(p => p.id === selectedProject ? updatedProject : p));
+  };
+
+  const addDraw = async (drawData) => {
+    const newDraw = { id: generateId(), ...drawData, paymentId: null };
+
+    await saveDrawSchedule([...(currentProject.drawSchedule || []), newDraw]);
+    setShowNewDraw(false);
+    logChange('draw', 'create', { projectId: selectedProject, after: newDraw });
+  };
+
+  const updateDraw = async (drawData) => {
+    const updatedDraw = { ...editingDraw, ...drawData };
+
+    await saveDrawSchedule((currentProject.drawSchedule || []).map(draw =>
+      draw.id === updatedDraw.id ? updatedDraw : draw
+    ));
+    setEditingDraw(null);
+    logChange('draw', 'update', { projectId: selectedProject, before: editingDraw, after: updatedDraw });
+  };
+
+  const deleteDraw = async (drawId) => {
+    const draw = (currentProject.drawSchedule || []).find(d => d.id === drawId);
+
+    await saveDrawSchedule((currentProject.drawSchedule || []).filter(d => d.id !== drawId));
+    logChange('draw', 'delete', { projectId: selectedProject, before: draw });
+  };
+
+  // Delete handlers. Projects, categories, payments and expenses go to the trash.
+  const deleteProject = (projectId) => {
+    const project = projects.find(p => p.id === projectId);
+    trashRecord(buildTrashEntry('project', project, project));
+  };
+
+  const deleteCategory = (categoryId) => {
+    const category = currentProject.categories.find(c => c.id === categoryId);
+    trashRecord(buildTrashEntry('category', currentProject, category));
+  };
+
+  const deletePayment = (paymentId) => {
+    const payment = currentProject.payments.find(pay => pay.id === paymentId);
+    trashRecord(buildTrashEntry('payment', currentProject, payment));
+  };
+
+  const deleteChangeOrder = async (categoryId, changeOrderId) => {
+    if (confirm('Delete this change order?')) {
+      const changeOrder = currentProject.categories.find(c => c.id === categoryId).changeOrders
+        .find(co => co.id === changeOrderId);
+
+      await db.deleteChangeOrder(changeOrderId);
+      setCategoryChangeOrders(categoryId, changeOrders =>
+        changeOrders.filter(co => co.id !== changeOrderId)
+      );
+      logChange('changeOrder', 'delete', { projectId: selectedProject, before: changeOrder });
+    }
+  };
+
+  // Only the latest invoice can be deleted, so numbering and carried-forward billing stay intact
+  const deleteInvoice = async (invoiceId) => {
+    if (confirm('Delete this invoice? Its number will be reused by the next invoice.')) {
+      const updatedProject = {
+        ...currentProject,
+        invoices: (currentProject.invoices || []).filter(inv => inv.id !== invoiceId)
+      };
+
+      await db.saveInvoices(updatedProject.id, updatedProject.invoices);
+      setProjects(projects.map(p => p.id === selectedProject ? updatedProject : p));
+      logChange('invoice', 'delete', {
+        projectId: selectedProject,
+        before: currentProject.invoices.find(inv => inv.id === invoiceId)
+      });
+    }
+  };
+
+  const deleteExpense = (categoryId, expenseId) => {
+    const expense = currentProject.categories.find(c => c.id === categoryId).expenses.find(e => e.id === expenseId);
+    trashRecord(buildTrashEntry('expense', currentProject, expense, categoryId));
+  };
+
+  // Signed currency for change order deltas
+  const formatDelta = (amount) => {
+    return `${amount < 0 ? '−' : '+'}${formatCurrency(Math.abs(amount))}`;
+  };
+
+  // Revised amount, preceded by the original when change orders moved it
+  const renderRevisedAmount = (original, revised) => (
+    <span style={styles.categoryAmount}>
+      {original !== revised && (
+        <><span style={styles.originalAmount}>{formatCurrency(original)}</span>{' → '}</>
+      )}
+      {formatCurrency(revised)}
+    </span>
+  );
+
+  // Retainage still held on a category, with the release action once its work is complete
+  const renderRetainage = (category, totals) => {
+    if (totals.retainageReceivable <= 0 && totals.retainagePayable <= 0) return null;
+
+    return (
+      <>
+        <div style={styles.divider}></div>
+        <div style={styles.categoryRow}>
+          <span style={styles.categoryLabel}>Retainage Held by Client:</span>
+          <span style={{...styles.categoryAmount, color: '#10b981'}}>{formatCurrency(totals.retainageReceivable)}</span>
+        </div>
+        <div style={styles.categoryRow}>
+          <span style={styles.categoryLabel}>Retainage Held from Subs:</span>
+          <span style={{...styles.categoryAmount, color: '#f59e0b'}}>{formatCurrency(totals.retainagePayable)}</span>
+        </div>
+        {totals.workComplete && userCan('payment.write') && userCan('expense.write') && (
+          <button style={styles.releaseBtn} onClick={() => setReleasingRetainage(category)}>
+            Work complete - Release Retainage
+          </button>
+        )}
+      </>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <div style={styles.loadingContainer}>
+        <div style={styles.loadingSpinner}></div>
+        <p style={styles.loadingText}>Loading your data...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.container}>
+      {/* Sidebar */}
+      <div style={styles.sidebar}>
+        <div style={styles.logo}>
+          <span style={styles.logoIcon}>⚒</span>
+          <span style={styles.logoText}>ContractorCRM</span>
+        </div>
+
+        <div style={styles.sidebarNav}>
+          <button
+            style={{
+              ...styles.navItem,
+              ...(view === 'dashboard' ? styles.navItemActive : {})
+            }}
+            onClick={() => setView('dashboard')}
+          >
+            Dashboard
+          </button>
+          <button
+            style={{
+              ...styles.navItem,
+              ...(view === 'estimates' ? styles.navItemActive : {})
+            }}
+            onClick={() => setView('estimates')}
+          >
+            Estimates
+          </button>
+          <button
+            style={{
+              ...styles.navItem,
+              ...(view === 'vendors' ? styles.navItemActive : {})
+            }}
+            onClick={() => setView('vendors')}
+          >
+            Vendors &amp; Subs
+          </button>
+          <button
+            style={{
+              ...styles.navItem,
+              ...(view === 'cashFlow' ? styles.navItemActive : {})
+            }}
+            onClick={() => setView('cashFlow')}
+          >
+            Cash Flow (All Projects)
+          </button>
+          <button
+            style={{
+              ...styles.navItem,
+              ...(view === 'trash' ? styles.navItemActive : {})
+            }}
+            onClick={() => setView('trash')}
+          >
+            Trash{trash.length > 0 && ` (${trash.length})`}
+          </button>
+          <div style={styles.undoRow}>
+            <button
+              style={styles.sidebarBtn}
+              onClick={undo}
+              disabled={undoStack.length === 0}
+              title={undoStack.length > 0 ? `Undo: ${undoStack[undoStack.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+            >
+              ↶ Undo
+            </button>
+            <button
+              style={styles.sidebarBtn}
+              onClick={redo}
+              disabled={redoStack.length === 0}
+              title={redoStack.length > 0 ? `Redo: ${redoStack[redoStack.length - 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+            >
+              ↷ Redo
+            </button>
+          </div>
+        </div>
+
+        <div style={styles.projectList}>
+          <div style={styles.sectionHeader}>
+            <span>PROJECTS</span>
+            {userCan('project.write') && (
+              <button style={styles.addBtn} onClick={() => setShowNewProject(true)}>+</button>
+            )}
+          </div>
+
+          {projects.length > 0 && (
+            <div style={styles.projectFilters}>
+              <select
+                style={styles.projectFilterSelect}
+                value={projectStatusFilter}
+                onChange={e => setProjectStatusFilter(e.target.value)}
               >
-                Delete Project
-              </button>
+                <option value="">All statuses</option>
+                {PROJECT_STATUSES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+              </select>
+              {!projectStatusFilter && (
+                <label style={styles.projectFilterToggle}>
+                  <input
+                    type="checkbox"
+                    checked={showArchived}
+                    onChange={e => setShowArchived(e.target.checked)}
+                  />{' '}
+                  Archived
+                </label>
+              )}
+            </div>
+          )}
+
+          {projectGroups.map(group => (
+            <div key={group.status}>
+              <div style={styles.projectGroupLabel}>{group.label} ({group.projects.length})</div>
+              {group.projects.map(project => (
+                <div
+                  key={project.id}
+                  style={{
+                    ...styles.projectItem,
+                    ...(view === 'project' && selectedProject === project.id ? styles.projectItemActive : {})
+                  }}
+                  onClick={() => { setSelectedProject(project.id); setView('project'); }}
+                >
+                  <div style={styles.projectName}>{project.name}</div>
+                  <div style={styles.projectClient}>{project.clientName}</div>
+                </div>
+              ))}
+            </div>
+          ))}
+
+          {projects.length === 0 ? (
+            <div style={styles.emptyState}>
+              No projects yet.<br/>Click + to add one.
+            </div>
+          ) : projectGroups.length === 0 && (
+            <div style={styles.emptyState}>
+              No {projectStatusFilter ? getProjectStatusLabel(projectStatusFilter).toLowerCase() : 'open'} projects.
+            </div>
+          )}
+        </div>
+
+        <div style={styles.sidebarFooter}>
+          <button
+            style={styles.sidebarBtn}
+            onClick={() => setShowExport(true)}
+            disabled={projects.length === 0}
+          >
+            Export CSV
+          </button>
+          <button
+            style={styles.sidebarBtn}
+            onClick={() => setShow1099Report(true)}
+            disabled={projects.length === 0}
+          >
+            1099 Report
+          </button>
+          <button
+            style={styles.sidebarBtn}
+            onClick={() => setShowImport(true)}
+            disabled={!currentProject || currentProject.categories.length === 0 ||
+              !(userCan('payment.write') || userCan('expense.write'))}
+          >
+            Import CSV
+          </button>
+          <button
+            style={styles.sidebarBtn}
+            onClick={() => downloadBackup({ projects, vendors, estimates, templates })}
+            disabled={projects.length === 0}
+          >
+            Export Backup
+          </button>
+          {userCan('backup.restore') && (
+            <button
+              style={styles.sidebarBtn}
+              onClick={() => setShowRestore(true)}
+            >
+              Import Backup
+            </button>
+          )}
+        </div>
+
+        {user && (
+          <div style={styles.accountMenu}>
+            <div style={styles.accountEmail} title={user.email}>{user.email}</div>
+            {membership && (
+              <div style={styles.accountRole}>
+                {getRoleLabel(membership.role)} · {membership.organizationName}
+              </div>
+            )}
+            {syncStatus && (
+              <SyncIndicator status={syncStatus} onReviewConflicts={() => setShowSyncConflicts(true)} />
+            )}
+            <button style={styles.sidebarBtn} onClick={() => setShowTeam(true)} disabled={!membership}>
+              Team
+            </button>
+            <button style={styles.sidebarBtn} onClick={() => auth.signOut()}>
+              Sign Out
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Main Content */}
+      <div style={styles.main}>
+        {view === 'dashboard' ? (
+          <PortfolioDashboard
+            projects={projects}
+            onSelectProject={projectId => { setSelectedProject(projectId); setView('project'); }}
+          />
+        ) : view === 'estimates' ? (
+          <EstimateDirectory
+            estimates={estimates}
+            projects={projects}
+            selectedEstimateId={selectedEstimateId}
+            onSelectEstimate={setSelectedEstimateId}
+            onAddEstimate={userCan('estimate.write') ? createEstimate : null}
+            onSaveEstimate={userCan('estimate.write') ? saveEstimate : null}
+            onDeleteEstimate={userCan('estimate.delete') ? deleteEstimate : null}
+            onAcceptEstimate={userCan('estimate.write') && userCan('project.write') && userCan('category.write')
+              ? acceptEstimate
+              : null}
+            onSignProposal={userCan('estimate.write') && userCan('project.write') && userCan('category.write')
+              ? signProposal
+              : null}
+            onOpenProject={projectId => { setSelectedProject(projectId); setView('project'); }}
+            companyName={membership?.organizationName}
+          />
+        ) : view === 'vendors' ? (
+          <VendorDirectory
+            vendors={vendors}
+            projects={projects}
+            selectedVendorId={selectedVendorId}
+            onSelectVendor={setSelectedVendorId}
+            onAddVendor={userCan('vendor.write') ? () => setShowNewVendor(true) : null}
+            onEditVendor={userCan('vendor.write') ? setEditingVendor : null}
+            onDeleteVendor={userCan('vendor.delete') ? deleteVendor : null}
+          />
+        ) : view === 'trash' ? (
+          <TrashBin
+            items={trash}
+            getBlocker={item => getTrashBlocker(item, projects)}
+            canPurge={item => userCan(`${item.kind}.delete`)}
+            onRestore={restoreTrashItem}
+            onPurge={purgeTrashItem}
+          />
+        ) : view === 'cashFlow' ? (
+          <>
+            <div style={styles.header}>
+              <div>
+                <h1 style={styles.projectTitle}>Cash Flow</h1>
+                <p style={styles.clientLabel}>Expected draws and sub payments across all projects</p>
+              </div>
+            </div>
+            <CashFlowForecast projects={projects} showProjectNames />
+          </>
+        ) : currentProject ? (
+          <>
+            {/* Header */}
+            <div style={styles.header}>
+              <div>
+                <h1 style={styles.projectTitle}>{currentProject.name}</h1>
+                <p style={styles.clientLabel}>
+                  Client: {currentProject.clientName}
+                  {' · '}{getProjectStatusLabel(getProjectStatus(currentProject))}
+                  {currentProject.startDate && ` · Started ${formatDate(currentProject.startDate)}`}
+                  {currentProject.targetDate && !currentProject.completedDate &&
+                    ` · Target ${formatDate(currentProject.targetDate)}`}
+                  {currentProject.completedDate && ` · Completed ${formatDate(currentProject.completedDate)}`}
+                </p>
+              </div>
+              <div style={styles.headerActions}>
+                {currentProject.proposal && (
+                  <button
+                    style={styles.editProjectBtn}
+                    onClick={() => printProposal(currentProject.proposal)}
+                    title={currentProject.proposal.signature
+                      ? `Signed by ${currentProject.proposal.signature.name} on ${formatDay(currentProject.proposal.signature.date)}`
+                      : 'Print the proposal'}
+                  >
+                    Proposal
+                  </button>
+                )}
+                {userCan('project.write') && currentProject.categories.length > 0 && (
+                  <button
+                    style={styles.editProjectBtn}
+                    onClick={() => setShowSaveTemplate(true)}
+                  >
+                    Save as Template
+                  </button>
+                )}
+                {userCan('project.write') && (
+                  <button
+                    style={styles.editProjectBtn}
+                    onClick={() => setShowEditProject(true)}
+                  >
+                    Edit Project
+                  </button>
+                )}
+                {userCan('project.delete') && (
+                  <button
+                    style={styles.deleteProjectBtn}
+                    onClick={() => deleteProject(currentProject.id)}
+                  >
+                    Delete Project
+                  </button>
+                )}
+              </div>
             </div>
 
             {/* Summary Cards */}
             <div style={styles.summaryGrid}>
               {(() => {
-                const totals = getProjectTotals();
-                const projectedProfit = totals.totalBudget - totals.totalCost;
-                const currentProfit = totals.totalPaid - totals.totalSpent;
+                const totals = getProjectTotals(currentProject);
+                const { projectedProfit, currentProfit } = totals;
                 const health = totals.categoryHealth;
                 const totalCategories = health.green + health.yellow + health.red;
                 return (
@@ -535,16 +1694,24 @@ const ContractorCRM = () => {
 
             {/* Tabs */}
             <div style={styles.tabs}>
-              {['overview', 'payments', 'expenses'].map(tab => (
+              {[
+                { id: 'overview', label: 'Overview' },
+                { id: 'payments', label: 'Payments' },
+                { id: 'expenses', label: 'Expenses' },
+                { id: 'changeOrders', label: 'Change Orders' },
+                { id: 'invoices', label: 'Invoices' },
+                { id: 'cashFlow', label: 'Cash Flow' },
+                { id: 'history', label: 'History' }
+              ].map(tab => (
                 <button
-                  key={tab}
+                  key={tab.id}
                   style={{
                     ...styles.tab,
-                    ...(activeTab === tab ? styles.tabActive : {})
+                    ...(activeTab === tab.id ? styles.tabActive : {})
                   }}
-                  onClick={() => setActiveTab(tab)}
+                  onClick={() => setActiveTab(tab.id)}
                 >
-                  {tab.charAt(0).toUpperCase() + tab.slice(1)}
+                  {tab.label}
                 </button>
               ))}
             </div>
@@ -555,9 +1722,11 @@ const ContractorCRM = () => {
                 <div>
                   <div style={styles.sectionHeaderRow}>
                     <h2 style={styles.sectionTitle}>Cost Categories</h2>
-                    <button style={styles.primaryBtn} onClick={() => setShowNewCategory(true)}>
-                      + Add Category
-                    </button>
+                    {userCan('category.write') && (
+                      <button style={styles.primaryBtn} onClick={() => setShowNewCategory(true)}>
+                        + Add Category
+                      </button>
+                    )}
                   </div>
 
                   {currentProject.categories.length === 0 ? (
@@ -580,12 +1749,12 @@ const ContractorCRM = () => {
                         if (mode === 'separate') {
                           // SEPARATE MODE CARD - Labor & Materials tracked separately
                           const laborWarning = warningColors[totals.laborWarningLevel];
-                          const laborCollectedPct = category.laborBudget > 0
-                            ? (totals.laborCollected / category.laborBudget) * 100 : 0;
-                          const laborPaidPct = category.laborCost > 0
-                            ? (totals.laborPaid / category.laborCost) * 100 : 0;
-                          const materialsCollectedPct = category.materialsBudget > 0
-                            ? (totals.materialsCollected / category.materialsBudget) * 100 : 0;
+                          const laborCollectedPct = totals.laborBudget > 0
+                            ? (totals.laborCollected / totals.laborBudget) * 100 : 0;
+                          const laborPaidPct = totals.laborCost > 0
+                            ? (totals.laborPaid / totals.laborCost) * 100 : 0;
+                          const materialsCollectedPct = totals.materialsBudget > 0
+                            ? (totals.materialsCollected / totals.materialsBudget) * 100 : 0;
                           const materialsPaidPct = totals.materialsCollected > 0
                             ? (totals.materialsPaid / totals.materialsCollected) * 100 : 0;
 
@@ -603,12 +1772,25 @@ const ContractorCRM = () => {
                                   <h3 style={styles.categoryName}>{category.name}</h3>
                                   <span style={styles.modeBadgeSmall}>SEP</span>
                                 </div>
-                                <button
-                                  style={styles.deleteBtn}
-                                  onClick={() => deleteCategory(category.id)}
-                                >
-                                  ×
-                                </button>
+                                <div style={styles.cardActions}>
+                                  {userCan('category.write') && (
+                                    <button
+                                      style={styles.editBtn}
+                                      onClick={() => setEditingCategory(category)}
+                                      title="Edit category"
+                                    >
+                                      ✎
+                                    </button>
+                                  )}
+                                  {userCan('category.delete') && (
+                                    <button
+                                      style={styles.deleteBtn}
+                                      onClick={() => deleteCategory(category.id)}
+                                    >
+                                      ×
+                                    </button>
+                                  )}
+                                </div>
                               </div>
 
                               {totals.laborWarningLevel === 'red' && (
@@ -630,16 +1812,23 @@ const ContractorCRM = () => {
                                 </div>
                               )}
 
+                              {(totals.approvedChangeOrders > 0 || totals.pendingChangeOrders > 0) && (
+                                <div style={styles.changeOrderNote}>
+                                  {totals.approvedChangeOrders} approved change order{totals.approvedChangeOrders === 1 ? '' : 's'}
+                                  {totals.pendingChangeOrders > 0 && ` · ${totals.pendingChangeOrders} pending`}
+                                </div>
+                              )}
+
                               {/* LABOR SECTION */}
                               <div style={styles.subSection}>
                                 <div style={styles.subSectionTitle}>Labor</div>
                                 <div style={styles.categoryRow}>
                                   <span style={styles.categoryLabel}>Budget from Client:</span>
-                                  <span style={styles.categoryAmount}>{formatCurrency(category.laborBudget)}</span>
+                                  {renderRevisedAmount(totals.originalLaborBudget, totals.laborBudget)}
                                 </div>
                                 <div style={styles.categoryRow}>
                                   <span style={styles.categoryLabel}>Your Cost to Sub:</span>
-                                  <span style={styles.categoryAmount}>{formatCurrency(category.laborCost)}</span>
+                                  {renderRevisedAmount(totals.originalLaborCost, totals.laborCost)}
                                 </div>
                                 <div style={styles.progressSection}>
                                   <div style={styles.progressLabel}>
@@ -685,7 +1874,7 @@ const ContractorCRM = () => {
                                 <div style={styles.subSectionTitle}>Materials (Pass-through)</div>
                                 <div style={styles.categoryRow}>
                                   <span style={styles.categoryLabel}>Budget:</span>
-                                  <span style={styles.categoryAmount}>{formatCurrency(category.materialsBudget)}</span>
+                                  {renderRevisedAmount(totals.originalMaterialsBudget, totals.materialsBudget)}
                                 </div>
                                 <div style={styles.progressSection}>
                                   <div style={styles.progressLabel}>
@@ -714,6 +1903,8 @@ const ContractorCRM = () => {
                                   </div>
                                 </div>
                               </div>
+
+                              {renderRetainage(category, totals)}
                             </div>
                           );
                         } else {
@@ -738,12 +1929,25 @@ const ContractorCRM = () => {
                                   <h3 style={styles.categoryName}>{category.name}</h3>
                                   <span style={styles.modeBadgeSmall}>ALL</span>
                                 </div>
-                                <button
-                                  style={styles.deleteBtn}
-                                  onClick={() => deleteCategory(category.id)}
-                                >
-                                  ×
-                                </button>
+                                <div style={styles.cardActions}>
+                                  {userCan('category.write') && (
+                                    <button
+                                      style={styles.editBtn}
+                                      onClick={() => setEditingCategory(category)}
+                                      title="Edit category"
+                                    >
+                                      ✎
+                                    </button>
+                                  )}
+                                  {userCan('category.delete') && (
+                                    <button
+                                      style={styles.deleteBtn}
+                                      onClick={() => deleteCategory(category.id)}
+                                    >
+                                      ×
+                                    </button>
+                                  )}
+                                </div>
                               </div>
 
                               {totals.warningLevel === 'red' && (
@@ -765,13 +1969,20 @@ const ContractorCRM = () => {
                                 </div>
                               )}
 
+                              {(totals.approvedChangeOrders > 0 || totals.pendingChangeOrders > 0) && (
+                                <div style={styles.changeOrderNote}>
+                                  {totals.approvedChangeOrders} approved change order{totals.approvedChangeOrders === 1 ? '' : 's'}
+                                  {totals.pendingChangeOrders > 0 && ` · ${totals.pendingChangeOrders} pending`}
+                                </div>
+                              )}
+
                               <div style={styles.categoryRow}>
                                 <span style={styles.categoryLabel}>Client Budget:</span>
-                                <span style={styles.categoryAmount}>{formatCurrency(totals.budget)}</span>
+                                {renderRevisedAmount(totals.originalBudget, totals.budget)}
                               </div>
                               <div style={styles.categoryRow}>
                                 <span style={styles.categoryLabel}>Your Cost:</span>
-                                <span style={styles.categoryAmount}>{formatCurrency(totals.cost)}</span>
+                                {renderRevisedAmount(totals.originalCost, totals.cost)}
                               </div>
 
                               <div style={styles.divider}></div>
@@ -830,6 +2041,8 @@ const ContractorCRM = () => {
                                   {formatCurrency(totals.currentMargin)}
                                 </span>
                               </div>
+
+                              {renderRetainage(category, totals)}
                             </div>
                           );
                         }
@@ -841,15 +2054,25 @@ const ContractorCRM = () => {
 
               {activeTab === 'payments' && (
                 <div>
+                  <DrawSchedule
+                    project={currentProject}
+                    onAddDraw={userCan('payment.write') ? () => setShowNewDraw(true) : null}
+                    onEditDraw={userCan('payment.write') ? setEditingDraw : null}
+                    onDeleteDraw={userCan('payment.write') ? deleteDraw : null}
+                    onRecordPayment={userCan('payment.write') ? setRecordingDraw : null}
+                  />
+
                   <div style={styles.sectionHeaderRow}>
                     <h2 style={styles.sectionTitle}>Client Payments</h2>
-                    <button
-                      style={styles.primaryBtn}
-                      onClick={() => setShowNewPayment(true)}
-                      disabled={currentProject.categories.length === 0}
-                    >
-                      + Record Payment
-                    </button>
+                    {userCan('payment.write') && (
+                      <button
+                        style={styles.primaryBtn}
+                        onClick={() => setShowNewPayment(true)}
+                        disabled={currentProject.categories.length === 0}
+                      >
+                        + Record Payment
+                      </button>
+                    )}
                   </div>
 
                   {currentProject.payments.length === 0 ? (
@@ -878,18 +2101,39 @@ const ContractorCRM = () => {
                               </div>
                               <div style={styles.paymentAmountSection}>
                                 <div style={styles.paymentTotal}>{formatCurrency(payment.totalAmount)}</div>
-                                <button
-                                  style={styles.deleteBtn}
-                                  onClick={() => deletePayment(payment.id)}
-                                >
-                                  ×
-                                </button>
+                                {userCan('payment.write') && (
+                                  <button
+                                    style={styles.editBtn}
+                                    onClick={() => setEditingPayment(payment)}
+                                    title="Edit payment"
+                                  >
+                                    ✎
+                                  </button>
+                                )}
+                                {userCan('payment.delete') && (
+                                  <button
+                                    style={styles.deleteBtn}
+                                    onClick={() => deletePayment(payment.id)}
+                                  >
+                                    ×
+                                  </button>
+                                )}
                               </div>
                             </div>
 
                             {payment.notes && (
                               <div style={styles.paymentNotes}>{payment.notes}</div>
                             )}
+                            <AttachmentThumbnails attachments={payment.attachments} />
+                            {!payment.retainageRelease && payment.allocations.some(a =>
+                              a.retainage || a.laborRetainage || a.materialsRetainage
+                            ) && (
+                              <div style={styles.paymentNotes}>
+                                Client held back {formatCurrency(payment.allocations.reduce((sum, a) =>
+                                  sum + (a.retainage || 0) + (a.laborRetainage || 0) + (a.materialsRetainage || 0), 0
+                                ))} retainage
+                              </div>
+                            )}
 
                             <div style={styles.allocationList}>
                               <div style={styles.allocationHeader}>Allocated to:</div>
@@ -932,13 +2176,15 @@ const ContractorCRM = () => {
                 <div>
                   <div style={styles.sectionHeaderRow}>
                     <h2 style={styles.sectionTitle}>Your Expenses (Payments to Subs)</h2>
-                    <button
-                      style={styles.primaryBtn}
-                      onClick={() => setShowNewExpense(true)}
-                      disabled={currentProject.categories.length === 0}
-                    >
-                      + Record Expense
-                    </button>
+                    {userCan('expense.write') && (
+                      <button
+                        style={styles.primaryBtn}
+                        onClick={() => setShowNewExpense(true)}
+                        disabled={currentProject.categories.length === 0}
+                      >
+                        + Record Expense
+                      </button>
+                    )}
                   </div>
 
                   {currentProject.categories.every(c => c.expenses.length === 0) ? (
@@ -974,21 +2220,43 @@ const ContractorCRM = () => {
                                   </div>
                                   <div style={styles.expenseDate}>
                                     {formatDate(expense.date)}
+                                    {getVendorName(expense.vendorId) && (
+                                      <span style={{ marginLeft: '8px', color: '#94a3b8' }}>
+                                        {getVendorName(expense.vendorId)}
+                                      </span>
+                                    )}
                                     {expense.paymentMethod && (
                                       <span style={{ marginLeft: '8px', color: '#64748b' }}>
                                         via {expense.paymentMethod}{expense.reference ? ` #${expense.reference}` : ''}
                                       </span>
                                     )}
+                                    {expense.retainage > 0 && (
+                                      <span style={{ marginLeft: '8px', color: '#64748b' }}>
+                                        {formatCurrency(expense.retainage)} retainage held
+                                      </span>
+                                    )}
                                   </div>
+                                  <AttachmentThumbnails attachments={expense.attachments} />
                                 </div>
                                 <div style={styles.expenseAmountSection}>
                                   <div style={styles.expenseAmount}>{formatCurrency(expense.amount)}</div>
-                                  <button
-                                    style={styles.deleteBtn}
-                                    onClick={() => deleteExpense(category.id, expense.id)}
-                                  >
-                                    ×
-                                  </button>
+                                  {userCan('expense.write') && (
+                                    <button
+                                      style={styles.editBtn}
+                                      onClick={() => setEditingExpense({ categoryId: category.id, expense })}
+                                      title="Edit expense"
+                                    >
+                                      ✎
+                                    </button>
+                                  )}
+                                  {userCan('expense.delete') && (
+                                    <button
+                                      style={styles.deleteBtn}
+                                      onClick={() => deleteExpense(category.id, expense.id)}
+                                    >
+                                      ×
+                                    </button>
+                                  )}
                                 </div>
                               </div>
                             ))}
@@ -999,60 +2267,603 @@ const ContractorCRM = () => {
                   )}
                 </div>
               )}
-            </div>
-          </>
-        ) : (
-          <div style={styles.noProjectSelected}>
-            <div style={styles.noProjectIcon}>📋</div>
-            <h2>Select or create a project</h2>
-            <p>Choose a project from the sidebar or create a new one to get started.</p>
-            <button style={styles.primaryBtn} onClick={() => setShowNewProject(true)}>
-              + New Project
-            </button>
-          </div>
-        )}
-      </div>
-
-      {/* Modals */}
-      {showNewProject && (
-        <Modal onClose={() => setShowNewProject(false)} title="New Project">
-          <NewProjectForm onSubmit={addProject} onCancel={() => setShowNewProject(false)} />
-        </Modal>
-      )}
 
-      {showNewCategory && (
-        <Modal onClose={() => setShowNewCategory(false)} title="Add Cost Category">
-          <NewCategoryForm onSubmit={addCategory} onCancel={() => setShowNewCategory(false)} />
-        </Modal>
-      )}
+              {activeTab === 'changeOrders' && (
+                <div>
+                  <div style={styles.sectionHeaderRow}>
+                    <h2 style={styles.sectionTitle}>Change Orders</h2>
+                    {userCan('changeOrder.write') && (
+                      <button
+                        style={styles.primaryBtn}
+                        onClick={() => setShowNewChangeOrder(true)}
+                        disabled={currentProject.categories.length === 0}
+                      >
+                        + Add Change Order
+                      </button>
+                    )}
+                  </div>
 
-      {showNewPayment && currentProject && (
-        <Modal onClose={() => setShowNewPayment(false)} title="Record Client Payment">
-          <NewPaymentForm
-            categories={currentProject.categories}
-            onSubmit={addPayment}
-            onCancel={() => setShowNewPayment(false)}
-          />
-        </Modal>
-      )}
+                  {currentProject.categories.every(c => (c.changeOrders || []).length === 0) ? (
+                    <div style={styles.emptyCard}>
+                      <p>No change orders yet. When the scope changes, add a change order to a category and mark it approved once the client signs off.</p>
+                    </div>
+                  ) : (
+                    <div style={styles.expenseList}>
+                      {currentProject.categories.map(category => {
+                        const changeOrders = category.changeOrders || [];
+                        if (changeOrders.length === 0) return null;
+                        const catMode = category.mode || 'all-inclusive';
+                        const totals = getCategoryTotals(category);
 
-      {showNewExpense && currentProject && (
-        <Modal onClose={() => setShowNewExpense(false)} title="Record Expense">
-          <NewExpenseForm
-            categories={currentProject.categories}
-            onSubmit={addExpense}
-            onCancel={() => setShowNewExpense(false)}
-          />
-        </Modal>
+                        return (
+                          <div key={category.id} style={styles.expenseGroup}>
+                            <h3 style={styles.expenseGroupTitle}>
+                              {category.name}
+                              <span style={styles.modeBadge}>
+                                {catMode === 'separate' ? 'SEP' : 'ALL'}
+                              </span>
+                            </h3>
+                            <div style={styles.changeOrderSummary}>
+                              {catMode === 'separate' ? (
+                                <>
+                                  <span>Labor budget: {formatCurrency(totals.originalLaborBudget)} → {formatCurrency(totals.laborBudget)}</span>
+                                  <span>Labor cost: {formatCurrency(totals.originalLaborCost)} → {formatCurrency(totals.laborCost)}</span>
+                                  <span>Materials: {formatCurrency(totals.originalMaterialsBudget)} → {formatCurrency(totals.materialsBudget)}</span>
+                                </>
+                              ) : (
+                                <>
+                                  <span>Budget: {formatCurrency(totals.originalBudget)} → {formatCurrency(totals.budget)}</span>
+                                  <span>Cost: {formatCurrency(totals.originalCost)} → {formatCurrency(totals.cost)}</span>
+                                </>
+                              )}
+                            </div>
+                            {[...changeOrders].sort((a, b) => new Date(b.date) - new Date(a.date)).map(changeOrder => {
+                              const deltas = catMode === 'separate'
+                                ? [
+                                  ['Labor budget', changeOrder.laborBudgetDelta],
+                                  ['Labor cost', changeOrder.laborCostDelta],
+                                  ['Materials', changeOrder.materialsBudgetDelta]
+                                ]
+                                : [
+                                  ['Budget', changeOrder.budgetDelta],
+                                  ['Cost', changeOrder.costDelta]
+                                ];
+                              const statusStyle = {
+                                pending: styles.healthBadgeYellow,
+                                approved: styles.healthBadgeGreen,
+                                rejected: styles.healthBadgeRed
+                              }[changeOrder.status];
+
+                              return (
+                                <div key={changeOrder.id} style={styles.expenseItem}>
+                                  <div>
+                                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                                      <span style={styles.expenseDesc}>{changeOrder.description}</span>
+                                      <span style={statusStyle}>{changeOrder.status}</span>
+                                    </div>
+                                    <div style={styles.expenseDate}>
+                                      {formatDate(changeOrder.date)}
+                                      <span style={{ marginLeft: '8px', color: '#64748b' }}>
+                                        {deltas
+                                          .filter(([, delta]) => delta)
+                                          .map(([label, delta]) => `${label} ${formatDelta(delta)}`)
+                                          .join(' · ') || 'No amount change'}
+                                      </span>
+                                    </div>
+                                  </div>
+                                  <div style={styles.expenseAmountSection}>
+                                    {changeOrder.status === 'pending' && userCan('changeOrder.write') && (
+                                      <>
+                                        <button
+                                          style={styles.approveBtn}
+                                          onClick={() => setChangeOrderStatus(category.id, changeOrder, 'approved')}
+                                        >
+                                          Approve
+                                        </button>
+                                        <button
+                                          style={styles.rejectBtn}
+                                          onClick={() => setChangeOrderStatus(category.id, changeOrder, 'rejected')}
+                                        >
+                                          Reject
+                                        </button>
+                                      </>
+                                    )}
+                                    {userCan('changeOrder.write') && (
+                                      <button
+                                        style={styles.editBtn}
+                                        onClick={() => setEditingChangeOrder({ categoryId: category.id, changeOrder })}
+                                        title="Edit change order"
+                                      >
+                                        ✎
+                                      </button>
+                                    )}
+                                    {userCan('changeOrder.delete') && (
+                                      <button
+                                        style={styles.deleteBtn}
+                                        onClick={() => deleteChangeOrder(category.id, changeOrder.id)}
+                                      >
+                                        ×
+                                      </button>
+                                    )}
+                                  </div>
+                                </div>
+                              );
+                            })}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {activeTab === 'invoices' && (
+                <div>
+                  <div style={styles.sectionHeaderRow}>
+                    <h2 style={styles.sectionTitle}>Invoices / Pay Applications</h2>
+                    {userCan('invoice.write') && (
+                      <button
+                        style={styles.primaryBtn}
+                        onClick={() => setShowNewInvoice(true)}
+                        disabled={currentProject.categories.length === 0}
+                      >
+                        + New Invoice
+                      </button>
+                    )}
+                  </div>
+
+                  {(currentProject.invoices || []).length === 0 ? (
+                    <div style={styles.emptyCard}>
+                      <p>No invoices yet. Create one to give your client a printable statement of what's been billed and what's left to finish.</p>
+                    </div>
+                  ) : (
+                    <div style={styles.paymentList}>
+                      {[...currentProject.invoices].sort((a, b) => b.number - a.number).map(invoice => {
+                        const summary = getInvoiceSummary(invoice, currentProject);
+                        const isLatest = getLatestInvoice(currentProject)?.id === invoice.id;
+
+                        return (
+                          <div key={invoice.id} style={styles.paymentCard}>
+                            <div style={styles.paymentHeader}>
+                              <div>
+                                <div style={styles.paymentCheck}>Application #{invoice.number}</div>
+                                <div style={styles.paymentDate}>
+                                  {formatDate(invoice.date)} · Period to {formatDate(invoice.periodTo)}
+                                </div>
+                              </div>
+                              <div style={styles.paymentAmountSection}>
+                                <div style={styles.paymentTotal}>{formatCurrency(summary.currentPaymentDue)}</div>
+                                <button
+                                  style={styles.editProjectBtn}
+                                  onClick={() => printInvoice(currentProject, invoice)}
+                                >
+                                  Print
+                                </button>
+                                {isLatest && userCan('invoice.write') && (
+                                  <button
+                                    style={styles.deleteBtn}
+                                    onClick={() => deleteInvoice(invoice.id)}
+                                  >
+                                    ×
+                                  </button>
+                                )}
+                              </div>
+                            </div>
+                            <div style={styles.allocationList}>
+                              <div style={styles.allocationItem}>
+                                <span>Contract sum to date</span>
+                                <span>{formatCurrency(summary.contractSumToDate)}</span>
+                              </div>
+                              <div style={styles.allocationItem}>
+                                <span>Completed to date</span>
+                                <span>{formatCurrency(summary.completedToDate)}</span>
+                              </div>
+                              <div style={styles.allocationItem}>
+                                <span>Balance to finish</span>
+                                <span>{formatCurrency(summary.balanceToFinish)}</span>
+                              </div>
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {activeTab === 'cashFlow' && (
+                <div>
+                  <div style={styles.sectionHeaderRow}>
+                    <h2 style={styles.sectionTitle}>Cash-Flow Forecast</h2>
+                    <div style={styles.headerActions}>
+                      {userCan('forecast.write') && (
+                        <button style={styles.editProjectBtn} onClick={() => setNewForecastKind('sub')}>
+                          + Expected Sub Payment
+                        </button>
+                      )}
+                      {userCan('forecast.write') && (
+                        <button style={styles.primaryBtn} onClick={() => setNewForecastKind('draw')}>
+                          + Expected Client Draw
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  <CashFlowForecast key={currentProject.id} projects={[currentProject]} />
+
+                  {(currentProject.forecastItems || []).length > 0 && (
+                    <div style={{ ...styles.expenseGroup, marginTop: '24px' }}>
+                      <h3 style={styles.expenseGroupTitle}>Expected Items</h3>
+                      {[...currentProject.forecastItems].sort((a, b) => a.date.localeCompare(b.date)).map(item => {
+                        const category = currentProject.categories.find(c => c.id === item.categoryId);
+                        return (
+                          <div key={item.id} style={styles.expenseItem}>
+                            <div>
+                              <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                                <span style={styles.expenseDesc}>{item.description}</span>
+                                <span style={item.kind === 'draw' ? styles.healthBadgeGreen : styles.healthBadgeYellow}>
+                                  {item.kind === 'draw' ? 'Client draw' : 'Sub payment'}
+                                </span>
+                              </div>
+                              <div style={styles.expenseDate}>
+                                {formatDay(item.date)}
+                                {category && ` · ${category.name}`}
+                                {item.date < new Date().toLocaleDateString('en-CA') && (
+                                  <span style={{ marginLeft: '8px', color: '#ef4444' }}>past due - record it or move the date</span>
+                                )}
+                              </div>
+                            </div>
+                            <div style={styles.expenseAmountSection}>
+                              <div style={{
+                                ...styles.expenseAmount,
+                                color: item.kind === 'draw' ? '#10b981' : '#f59e0b'
+                              }}>
+                                {item.kind === 'draw' ? '+' : '−'}{formatCurrency(item.amount)}
+                              </div>
+                              {userCan('forecast.write') && (
+                                <button
+                                  style={styles.editBtn}
+                                  onClick={() => setEditingForecastItem(item)}
+                                  title="Edit expected item"
+                                >
+                                  ✎
+                                </button>
+                              )}
+                              {userCan('forecast.write') && (
+                                <button
+                                  style={styles.deleteBtn}
+                                  onClick={() => deleteForecastItem(item.id)}
+                                >
+                                  ×
+                                </button>
+                              )}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {activeTab === 'history' && (
+                <ProjectHistory
+                  key={currentProject.id}
+                  projectId={currentProject.id}
+                  changeCount={auditCount}
+                  categories={currentProject.categories}
+                  getVendorName={getVendorName}
+                />
+              )}
+            </div>
+          </>
+        ) : (
+          <div style={styles.noProjectSelected}>
+            <div style={styles.noProjectIcon}>📋</div>
+            <h2>Select or create a project</h2>
+            <p>Choose a project from the sidebar or create a new one to get started.</p>
+            {userCan('project.write') && (
+              <button style={styles.primaryBtn} onClick={() => setShowNewProject(true)}>
+                + New Project
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Modals */}
+      {showNewProject && (
+        <Modal onClose={() => setShowNewProject(false)} title="New Project">
+          <NewProjectForm templates={templates} onSubmit={addProject} onCancel={() => setShowNewProject(false)} />
+        </Modal>
+      )}
+
+      {showSaveTemplate && currentProject && (
+        <Modal onClose={() => setShowSaveTemplate(false)} title="Save as Template">
+          <SaveTemplateForm
+            project={currentProject}
+            templates={templates}
+            onSubmit={saveTemplate}
+            onDeleteTemplate={deleteTemplate}
+            onCancel={() => setShowSaveTemplate(false)}
+          />
+        </Modal>
+      )}
+
+      {showEditProject && currentProject && (
+        <Modal onClose={() => setShowEditProject(false)} title="Edit Project">
+          <NewProjectForm
+            project={currentProject}
+            onSubmit={updateProject}
+            onCancel={() => setShowEditProject(false)}
+          />
+        </Modal>
+      )}
+
+      {showNewCategory && (
+        <Modal onClose={() => setShowNewCategory(false)} title="Add Cost Category">
+          <NewCategoryForm
+            projectRetainagePercent={currentProject.retainagePercent}
+            onSubmit={addCategory}
+            onCancel={() => setShowNewCategory(false)}
+          />
+        </Modal>
+      )}
+
+      {editingCategory && (
+        <Modal onClose={() => setEditingCategory(null)} title="Edit Cost Category">
+          <NewCategoryForm
+            category={editingCategory}
+            projectRetainagePercent={currentProject.retainagePercent}
+            onSubmit={updateCategory}
+            onCancel={() => setEditingCategory(null)}
+          />
+        </Modal>
+      )}
+
+      {showNewPayment && currentProject && (
+        <Modal onClose={() => setShowNewPayment(false)} title="Record Client Payment">
+          <NewPaymentForm
+            categories={currentProject.categories}
+            retainagePercents={getRetainagePercents(currentProject)}
+            draws={getDrawOptions(currentProject)}
+            onSubmit={addPayment}
+            onCancel={() => setShowNewPayment(false)}
+          />
+        </Modal>
+      )}
+
+      {recordingDraw && currentProject && (
+        <Modal onClose={() => setRecordingDraw(null)} title={`Record Payment for ${recordingDraw.name}`}>
+          <NewPaymentForm
+            categories={currentProject.categories}
+            retainagePercents={getRetainagePercents(currentProject)}
+            prefill={{ notes: recordingDraw.name, allocations: getDrawAllocations(currentProject, recordingDraw) }}
+            draws={getDrawOptions(currentProject)}
+            onSubmit={paymentData => addPayment({ ...paymentData, drawId: recordingDraw.id })}
+            onCancel={() => setRecordingDraw(null)}
+          />
+        </Modal>
+      )}
+
+      {(showNewDraw || editingDraw) && currentProject && (
+        <Modal
+          onClose={() => { setShowNewDraw(false); setEditingDraw(null); }}
+          title={editingDraw ? 'Edit Draw' : 'Add Draw'}
+        >
+          <NewDrawForm
+            project={currentProject}
+            draw={editingDraw}
+            onSubmit={editingDraw ? updateDraw : addDraw}
+            onCancel={() => { setShowNewDraw(false); setEditingDraw(null); }}
+          />
+        </Modal>
+      )}
+
+      {editingPayment && currentProject && (
+        <Modal onClose={() => setEditingPayment(null)} title="Edit Client Payment">
+          <NewPaymentForm
+            categories={currentProject.categories}
+            retainagePercents={editingPayment.retainageRelease ? {} : getRetainagePercents(currentProject)}
+            payment={editingPayment}
+            draws={getDrawOptions(currentProject)}
+            onSubmit={updatePayment}
+            onCancel={() => setEditingPayment(null)}
+          />
+        </Modal>
+      )}
+
+      {showNewExpense && currentProject && (
+        <Modal onClose={() => setShowNewExpense(false)} title="Record Expense">
+          <NewExpenseForm
+            categories={currentProject.categories}
+            vendors={vendors}
+            onSubmit={addExpense}
+            onCancel={() => setShowNewExpense(false)}
+          />
+        </Modal>
+      )}
+
+      {editingExpense && currentProject && (
+        <Modal onClose={() => setEditingExpense(null)} title="Edit Expense">
+          <NewExpenseForm
+            categories={currentProject.categories}
+            vendors={vendors}
+            categoryId={editingExpense.categoryId}
+            expense={editingExpense.expense}
+            retainagePercents={getRetainagePercents(currentProject)}
+            onSubmit={updateExpense}
+            onCancel={() => setEditingExpense(null)}
+          />
+        </Modal>
+      )}
+
+      {showNewInvoice && currentProject && (
+        <Modal onClose={() => setShowNewInvoice(false)} title="New Invoice" wide>
+          <NewInvoiceForm
+            project={currentProject}
+            onSubmit={addInvoice}
+            onCancel={() => setShowNewInvoice(false)}
+          />
+        </Modal>
+      )}
+
+      {show1099Report && (
+        <Modal onClose={() => setShow1099Report(false)} title="1099 Year-End Report" wide>
+          <Report1099
+            projects={projects}
+            vendors={vendors}
+            onCancel={() => setShow1099Report(false)}
+          />
+        </Modal>
+      )}
+
+      {showExport && (
+        <Modal onClose={() => setShowExport(false)} title="Export CSV">
+          <ExportForm
+            projects={projects}
+            vendors={vendors}
+            currentProject={currentProject}
+            onCancel={() => setShowExport(false)}
+          />
+        </Modal>
+      )}
+
+      {showSyncConflicts && syncStatus && (
+        <Modal onClose={() => setShowSyncConflicts(false)} title="Sync Conflicts" wide>
+          <SyncConflicts
+            conflicts={syncStatus.conflicts}
+            onResolve={resolveSyncConflict}
+            onClose={() => setShowSyncConflicts(false)}
+          />
+        </Modal>
+      )}
+
+      {showTeam && (
+        <Modal onClose={() => setShowTeam(false)} title="Team" wide>
+          <TeamMembers
+            currentUserId={user.id}
+            canManage={userCan('team.manage')}
+            onClose={() => setShowTeam(false)}
+          />
+        </Modal>
+      )}
+
+      {showImport && currentProject && (
+        <Modal onClose={() => setShowImport(false)} title={`Import CSV into ${currentProject.name}`} wide>
+          <ImportWizard
+            categories={currentProject.categories}
+            kinds={['expenses', 'payments'].filter(kind =>
+              userCan(kind === 'expenses' ? 'expense.write' : 'payment.write')
+            )}
+            onImport={importRecords}
+            onCancel={() => setShowImport(false)}
+          />
+        </Modal>
+      )}
+
+      {showRestore && (
+        <Modal onClose={() => setShowRestore(false)} title="Import Backup">
+          <RestoreBackupForm
+            projects={projects}
+            onSubmit={restoreBackup}
+            onCancel={() => setShowRestore(false)}
+          />
+        </Modal>
+      )}
+
+      {releasingRetainage && (
+        <Modal onClose={() => setReleasingRetainage(null)} title={`Release Retainage - ${releasingRetainage.name}`}>
+          <RetainageReleaseForm
+            category={releasingRetainage}
+            vendors={vendors}
+            onSubmit={releaseRetainage}
+            onCancel={() => setReleasingRetainage(null)}
+          />
+        </Modal>
+      )}
+
+      {newForecastKind && currentProject && (
+        <Modal
+          onClose={() => setNewForecastKind(null)}
+          title={newForecastKind === 'draw' ? 'Expected Client Draw' : 'Expected Sub Payment'}
+        >
+          <NewForecastItemForm
+            kind={newForecastKind}
+            categories={currentProject.categories}
+            onSubmit={addForecastItem}
+            onCancel={() => setNewForecastKind(null)}
+          />
+        </Modal>
+      )}
+
+      {editingForecastItem && currentProject && (
+        <Modal onClose={() => setEditingForecastItem(null)} title="Edit Expected Item">
+          <NewForecastItemForm
+            kind={editingForecastItem.kind}
+            categories={currentProject.categories}
+            item={editingForecastItem}
+            onSubmit={updateForecastItem}
+            onCancel={() => setEditingForecastItem(null)}
+          />
+        </Modal>
+      )}
+
+      {showNewVendor && (
+        <Modal onClose={() => setShowNewVendor(false)} title="Add Vendor">
+          <NewVendorForm onSubmit={addVendor} onCancel={() => setShowNewVendor(false)} />
+        </Modal>
+      )}
+
+      {editingVendor && (
+        <Modal onClose={() => setEditingVendor(null)} title="Edit Vendor">
+          <NewVendorForm
+            vendor={editingVendor}
+            onSubmit={updateVendor}
+            onCancel={() => setEditingVendor(null)}
+          />
+        </Modal>
+      )}
+
+      {showNewChangeOrder && currentProject && (
+        <Modal onClose={() => setShowNewChangeOrder(false)} title="Add Change Order">
+          <NewChangeOrderForm
+            categories={currentProject.categories}
+            onSubmit={addChangeOrder}
+            onCancel={() => setShowNewChangeOrder(false)}
+          />
+        </Modal>
+      )}
+
+      {editingChangeOrder && currentProject && (
+        <Modal onClose={() => setEditingChangeOrder(null)} title="Edit Change Order">
+          <NewChangeOrderForm
+            categories={currentProject.categories}
+            categoryId={editingChangeOrder.categoryId}
+            changeOrder={editingChangeOrder.changeOrder}
+            onSubmit={updateChangeOrder}
+            onCancel={() => setEditingChangeOrder(null)}
+          />
+        </Modal>
+      )}
+
+      {toast && (
+        <div style={styles.toast} role="status">
+          <span>{toast.message}</span>
+          {toast.canUndo && (
+            <button style={styles.toastBtn} onClick={undo}>Undo</button>
+          )}
+          <button style={styles.toastClose} onClick={() => setToast(null)}>×</button>
+        </div>
       )}
     </div>
   );
 };
 
 // Modal Component
-const Modal = ({ children, onClose, title }) => (
+const Modal = ({ children, onClose, title, wide }) => (
   <div style={styles.modalOverlay} onClick={onClose}>
-    <div style={styles.modal} onClick={e => e.stopPropagation()}>
+    <div style={{ ...styles.modal, ...(wide ? styles.modalWide : {}) }} onClick={e => e.stopPropagation()}>
       <div style={styles.modalHeader}>
         <h2 style={styles.modalTitle}>{title}</h2>
         <button style={styles.modalClose} onClick={onClose}>×</button>
@@ -1062,13 +2873,42 @@ const Modal = ({ children, onClose, title }) => (
   </div>
 );
 
-// Form Components
-const NewProjectForm = ({ onSubmit, onCancel }) => {
-  const [name, setName] = useState('');
-  const [clientName, setClientName] = useState('');
+// Form Components (pass an existing record to edit it instead of creating one)
+const NewProjectForm = ({ project, templates = [], onSubmit, onCancel }) => {
+  const [name, setName] = useState(project?.name || '');
+  const [clientName, setClientName] = useState(project?.clientName || '');
+  const [retainagePercent, setRetainagePercent] = useState(project?.retainagePercent || '');
+  const [status, setStatus] = useState(project ? getProjectStatus(project) : DEFAULT_PROJECT_STATUS);
+  const [startDate, setStartDate] = useState(project?.startDate || '');
+  const [targetDate, setTargetDate] = useState(project?.targetDate || '');
+  const [completedDate, setCompletedDate] = useState(project?.completedDate || '');
+  const [templateId, setTemplateId] = useState('');
+  const [contractTotal, setContractTotal] = useState('');
+  const template = templates.find(t => String(t.id) === templateId);
+
+  const handleStatusChange = (newStatus) => {
+    setStatus(newStatus);
+    if (isFinishedStatus(newStatus) && !completedDate) {
+      setCompletedDate(new Date().toISOString().split('T')[0]);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      name,
+      clientName,
+      retainagePercent,
+      status,
+      startDate,
+      targetDate,
+      completedDate: isFinishedStatus(status) ? completedDate : '',
+      categories: template ? buildCategoriesFromTemplate(template, contractTotal) : []
+    });
+  };
 
   return (
-    <form onSubmit={e => { e.preventDefault(); onSubmit(name, clientName); }}>
+    <form onSubmit={handleSubmit}>
       <div style={styles.formGroup}>
         <label style={styles.label}>Project Name</label>
         <input
@@ -1089,24 +2929,218 @@ const NewProjectForm = ({ onSubmit, onCancel }) => {
           required
         />
       </div>
-      <div style={styles.formActions}>
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Retainage % (optional)</label>
+        <input
+          style={styles.input}
+          type="number"
+          min="0"
+          max="50"
+          step="0.5"
+          value={retainagePercent}
+          onChange={e => setRetainagePercent(e.target.value)}
+          placeholder="0"
+        />
+        <div style={styles.inputHint}>Held back by the client on each payment, and by you from subs, until the work is complete</div>
+      </div>
+      {!project && templates.length > 0 && (
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Start From Template (optional)</label>
+          <select style={styles.input} value={templateId} onChange={e => setTemplateId(e.target.value)}>
+            <option value="">No template</option>
+            {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+          {template && (
+            <div style={styles.inputHint}>
+              Adds {template.categories.map(c => c.name).join(', ')}
+            </div>
+          )}
+        </div>
+      )}
+      {template?.basis === 'percent' && (
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Contract Total</label>
+          <input
+            style={styles.input}
+            type="number"
+            min="0"
+            step="0.01"
+            value={contractTotal}
+            onChange={e => setContractTotal(e.target.value)}
+            placeholder="e.g., 85000"
+            required
+          />
+          <div style={styles.inputHint}>Category budgets and costs are set as the template's percentages of this total</div>
+        </div>
+      )}
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Status</label>
+        <select style={styles.input} value={status} onChange={e => handleStatusChange(e.target.value)}>
+          {PROJECT_STATUSES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+        </select>
+        {status === 'archived' && (
+          <div style={styles.inputHint}>Archived projects are hidden from the sidebar and dashboard totals</div>
+        )}
+      </div>
+      <div style={styles.formRow}>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Start Date (optional)</label>
+          <input style={styles.input} type="date" value={startDate} onChange={e => setStartDate(e.target.value)} />
+        </div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Target Completion (optional)</label>
+          <input style={styles.input} type="date" value={targetDate} onChange={e => setTargetDate(e.target.value)} />
+        </div>
+      </div>
+      {isFinishedStatus(status) && (
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Completed On</label>
+          <input
+            style={styles.input}
+            type="date"
+            value={completedDate}
+            onChange={e => setCompletedDate(e.target.value)}
+            required
+          />
+        </div>
+      )}
+      <div style={styles.formActions}>
         <button type="button" style={styles.cancelBtn} onClick={onCancel}>Cancel</button>
-        <button type="submit" style={styles.submitBtn}>Create Project</button>
+        <button type="submit" style={styles.submitBtn}>{project ? 'Save Changes' : 'Create Project'}</button>
       </div>
     </form>
   );
 };
 
-const NewCategoryForm = ({ onSubmit, onCancel }) => {
+const SaveTemplateForm = ({ project, templates, onSubmit, onDeleteTemplate, onCancel }) => {
   const [name, setName] = useState('');
-  const [mode, setMode] = useState('all-inclusive');
+  const [basis, setBasis] = useState('none');
+  const replaces = templates.find(t => t.name.trim().toLowerCase() === name.trim().toLowerCase());
+
+  return (
+    <form onSubmit={e => { e.preventDefault(); onSubmit({ name, basis }); }}>
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Template Name</label>
+        <input
+          style={styles.input}
+          value={name}
+          onChange={e => setName(e.target.value)}
+          placeholder="e.g., Kitchen remodel"
+          required
+        />
+        <div style={styles.inputHint}>
+          {replaces
+            ? `Replaces the existing "${replaces.name}" template`
+            : `Saves ${project.categories.length} categor${project.categories.length === 1 ? 'y' : 'ies'} with their modes`}
+        </div>
+      </div>
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Amounts</label>
+        <select style={styles.input} value={basis} onChange={e => setBasis(e.target.value)}>
+          {TEMPLATE_BASES.map(b => <option key={b.id} value={b.id}>{b.label}</option>)}
+        </select>
+      </div>
+
+      {templates.length > 0 && (
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Saved Templates</label>
+          {templates.map(t => (
+            <div key={t.id} style={styles.attachmentRow}>
+              <span style={styles.attachmentName}>
+                {t.name} · {t.categories.length} categor{t.categories.length === 1 ? 'y' : 'ies'}
+              </span>
+              <button
+                type="button"
+                style={styles.deleteBtn}
+                onClick={() => onDeleteTemplate(t)}
+                title="Delete template"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={styles.formActions}>
+        <button type="button" style={styles.cancelBtn} onClick={onCancel}>Cancel</button>
+        <button type="submit" style={styles.submitBtn}>{replaces ? 'Replace Template' : 'Save Template'}</button>
+      </div>
+    </form>
+  );
+};
+
+// Figures shown while editing, by category mode: [label, getCategoryTotals field]
+const TOTALS_PREVIEW_ROWS = {
+  'all-inclusive': [
+    ['Budget', 'budget'],
+    ['Cost', 'cost'],
+    ['Collected', 'collected'],
+    ['Paid', 'paid'],
+    ['Buffer', 'buffer']
+  ],
+  separate: [
+    ['Labor Budget', 'laborBudget'],
+    ['Labor Cost', 'laborCost'],
+    ['Materials Budget', 'materialsBudget'],
+    ['Collected', 'totalCollected'],
+    ['Paid', 'totalPaid'],
+    ['Labor Buffer', 'laborBuffer']
+  ]
+};
+
+const WARNING_DOT_COLORS = { green: '#22c55e', yellow: '#eab308', red: '#ef4444' };
+
+// A category's totals as the edit would leave them, with the current value beside each
+// figure the edit changes
+const CategoryTotalsPreview = ({ name, category, updated }) => {
+  const before = getCategoryTotals(category);
+  const after = getCategoryTotals(updated);
+  const warningLevel = after.mode === 'separate' ? after.laborWarningLevel : after.warningLevel;
+  const changed = (field) => before[field] != null &&
+    Math.round(before[field] * 100) !== Math.round(after[field] * 100);
+
+  return (
+    <div style={styles.totalsPreview}>
+      <div style={styles.totalsPreviewHeader}>
+        <span style={{ ...styles.warningDot, backgroundColor: WARNING_DOT_COLORS[warningLevel] }}></span>
+        {name}
+      </div>
+      {TOTALS_PREVIEW_ROWS[after.mode].map(([label, field]) => (
+        <div key={field} style={styles.totalsPreviewRow}>
+          <span>{label}</span>
+          <span>
+            {changed(field) && <span style={styles.totalsPreviewBefore}>{formatCurrency(before[field])} → </span>}
+            {formatCurrency(after[field])}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const NewCategoryForm = ({ category, projectRetainagePercent = 0, onSubmit, onCancel }) => {
+  const [name, setName] = useState(category?.name || '');
+  const [mode, setMode] = useState(category?.mode || 'all-inclusive');
   // All-inclusive fields
-  const [totalBudget, setTotalBudget] = useState('');
-  const [totalCost, setTotalCost] = useState('');
+  const [totalBudget, setTotalBudget] = useState(category?.totalBudget ?? '');
+  const [totalCost, setTotalCost] = useState(category?.totalCost ?? '');
   // Separate mode fields
-  const [laborBudget, setLaborBudget] = useState('');
-  const [laborCost, setLaborCost] = useState('');
-  const [materialsBudget, setMaterialsBudget] = useState('');
+  const [laborBudget, setLaborBudget] = useState(category?.laborBudget ?? '');
+  const [laborCost, setLaborCost] = useState(category?.laborCost ?? '');
+  const [materialsBudget, setMaterialsBudget] = useState(category?.materialsBudget ?? '');
+  const [retainagePercent, setRetainagePercent] = useState(category?.retainagePercent ?? '');
+
+  // Switching modes would orphan amounts already recorded against the old mode
+  const modeLocked = Boolean(category) &&
+    (category.allocations.length > 0 || category.expenses.length > 0);
+
+  // The category as it would be saved, to preview its totals while editing
+  const updatedCategory = category && {
+    ...category,
+    mode,
+    ...getCategoryBudgetFields({ mode, totalBudget, totalCost, laborBudget, laborCost, materialsBudget })
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -1117,7 +3151,8 @@ const NewCategoryForm = ({ onSubmit, onCancel }) => {
       totalCost: mode === 'all-inclusive' ? totalCost : null,
       laborBudget: mode === 'separate' ? laborBudget : null,
       laborCost: mode === 'separate' ? laborCost : null,
-      materialsBudget: mode === 'separate' ? materialsBudget : null
+      materialsBudget: mode === 'separate' ? materialsBudget : null,
+      retainagePercent
     });
   };
 
@@ -1142,7 +3177,7 @@ const NewCategoryForm = ({ onSubmit, onCancel }) => {
               ...styles.modeOption,
               ...(mode === 'all-inclusive' ? styles.modeOptionActive : {})
             }}
-            onClick={() => setMode('all-inclusive')}
+            onClick={() => !modeLocked && setMode('all-inclusive')}
           >
             <div style={styles.modeTitle}>All-Inclusive</div>
             <div style={styles.modeDesc}>Sub handles everything for one price</div>
@@ -1152,12 +3187,15 @@ const NewCategoryForm = ({ onSubmit, onCancel }) => {
               ...styles.modeOption,
               ...(mode === 'separate' ? styles.modeOptionActive : {})
             }}
-            onClick={() => setMode('separate')}
+            onClick={() => !modeLocked && setMode('separate')}
           >
             <div style={styles.modeTitle}>Separate Labor/Materials</div>
             <div style={styles.modeDesc}>You handle materials separately</div>
           </div>
         </div>
+        {modeLocked && (
+          <div style={styles.inputHint}>Type can't be changed once payments or expenses are recorded</div>
+        )}
       </div>
 
       {mode === 'all-inclusive' ? (
@@ -1243,30 +3281,95 @@ const NewCategoryForm = ({ onSubmit, onCancel }) => {
         </>
       )}
 
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Retainage % (optional)</label>
+        <input
+          style={styles.input}
+          type="number"
+          min="0"
+          max="50"
+          step="0.5"
+          value={retainagePercent}
+          onChange={e => setRetainagePercent(e.target.value)}
+          placeholder={`${projectRetainagePercent || 0} (project default)`}
+        />
+      </div>
+
+      {updatedCategory && (
+        <div style={styles.formGroup}>
+          <CategoryTotalsPreview name={name || category.name} category={category} updated={updatedCategory} />
+        </div>
+      )}
+
       <div style={styles.formActions}>
         <button type="button" style={styles.cancelBtn} onClick={onCancel}>Cancel</button>
-        <button type="submit" style={styles.submitBtn}>Add Category</button>
+        <button type="submit" style={styles.submitBtn}>{category ? 'Save Changes' : 'Add Category'}</button>
       </div>
     </form>
   );
 };
 
-const NewPaymentForm = ({ categories, onSubmit, onCancel }) => {
-  const [paymentMethod, setPaymentMethod] = useState('check');
-  const [reference, setReference] = useState('');
-  const [totalAmount, setTotalAmount] = useState('');
-  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
-  const [notes, setNotes] = useState('');
+// prefill ({ notes, allocations }) starts a new payment from what's expected, such as a
+// scheduled draw; the total is the sum of its allocations. Allocations can also be
+// filled in by a strategy or from one of the draws ([{ id, name, allocations }]).
+const NewPaymentForm = ({ categories, retainagePercents = {}, payment, prefill, draws = [], onSubmit, onCancel }) => {
+  const [paymentMethod, setPaymentMethod] = useState(payment?.paymentMethod || 'check');
+  const [reference, setReference] = useState(payment?.reference || '');
+  const [totalAmount, setTotalAmount] = useState(payment?.totalAmount ?? (prefill
+    ? getAllocationsTotal(prefill.allocations)
+    : ''));
+  const [date, setDate] = useState(payment?.date || new Date().toISOString().split('T')[0]);
+  const [notes, setNotes] = useState(payment?.notes || prefill?.notes || '');
+  const [attachments, setAttachments] = useState(payment?.attachments || []);
+  const [files, setFiles] = useState([]);
   const [allocations, setAllocations] = useState(
-    categories.map(c => ({
-      categoryId: c.id,
-      mode: c.mode || 'all-inclusive',
-      amount: '',       // for all-inclusive
-      laborAmount: '',  // for separate
-      materialsAmount: '' // for separate
-    }))
+    categories.map(c => {
+      const existing = (payment || prefill)?.allocations.find(a => a.categoryId === c.id);
+      return {
+        categoryId: c.id,
+        mode: c.mode || 'all-inclusive',
+        amount: existing?.amount || '',       // for all-inclusive
+        laborAmount: existing?.laborAmount || '',  // for separate
+        materialsAmount: existing?.materialsAmount || '' // for separate
+      };
+    })
   );
 
+  const [strategy, setStrategy] = useState(ALLOCATION_STRATEGIES[0].value);
+  const [suggestError, setSuggestError] = useState('');
+
+  // Replace the allocations with a suggestion, for the user to adjust. Matching a draw
+  // with no total yet takes the draw's expected amount as the total.
+  const fillAllocations = () => {
+    const total = parseFloat(totalAmount) || 0;
+    const draw = strategy.startsWith('draw:') && draws.find(d => `draw:${d.id}` === strategy);
+    let suggested;
+    if (draw && total <= 0) {
+      suggested = draw.allocations;
+      setTotalAmount(getAllocationsTotal(draw.allocations));
+    } else if (draw) {
+      suggested = scaleAllocations(draw.allocations, total);
+    } else {
+      suggested = suggestAllocations(strategy, categories, total, { retainagePercents, excludePaymentId: payment?.id });
+    }
+
+    if (!suggested) {
+      setSuggestError(draw ? 'This draw has no split to match' :
+        strategy === 'budget' ? 'No category has a budget' : 'Nothing is left to collect');
+      return;
+    }
+    setSuggestError('');
+    setAllocations(allocations.map(a => {
+      const match = suggested.find(s => s.categoryId === a.categoryId);
+      return {
+        ...a,
+        amount: match?.amount || '',
+        laborAmount: match?.laborAmount || '',
+        materialsAmount: match?.materialsAmount || ''
+      };
+    }));
+  };
+
   // Calculate total allocated considering both modes
   const allocatedTotal = allocations.reduce((sum, a) => {
     if (a.mode === 'separate') {
@@ -1275,6 +3378,29 @@ const NewPaymentForm = ({ categories, onSubmit, onCancel }) => {
     return sum + (parseFloat(a.amount) || 0);
   }, 0);
   const remaining = (parseFloat(totalAmount) || 0) - allocatedTotal;
+  // Categories the payment is or would be allocated to, with its allocation replaced
+  // as it would be saved
+  const previewCategories = payment ? categories
+    .map((category, idx) => {
+      const others = category.allocations.filter(a => a.paymentId !== payment.id);
+      const allocation = withAllocationRetainage(allocations[idx], retainagePercents[category.id], payment.retainageRelease);
+      return {
+        category,
+        updated: {
+          ...category,
+          allocations: hasAllocatedAmount(allocation) ? [...others, { ...allocation, paymentId: payment.id }] : others
+        }
+      };
+    })
+    .filter(({ category, updated }) =>
+      [category, updated].some(c => c.allocations.some(a => a.paymentId === payment.id)))
+    : [];
+  const retainageWithheld = allocations.reduce((sum, a) => sum + getRetainageWithheld(
+    a.mode === 'separate'
+      ? (parseFloat(a.laborAmount) || 0) + (parseFloat(a.materialsAmount) || 0)
+      : (parseFloat(a.amount) || 0),
+    retainagePercents[a.categoryId]
+  ), 0);
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -1284,6 +3410,8 @@ const NewPaymentForm = ({ categories, onSubmit, onCancel }) => {
       totalAmount,
       date,
       notes,
+      attachments,
+      files,
       allocations: allocations.map(a => ({
         categoryId: a.categoryId,
         amount: a.mode === 'all-inclusive' ? (parseFloat(a.amount) || 0) : 0,
@@ -1354,6 +3482,39 @@ const NewPaymentForm = ({ categories, onSubmit, onCancel }) => {
       <div style={styles.allocationSection}>
         <label style={styles.label}>Allocate to Categories</label>
 
+        {!payment?.retainageRelease && (
+          <div style={styles.allocationSuggestRow}>
+            <select
+              style={{ ...styles.input, flex: 1 }}
+              value={strategy}
+              onChange={e => { setStrategy(e.target.value); setSuggestError(''); }}
+            >
+              {ALLOCATION_STRATEGIES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+              {draws.length > 0 && (
+                <optgroup label="Match a draw">
+                  {draws.map(draw => (
+                    <option key={draw.id} value={`draw:${draw.id}`}>{draw.name}</option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+            <button
+              type="button"
+              style={styles.cancelBtn}
+              onClick={fillAllocations}
+              disabled={!strategy.startsWith('draw:') && !(parseFloat(totalAmount) > 0)}
+              title="Replace the amounts below with a suggestion you can adjust"
+            >
+              Fill
+            </button>
+          </div>
+        )}
+        {suggestError && (
+          <div style={{ ...styles.inputHint, color: '#ef4444' }}>{suggestError}</div>
+        )}
+
         {/* Header row for separate mode */}
         {categories.some(c => (c.mode || 'all-inclusive') === 'separate') && (
           <div style={styles.allocationHeaderRow}>
@@ -1422,6 +3583,14 @@ const NewPaymentForm = ({ categories, onSubmit, onCancel }) => {
            remaining > 0 ? `$${remaining.toLocaleString()} unallocated` :
            `$${Math.abs(remaining).toLocaleString()} over-allocated`}
         </div>
+        {retainageWithheld > 0 && (
+          <div style={styles.inputHint}>
+            Client retainage held back on this payment: {formatCurrency(retainageWithheld)} (tracked separately until released)
+          </div>
+        )}
+        {previewCategories.map(({ category, updated }) => (
+          <CategoryTotalsPreview key={category.id} name={category.name} category={category} updated={updated} />
+        ))}
       </div>
 
       <div style={styles.formGroup}>
@@ -1434,26 +3603,74 @@ const NewPaymentForm = ({ categories, onSubmit, onCancel }) => {
         />
       </div>
 
+      <AttachmentsField
+        attachments={attachments}
+        files={files}
+        onAttachmentsChange={setAttachments}
+        onFilesChange={setFiles}
+        hint="Photo of the check, remittance or bank confirmation"
+      />
+
       <div style={styles.formActions}>
         <button type="button" style={styles.cancelBtn} onClick={onCancel}>Cancel</button>
-        <button type="submit" style={styles.submitBtn} disabled={remaining !== 0}>Record Payment</button>
+        <button type="submit" style={styles.submitBtn} disabled={remaining !== 0}>
+          {payment ? 'Save Changes' : 'Record Payment'}
+        </button>
       </div>
     </form>
   );
 };
 
-const NewExpenseForm = ({ categories, onSubmit, onCancel }) => {
-  const [categoryId, setCategoryId] = useState(categories[0]?.id || '');
-  const [expenseType, setExpenseType] = useState('labor');
-  const [amount, setAmount] = useState('');
-  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
-  const [description, setDescription] = useState('');
-  const [paymentMethod, setPaymentMethod] = useState('');
-  const [reference, setReference] = useState('');
+const NewExpenseForm = ({
+  categories,
+  vendors = [],
+  retainagePercents = {},
+  categoryId: initialCategoryId,
+  expense,
+  onSubmit,
+  onCancel
+}) => {
+  const [categoryId, setCategoryId] = useState(initialCategoryId ?? categories[0]?.id ?? '');
+  const [expenseType, setExpenseType] = useState(expense?.type || 'labor');
+  const [amount, setAmount] = useState(expense?.amount ?? '');
+  const [date, setDate] = useState(expense?.date || new Date().toISOString().split('T')[0]);
+  const [description, setDescription] = useState(expense?.description || '');
+  const [paymentMethod, setPaymentMethod] = useState(expense?.paymentMethod || '');
+  const [reference, setReference] = useState(expense?.reference || '');
+  const [vendorId, setVendorId] = useState(expense?.vendorId ?? '');
+  const [attachments, setAttachments] = useState(expense?.attachments || []);
+  const [files, setFiles] = useState([]);
 
   const selectedCategory = categories.find(c => c.id === parseInt(categoryId) || c.id === categoryId);
   const isSeparateMode = selectedCategory && (selectedCategory.mode === 'separate');
 
+  // The expense's old and new category (one when it stays put), with the expense as it
+  // would be saved, retainage held back the way updateExpense works it out
+  const previewCategories = [];
+  if (expense && selectedCategory) {
+    const type = isSeparateMode ? expenseType : null;
+    const parsedAmount = parseFloat(amount) || 0;
+    const retainage = expense.retainageRelease ? -parsedAmount
+      : isLaborExpense(selectedCategory, { type })
+        ? getRetainageWithheld(parsedAmount, retainagePercents[selectedCategory.id])
+        : 0;
+    const updatedExpense = { ...expense, amount: parsedAmount, type, retainage };
+    const original = categories.find(c => c.id === initialCategoryId);
+    if (original && original.id !== selectedCategory.id) {
+      previewCategories.push({
+        category: original,
+        updated: { ...original, expenses: original.expenses.filter(e => e.id !== expense.id) }
+      });
+    }
+    previewCategories.push({
+      category: selectedCategory,
+      updated: {
+        ...selectedCategory,
+        expenses: [...selectedCategory.expenses.filter(e => e.id !== expense.id), updatedExpense]
+      }
+    });
+  }
+
   const handleSubmit = (e) => {
     e.preventDefault();
     onSubmit({
@@ -1463,7 +3680,10 @@ const NewExpenseForm = ({ categories, onSubmit, onCancel }) => {
       description,
       type: isSeparateMode ? expenseType : null,
       paymentMethod: paymentMethod || null,
-      reference: reference || null
+      reference: reference || null,
+      vendorId: parseInt(vendorId) || vendorId || null,
+      attachments,
+      files
     });
   };
 
@@ -1537,49 +3757,2898 @@ const NewExpenseForm = ({ categories, onSubmit, onCancel }) => {
         </div>
       </div>
 
-      <div style={styles.formGroup}>
-        <label style={styles.label}>Description</label>
-        <input
-          style={styles.input}
-          value={description}
-          onChange={e => setDescription(e.target.value)}
-          placeholder="e.g., Rough plumbing - first draw"
-          required
-        />
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Description</label>
+        <input
+          style={styles.input}
+          value={description}
+          onChange={e => setDescription(e.target.value)}
+          placeholder="e.g., Rough plumbing - first draw"
+          required
+        />
+      </div>
+
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Paid To (optional)</label>
+        <select
+          style={styles.input}
+          value={vendorId}
+          onChange={e => setVendorId(e.target.value)}
+        >
+          <option value="">-- No vendor --</option>
+          {[...vendors].sort((a, b) => a.name.localeCompare(b.name)).map(vendor => (
+            <option key={vendor.id} value={vendor.id}>
+              {vendor.name}{vendor.trade ? ` (${vendor.trade})` : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div style={styles.formRow}>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Payment Method (optional)</label>
+          <select
+            style={styles.input}
+            value={paymentMethod}
+            onChange={e => setPaymentMethod(e.target.value)}
+          >
+            <option value="">-- Select --</option>
+            <option value="check">Check</option>
+            <option value="zelle">Zelle</option>
+            <option value="cash">Cash</option>
+            <option value="card">Card</option>
+            <option value="other">Other</option>
+          </select>
+        </div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Reference # (optional)</label>
+          <input
+            style={styles.input}
+            value={reference}
+            onChange={e => setReference(e.target.value)}
+            placeholder="Check # or confirmation"
+          />
+        </div>
+      </div>
+
+      {previewCategories.length > 0 && (
+        <div style={styles.formGroup}>
+          {previewCategories.map(({ category, updated }) => (
+            <CategoryTotalsPreview key={category.id} name={category.name} category={category} updated={updated} />
+          ))}
+        </div>
+      )}
+
+      <AttachmentsField
+        attachments={attachments}
+        files={files}
+        onAttachmentsChange={setAttachments}
+        onFilesChange={setFiles}
+        hint="Sub invoice, material receipt or check stub"
+      />
+
+      <div style={styles.formActions}>
+        <button type="button" style={styles.cancelBtn} onClick={onCancel}>Cancel</button>
+        <button type="submit" style={styles.submitBtn}>{expense ? 'Save Changes' : 'Record Expense'}</button>
+      </div>
+    </form>
+  );
+};
+
+// Links to an attachment's file: a thumbnail for images, a tile for PDFs
+const AttachmentThumbnail = ({ attachment }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let isCurrent = true;
+    const loadUrl = async () => {
+      const loaded = await db.getAttachmentUrl(attachment);
+      if (loaded?.startsWith('blob:')) objectUrl = loaded;
+      if (isCurrent) {
+        setUrl(loaded);
+      } else if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+    loadUrl();
+    return () => {
+      isCurrent = false;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachment]);
+
+  const preview = isImageAttachment(attachment) && url
+    ? <img src={url} alt={attachment.name} style={styles.attachmentImage} />
+    : <span>{isImageAttachment(attachment) ? 'IMG' : 'PDF'}</span>;
+
+  return url ? (
+    <a href={url} target="_blank" rel="noreferrer" title={attachment.name} style={styles.attachmentThumb}>
+      {preview}
+    </a>
+  ) : (
+    <span title={`${attachment.name} (not available)`} style={styles.attachmentThumb}>{preview}</span>
+  );
+};
+
+const AttachmentThumbnails = ({ attachments }) => (attachments || []).length > 0 && (
+  <div style={styles.attachmentThumbs}>
+    {attachments.map(attachment => <AttachmentThumbnail key={attachment.id} attachment={attachment} />)}
+  </div>
+);
+
+// Receipts and documents on an expense or payment form: the attachments kept, plus new
+// files that are stored when the form is saved
+const AttachmentsField = ({ attachments, files, onAttachmentsChange, onFilesChange, hint }) => {
+  const [error, setError] = useState('');
+
+  const handleFiles = (fileList) => {
+    const picked = [...fileList];
+    setError(picked.map(getAttachmentError).filter(Boolean).join('. '));
+    onFilesChange([...files, ...picked.filter(file => !getAttachmentError(file))]);
+  };
+
+  return (
+    <div style={styles.formGroup}>
+      <label style={styles.label}>Receipts &amp; Documents (optional)</label>
+      {attachments.map(attachment => (
+        <div key={attachment.id} style={styles.attachmentRow}>
+          <AttachmentThumbnail attachment={attachment} />
+          <span style={styles.attachmentName}>{attachment.name} · {formatFileSize(attachment.size)}</span>
+          <button
+            type="button"
+            style={styles.deleteBtn}
+            onClick={() => onAttachmentsChange(attachments.filter(a => a.id !== attachment.id))}
+            title="Remove attachment"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      {files.map((file, index) => (
+        <div key={`${file.name}-${index}`} style={styles.attachmentRow}>
+          <span style={styles.attachmentName}>{file.name} · {formatFileSize(file.size)} · attached on save</span>
+          <button
+            type="button"
+            style={styles.deleteBtn}
+            onClick={() => onFilesChange(files.filter((_, i) => i !== index))}
+            title="Remove file"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <input
+        style={styles.input}
+        type="file"
+        accept={ATTACHMENT_ACCEPT}
+        multiple
+        onChange={e => {
+          handleFiles(e.target.files);
+          e.target.value = '';
+        }}
+      />
+      <div style={{ ...styles.inputHint, ...(error ? { color: '#ef4444' } : {}) }}>
+        {error || `${hint}. Images or PDFs up to 10 MB.`}
+      </div>
+    </div>
+  );
+};
+
+const NewChangeOrderForm = ({ categories, categoryId: initialCategoryId, changeOrder, onSubmit, onCancel }) => {
+  const [categoryId, setCategoryId] = useState(initialCategoryId ?? categories[0]?.id ?? '');
+  const [description, setDescription] = useState(changeOrder?.description || '');
+  const [date, setDate] = useState(changeOrder?.date || new Date().toISOString().split('T')[0]);
+  const [status, setStatus] = useState(changeOrder?.status || 'pending');
+  // All-inclusive deltas
+  const [budgetDelta, setBudgetDelta] = useState(changeOrder?.budgetDelta || '');
+  const [costDelta, setCostDelta] = useState(changeOrder?.costDelta || '');
+  // Separate mode deltas
+  const [laborBudgetDelta, setLaborBudgetDelta] = useState(changeOrder?.laborBudgetDelta || '');
+  const [laborCostDelta, setLaborCostDelta] = useState(changeOrder?.laborCostDelta || '');
+  const [materialsBudgetDelta, setMaterialsBudgetDelta] = useState(changeOrder?.materialsBudgetDelta || '');
+
+  const selectedCategory = categories.find(c => c.id === parseInt(categoryId) || c.id === categoryId);
+  const isSeparateMode = selectedCategory && (selectedCategory.mode === 'separate');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      categoryId: parseInt(categoryId) || categoryId,
+      description,
+      date,
+      status,
+      budgetDelta: isSeparateMode ? null : budgetDelta,
+      costDelta: isSeparateMode ? null : costDelta,
+      laborBudgetDelta: isSeparateMode ? laborBudgetDelta : null,
+      laborCostDelta: isSeparateMode ? laborCostDelta : null,
+      materialsBudgetDelta: isSeparateMode ? materialsBudgetDelta : null
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Category</label>
+        <select
+          style={styles.input}
+          value={categoryId}
+          onChange={e => setCategoryId(e.target.value)}
+          disabled={Boolean(changeOrder)}
+          required
+        >
+          {categories.map(cat => (
+            <option key={cat.id} value={cat.id}>
+              {cat.name} ({(cat.mode || 'all-inclusive') === 'separate' ? 'Separate' : 'All-Inclusive'})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Description</label>
+        <input
+          style={styles.input}
+          value={description}
+          onChange={e => setDescription(e.target.value)}
+          placeholder="e.g., Add recessed lighting in kitchen"
+          required
+        />
+      </div>
+
+      <div style={styles.formRow}>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Date</label>
+          <input
+            style={styles.input}
+            type="date"
+            value={date}
+            onChange={e => setDate(e.target.value)}
+            required
+          />
+        </div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Status</label>
+          <select
+            style={styles.input}
+            value={status}
+            onChange={e => setStatus(e.target.value)}
+          >
+            <option value="pending">Pending</option>
+            <option value="approved">Approved</option>
+            <option value="rejected">Rejected</option>
+          </select>
+        </div>
+      </div>
+
+      {isSeparateMode ? (
+        <>
+          <div style={styles.formSectionLabel}>LABOR</div>
+          <div style={styles.formRow}>
+            <div style={{...styles.formGroup, padding: 0, flex: 1}}>
+              <label style={styles.label}>Labor Budget Change</label>
+              <input
+                style={styles.input}
+                type="number"
+                value={laborBudgetDelta}
+                onChange={e => setLaborBudgetDelta(e.target.value)}
+                placeholder="5000"
+              />
+            </div>
+            <div style={{...styles.formGroup, padding: 0, flex: 1}}>
+              <label style={styles.label}>Labor Cost Change</label>
+              <input
+                style={styles.input}
+                type="number"
+                value={laborCostDelta}
+                onChange={e => setLaborCostDelta(e.target.value)}
+                placeholder="3500"
+              />
+            </div>
+          </div>
+          <div style={styles.formSectionLabel}>MATERIALS (pass-through)</div>
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Materials Budget Change</label>
+            <input
+              style={styles.input}
+              type="number"
+              value={materialsBudgetDelta}
+              onChange={e => setMaterialsBudgetDelta(e.target.value)}
+              placeholder="2000"
+            />
+          </div>
+        </>
+      ) : (
+        <div style={styles.formRow}>
+          <div style={{...styles.formGroup, padding: 0, flex: 1}}>
+            <label style={styles.label}>Budget Change (client pays)</label>
+            <input
+              style={styles.input}
+              type="number"
+              value={budgetDelta}
+              onChange={e => setBudgetDelta(e.target.value)}
+              placeholder="5000"
+            />
+          </div>
+          <div style={{...styles.formGroup, padding: 0, flex: 1}}>
+            <label style={styles.label}>Cost Change (you pay sub)</label>
+            <input
+              style={styles.input}
+              type="number"
+              value={costDelta}
+              onChange={e => setCostDelta(e.target.value)}
+              placeholder="3500"
+            />
+          </div>
+        </div>
+      )}
+      <div style={styles.formGroup}>
+        <div style={styles.inputHint}>Use negative amounts for credits or scope removed</div>
+      </div>
+
+      <div style={styles.formActions}>
+        <button type="button" style={styles.cancelBtn} onClick={onCancel}>Cancel</button>
+        <button type="submit" style={styles.submitBtn}>{changeOrder ? 'Save Changes' : 'Add Change Order'}</button>
+      </div>
+    </form>
+  );
+};
+
+const NewInvoiceForm = ({ project, onSubmit, onCancel }) => {
+  const today = new Date().toISOString().split('T')[0];
+  const [date, setDate] = useState(today);
+  const [periodTo, setPeriodTo] = useState(today);
+  const [lines, setLines] = useState(() => buildInvoiceLines(project, today));
+
+  // Re-draft "this period" amounts when the period end changes
+  const handlePeriodToChange = (value) => {
+    setPeriodTo(value);
+    setLines(buildInvoiceLines(project, value));
+  };
+
+  const summary = getInvoiceSummary({ lines }, project);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ date, periodTo, lines });
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div style={styles.formRow}>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Application #</label>
+          <input style={styles.input} value={getNextInvoiceNumber(project)} disabled />
+        </div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Invoice Date</label>
+          <input
+            style={styles.input}
+            type="date"
+            value={date}
+            onChange={e => setDate(e.target.value)}
+            required
+          />
+        </div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Period To</label>
+          <input
+            style={styles.input}
+            type="date"
+            value={periodTo}
+            onChange={e => handlePeriodToChange(e.target.value)}
+            required
+          />
+        </div>
+      </div>
+
+      <div style={styles.allocationSection}>
+        <label style={styles.label}>Continuation Sheet</label>
+        <div style={styles.allocationHeaderRow}>
+          <span style={{flex: 1}}>Category</span>
+          <span style={styles.invoiceCol}>Scheduled</span>
+          <span style={styles.invoiceCol}>Previous</span>
+          <span style={styles.invoiceCol}>This Period</span>
+          <span style={styles.invoiceCol}>Balance</span>
+        </div>
+        {lines.map((line, idx) => (
+          <div key={line.categoryId} style={styles.allocationRow}>
+            <span style={{...styles.allocationCatName, flex: 1}}>{line.description}</span>
+            <span style={styles.invoiceCol}>${line.scheduledValue.toLocaleString()}</span>
+            <span style={styles.invoiceCol}>${line.previouslyBilled.toLocaleString()}</span>
+            <input
+              style={{...styles.input, ...styles.invoiceCol, padding: '8px'}}
+              type="number"
+              value={line.thisPeriod}
+              onChange={e => {
+                const newLines = [...lines];
+                newLines[idx] = { ...line, thisPeriod: parseFloat(e.target.value) || 0 };
+                setLines(newLines);
+              }}
+            />
+            <span style={styles.invoiceCol}>
+              ${(line.scheduledValue - line.previouslyBilled - line.thisPeriod).toLocaleString()}
+            </span>
+          </div>
+        ))}
+        <div style={styles.allocationSummary}>
+          Current payment due: ${summary.currentPaymentDue.toLocaleString()} · Retainage held: ${summary.retainage.toLocaleString()} · Balance to finish: ${summary.balanceToFinish.toLocaleString()}
+        </div>
+        <div style={styles.inputHint}>"This period" starts at what the client paid through the period end that earlier invoices haven't billed</div>
+      </div>
+
+      <div style={styles.formActions}>
+        <button type="button" style={styles.cancelBtn} onClick={onCancel}>Cancel</button>
+        <button type="submit" style={styles.submitBtn}>Create &amp; Print</button>
+      </div>
+    </form>
+  );
+};
+
+const ExportForm = ({ projects, vendors, currentProject, onCancel }) => {
+  const [scope, setScope] = useState(currentProject ? 'project' : 'all');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  const exportProjects = scope === 'project' ? [currentProject] : projects;
+  const scopeName = scope === 'project'
+    ? currentProject.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')
+    : 'all-projects';
+
+  const handleExport = async (kind, buildCsv) => {
+    const today = new Date().toISOString().split('T')[0];
+    const links = await db.getAttachmentLinks(
+      exportProjects.flatMap(project => getRecordAttachments('project', project))
+    );
+    downloadCsv(
+      `contractor-crm-${kind}-${scopeName}-${today}.csv`,
+      buildCsv(withAttachmentLinks(exportProjects, links), { from, to }, vendors)
+    );
+  };
+
+  return (
+    <div>
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Projects</label>
+        <select
+          style={styles.input}
+          value={scope}
+          onChange={e => setScope(e.target.value)}
+        >
+          {currentProject && <option value="project">{currentProject.name}</option>}
+          <option value="all">All projects</option>
+        </select>
+      </div>
+      <div style={styles.formRow}>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>From (optional)</label>
+          <input
+            style={styles.input}
+            type="date"
+            value={from}
+            onChange={e => setFrom(e.target.value)}
+          />
+        </div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>To (optional)</label>
+          <input
+            style={styles.input}
+            type="date"
+            value={to}
+            onChange={e => setTo(e.target.value)}
+          />
+        </div>
+      </div>
+      <div style={styles.formGroup}>
+        <div style={styles.exportOptions}>
+          <button type="button" style={styles.cancelBtn} onClick={() => handleExport('payments', buildPaymentsCsv)}>
+            Client Payments
+          </button>
+          <button type="button" style={styles.cancelBtn} onClick={() => handleExport('expenses', buildExpensesCsv)}>
+            Expenses
+          </button>
+          <button type="button" style={styles.cancelBtn} onClick={() => handleExport('category-totals', buildCategoryTotalsCsv)}>
+            Category Totals
+          </button>
+        </div>
+        <div style={styles.inputHint}>Category totals keep full budgets; collected and paid only count the selected dates</div>
+        <div style={styles.inputHint}>
+          Payments and expenses list their attachments{db.getSyncStatus() ? ' as links valid for 7 days' : ' by file name'}
+        </div>
+      </div>
+      <div style={styles.formActions}>
+        <button type="button" style={styles.submitBtn} onClick={onCancel}>Done</button>
+      </div>
+    </div>
+  );
+};
+
+// CSV import: upload -> map columns -> preview with validation -> import
+// kinds limits the choice to what the user's role may record
+const ImportWizard = ({ categories, kinds = ['expenses', 'payments'], onImport, onCancel }) => {
+  const [step, setStep] = useState('upload');
+  const [kind, setKind] = useState(kinds[0]);
+  const [fileName, setFileName] = useState('');
+  const [fileError, setFileError] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [isImporting, setIsImporting] = useState(false);
+
+  const fields = IMPORT_FIELDS[kind];
+  const missingRequired = fields.filter(f => f.required && mapping[f.key] === '');
+  const results = step === 'preview' ? validateImportRows(rows, mapping, kind, categories) : [];
+  const validRecords = results.filter(r => r.errors.length === 0).map(r => r.record);
+
+  const handleKindChange = (value) => {
+    setKind(value);
+    if (headers.length > 0) setMapping(guessColumnMapping(headers, value));
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    const parsed = parseCsv(await file.text());
+    if (parsed.length < 2) {
+      setFileError('The file needs a header row and at least one data row.');
+      setRows([]);
+      return;
+    }
+    setFileName(file.name);
+    setFileError('');
+    setHeaders(parsed[0]);
+    setRows(parsed.slice(1));
+    setMapping(guessColumnMapping(parsed[0], kind));
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    await onImport(kind, validRecords);
+  };
+
+  if (step === 'upload') {
+    return (
+      <div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Import</label>
+          <select
+            style={styles.input}
+            value={kind}
+            onChange={e => handleKindChange(e.target.value)}
+          >
+            {kinds.includes('expenses') && <option value="expenses">Expenses (payments to subs)</option>}
+            {kinds.includes('payments') && <option value="payments">Client payments</option>}
+          </select>
+        </div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>CSV File</label>
+          <input
+            style={styles.input}
+            type="file"
+            accept=".csv,text/csv"
+            onChange={e => handleFile(e.target.files[0])}
+          />
+          {fileError && <div style={styles.formError}>{fileError}</div>}
+          {rows.length > 0 && (
+            <div style={styles.inputHint}>{fileName}: {rows.length} row{rows.length === 1 ? '' : 's'} found</div>
+          )}
+        </div>
+        <div style={styles.formActions}>
+          <button type="button" style={styles.cancelBtn} onClick={onCancel}>Cancel</button>
+          <button
+            type="button"
+            style={styles.submitBtn}
+            disabled={rows.length === 0}
+            onClick={() => setStep('map')}
+          >
+            Next: Map Columns
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (step === 'map') {
+    return (
+      <div>
+        <div style={styles.allocationSection}>
+          <label style={styles.label}>Match each field to a column in {fileName}</label>
+          {fields.map(field => (
+            <div key={field.key} style={styles.allocationRow}>
+              <span style={styles.allocationCatName}>
+                {field.label}{field.required ? ' *' : ''}
+              </span>
+              <select
+                style={{...styles.input, width: '260px'}}
+                value={mapping[field.key]}
+                onChange={e => setMapping({
+                  ...mapping,
+                  [field.key]: e.target.value === '' ? '' : parseInt(e.target.value)
+                })}
+              >
+                <option value="">-- Not in file --</option>
+                {headers.map((header, idx) => (
+                  <option key={idx} value={idx}>
+                    {header || `Column ${idx + 1}`} (e.g. {rows[0][idx] || 'blank'})
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+          <div style={styles.inputHint}>
+            Categories are matched by name. Type is required for rows in Separate Labor/Materials categories.
+          </div>
+        </div>
+        <div style={styles.formActions}>
+          <button type="button" style={styles.cancelBtn} onClick={() => setStep('upload')}>Back</button>
+          <button
+            type="button"
+            style={styles.submitBtn}
+            disabled={missingRequired.length > 0}
+            onClick={() => setStep('preview')}
+          >
+            Next: Preview
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div style={styles.allocationSection}>
+        <div style={{
+          ...styles.allocationSummary,
+          marginTop: 0,
+          marginBottom: '12px',
+          color: validRecords.length === results.length ? '#10b981' : '#f59e0b'
+        }}>
+          {validRecords.length} of {results.length} rows ready to import
+          {validRecords.length < results.length && ' - rows with errors will be skipped'}
+        </div>
+        <div style={styles.importPreview}>
+          <table style={styles.importTable}>
+            <thead>
+              <tr>
+                <th style={styles.importTh}>Row</th>
+                <th style={styles.importTh}>Date</th>
+                <th style={styles.importTh}>Amount</th>
+                <th style={styles.importTh}>Category</th>
+                <th style={styles.importTh}>Description</th>
+                <th style={styles.importTh}>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(result => (
+                <tr key={result.rowNumber}>
+                  <td style={styles.importTd}>{result.rowNumber}</td>
+                  <td style={styles.importTd}>{result.values.date}</td>
+                  <td style={styles.importTd}>{result.values.amount}</td>
+                  <td style={styles.importTd}>{result.values.category}</td>
+                  <td style={styles.importTd}>{result.values.description}</td>
+                  <td style={{
+                    ...styles.importTd,
+                    color: result.errors.length > 0 ? '#ef4444' : '#10b981'
+                  }}>
+                    {result.errors.length > 0 ? result.errors.join('; ') : '✓ OK'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      <div style={styles.formActions}>
+        <button type="button" style={styles.cancelBtn} onClick={() => setStep('map')}>Back</button>
+        <button
+          type="button"
+          style={styles.submitBtn}
+          disabled={validRecords.length === 0 || isImporting}
+          onClick={handleImport}
+        >
+          {isImporting ? 'Importing...' : `Import ${validRecords.length} ${kind === 'payments' ? 'Payments' : 'Expenses'}`}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const RestoreBackupForm = ({ projects, onSubmit, onCancel }) => {
+  const [backup, setBackup] = useState(null);
+  const [error, setError] = useState('');
+  const [mode, setMode] = useState('merge');
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const diff = backup ? diffBackup(projects, backup.projects) : null;
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    const result = parseBackup(await file.text());
+    setBackup(result.backup);
+    setError(result.error || '');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (mode === 'replace' && diff.removed.length > 0 &&
+        !confirm(`Replace all data? ${diff.removed.length} project(s) not in the backup will be deleted.`)) {
+      return;
+    }
+    setIsRestoring(true);
+    await onSubmit(backup, mode);
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Backup File</label>
+        <input
+          style={styles.input}
+          type="file"
+          accept=".json,application/json"
+          onChange={e => handleFile(e.target.files[0])}
+        />
+        {error && <div style={styles.formError}>{error}</div>}
+      </div>
+
+      {backup && (
+        <>
+          <div style={styles.formGroup}>
+            <div style={styles.inputHint}>
+              {backup.exportedAt ? `Exported ${new Date(backup.exportedAt).toLocaleString()} · ` : ''}
+              Schema v{backup.originalSchemaVersion}
+              {backup.originalSchemaVersion < backup.schemaVersion && ` (upgraded to v${backup.schemaVersion})`}
+            </div>
+          </div>
+
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Restore Mode</label>
+            <select
+              style={styles.input}
+              value={mode}
+              onChange={e => setMode(e.target.value)}
+            >
+              <option value="merge">Merge - add and replace projects from the backup, keep the rest</option>
+              <option value="replace">Replace - make the data match the backup exactly</option>
+            </select>
+          </div>
+
+          <div style={styles.allocationSection}>
+            <div style={styles.allocationList}>
+              <div style={styles.allocationHeader}>Changes</div>
+              <div style={styles.allocationItem}>
+                <span>Projects added</span>
+                <span>{diff.added.length}</span>
+              </div>
+              {diff.added.map(p => (
+                <div key={p.id} style={styles.restoreProjectName}>+ {p.name}</div>
+              ))}
+              <div style={styles.allocationItem}>
+                <span>Projects replaced</span>
+                <span>{diff.replaced.length}</span>
+              </div>
+              {diff.replaced.map(p => (
+                <div key={p.id} style={styles.restoreProjectName}>↻ {p.name}</div>
+              ))}
+              <div style={styles.allocationItem}>
+                <span>{mode === 'replace' ? 'Projects deleted' : 'Projects kept as-is'}</span>
+                <span style={{ color: mode === 'replace' && diff.removed.length > 0 ? '#ef4444' : undefined }}>
+                  {diff.removed.length}
+                </span>
+              </div>
+              {mode === 'replace' && diff.removed.map(p => (
+                <div key={p.id} style={{...styles.restoreProjectName, color: '#fca5a5'}}>− {p.name}</div>
+              ))}
+              {backup.vendors.length > 0 && (
+                <div style={styles.allocationItem}>
+                  <span>Vendors {mode === 'replace' ? 'restored' : 'added or replaced'}</span>
+                  <span>{backup.vendors.length}</span>
+                </div>
+              )}
+              {backup.estimates && (
+                <div style={styles.allocationItem}>
+                  <span>Estimates {mode === 'replace' ? 'restored' : 'added or replaced'}</span>
+                  <span>{backup.estimates.length}</span>
+                </div>
+              )}
+              {backup.templates && (
+                <div style={styles.allocationItem}>
+                  <span>Templates {mode === 'replace' ? 'restored' : 'added or replaced'}</span>
+                  <span>{backup.templates.length}</span>
+                </div>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      <div style={styles.formActions}>
+        <button type="button" style={styles.cancelBtn} onClick={onCancel}>Cancel</button>
+        <button type="submit" style={styles.submitBtn} disabled={!backup || isRestoring}>
+          {isRestoring ? 'Restoring...' : 'Restore'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Retainage release for a completed category: money in from the client, out to subs
+const RetainageReleaseForm = ({ category, vendors, onSubmit, onCancel }) => {
+  const totals = getCategoryTotals(category);
+  const isSeparate = totals.mode === 'separate';
+  const payables = getRetainagePayableByVendor(category);
+
+  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+  const [includeClient, setIncludeClient] = useState(totals.retainageReceivable > 0);
+  const [clientAmount, setClientAmount] = useState(isSeparate ? '' : totals.retainageReceivable);
+  const [clientLaborAmount, setClientLaborAmount] = useState(isSeparate ? totals.laborRetainageReceivable : '');
+  const [clientMaterialsAmount, setClientMaterialsAmount] = useState(isSeparate ? totals.materialsRetainageReceivable : '');
+  const [clientMethod, setClientMethod] = useState('check');
+  const [clientReference, setClientReference] = useState('');
+  const [subs, setSubs] = useState(payables.map(p => ({ ...p, include: true })));
+  const [subMethod, setSubMethod] = useState('check');
+
+  const updateSub = (idx, changes) => {
+    setSubs(subs.map((sub, i) => i === idx ? { ...sub, ...changes } : sub));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      date,
+      client: includeClient ? {
+        amount: parseFloat(clientAmount) || 0,
+        laborAmount: parseFloat(clientLaborAmount) || 0,
+        materialsAmount: parseFloat(clientMaterialsAmount) || 0,
+        paymentMethod: clientMethod,
+        reference: clientReference
+      } : null,
+      subs: subs
+        .filter(sub => sub.include && parseFloat(sub.amount) > 0)
+        .map(sub => ({ vendorId: sub.vendorId, amount: parseFloat(sub.amount), paymentMethod: subMethod }))
+    });
+  };
+
+  const nothingSelected = !includeClient && !subs.some(sub => sub.include);
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Release Date</label>
+        <input
+          style={styles.input}
+          type="date"
+          value={date}
+          onChange={e => setDate(e.target.value)}
+          required
+        />
+      </div>
+
+      <div style={styles.allocationSection}>
+        <label style={styles.label}>
+          <input
+            type="checkbox"
+            checked={includeClient}
+            onChange={e => setIncludeClient(e.target.checked)}
+            disabled={totals.retainageReceivable <= 0}
+          />{' '}
+          Client released {formatCurrency(totals.retainageReceivable)} held back
+        </label>
+        {includeClient && (
+          <>
+            <div style={styles.formRow}>
+              {isSeparate ? (
+                <>
+                  <div style={styles.formGroup}>
+                    <label style={styles.label}>Labor</label>
+                    <input
+                      style={styles.input}
+                      type="number"
+                      step="0.01"
+                      value={clientLaborAmount}
+                      onChange={e => setClientLaborAmount(e.target.value)}
+                    />
+                  </div>
+                  <div style={styles.formGroup}>
+                    <label style={styles.label}>Materials</label>
+                    <input
+                      style={styles.input}
+                      type="number"
+                      step="0.01"
+                      value={clientMaterialsAmount}
+                      onChange={e => setClientMaterialsAmount(e.target.value)}
+                    />
+                  </div>
+                </>
+              ) : (
+                <div style={styles.formGroup}>
+                  <label style={styles.label}>Amount Received</label>
+                  <input
+                    style={styles.input}
+                    type="number"
+                    step="0.01"
+                    value={clientAmount}
+                    onChange={e => setClientAmount(e.target.value)}
+                  />
+                </div>
+              )}
+            </div>
+            <div style={styles.formRow}>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Payment Method</label>
+                <select
+                  style={styles.input}
+                  value={clientMethod}
+                  onChange={e => setClientMethod(e.target.value)}
+                >
+                  <option value="check">Check</option>
+                  <option value="zelle">Zelle</option>
+                  <option value="cash">Cash</option>
+                  <option value="other">Other</option>
+                </select>
+              </div>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Reference</label>
+                <input
+                  style={styles.input}
+                  value={clientReference}
+                  onChange={e => setClientReference(e.target.value)}
+                />
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+
+      <div style={styles.allocationSection}>
+        <label style={styles.label}>Pay Out Retainage Held from Subs</label>
+        {subs.length === 0 ? (
+          <div style={styles.inputHint}>No retainage held from subs on this category</div>
+        ) : (
+          <>
+            {subs.map((sub, idx) => (
+              <div key={sub.vendorId ?? 'none'} style={styles.allocationRow}>
+                <span style={styles.allocationCatName}>
+                  <input
+                    type="checkbox"
+                    checked={sub.include}
+                    onChange={e => updateSub(idx, { include: e.target.checked })}
+                  />{' '}
+                  {vendors.find(v => v.id === sub.vendorId)?.name || 'No vendor'}
+                </span>
+                <input
+                  style={{...styles.input, width: '120px'}}
+                  type="number"
+                  step="0.01"
+                  value={sub.amount}
+                  onChange={e => updateSub(idx, { amount: e.target.value })}
+                />
+              </div>
+            ))}
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Paid By</label>
+              <select
+                style={styles.input}
+                value={subMethod}
+                onChange={e => setSubMethod(e.target.value)}
+              >
+                <option value="check">Check</option>
+                <option value="zelle">Zelle</option>
+                <option value="cash">Cash</option>
+                <option value="card">Card</option>
+                <option value="other">Other</option>
+              </select>
+            </div>
+          </>
+        )}
+      </div>
+
+      <div style={styles.formActions}>
+        <button type="button" style={styles.cancelBtn} onClick={onCancel}>Cancel</button>
+        <button type="submit" style={styles.submitBtn} disabled={nothingSelected}>Record Release</button>
+      </div>
+    </form>
+  );
+};
+
+// Cash-flow forecast: running balance week by week, flagging the first week it goes negative
+// Every project's money at a glance, riskiest first; clicking a project opens it
+const PortfolioDashboard = ({ projects, onSelectProject }) => {
+  const [includeArchived, setIncludeArchived] = useState(false);
+  const { rows, totals } = getPortfolioSummary(projects, { includeArchived });
+  const health = totals.categoryHealth;
+  const archivedCount = projects.length - rows.length;
+
+  return (
+    <>
+      <div style={styles.header}>
+        <div>
+          <h1 style={styles.projectTitle}>Dashboard</h1>
+          <p style={styles.clientLabel}>
+            {rows.length} project{rows.length === 1 ? '' : 's'} · riskiest first
+          </p>
+        </div>
+        <label style={styles.label}>
+          <input
+            type="checkbox"
+            checked={includeArchived}
+            onChange={e => setIncludeArchived(e.target.checked)}
+          />{' '}
+          Include archived{!includeArchived && archivedCount > 0 && ` (${archivedCount})`}
+        </label>
+      </div>
+
+      <div style={styles.summaryGrid}>
+        <div style={styles.summaryCard}>
+          <div style={styles.summaryLabel}>Client Budgets</div>
+          <div style={styles.summaryValue}>{formatCurrency(totals.totalBudget)}</div>
+          <div style={styles.summarySubtext}>Cost {formatCurrency(totals.totalCost)}</div>
+        </div>
+        <div style={styles.summaryCard}>
+          <div style={styles.summaryLabel}>Collected</div>
+          <div style={{...styles.summaryValue, color: '#10b981'}}>{formatCurrency(totals.totalPaid)}</div>
+          <div style={styles.summarySubtext}>{formatCurrency(totals.totalBudget - totals.totalPaid)} remaining</div>
+        </div>
+        <div style={styles.summaryCard}>
+          <div style={styles.summaryLabel}>Spent</div>
+          <div style={{...styles.summaryValue, color: '#f59e0b'}}>{formatCurrency(totals.totalSpent)}</div>
+          <div style={styles.summarySubtext}>{formatCurrency(totals.totalCost - totals.totalSpent)} left to pay</div>
+        </div>
+        <div style={{...styles.summaryCard, ...styles.profitCard}}>
+          <div style={styles.summaryLabel}>Projected Profit</div>
+          <div style={{...styles.summaryValue, color: totals.projectedProfit >= 0 ? '#10b981' : '#ef4444'}}>
+            {formatCurrency(totals.projectedProfit)}
+          </div>
+          <div style={styles.summarySubtext}>All projects</div>
+        </div>
+        <div style={styles.summaryCard}>
+          <div style={styles.summaryLabel}>Current Profit</div>
+          <div style={{...styles.summaryValue, color: totals.currentProfit >= 0 ? '#10b981' : '#ef4444'}}>
+            {formatCurrency(totals.currentProfit)}
+          </div>
+          <div style={styles.summarySubtext}>Collected minus spent</div>
+        </div>
+        <div style={{
+          ...styles.summaryCard,
+          borderColor: health.red > 0 ? '#b91c1c' : health.yellow > 0 ? '#a16207' : '#166534'
+        }}>
+          <div style={styles.summaryLabel}>Category Health</div>
+          <div style={styles.healthIndicators}>
+            {health.red > 0 && <span style={styles.healthBadgeRed}>{health.red} Alert{health.red > 1 ? 's' : ''}</span>}
+            {health.yellow > 0 && <span style={styles.healthBadgeYellow}>{health.yellow} Caution</span>}
+            {health.green > 0 && <span style={styles.healthBadgeGreen}>{health.green} Healthy</span>}
+          </div>
+          <div style={styles.summarySubtext}>
+            {totals.projectsAtRisk} project{totals.projectsAtRisk === 1 ? '' : 's'} with alerts
+          </div>
+        </div>
+      </div>
+
+      {projects.length === 0 ? (
+        <div style={styles.emptyCard}>
+          <p>No projects yet. Add one from the sidebar to see it here.</p>
+        </div>
+      ) : rows.length === 0 ? (
+        <div style={styles.emptyCard}>
+          <p>All {projects.length} project{projects.length === 1 ? ' is' : 's are'} archived.</p>
+          <button style={styles.editProjectBtn} onClick={() => setIncludeArchived(true)}>
+            Show archived projects
+          </button>
+        </div>
+      ) : (
+        <div style={styles.expenseGroup}>
+          <div style={{ ...styles.forecastRow, color: '#94a3b8' }}>
+            <span style={styles.dashboardProject}>Project</span>
+            <span style={styles.forecastAmount}>Budget</span>
+            <span style={styles.forecastAmount}>Cost</span>
+            <span style={styles.forecastAmount}>Collected</span>
+            <span style={styles.forecastAmount}>Spent</span>
+            <span style={styles.forecastAmount}>Projected</span>
+            <span style={styles.forecastAmount}>Current</span>
+            <span style={styles.dashboardHealth}>Health</span>
+          </div>
+          {rows.map(({ project, totals: projectTotals }) => {
+            const projectHealth = projectTotals.categoryHealth;
+            return (
+              <div
+                key={project.id}
+                style={{ ...styles.forecastRow, cursor: 'pointer' }}
+                onClick={() => onSelectProject(project.id)}
+                title={projectTotals.shortfall < 0
+                  ? `Short ${formatCurrency(-projectTotals.shortfall)} across alert categories`
+                  : `Open ${project.name}`}
+              >
+                <span style={styles.dashboardProject}>
+                  <div style={styles.expenseDesc}>{project.name}</div>
+                  <div style={styles.expenseDate}>
+                    {project.clientName} · {getProjectStatusLabel(getProjectStatus(project))}
+                  </div>
+                </span>
+                <span style={styles.forecastAmount}>{formatCurrency(projectTotals.totalBudget)}</span>
+                <span style={styles.forecastAmount}>{formatCurrency(projectTotals.totalCost)}</span>
+                <span style={{ ...styles.forecastAmount, color: '#10b981' }}>{formatCurrency(projectTotals.totalPaid)}</span>
+                <span style={{ ...styles.forecastAmount, color: '#f59e0b' }}>{formatCurrency(projectTotals.totalSpent)}</span>
+                <span style={{ ...styles.forecastAmount, color: projectTotals.projectedProfit >= 0 ? '#10b981' : '#ef4444' }}>
+                  {formatCurrency(projectTotals.projectedProfit)}
+                </span>
+                <span style={{ ...styles.forecastAmount, color: projectTotals.currentProfit >= 0 ? '#f1f5f9' : '#ef4444' }}>
+                  {formatCurrency(projectTotals.currentProfit)}
+                </span>
+                <span style={{ ...styles.healthIndicators, ...styles.dashboardHealth }}>
+                  {projectHealth.red > 0 && <span style={styles.healthBadgeRed}>{projectHealth.red} red</span>}
+                  {projectHealth.yellow > 0 && <span style={styles.healthBadgeYellow}>{projectHealth.yellow} yellow</span>}
+                  {projectHealth.red + projectHealth.yellow === 0 && (
+                    <span style={styles.healthBadgeGreen}>
+                      {projectHealth.green > 0 ? 'Healthy' : 'No categories'}
+                    </span>
+                  )}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+};
+
+const CashFlowForecast = ({ projects, showProjectNames }) => {
+  const cashOnHand = getCashOnHand(projects);
+  const [openingBalance, setOpeningBalance] = useState('');
+
+  const forecast = buildCashFlowForecast(projects, {
+    openingBalance: openingBalance === '' ? cashOnHand : parseFloat(openingBalance) || 0
+  });
+  const { weeks, firstNegativeWeek } = forecast;
+  const lowest = weeks.reduce((low, week) => (week.balance < low.balance ? week : low), weeks[0]);
+  const scale = Math.max(...weeks.map(week => Math.abs(week.balance)), Math.abs(forecast.openingBalance), 1);
+  const hasItems = projects.some(p => (p.forecastItems || []).length > 0);
+
+  return (
+    <div>
+      <div style={styles.vendorSummaryGrid}>
+        <div style={styles.summaryCard}>
+          <div style={styles.summaryLabel}>Starting Cash</div>
+          <input
+            style={styles.input}
+            type="number"
+            value={openingBalance}
+            onChange={e => setOpeningBalance(e.target.value)}
+            placeholder={String(Math.round(cashOnHand))}
+          />
+          <div style={styles.summarySubtext}>Defaults to collected minus spent so far</div>
+        </div>
+        <div style={styles.summaryCard}>
+          <div style={styles.summaryLabel}>Lowest Balance</div>
+          <div style={{...styles.summaryValue, color: lowest.balance < 0 ? '#ef4444' : '#10b981'}}>
+            {formatCurrency(lowest.balance)}
+          </div>
+          <div style={styles.summarySubtext}>Week of {formatDay(lowest.start)}</div>
+        </div>
+        <div style={{
+          ...styles.summaryCard,
+          borderColor: firstNegativeWeek ? '#b91c1c' : '#166534'
+        }}>
+          <div style={styles.summaryLabel}>First Shortfall</div>
+          <div style={{...styles.summaryValue, color: firstNegativeWeek ? '#ef4444' : '#10b981'}}>
+            {firstNegativeWeek ? formatDay(firstNegativeWeek.start) : 'None'}
+          </div>
+          <div style={styles.summarySubtext}>
+            {firstNegativeWeek
+              ? `Short ${formatCurrency(Math.abs(firstNegativeWeek.balance))} that week`
+              : `Balance stays positive for ${weeks.length} weeks`}
+          </div>
+        </div>
+      </div>
+
+      {!hasItems ? (
+        <div style={styles.emptyCard}>
+          <p>No expected draws or sub payments yet. Add them with dates to see when cash gets tight.</p>
+        </div>
+      ) : (
+        <div style={styles.expenseGroup}>
+          <div style={styles.forecastRow}>
+            <span style={styles.forecastWeek}>Week of</span>
+            <span style={styles.forecastAmount}>In</span>
+            <span style={styles.forecastAmount}>Out</span>
+            <span style={styles.forecastAmount}>Balance</span>
+            <span style={styles.forecastBarTrack}></span>
+          </div>
+          {weeks.map(week => {
+            const isFirstNegative = week === firstNegativeWeek;
+            const width = `${(Math.abs(week.balance) / scale) * 50}%`;
+            return (
+              <div
+                key={week.start}
+                style={{ ...styles.forecastRow, ...(isFirstNegative ? styles.forecastRowAlert : {}) }}
+                title={week.items.map(({ project, item }) =>
+                  `${showProjectNames ? `${project.name}: ` : ''}${item.description} ${item.kind === 'draw' ? '+' : '−'}${formatCurrency(item.amount)}`
+                ).join('\n')}
+              >
+                <span style={styles.forecastWeek}>
+                  {formatDay(week.start)}
+                  {isFirstNegative && <span style={{ ...styles.healthBadgeRed, marginLeft: '8px' }}>First negative week</span>}
+                </span>
+                <span style={{ ...styles.forecastAmount, color: '#10b981' }}>
+                  {week.inflow > 0 ? formatCurrency(week.inflow) : '—'}
+                </span>
+                <span style={{ ...styles.forecastAmount, color: '#f59e0b' }}>
+                  {week.outflow > 0 ? formatCurrency(week.outflow) : '—'}
+                </span>
+                <span style={{ ...styles.forecastAmount, color: week.balance < 0 ? '#ef4444' : '#f1f5f9' }}>
+                  {formatCurrency(week.balance)}
+                </span>
+                <span style={styles.forecastBarTrack}>
+                  <span style={{
+                    ...styles.forecastBar,
+                    width,
+                    ...(week.balance < 0
+                      ? { right: '50%', backgroundColor: '#ef4444' }
+                      : { left: '50%', backgroundColor: '#10b981' })
+                  }}></span>
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const DRAW_STATUS_BADGES = {
+  received: { label: 'Received', style: 'healthBadgeGreen' },
+  upcoming: { label: 'Upcoming', style: 'healthBadgeYellow' },
+  overdue: { label: 'Overdue', style: 'healthBadgeRed' }
+};
+
+// The project's draws by due date, with what's been received and what's overdue
+const DrawSchedule = ({ project, onAddDraw, onEditDraw, onDeleteDraw, onRecordPayment }) => {
+  const draws = sortDraws(project.drawSchedule || []);
+  const contractTotal = getContractTotal(project);
+  const scheduled = draws.reduce((sum, draw) => sum + getDrawAmount(project, draw), 0);
+  const overdue = draws.filter(draw => getDrawStatus(project, draw) === 'overdue');
+
+  return (
+    <div style={{ marginBottom: '32px' }}>
+      <div style={styles.sectionHeaderRow}>
+        <h2 style={styles.sectionTitle}>Draw Schedule</h2>
+        {onAddDraw && (
+          <button
+            style={styles.editProjectBtn}
+            onClick={onAddDraw}
+            disabled={project.categories.length === 0}
+          >
+            + Add Draw
+          </button>
+        )}
+      </div>
+
+      {draws.length === 0 ? (
+        <div style={styles.emptyCard}>
+          <p>No draws scheduled. Add the contract's milestones (deposit, rough-in, completion) to see what's due.</p>
+        </div>
+      ) : (
+        <div style={styles.expenseGroup}>
+          <div style={styles.expenseDate}>
+            {formatCurrency(scheduled)} of the {formatCurrency(contractTotal)} contract scheduled
+            {overdue.length > 0 && (
+              <span style={{ marginLeft: '8px', color: '#ef4444' }}>
+                · {overdue.length} overdue ({formatCurrency(overdue.reduce((sum, draw) => sum + getDrawAmount(project, draw), 0))})
+              </span>
+            )}
+          </div>
+          {draws.map(draw => {
+            const status = getDrawStatus(project, draw);
+            const badge = DRAW_STATUS_BADGES[status];
+            const payment = project.payments.find(p => p.id === draw.paymentId);
+            return (
+              <div key={draw.id} style={styles.expenseItem}>
+                <div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <span style={styles.expenseDesc}>{draw.name}</span>
+                    <span style={styles[badge.style]}>{badge.label}</span>
+                  </div>
+                  <div style={styles.expenseDate}>
+                    {draw.dueDate ? `Due ${formatDate(draw.dueDate)}` : 'No due date'}
+                    {draw.basis === 'percent' && ` · ${draw.percent}% of contract`}
+                    {payment && ` · ${formatCurrency(payment.totalAmount)} received ${formatDate(payment.date)}`}
+                  </div>
+                </div>
+                <div style={styles.expenseAmountSection}>
+                  <div style={styles.expenseAmount}>{formatCurrency(getDrawAmount(project, draw))}</div>
+                  {onRecordPayment && status !== 'received' && (
+                    <button style={styles.editProjectBtn} onClick={() => onRecordPayment(draw)}>
+                      Record Payment
+                    </button>
+                  )}
+                  {onEditDraw && (
+                    <button style={styles.editBtn} onClick={() => onEditDraw(draw)} title="Edit draw">✎</button>
+                  )}
+                  {onDeleteDraw && (
+                    <button style={styles.deleteBtn} onClick={() => onDeleteDraw(draw.id)} title="Remove draw">×</button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const NewDrawForm = ({ project, draw, onSubmit, onCancel }) => {
+  const [name, setName] = useState(draw?.name || '');
+  const [basis, setBasis] = useState(draw?.basis || 'percent');
+  const [value, setValue] = useState((draw?.basis === 'amount' ? draw.amount : draw?.percent) ?? '');
+  const [dueDate, setDueDate] = useState(draw?.dueDate || '');
+  const [split, setSplit] = useState(() => {
+    const budgetSplit = getBudgetSplit(project.categories);
+    return budgetSplit.map(share => ({
+      ...share,
+      percent: draw ? (draw.split.find(s => s.categoryId === share.categoryId)?.percent ?? 0) : share.percent
+    }));
+  });
+
+  const splitTotal = Math.round(split.reduce((sum, share) => sum + (parseFloat(share.percent) || 0), 0) * 100) / 100;
+  const drawAmount = getDrawAmount(project, {
+    basis,
+    percent: basis === 'percent' ? value : null,
+    amount: basis === 'amount' ? value : null
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      name,
+      basis,
+      percent: basis === 'percent' ? parseFloat(value) || 0 : null,
+      amount: basis === 'amount' ? parseFloat(value) || 0 : null,
+      dueDate: dueDate || null,
+      split: split.map(share => ({ categoryId: share.categoryId, percent: parseFloat(share.percent) || 0 }))
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Milestone</label>
+        <input
+          style={styles.input}
+          value={name}
+          onChange={e => setName(e.target.value)}
+          placeholder="e.g., Deposit, Rough-in, Completion"
+          required
+        />
+      </div>
+      <div style={styles.formRow}>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Amount</label>
+          <select style={styles.input} value={basis} onChange={e => setBasis(e.target.value)}>
+            <option value="percent">% of contract</option>
+            <option value="amount">Fixed amount</option>
+          </select>
+        </div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>{basis === 'percent' ? 'Percent' : 'Dollars'}</label>
+          <input
+            style={styles.input}
+            type="number"
+            min="0"
+            step={basis === 'percent' ? '0.5' : '0.01'}
+            value={value}
+            onChange={e => setValue(e.target.value)}
+            placeholder={basis === 'percent' ? '30' : '15000'}
+            required
+          />
+        </div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Due Date (optional)</label>
+          <input style={styles.input} type="date" value={dueDate} onChange={e => setDueDate(e.target.value)} />
+        </div>
+      </div>
+      <div style={styles.inputHint}>
+        {formatCurrency(drawAmount)}
+        {basis === 'percent' && ` of the ${formatCurrency(getContractTotal(project))} contract`}
+      </div>
+
+      <div style={styles.allocationSection}>
+        <label style={styles.label}>Split Across Categories (%)</label>
+        {project.categories.map((category, idx) => (
+          <div key={category.id} style={styles.allocationRow}>
+            <span style={styles.allocationCatName}>{category.name}</span>
+            <input
+              style={{ ...styles.input, width: '90px' }}
+              type="number"
+              min="0"
+              max="100"
+              step="0.01"
+              value={split[idx].percent}
+              onChange={e => setSplit(split.map((share, i) => i === idx ? { ...share, percent: e.target.value } : share))}
+            />
+          </div>
+        ))}
+        <div style={{ ...styles.inputHint, ...(splitTotal !== 100 ? { color: '#ef4444' } : {}) }}>
+          {splitTotal}% split{splitTotal !== 100 && ' - must add up to 100%'}
+          {' · '}
+          <button type="button" style={styles.backLink} onClick={() => setSplit(getBudgetSplit(project.categories))}>
+            Split by budget
+          </button>
+        </div>
+      </div>
+
+      <div style={styles.formActions}>
+        <button type="button" style={styles.cancelBtn} onClick={onCancel}>Cancel</button>
+        <button type="submit" style={styles.submitBtn} disabled={splitTotal !== 100}>
+          {draw ? 'Save Changes' : 'Add Draw'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const NewForecastItemForm = ({ kind, categories, item, onSubmit, onCancel }) => {
+  const [description, setDescription] = useState(item?.description || '');
+  const [amount, setAmount] = useState(item?.amount ?? '');
+  const [date, setDate] = useState(item?.date || '');
+  const [categoryId, setCategoryId] = useState(item?.categoryId ?? '');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      kind,
+      description,
+      amount: parseFloat(amount) || 0,
+      date,
+      categoryId: parseInt(categoryId) || categoryId || null
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Description</label>
+        <input
+          style={styles.input}
+          value={description}
+          onChange={e => setDescription(e.target.value)}
+          placeholder={kind === 'draw' ? 'e.g., Draw #3 - rough-in complete' : 'e.g., Framing sub - second payment'}
+          required
+        />
+      </div>
+      <div style={styles.formRow}>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Expected Amount</label>
+          <input
+            style={styles.input}
+            type="number"
+            value={amount}
+            onChange={e => setAmount(e.target.value)}
+            required
+          />
+        </div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Expected Date</label>
+          <input
+            style={styles.input}
+            type="date"
+            value={date}
+            onChange={e => setDate(e.target.value)}
+            required
+          />
+        </div>
+      </div>
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Category (optional)</label>
+        <select
+          style={styles.input}
+          value={categoryId}
+          onChange={e => setCategoryId(e.target.value)}
+        >
+          <option value="">-- Whole project --</option>
+          {categories.map(cat => (
+            <option key={cat.id} value={cat.id}>{cat.name}</option>
+          ))}
+        </select>
+      </div>
+      <div style={styles.formActions}>
+        <button type="button" style={styles.cancelBtn} onClick={onCancel}>Cancel</button>
+        <button type="submit" style={styles.submitBtn}>{item ? 'Save Changes' : 'Add to Forecast'}</button>
+      </div>
+    </form>
+  );
+};
+
+// Vendor directory: list with certificate of insurance status, and a detail view
+// aggregating the vendor's expenses across every project
+const INSURANCE_BADGES = {
+  ok: { label: 'Insured', style: 'healthBadgeGreen' },
+  expiring: { label: 'COI expiring', style: 'healthBadgeYellow' },
+  expired: { label: 'COI expired', style: 'healthBadgeRed' },
+  missing: { label: 'No COI', style: 'healthBadgeRed' }
+};
+
+const InsuranceBadge = ({ vendor }) => {
+  const badge = INSURANCE_BADGES[getInsuranceStatus(vendor)];
+  return <span style={styles[badge.style]}>{badge.label}</span>;
+};
+
+const EstimateDirectory = ({
+  estimates, projects, selectedEstimateId, onSelectEstimate, onAddEstimate, onSaveEstimate,
+  onDeleteEstimate, onAcceptEstimate, onSignProposal, onOpenProject, companyName
+}) => {
+  const selectedEstimate = estimates.find(e => e.id === selectedEstimateId);
+
+  if (selectedEstimate) {
+    return (
+      <EstimateBuilder
+        key={selectedEstimate.id}
+        estimate={selectedEstimate}
+        project={projects.find(p => p.id === selectedEstimate.projectId)}
+        onBack={() => onSelectEstimate(null)}
+        onSave={onSaveEstimate}
+        onDelete={onDeleteEstimate}
+        onAccept={onAcceptEstimate}
+        onSignProposal={onSignProposal}
+        onOpenProject={onOpenProject}
+        companyName={companyName}
+      />
+    );
+  }
+
+  return (
+    <>
+      <div style={styles.sectionHeaderRow}>
+        <h1 style={styles.projectTitle}>Estimates</h1>
+        {onAddEstimate && (
+          <button style={styles.primaryBtn} onClick={onAddEstimate}>+ New Estimate</button>
+        )}
+      </div>
+
+      {estimates.length === 0 ? (
+        <div style={styles.emptyCard}>
+          <p>No estimates yet. Price a job line by line, then accept it to create the project and its categories.</p>
+        </div>
+      ) : (
+        <div style={styles.expenseGroup}>
+          {estimates.map(estimate => {
+            const totals = getEstimateTotals(estimate);
+            return (
+              <div
+                key={estimate.id}
+                style={{ ...styles.expenseItem, cursor: 'pointer' }}
+                onClick={() => onSelectEstimate(estimate.id)}
+              >
+                <div>
+                  <div style={styles.expenseDesc}>{estimate.name}</div>
+                  <div style={styles.expenseDate}>
+                    {estimate.clientName || 'No client'} · {getEstimateStatusLabel(estimate.status)}
+                    {' · '}{estimate.groups.length} group{estimate.groups.length === 1 ? '' : 's'}
+                    {' · '}Cost {formatCurrency(totals.cost)}
+                  </div>
+                </div>
+                <div style={styles.expenseAmount}>{formatCurrency(totals.price)}</div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+};
+
+// Line items grouped into future categories. Edits stay in the builder until saved;
+// accepting saves them too.
+const EstimateBuilder = ({
+  estimate, project, onBack, onSave, onDelete, onAccept, onSignProposal, onOpenProject, companyName
+}) => {
+  const [draft, setDraft] = useState(estimate);
+  const [showProposal, setShowProposal] = useState(false);
+  const isLocked = !onSave || estimate.status === 'accepted';
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(estimate);
+  const totals = getEstimateTotals(draft);
+  const acceptBlocker = getAcceptBlocker(draft);
+
+  const update = (changes) => setDraft({ ...draft, ...changes });
+  const updateGroup = (groupId, changes) => update({
+    groups: draft.groups.map(g => g.id === groupId ? { ...g, ...changes } : g)
+  });
+  const updateLine = (group, lineId, changes) => updateGroup(group.id, {
+    lines: group.lines.map(line => line.id === lineId ? { ...line, ...changes } : line)
+  });
+
+  const addGroup = () => update({
+    groups: [...draft.groups, { id: generateId(), name: '', mode: 'all-inclusive', lines: [] }]
+  });
+  const addLine = (group) => updateGroup(group.id, {
+    lines: [...group.lines, {
+      id: generateId(),
+      description: '',
+      quantity: 1,
+      unit: 'ea',
+      unitCost: '',
+      markupPercent: '',
+      type: 'labor'
+    }]
+  });
+
+  return (
+    <>
+      <div style={styles.header}>
+        <div>
+          <button style={styles.backLink} onClick={onBack}>← All estimates</button>
+          <h1 style={styles.projectTitle}>{draft.name || 'Untitled estimate'}</h1>
+          <p style={styles.clientLabel}>
+            {getEstimateStatusLabel(estimate.status)}
+            {estimate.acceptedAt && ` ${formatDate(estimate.acceptedAt)}`}
+            {estimate.status === 'accepted' && !project && ' · its project has been deleted'}
+          </p>
+        </div>
+        <div style={styles.headerActions}>
+          {project && (
+            <button style={styles.editProjectBtn} onClick={() => onOpenProject(project.id)}>
+              Open Project
+            </button>
+          )}
+          <button
+            style={styles.editProjectBtn}
+            onClick={() => setShowProposal(true)}
+            disabled={draft.groups.length === 0}
+          >
+            {project?.proposal?.signature ? 'Signed Proposal' : 'Proposal'}
+          </button>
+          {!isLocked && (
+            <button style={styles.editProjectBtn} onClick={() => onSave(draft)} disabled={!isDirty}>
+              {isDirty ? 'Save Estimate' : 'Saved'}
+            </button>
+          )}
+          {!isLocked && onAccept && (
+            <button
+              style={styles.primaryBtn}
+              onClick={() => onAccept(draft)}
+              disabled={Boolean(acceptBlocker)}
+              title={acceptBlocker || 'Create the project and its categories'}
+            >
+              Accept &amp; Create Project
+            </button>
+          )}
+          {onDelete && (
+            <button style={styles.deleteProjectBtn} onClick={() => onDelete(estimate)}>
+              Delete Estimate
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div style={styles.vendorSummaryGrid}>
+        <div style={styles.summaryCard}>
+          <div style={styles.summaryLabel}>Proposal Total</div>
+          <div style={styles.summaryValue}>{formatCurrency(totals.price)}</div>
+          <div style={styles.summarySubtext}>What the client pays</div>
+        </div>
+        <div style={styles.summaryCard}>
+          <div style={styles.summaryLabel}>Your Cost</div>
+          <div style={{...styles.summaryValue, color: '#f59e0b'}}>{formatCurrency(totals.cost)}</div>
+          <div style={styles.summarySubtext}>Before markup</div>
+        </div>
+        <div style={{...styles.summaryCard, ...styles.profitCard}}>
+          <div style={styles.summaryLabel}>Markup</div>
+          <div style={{...styles.summaryValue, color: totals.profit >= 0 ? '#10b981' : '#ef4444'}}>
+            {formatCurrency(totals.profit)}
+          </div>
+          <div style={styles.summarySubtext}>
+            {totals.price > 0 ? `${(totals.profit / totals.price * 100).toFixed(1)}% of the total` : '—'}
+          </div>
+        </div>
+      </div>
+
+      <fieldset disabled={isLocked} style={styles.estimateFieldset}>
+        <div style={styles.formRow}>
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Project Name</label>
+            <input
+              style={styles.input}
+              value={draft.name}
+              onChange={e => update({ name: e.target.value })}
+              placeholder="e.g., 123 Main St Renovation"
+            />
+          </div>
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Client Name</label>
+            <input
+              style={styles.input}
+              value={draft.clientName}
+              onChange={e => update({ clientName: e.target.value })}
+              placeholder="e.g., Jane Smith"
+            />
+          </div>
+        </div>
+
+        {draft.groups.map(group => {
+          const groupTotals = getGroupTotals(group);
+          return (
+            <div key={group.id} style={styles.expenseGroup}>
+              <div style={styles.estimateGroupHeader}>
+                <input
+                  style={{ ...styles.input, flex: 1 }}
+                  value={group.name}
+                  onChange={e => updateGroup(group.id, { name: e.target.value })}
+                  placeholder="Category, e.g. Plumbing"
+                />
+                <select
+                  style={{ ...styles.input, width: '200px' }}
+                  value={group.mode}
+                  onChange={e => updateGroup(group.id, { mode: e.target.value })}
+                  title="Mode of the category this group becomes"
+                >
+                  <option value="all-inclusive">All-inclusive</option>
+                  <option value="separate">Separate labor &amp; materials</option>
+                </select>
+                <button
+                  type="button"
+                  style={styles.deleteBtn}
+                  onClick={() => update({ groups: draft.groups.filter(g => g.id !== group.id) })}
+                  title="Remove group"
+                >
+                  ×
+                </button>
+              </div>
+
+              <div style={{ ...styles.estimateLineRow, color: '#94a3b8' }}>
+                <span>Description</span>
+                <span>Qty</span>
+                <span>Unit</span>
+                <span>Unit cost</span>
+                <span>Markup %</span>
+                <span>Type</span>
+                <span style={{ textAlign: 'right' }}>Price</span>
+                <span></span>
+              </div>
+              {group.lines.map(line => (
+                <div key={line.id} style={styles.estimateLineRow}>
+                  <input
+                    style={styles.estimateInput}
+                    value={line.description}
+                    onChange={e => updateLine(group, line.id, { description: e.target.value })}
+                    placeholder="e.g., Rough-in, 2 baths"
+                  />
+                  <input
+                    style={styles.estimateInput}
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={line.quantity}
+                    onChange={e => updateLine(group, line.id, { quantity: e.target.value })}
+                  />
+                  <input
+                    style={styles.estimateInput}
+                    list="estimate-units"
+                    value={line.unit}
+                    onChange={e => updateLine(group, line.id, { unit: e.target.value })}
+                  />
+                  <input
+                    style={styles.estimateInput}
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={line.unitCost}
+                    onChange={e => updateLine(group, line.id, { unitCost: e.target.value })}
+                    placeholder="0.00"
+                  />
+                  <input
+                    style={styles.estimateInput}
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={line.markupPercent}
+                    onChange={e => updateLine(group, line.id, { markupPercent: e.target.value })}
+                    placeholder="0"
+                  />
+                  <select
+                    style={styles.estimateInput}
+                    value={line.type}
+                    onChange={e => updateLine(group, line.id, { type: e.target.value })}
+                  >
+                    <option value="labor">Labor</option>
+                    <option value="materials">Materials</option>
+                  </select>
+                  <span style={{ textAlign: 'right' }}>{formatCurrency(getLinePrice(line))}</span>
+                  <button
+                    type="button"
+                    style={styles.deleteBtn}
+                    onClick={() => updateGroup(group.id, { lines: group.lines.filter(l => l.id !== line.id) })}
+                    title="Remove line"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+
+              <div style={styles.estimateGroupFooter}>
+                <button type="button" style={styles.editProjectBtn} onClick={() => addLine(group)}>+ Add Line</button>
+                <span style={styles.expenseDate}>
+                  {group.mode === 'separate'
+                    ? `Labor ${formatCurrency(groupTotals.laborPrice)} (cost ${formatCurrency(groupTotals.laborCost)}) · Materials ${formatCurrency(groupTotals.materialsPrice)}, passed through`
+                    : `Cost ${formatCurrency(groupTotals.cost)}`}
+                  {' · '}<strong>{formatCurrency(groupTotals.price)}</strong>
+                </span>
+              </div>
+            </div>
+          );
+        })}
+
+        {!isLocked && (
+          <button type="button" style={styles.primaryBtn} onClick={addGroup}>+ Add Group</button>
+        )}
+        {draft.groups.length === 0 && (
+          <div style={styles.emptyCard}>
+            <p>Add a group for each cost category, like "Plumbing" or "Framing", then price its lines.</p>
+          </div>
+        )}
+
+        <div style={{ ...styles.formGroup, marginTop: '24px' }}>
+          <label style={styles.label}>Notes (optional)</label>
+          <textarea
+            style={{ ...styles.input, minHeight: '80px' }}
+            value={draft.notes}
+            onChange={e => update({ notes: e.target.value })}
+            placeholder="Scope, exclusions, assumptions"
+          />
+          <div style={styles.inputHint}>Printed on the proposal</div>
+        </div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Proposal Terms</label>
+          <textarea
+            style={{ ...styles.input, minHeight: '100px' }}
+            value={draft.terms ?? DEFAULT_PROPOSAL_TERMS}
+            onChange={e => update({ terms: e.target.value })}
+          />
+        </div>
+      </fieldset>
+
+      <datalist id="estimate-units">
+        {ESTIMATE_UNITS.map(unit => <option key={unit} value={unit} />)}
+      </datalist>
+
+      {showProposal && (
+        <Modal onClose={() => setShowProposal(false)} title="Proposal" wide>
+          <ProposalSigning
+            proposal={project?.proposal || buildProposal(draft, { companyName })}
+            onSign={onSignProposal && !project?.proposal?.signature && (project || !getAcceptBlocker(draft))
+              ? async (proposal) => {
+                await onSignProposal(draft, proposal);
+                setShowProposal(false);
+              }
+              : null}
+            onClose={() => setShowProposal(false)}
+          />
+        </Modal>
+      )}
+    </>
+  );
+};
+
+// The client-facing proposal as it prints, with a signature pad for the client to
+// sign on this device. onSign is null when it can't be signed here.
+const ProposalSigning = ({ proposal, onSign, onClose }) => {
+  const [signerName, setSignerName] = useState(proposal.clientName || '');
+  const [signatureImage, setSignatureImage] = useState(null);
+  const blocker = getSignatureBlocker({ name: signerName, image: signatureImage });
+
+  const handleSign = (e) => {
+    e.preventDefault();
+    onSign({
+      ...proposal,
+      signature: { name: signerName.trim(), date: new Date().toLocaleDateString('en-CA'), image: signatureImage }
+    });
+  };
+
+  return (
+    <form onSubmit={handleSign}>
+      <iframe title="Proposal preview" srcDoc={buildProposalHtml(proposal)} style={styles.proposalPreview} />
+
+      {proposal.signature ? (
+        <div style={styles.inputHint}>
+          Signed by {proposal.signature.name} on {formatDay(proposal.signature.date)}
+        </div>
+      ) : onSign && (
+        <>
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Signer Name</label>
+            <input
+              style={styles.input}
+              value={signerName}
+              onChange={e => setSignerName(e.target.value)}
+              placeholder="Client's full name"
+            />
+          </div>
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Signature</label>
+            <SignaturePad onChange={setSignatureImage} />
+            <div style={styles.inputHint}>
+              Signing accepts the estimate: the project is created if needed and set to active
+            </div>
+          </div>
+        </>
+      )}
+
+      <div style={styles.formActions}>
+        <button type="button" style={styles.cancelBtn} onClick={onClose}>Close</button>
+        <button type="button" style={styles.cancelBtn} onClick={() => printProposal(proposal)}>Print</button>
+        {onSign && !proposal.signature && (
+          <button type="submit" style={styles.submitBtn} disabled={Boolean(blocker)} title={blocker || ''}>
+            Sign Proposal
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+// Drawn signature, reported as a PNG data URL (null once cleared)
+const SignaturePad = ({ onChange }) => {
+  const canvasRef = useRef(null);
+  const isDrawingRef = useRef(false);
+
+  const getContext = () => {
+    const context = canvasRef.current.getContext('2d');
+    context.lineWidth = 2;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.strokeStyle = '#0f172a';
+    return context;
+  };
+
+  // Pointer position in canvas pixels (the canvas may be scaled by CSS)
+  const getPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (canvas.width / rect.width),
+      y: (e.clientY - rect.top) * (canvas.height / rect.height)
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    isDrawingRef.current = true;
+    const { x, y } = getPoint(e);
+    const context = getContext();
+    context.beginPath();
+    context.moveTo(x, y);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!isDrawingRef.current) return;
+    const { x, y } = getPoint(e);
+    const context = getContext();
+    context.lineTo(x, y);
+    context.stroke();
+  };
+
+  const handlePointerUp = () => {
+    if (!isDrawingRef.current) return;
+    isDrawingRef.current = false;
+    onChange(canvasRef.current.toDataURL('image/png'));
+  };
+
+  const clear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    onChange(null);
+  };
+
+  return (
+    <div>
+      <canvas
+        ref={canvasRef}
+        width={600}
+        height={160}
+        style={styles.signaturePad}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      />
+      <button type="button" style={styles.backLink} onClick={clear}>Clear signature</button>
+    </div>
+  );
+};
+
+const VendorDirectory = ({ vendors, projects, selectedVendorId, onSelectVendor, onAddVendor, onEditVendor, onDeleteVendor }) => {
+  const selectedVendor = vendors.find(v => v.id === selectedVendorId);
+
+  if (selectedVendor) {
+    const entries = getVendorExpenses(projects, selectedVendor.id);
+    const yearTotals = getVendorTotalsByYear(entries);
+    const allTime = entries.reduce((sum, { expense }) => sum + expense.amount, 0);
+
+    return (
+      <>
+        <div style={styles.header}>
+          <div>
+            <button style={styles.backLink} onClick={() => onSelectVendor(null)}>← All vendors</button>
+            <h1 style={styles.projectTitle}>{selectedVendor.name}</h1>
+            <p style={styles.clientLabel}>
+              {selectedVendor.trade || 'No trade set'}
+              {selectedVendor.phone && ` · ${selectedVendor.phone}`}
+              {selectedVendor.email && ` · ${selectedVendor.email}`}
+            </p>
+          </div>
+          <div style={styles.headerActions}>
+            {onEditVendor && (
+              <button style={styles.editProjectBtn} onClick={() => onEditVendor(selectedVendor)}>
+                Edit Vendor
+              </button>
+            )}
+            {onDeleteVendor && (
+              <button style={styles.deleteProjectBtn} onClick={() => onDeleteVendor(selectedVendor.id)}>
+                Delete Vendor
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div style={styles.vendorSummaryGrid}>
+          <div style={styles.summaryCard}>
+            <div style={styles.summaryLabel}>Paid All Time</div>
+            <div style={{...styles.summaryValue, color: '#f59e0b'}}>{formatCurrency(allTime)}</div>
+            <div style={styles.summarySubtext}>{entries.length} expense{entries.length === 1 ? '' : 's'}</div>
+          </div>
+          <div style={styles.summaryCard}>
+            <div style={styles.summaryLabel}>Tax ID</div>
+            <div style={styles.summaryValue}>{selectedVendor.taxId || '—'}</div>
+            <div style={styles.summarySubtext}>{selectedVendor.taxId ? 'On file' : 'Request a W-9'}</div>
+          </div>
+          <div style={styles.summaryCard}>
+            <div style={styles.summaryLabel}>Insurance</div>
+            <div style={styles.summaryValue}>
+              {selectedVendor.insuranceExpiry ? formatDate(selectedVendor.insuranceExpiry) : '—'}
+            </div>
+            <InsuranceBadge vendor={selectedVendor} />
+          </div>
+        </div>
+
+        {entries.length === 0 ? (
+          <div style={styles.emptyCard}>
+            <p>No expenses linked to this vendor yet. Pick the vendor when recording an expense on any project.</p>
+          </div>
+        ) : (
+          <div style={styles.expenseList}>
+            <div style={styles.expenseGroup}>
+              <h3 style={styles.expenseGroupTitle}>Totals by Year</h3>
+              {yearTotals.map(row => (
+                <div key={row.year} style={styles.expenseItem}>
+                  <div>
+                    <div style={styles.expenseDesc}>{row.year}</div>
+                    <div style={styles.expenseDate}>
+                      {row.count} expense{row.count === 1 ? '' : 's'}
+                      {(row.labor > 0 || row.materials > 0) &&
+                        ` · Labor ${formatCurrency(row.labor)} · Materials ${formatCurrency(row.materials)}`}
+                    </div>
+                  </div>
+                  <div style={styles.expenseAmount}>{formatCurrency(row.total)}</div>
+                </div>
+              ))}
+            </div>
+
+            <div style={styles.expenseGroup}>
+              <h3 style={styles.expenseGroupTitle}>Expenses Across Projects</h3>
+              {entries.map(({ project, category, expense }) => (
+                <div key={`${project.id}-${expense.id}`} style={styles.expenseItem}>
+                  <div>
+                    <div style={styles.expenseDesc}>{expense.description}</div>
+                    <div style={styles.expenseDate}>
+                      {formatDate(expense.date)} · {project.name} · {category.name}
+                      {expense.type && ` · ${expense.type}`}
+                    </div>
+                  </div>
+                  <div style={styles.expenseAmount}>{formatCurrency(expense.amount)}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </>
+    );
+  }
+
+  const sortedVendors = [...vendors].sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <>
+      <div style={styles.sectionHeaderRow}>
+        <h1 style={styles.projectTitle}>Vendors &amp; Subs</h1>
+        {onAddVendor && (
+          <button style={styles.primaryBtn} onClick={onAddVendor}>+ Add Vendor</button>
+        )}
+      </div>
+
+      {sortedVendors.length === 0 ? (
+        <div style={styles.emptyCard}>
+          <p>No vendors yet. Add your subcontractors and suppliers to track what you pay them across projects.</p>
+        </div>
+      ) : (
+        <div style={styles.expenseGroup}>
+          {sortedVendors.map(vendor => {
+            const total = getVendorExpenses(projects, vendor.id)
+              .reduce((sum, { expense }) => sum + expense.amount, 0);
+            return (
+              <div
+                key={vendor.id}
+                style={{ ...styles.expenseItem, cursor: 'pointer' }}
+                onClick={() => onSelectVendor(vendor.id)}
+              >
+                <div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <span style={styles.expenseDesc}>{vendor.name}</span>
+                    <InsuranceBadge vendor={vendor} />
+                  </div>
+                  <div style={styles.expenseDate}>
+                    {vendor.trade || 'No trade set'}
+                    {vendor.phone && ` · ${vendor.phone}`}
+                  </div>
+                </div>
+                <div style={styles.expenseAmountSection}>
+                  <div style={styles.expenseAmount}>{formatCurrency(total)}</div>
+                  {onEditVendor && (
+                    <button
+                      style={styles.editBtn}
+                      onClick={e => { e.stopPropagation(); onEditVendor(vendor); }}
+                      title="Edit vendor"
+                    >
+                      ✎
+                    </button>
+                  )}
+                  {onDeleteVendor && (
+                    <button
+                      style={styles.deleteBtn}
+                      onClick={e => { e.stopPropagation(); onDeleteVendor(vendor.id); }}
+                    >
+                      ×
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+};
+
+const NewVendorForm = ({ vendor, onSubmit, onCancel }) => {
+  const [name, setName] = useState(vendor?.name || '');
+  const [trade, setTrade] = useState(vendor?.trade || '');
+  const [phone, setPhone] = useState(vendor?.phone || '');
+  const [email, setEmail] = useState(vendor?.email || '');
+  const [taxId, setTaxId] = useState(vendor?.taxId || '');
+  const [insuranceExpiry, setInsuranceExpiry] = useState(vendor?.insuranceExpiry || '');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      name: name.trim(),
+      trade: trade.trim() || null,
+      phone: phone.trim() || null,
+      email: email.trim() || null,
+      taxId: taxId.trim() || null,
+      insuranceExpiry: insuranceExpiry || null
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Name</label>
+        <input
+          style={styles.input}
+          type="text"
+          value={name}
+          onChange={e => setName(e.target.value)}
+          placeholder="e.g., Rivera Plumbing LLC"
+          required
+        />
+      </div>
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Trade</label>
+        <input
+          style={styles.input}
+          type="text"
+          value={trade}
+          onChange={e => setTrade(e.target.value)}
+          placeholder="e.g., Plumbing"
+        />
+      </div>
+      <div style={styles.formRow}>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Phone</label>
+          <input
+            style={styles.input}
+            type="tel"
+            value={phone}
+            onChange={e => setPhone(e.target.value)}
+          />
+        </div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Email</label>
+          <input
+            style={styles.input}
+            type="email"
+            value={email}
+            onChange={e => setEmail(e.target.value)}
+          />
+        </div>
+      </div>
+      <div style={styles.formRow}>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Tax ID (EIN/SSN)</label>
+          <input
+            style={styles.input}
+            type="text"
+            value={taxId}
+            onChange={e => setTaxId(e.target.value)}
+            placeholder="From the vendor's W-9"
+          />
+        </div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Insurance Expires</label>
+          <input
+            style={styles.input}
+            type="date"
+            value={insuranceExpiry}
+            onChange={e => setInsuranceExpiry(e.target.value)}
+          />
+        </div>
+      </div>
+      <div style={styles.formActions}>
+        <button type="button" style={styles.cancelBtn} onClick={onCancel}>Cancel</button>
+        <button type="submit" style={styles.submitBtn}>{vendor ? 'Save Changes' : 'Add Vendor'}</button>
+      </div>
+    </form>
+  );
+};
+
+// 1099 report: payees over the IRS threshold for a calendar year, exported as CSV
+const Report1099 = ({ projects, vendors, onCancel }) => {
+  const lastYear = new Date().getFullYear() - 1;
+  const [year, setYear] = useState(String(lastYear));
+  const [threshold, setThreshold] = useState(String(get1099Threshold(lastYear)));
+
+  const years = [...new Set(projects.flatMap(p =>
+    p.categories.flatMap(c => (c.expenses || []).map(e => e.date.slice(0, 4)))
+  ).concat(String(lastYear)))].sort().reverse();
+
+  const report = build1099Report(projects, vendors, year, parseFloat(threshold) || 0);
+
+  const handleYearChange = (value) => {
+    setYear(value);
+    setThreshold(String(get1099Threshold(value)));
+  };
+
+  const handleExport = () => {
+    downloadCsv(`contractor-crm-1099-${year}.csv`, build1099Csv(report));
+  };
+
+  return (
+    <div>
+      <div style={styles.formRow}>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Tax Year</label>
+          <select
+            style={styles.input}
+            value={year}
+            onChange={e => handleYearChange(e.target.value)}
+          >
+            {years.map(y => <option key={y} value={y}>{y}</option>)}
+          </select>
+        </div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Reporting Threshold ($)</label>
+          <input
+            style={styles.input}
+            type="number"
+            step="0.01"
+            value={threshold}
+            onChange={e => setThreshold(e.target.value)}
+          />
+        </div>
+      </div>
+      <div style={styles.inputHint}>
+        Labor paid to each vendor: labor expenses in separate categories and all expenses in all-inclusive
+        categories. Card payments are excluded (reported by the processor on a 1099-K).
+      </div>
+
+      {report.payees.length === 0 ? (
+        <div style={{ ...styles.emptyCard, marginTop: '16px' }}>
+          <p>No payees reached {formatCurrency(report.threshold)} in {year}.</p>
+        </div>
+      ) : (
+        <div style={styles.importPreview}>
+          <table style={styles.importTable}>
+            <thead>
+              <tr>
+                <th style={styles.importTh}>Payee</th>
+                <th style={styles.importTh}>Tax ID</th>
+                <th style={styles.importTh}>Check</th>
+                <th style={styles.importTh}>Zelle</th>
+                <th style={styles.importTh}>Cash</th>
+                <th style={styles.importTh}>Other</th>
+                <th style={styles.importTh}>Not Recorded</th>
+                <th style={styles.importTh}>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.payees.map(({ vendor, total, byMethod }) => (
+                <tr key={vendor.id}>
+                  <td style={styles.importTd}>{vendor.name}</td>
+                  <td style={{ ...styles.importTd, color: vendor.taxId ? undefined : '#ef4444' }}>
+                    {vendor.taxId || 'Missing'}
+                  </td>
+                  <td style={styles.importTd}>{formatCurrency(byMethod.check)}</td>
+                  <td style={styles.importTd}>{formatCurrency(byMethod.zelle)}</td>
+                  <td style={styles.importTd}>{formatCurrency(byMethod.cash)}</td>
+                  <td style={styles.importTd}>{formatCurrency(byMethod.other)}</td>
+                  <td style={styles.importTd}>{formatCurrency(byMethod.unspecified)}</td>
+                  <td style={{ ...styles.importTd, fontWeight: '600' }}>{formatCurrency(total)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {(report.belowThreshold > 0 || report.unlinked.count > 0) && (
+        <div style={styles.inputHint}>
+          {report.belowThreshold > 0 && `${report.belowThreshold} other payee(s) under the threshold. `}
+          {report.unlinked.count > 0 &&
+            `${report.unlinked.count} labor expense(s) totaling ${formatCurrency(report.unlinked.total)} have no vendor picked and are not included.`}
+        </div>
+      )}
+
+      <div style={styles.formActions}>
+        <button type="button" style={styles.cancelBtn} onClick={onCancel}>Close</button>
+        <button type="button" style={styles.submitBtn} onClick={handleExport} disabled={report.payees.length === 0}>
+          Download CSV
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Shows a logged field value: money as currency, links by name, lists summarized
+const formatAuditValue = (field, value, { categories, getVendorName }) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'vendorId') return getVendorName(value) || 'Removed vendor';
+  if (field === 'categoryId') return categories.find(c => c.id === value)?.name || 'Removed category';
+  if (field === 'paymentId') return 'Recorded';
+  if (field === 'percent') return `${value}%`;
+  if (field === 'allocations') {
+    return value.map(a => {
+      const category = categories.find(c => c.id === a.categoryId);
+      const amount = (a.amount || 0) + (a.laborAmount || 0) + (a.materialsAmount || 0);
+      return `${category?.name || 'Removed category'} ${formatCurrency(amount)}`;
+    }).join(', ') || '—';
+  }
+  if (field === 'status' && PROJECT_STATUSES.some(s => s.id === value)) return getProjectStatusLabel(value);
+  if (field === 'proposal') return value.signature ? `Signed by ${value.signature.name}` : 'Unsigned';
+  if (field === 'attachments') return value.map(a => a.name).join(', ') || '—';
+  if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (field === 'retainagePercent') return `${value}%`;
+  if (typeof value === 'number' && field !== 'number') return formatCurrency(value);
+  return String(value);
+};
+
+const formatAuditTime = (time) => new Date(time).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// Entries that reached the server this long after the change also show the device time
+const OFFLINE_ENTRY_MS = 5 * 60 * 1000;
+
+// Who changed what in a project (and in the vendor list), newest first, filtered by
+// record type and date
+const ProjectHistory = ({ projectId, changeCount, categories, getVendorName }) => {
+  const [entries, setEntries] = useState(null);
+  const [entity, setEntity] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  useEffect(() => {
+    const loadEntries = async () => {
+      setEntries(await db.getAuditLog(projectId));
+    };
+    loadEntries();
+  }, [projectId, changeCount]);
+
+  const shown = filterAuditEntries(entries || [], { entity, from, to });
+  const context = { categories, getVendorName };
+
+  return (
+    <div>
+      <div style={styles.sectionHeaderRow}>
+        <h2 style={styles.sectionTitle}>History</h2>
+        <div style={styles.historyFilters}>
+          <select style={styles.historyFilter} value={entity} onChange={e => setEntity(e.target.value)}>
+            <option value="">All records</option>
+            {Object.entries(AUDIT_ENTITY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            style={styles.historyFilter}
+            type="date"
+            value={from}
+            onChange={e => setFrom(e.target.value)}
+            title="From"
+          />
+          <input
+            style={styles.historyFilter}
+            type="date"
+            value={to}
+            onChange={e => setTo(e.target.value)}
+            title="To"
+          />
+        </div>
+      </div>
+
+      {entries === null ? (
+        <div style={styles.emptyCard}><p>Loading history...</p></div>
+      ) : shown.length === 0 ? (
+        <div style={styles.emptyCard}>
+          <p>{entries.length === 0 ? 'No changes recorded yet.' : 'No changes match these filters.'}</p>
+        </div>
+      ) : (
+        <div style={styles.expenseGroup}>
+          {shown.map(entry => {
+            const record = entry.after || entry.before;
+            const amount = record.totalAmount ?? record.amount;
+            return (
+              <div key={entry.id} style={styles.historyItem}>
+                <div style={styles.expenseDesc}>
+                  {entry.action === 'import' ? `${AUDIT_ACTION_LABELS.import} ${entry.label}` : (
+                    <>
+                      {AUDIT_ACTION_LABELS[entry.action]} {AUDIT_ENTITY_LABELS[entry.entity].toLowerCase()}
+                      {entry.label && ` "${entry.label}"`}
+                    </>
+                  )}
+                  {entry.action !== 'update' && typeof amount === 'number' && ` · ${formatCurrency(amount)}`}
+                </div>
+                <div style={styles.expenseDate}>
+                  {formatAuditTime(entry.at)}
+                  {entry.userEmail && ` · ${entry.userEmail}`}
+                  {entry.clientAt && new Date(entry.at) - new Date(entry.clientAt) > OFFLINE_ENTRY_MS &&
+                    ` · made offline ${formatAuditTime(entry.clientAt)}`}
+                </div>
+                {entry.action === 'update' && getAuditChanges(entry).map(change => (
+                  <div key={change.field} style={styles.historyChange}>
+                    {change.label}: {formatAuditValue(change.field, change.before, context)}
+                    {' → '}
+                    {formatAuditValue(change.field, change.after, context)}
+                  </div>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Deleted projects, categories, payments and expenses, restorable until they expire
+const TrashBin = ({ items, getBlocker, canPurge, onRestore, onPurge }) => (
+  <>
+    <div style={styles.header}>
+      <div>
+        <h1 style={styles.projectTitle}>Trash</h1>
+        <p style={styles.clientLabel}>
+          Deleted items are kept for {TRASH_RETENTION_DAYS} days. Restoring one puts back everything that was under it.
+        </p>
+      </div>
+    </div>
+
+    {items.length === 0 ? (
+      <div style={styles.emptyCard}>
+        <p>The trash is empty.</p>
+      </div>
+    ) : (
+      <div style={styles.expenseList}>
+        <div style={styles.expenseGroup}>
+          {items.map(item => {
+            const blocker = getBlocker(item);
+            return (
+              <div key={item.id} style={styles.expenseItem}>
+                <div>
+                  <div style={styles.expenseDesc}>{TRASH_KIND_LABELS[item.kind]}: {item.label}</div>
+                  <div style={styles.expenseDate}>
+                    {item.kind !== 'project' && `${item.projectName} · `}
+                    Deleted {formatDate(item.deletedAt)} · gone after {formatDate(getTrashExpiry(item))}
+                    {blocker && ` · ${blocker}`}
+                  </div>
+                </div>
+                <div style={styles.cardActions}>
+                  <button
+                    style={styles.editProjectBtn}
+                    onClick={() => onRestore(item)}
+                    disabled={Boolean(blocker)}
+                    title={blocker || 'Restore'}
+                  >
+                    Restore
+                  </button>
+                  {canPurge(item) && (
+                    <button style={styles.deleteProjectBtn} onClick={() => onPurge(item)}>
+                      Delete Forever
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    )}
+  </>
+);
+
+// Sidebar line showing whether local changes have reached the server
+const SyncIndicator = ({ status, onReviewConflicts }) => {
+  if (status.conflicts.length > 0) {
+    return (
+      <button style={{ ...styles.sidebarBtn, color: '#ef4444' }} onClick={onReviewConflicts}>
+        ⚠ {status.conflicts.length} change(s) need review
+      </button>
+    );
+  }
+
+  const label = status.pending === 0
+    ? 'All changes synced'
+    : status.isOnline
+      ? `Syncing ${status.pending} change(s)...`
+      : `Offline - ${status.pending} change(s) pending sync`;
+
+  return (
+    <div style={styles.syncStatus}>
+      <span style={{
+        ...styles.warningDot,
+        width: '8px',
+        height: '8px',
+        backgroundColor: status.pending === 0 ? '#22c55e' : status.isOnline ? '#3b82f6' : '#f59e0b'
+      }}></span>
+      {label}
+    </div>
+  );
+};
+
+// Offline changes that couldn't be applied because the server copy changed, or that
+// the server rejected. Keeping mine sends the change anyway; using the server's drops it.
+const SyncConflicts = ({ conflicts, onResolve, onClose }) => (
+  <div>
+    {conflicts.length === 0 ? (
+      <div style={styles.formGroup}>
+        <div style={styles.inputHint}>All conflicts are resolved.</div>
+      </div>
+    ) : (
+      <div style={styles.allocationSection}>
+        <div style={styles.allocationList}>
+          {conflicts.map(conflict => (
+            <div key={conflict.id} style={styles.allocationItem}>
+              <span>
+                <div>{conflict.label}</div>
+                <div style={styles.expenseDate}>
+                  {conflict.reason} · made {new Date(conflict.queuedAt).toLocaleString()}
+                </div>
+              </span>
+              <span style={styles.cardActions}>
+                <button style={styles.editProjectBtn} onClick={() => onResolve(conflict.id, 'server')}>
+                  Use Server's
+                </button>
+                <button style={styles.primaryBtn} onClick={() => onResolve(conflict.id, 'mine')}>
+                  Keep Mine
+                </button>
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+    )}
+    <div style={styles.formActions}>
+      <button type="button" style={styles.submitBtn} onClick={onClose}>Done</button>
+    </div>
+  </div>
+);
+
+// Organization members and pending invites; owners invite, change roles and remove
+const TeamMembers = ({ currentUserId, canManage, onClose }) => {
+  const [team, setTeam] = useState(null);
+  const [error, setError] = useState('');
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('project_manager');
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    const loadTeam = async () => {
+      const loaded = await db.getTeam();
+      setTeam(loaded);
+      if (!loaded) setError('Could not load the team.');
+    };
+    loadTeam();
+  }, [reloadCount]);
+
+  const runAndReload = async (action, failureMessage) => {
+    setError('');
+    if (!(await action())) {
+      setError(failureMessage);
+      return false;
+    }
+    setReloadCount(count => count + 1);
+    return true;
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (await runAndReload(() => db.inviteMember(email.trim(), role), 'Could not send the invite.')) {
+      setEmail('');
+    }
+  };
+
+  const handleRemove = (member) => {
+    if (confirm(`Remove ${member.email} from the team?`)) {
+      runAndReload(() => db.removeMember(member.userId), 'Could not remove the member.');
+    }
+  };
+
+  return (
+    <div>
+      <div style={styles.formGroup}>
+        {ROLES.map(r => (
+          <div key={r.value} style={styles.inputHint}>
+            <strong>{r.label}</strong> - {r.description}
+          </div>
+        ))}
+      </div>
+
+      <div style={styles.allocationSection}>
+        <div style={styles.allocationList}>
+          <div style={styles.allocationHeader}>Members</div>
+          {!team && !error && <div style={styles.allocationItem}>Loading...</div>}
+          {team?.members.map(member => (
+            <div key={member.userId} style={styles.allocationItem}>
+              <span>{member.email}{member.userId === currentUserId && ' (you)'}</span>
+              {canManage && member.userId !== currentUserId ? (
+                <span style={styles.cardActions}>
+                  <select
+                    style={styles.teamRoleSelect}
+                    value={member.role}
+                    onChange={e => runAndReload(
+                      () => db.updateMemberRole(member.userId, e.target.value),
+                      'Could not change the role.'
+                    )}
+                  >
+                    {ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                  </select>
+                  <button style={styles.deleteBtn} onClick={() => handleRemove(member)} title="Remove member">
+                    ×
+                  </button>
+                </span>
+              ) : (
+                <span>{getRoleLabel(member.role)}</span>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {team?.invites.length > 0 && (
+        <div style={styles.allocationSection}>
+          <div style={styles.allocationList}>
+            <div style={styles.allocationHeader}>Pending Invites</div>
+            {team.invites.map(invite => (
+              <div key={invite.id} style={styles.allocationItem}>
+                <span>{invite.email}</span>
+                <span style={styles.cardActions}>
+                  <span>{getRoleLabel(invite.role)}</span>
+                  {canManage && (
+                    <button
+                      style={styles.deleteBtn}
+                      onClick={() => runAndReload(() => db.cancelInvite(invite.id), 'Could not cancel the invite.')}
+                      title="Cancel invite"
+                    >
+                      ×
+                    </button>
+                  )}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {canManage && (
+        <form onSubmit={handleInvite}>
+          <div style={styles.formRow}>
+            <div style={{ ...styles.formGroup, flex: 2, padding: 0 }}>
+              <label style={styles.label}>Invite by Email</label>
+              <input
+                style={styles.input}
+                type="email"
+                value={email}
+                onChange={e => setEmail(e.target.value)}
+                placeholder="name@company.com"
+                required
+              />
+            </div>
+            <div style={{ ...styles.formGroup, flex: 1, padding: 0 }}>
+              <label style={styles.label}>Role</label>
+              <select style={styles.input} value={role} onChange={e => setRole(e.target.value)}>
+                {ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+              </select>
+            </div>
+          </div>
+          <div style={styles.formGroup}>
+            <div style={styles.inputHint}>
+              They join the team the next time they sign in with this email.
+            </div>
+          </div>
+          <div style={styles.formGroup}>
+            <button type="submit" style={styles.submitBtn}>Send Invite</button>
+          </div>
+        </form>
+      )}
+
+      {error && <div style={styles.formGroup}><div style={styles.formError}>{error}</div></div>}
+
+      <div style={styles.formActions}>
+        <button type="button" style={styles.submitBtn} onClick={onClose}>Done</button>
       </div>
+    </div>
+  );
+};
 
-      <div style={styles.formRow}>
-        <div style={styles.formGroup}>
-          <label style={styles.label}>Payment Method (optional)</label>
-          <select
-            style={styles.input}
-            value={paymentMethod}
-            onChange={e => setPaymentMethod(e.target.value)}
-          >
-            <option value="">-- Select --</option>
-            <option value="check">Check</option>
-            <option value="zelle">Zelle</option>
-            <option value="cash">Cash</option>
-            <option value="other">Other</option>
-          </select>
-        </div>
-        <div style={styles.formGroup}>
-          <label style={styles.label}>Reference # (optional)</label>
-          <input
-            style={styles.input}
-            value={reference}
-            onChange={e => setReference(e.target.value)}
-            placeholder="Check # or confirmation"
-          />
+const SIGN_IN_MODES = [
+  { value: 'password', label: 'Password' },
+  { value: 'magicLink', label: 'Email Link' },
+  { value: 'signUp', label: 'Create Account' }
+];
+
+const SignInScreen = () => {
+  const [mode, setMode] = useState('password');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+    setNotice('');
+
+    const trimmedEmail = email.trim();
+    const errorMessage = mode === 'magicLink'
+      ? await auth.sendMagicLink(trimmedEmail)
+      : mode === 'signUp'
+        ? await auth.signUp(trimmedEmail, password)
+        : await auth.signInWithPassword(trimmedEmail, password);
+
+    setIsSubmitting(false);
+    if (errorMessage) {
+      setError(errorMessage);
+    } else if (mode === 'magicLink') {
+      setNotice(`Check ${trimmedEmail} for a sign-in link.`);
+    } else if (mode === 'signUp') {
+      setNotice(`Check ${trimmedEmail} to confirm your account, then sign in.`);
+    }
+  };
+
+  return (
+    <div style={styles.loadingContainer}>
+      <div style={styles.signInCard}>
+        <div style={styles.logo}>
+          <span style={styles.logoIcon}>⚒</span>
+          <span style={styles.logoText}>ContractorCRM</span>
         </div>
+        <form onSubmit={handleSubmit} style={{ paddingTop: '24px' }}>
+          <div style={styles.formGroup}>
+            <div style={styles.modeToggle}>
+              {SIGN_IN_MODES.map(m => (
+                <button
+                  key={m.value}
+                  type="button"
+                  style={{
+                    ...styles.modeToggleBtn,
+                    ...(mode === m.value ? styles.modeToggleBtnActive : {})
+                  }}
+                  onClick={() => { setMode(m.value); setError(''); setNotice(''); }}
+                >
+                  {m.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Email</label>
+            <input
+              style={styles.input}
+              type="email"
+              value={email}
+              onChange={e => setEmail(e.target.value)}
+              autoComplete="email"
+              required
+            />
+          </div>
+          {mode !== 'magicLink' && (
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Password</label>
+              <input
+                style={styles.input}
+                type="password"
+                value={password}
+                onChange={e => setPassword(e.target.value)}
+                autoComplete={mode === 'signUp' ? 'new-password' : 'current-password'}
+                minLength={mode === 'signUp' ? 6 : undefined}
+                required
+              />
+            </div>
+          )}
+          {(error || notice) && (
+            <div style={styles.formGroup}>
+              {error && <div style={styles.formError}>{error}</div>}
+              {notice && <div style={styles.signInNotice}>{notice}</div>}
+            </div>
+          )}
+          <div style={styles.formActions}>
+            <button type="submit" style={styles.submitBtn} disabled={isSubmitting}>
+              {isSubmitting
+                ? 'Please wait...'
+                : mode === 'magicLink' ? 'Send Link' : mode === 'signUp' ? 'Create Account' : 'Sign In'}
+            </button>
+          </div>
+        </form>
       </div>
+    </div>
+  );
+};
 
-      <div style={styles.formActions}>
-        <button type="button" style={styles.cancelBtn} onClick={onCancel}>Cancel</button>
-        <button type="submit" style={styles.submitBtn}>Record Expense</button>
+// In Supabase mode the app needs a signed-in user; localStorage mode has no accounts
+const App = () => {
+  const [session, setSession] = useState(null);
+  const [isCheckingSession, setIsCheckingSession] = useState(auth.enabled);
+
+  useEffect(() => {
+    if (!auth.enabled) return undefined;
+    return auth.onChange(newSession => {
+      setSession(newSession);
+      setIsCheckingSession(false);
+    });
+  }, []);
+
+  if (!auth.enabled) {
+    return <ContractorCRM user={null} />;
+  }
+
+  if (isCheckingSession) {
+    return (
+      <div style={styles.loadingContainer}>
+        <div style={styles.loadingSpinner}></div>
+        <p style={styles.loadingText}>Checking your session...</p>
       </div>
-    </form>
-  );
+    );
+  }
+
+  if (!session) {
+    return <SignInScreen />;
+  }
+
+  // Remount per account so one user's data never carries over to the next
+  return <ContractorCRM key={session.user.id} user={session.user} />;
 };
 
 // Styles
@@ -1635,62 +6704,273 @@ const styles = {
     color: '#f8fafc',
     letterSpacing: '-0.5px',
   },
-  projectList: {
-    padding: '16px',
+  sidebarNav: {
+    padding: '16px 16px 0',
+  },
+  navItem: {
+    width: '100%',
+    padding: '10px 12px',
+    borderRadius: '8px',
+    border: '1px solid transparent',
+    backgroundColor: 'transparent',
+    color: '#cbd5e1',
+    fontSize: '14px',
+    fontWeight: '600',
+    textAlign: 'left',
+    cursor: 'pointer',
+  },
+  navItemActive: {
+    backgroundColor: '#334155',
+    border: '1px solid #475569',
+    color: '#f1f5f9',
+  },
+  projectList: {
+    padding: '16px',
+    flex: 1,
+    overflowY: 'auto',
+  },
+  sectionHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '12px',
+    fontSize: '11px',
+    fontWeight: '600',
+    letterSpacing: '1px',
+    color: '#64748b',
+  },
+  addBtn: {
+    width: '24px',
+    height: '24px',
+    borderRadius: '6px',
+    border: 'none',
+    backgroundColor: '#334155',
+    color: '#94a3b8',
+    fontSize: '16px',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  projectItem: {
+    padding: '12px',
+    borderRadius: '8px',
+    marginBottom: '8px',
+    cursor: 'pointer',
+    transition: 'all 0.15s ease',
+    border: '1px solid transparent',
+  },
+  projectItemActive: {
+    backgroundColor: '#334155',
+    border: '1px solid #475569',
+  },
+  projectName: {
+    fontWeight: '600',
+    fontSize: '14px',
+    color: '#f1f5f9',
+    marginBottom: '4px',
+  },
+  projectClient: {
+    fontSize: '12px',
+    color: '#64748b',
+  },
+  projectFilters: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '12px',
+  },
+  projectFilterSelect: {
+    flex: 1,
+    padding: '6px 8px',
+    borderRadius: '6px',
+    border: '1px solid #334155',
+    backgroundColor: '#0f172a',
+    color: '#e2e8f0',
+    fontSize: '12px',
+  },
+  projectFilterToggle: {
+    fontSize: '12px',
+    color: '#94a3b8',
+    whiteSpace: 'nowrap',
+  },
+  projectGroupLabel: {
+    margin: '12px 0 6px',
+    fontSize: '11px',
+    fontWeight: '600',
+    color: '#64748b',
+    textTransform: 'uppercase',
+  },
+  emptyState: {
+    padding: '24px',
+    textAlign: 'center',
+    color: '#64748b',
+    fontSize: '13px',
+    lineHeight: 1.6,
+  },
+  sidebarFooter: {
+    padding: '16px',
+    borderTop: '1px solid #334155',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+  },
+  sidebarBtn: {
+    padding: '8px 12px',
+    borderRadius: '8px',
+    border: '1px solid #334155',
+    backgroundColor: 'transparent',
+    color: '#94a3b8',
+    fontSize: '13px',
+    textAlign: 'left',
+    cursor: 'pointer',
+  },
+  accountMenu: {
+    padding: '16px',
+    borderTop: '1px solid #334155',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+  },
+  historyFilters: {
+    display: 'flex',
+    gap: '8px',
+  },
+  historyFilter: {
+    padding: '8px 10px',
+    borderRadius: '8px',
+    border: '1px solid #334155',
+    backgroundColor: '#0f172a',
+    color: '#f1f5f9',
+    fontSize: '13px',
+  },
+  historyItem: {
+    padding: '12px 0',
+    borderBottom: '1px solid #334155',
+  },
+  historyChange: {
+    fontSize: '13px',
+    color: '#cbd5e1',
+    marginTop: '4px',
+  },
+  attachmentThumbs: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    marginTop: '8px',
+  },
+  attachmentThumb: {
+    width: '40px',
+    height: '40px',
+    borderRadius: '6px',
+    border: '1px solid #334155',
+    backgroundColor: '#0f172a',
+    color: '#94a3b8',
+    fontSize: '10px',
+    fontWeight: '600',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    overflow: 'hidden',
+    textDecoration: 'none',
+    flexShrink: 0,
+  },
+  attachmentImage: {
+    width: '100%',
+    height: '100%',
+    objectFit: 'cover',
+  },
+  attachmentRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '8px',
+  },
+  attachmentName: {
     flex: 1,
-    overflowY: 'auto',
+    fontSize: '13px',
+    color: '#cbd5e1',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
   },
-  sectionHeader: {
+  undoRow: {
+    display: 'flex',
+    gap: '8px',
+    marginTop: '8px',
+  },
+  toast: {
+    position: 'fixed',
+    bottom: '24px',
+    left: '50%',
+    transform: 'translateX(-50%)',
     display: 'flex',
-    justifyContent: 'space-between',
     alignItems: 'center',
-    marginBottom: '12px',
-    fontSize: '11px',
-    fontWeight: '600',
-    letterSpacing: '1px',
-    color: '#64748b',
+    gap: '16px',
+    padding: '12px 16px',
+    borderRadius: '8px',
+    border: '1px solid #475569',
+    backgroundColor: '#1e293b',
+    color: '#f1f5f9',
+    fontSize: '14px',
+    boxShadow: '0 10px 25px rgba(0, 0, 0, 0.4)',
+    zIndex: 1100,
   },
-  addBtn: {
-    width: '24px',
-    height: '24px',
+  toastBtn: {
+    padding: '4px 12px',
     borderRadius: '6px',
     border: 'none',
-    backgroundColor: '#334155',
+    backgroundColor: '#3b82f6',
+    color: 'white',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  toastClose: {
+    border: 'none',
+    backgroundColor: 'transparent',
     color: '#94a3b8',
-    fontSize: '16px',
+    fontSize: '18px',
     cursor: 'pointer',
+  },
+  syncStatus: {
     display: 'flex',
     alignItems: 'center',
-    justifyContent: 'center',
-  },
-  projectItem: {
-    padding: '12px',
-    borderRadius: '8px',
-    marginBottom: '8px',
-    cursor: 'pointer',
-    transition: 'all 0.15s ease',
-    border: '1px solid transparent',
+    gap: '8px',
+    fontSize: '12px',
+    color: '#94a3b8',
   },
-  projectItemActive: {
-    backgroundColor: '#334155',
-    border: '1px solid #475569',
+  accountRole: {
+    fontSize: '12px',
+    color: '#94a3b8',
   },
-  projectName: {
-    fontWeight: '600',
-    fontSize: '14px',
+  teamRoleSelect: {
+    padding: '4px 8px',
+    borderRadius: '6px',
+    border: '1px solid #334155',
+    backgroundColor: '#0f172a',
     color: '#f1f5f9',
-    marginBottom: '4px',
+    fontSize: '12px',
   },
-  projectClient: {
+  accountEmail: {
     fontSize: '12px',
     color: '#64748b',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
   },
-  emptyState: {
-    padding: '24px',
-    textAlign: 'center',
-    color: '#64748b',
+  signInCard: {
+    backgroundColor: '#1e293b',
+    borderRadius: '16px',
+    width: '100%',
+    maxWidth: '400px',
+    border: '1px solid #334155',
+    boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)',
+  },
+  signInNotice: {
+    marginTop: '8px',
     fontSize: '13px',
-    lineHeight: 1.6,
+    color: '#10b981',
   },
   main: {
     flex: 1,
@@ -1714,6 +6994,19 @@ const styles = {
     fontSize: '14px',
     color: '#64748b',
   },
+  headerActions: {
+    display: 'flex',
+    gap: '8px',
+  },
+  editProjectBtn: {
+    padding: '8px 16px',
+    borderRadius: '8px',
+    border: '1px solid #475569',
+    backgroundColor: 'transparent',
+    color: '#cbd5e1',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
   deleteProjectBtn: {
     padding: '8px 16px',
     borderRadius: '8px',
@@ -1845,6 +7138,24 @@ const styles = {
     alignItems: 'center',
     justifyContent: 'center',
   },
+  editBtn: {
+    width: '28px',
+    height: '28px',
+    borderRadius: '6px',
+    border: 'none',
+    backgroundColor: 'transparent',
+    color: '#64748b',
+    fontSize: '15px',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cardActions: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+  },
   warningBadge: {
     padding: '8px 12px',
     borderRadius: '6px',
@@ -1866,6 +7177,16 @@ const styles = {
     fontWeight: '600',
     color: '#f1f5f9',
   },
+  originalAmount: {
+    fontWeight: '400',
+    color: '#64748b',
+    textDecoration: 'line-through',
+  },
+  changeOrderNote: {
+    fontSize: '12px',
+    color: '#93c5fd',
+    marginBottom: '12px',
+  },
   divider: {
     height: '1px',
     backgroundColor: '#334155',
@@ -2005,6 +7326,159 @@ const styles = {
     fontWeight: '600',
     color: '#f59e0b',
   },
+  releaseBtn: {
+    width: '100%',
+    marginTop: '12px',
+    padding: '8px 12px',
+    borderRadius: '8px',
+    border: '1px solid #166534',
+    backgroundColor: 'transparent',
+    color: '#22c55e',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+  // Cash-flow forecast
+  forecastRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '8px 0',
+    borderBottom: '1px solid #334155',
+    fontSize: '13px',
+  },
+  forecastRowAlert: {
+    backgroundColor: '#450a0a',
+  },
+  forecastWeek: {
+    width: '220px',
+    color: '#cbd5e1',
+  },
+  forecastAmount: {
+    width: '110px',
+    textAlign: 'right',
+  },
+  forecastBarTrack: {
+    position: 'relative',
+    flex: 1,
+    height: '12px',
+  },
+  forecastBar: {
+    position: 'absolute',
+    top: 0,
+    height: '12px',
+    borderRadius: '3px',
+  },
+  // Estimates
+  estimateFieldset: {
+    border: 'none',
+    padding: 0,
+    margin: 0,
+    minWidth: 0,
+  },
+  estimateGroupHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    marginBottom: '12px',
+  },
+  estimateLineRow: {
+    display: 'grid',
+    gridTemplateColumns: 'minmax(160px, 3fr) 70px 80px 100px 80px 110px 110px 28px',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '6px 0',
+    fontSize: '13px',
+  },
+  estimateInput: {
+    width: '100%',
+    padding: '8px',
+    borderRadius: '6px',
+    border: '1px solid #334155',
+    backgroundColor: '#0f172a',
+    color: '#f1f5f9',
+    fontSize: '13px',
+    boxSizing: 'border-box',
+  },
+  estimateGroupFooter: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: '12px',
+    color: '#cbd5e1',
+  },
+  proposalPreview: {
+    width: '100%',
+    height: '420px',
+    border: '1px solid #334155',
+    borderRadius: '8px',
+    backgroundColor: '#ffffff',
+    marginBottom: '16px',
+  },
+  signaturePad: {
+    display: 'block',
+    width: '100%',
+    height: '160px',
+    borderRadius: '8px',
+    border: '1px dashed #475569',
+    backgroundColor: '#ffffff',
+    touchAction: 'none',
+    cursor: 'crosshair',
+    marginBottom: '6px',
+  },
+  // Portfolio dashboard
+  dashboardProject: {
+    flex: 1,
+    minWidth: 0,
+  },
+  dashboardHealth: {
+    width: '160px',
+    justifyContent: 'flex-end',
+    textAlign: 'right',
+    marginBottom: 0,
+  },
+  // Vendor directory
+  vendorSummaryGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(3, 1fr)',
+    gap: '16px',
+    marginBottom: '32px',
+  },
+  backLink: {
+    padding: 0,
+    marginBottom: '8px',
+    border: 'none',
+    backgroundColor: 'transparent',
+    color: '#94a3b8',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+  // Change orders tab
+  changeOrderSummary: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '16px',
+    fontSize: '12px',
+    color: '#94a3b8',
+    marginBottom: '8px',
+  },
+  approveBtn: {
+    padding: '6px 12px',
+    borderRadius: '6px',
+    border: '1px solid #166534',
+    backgroundColor: 'transparent',
+    color: '#22c55e',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
+  rejectBtn: {
+    padding: '6px 12px',
+    borderRadius: '6px',
+    border: '1px solid #7f1d1d',
+    backgroundColor: 'transparent',
+    color: '#fca5a5',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
   noProjectSelected: {
     display: 'flex',
     flexDirection: 'column',
@@ -2038,6 +7512,11 @@ const styles = {
     border: '1px solid #334155',
     boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)',
   },
+  modalWide: {
+    maxWidth: '820px',
+    maxHeight: '90vh',
+    overflowY: 'auto',
+  },
   modalHeader: {
     display: 'flex',
     justifyContent: 'space-between',
@@ -2128,6 +7607,12 @@ const styles = {
     alignItems: 'center',
     padding: '8px 0',
   },
+  allocationSuggestRow: {
+    display: 'flex',
+    gap: '8px',
+    alignItems: 'center',
+    marginBottom: '12px',
+  },
   allocationCatName: {
     fontSize: '14px',
     color: '#e2e8f0',
@@ -2141,6 +7626,58 @@ const styles = {
     fontWeight: '500',
     textAlign: 'center',
   },
+  // Import wizard
+  formError: {
+    marginTop: '8px',
+    fontSize: '12px',
+    color: '#ef4444',
+  },
+  importPreview: {
+    maxHeight: '360px',
+    overflowY: 'auto',
+    border: '1px solid #334155',
+    borderRadius: '8px',
+  },
+  importTable: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '12px',
+  },
+  importTh: {
+    position: 'sticky',
+    top: 0,
+    padding: '8px',
+    textAlign: 'left',
+    backgroundColor: '#0f172a',
+    color: '#64748b',
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+  },
+  importTd: {
+    padding: '8px',
+    borderTop: '1px solid #334155',
+    color: '#e2e8f0',
+    verticalAlign: 'top',
+  },
+  // Backup restore summary
+  restoreProjectName: {
+    fontSize: '12px',
+    color: '#94a3b8',
+    padding: '2px 0 2px 12px',
+  },
+  // Export modal
+  exportOptions: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px',
+  },
+  // Invoice continuation sheet columns
+  invoiceCol: {
+    width: '110px',
+    textAlign: 'right',
+    fontSize: '13px',
+  },
   // Mode toggle styles
   modeToggle: {
     display: 'flex',
@@ -2167,6 +7704,30 @@ const styles = {
     color: '#f1f5f9',
   },
   // Warning dot indicator
+  totalsPreview: {
+    marginTop: '12px',
+    padding: '10px 12px',
+    backgroundColor: '#0f172a',
+    borderRadius: '6px',
+    fontSize: '13px',
+  },
+  totalsPreviewHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    color: '#e2e8f0',
+    fontWeight: '500',
+    marginBottom: '6px',
+  },
+  totalsPreviewRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    color: '#cbd5e1',
+    padding: '2px 0',
+  },
+  totalsPreviewBefore: {
+    color: '#64748b',
+  },
   warningDot: {
     width: '10px',
     height: '10px',
@@ -2318,4 +7879,4 @@ const styles = {
   },
 };
 
-export default ContractorCRM;
+export default App;
@@ -0,0 +1,55 @@
+// Receipts, check stubs and sub invoices attached to expenses and payments.
+// Records keep each attachment's details; the file itself is stored by the db layer
+// (IndexedDB on this device, plus Supabase Storage when configured).
+
+export const ATTACHMENT_ACCEPT = 'image/*,application/pdf';
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+export const isImageAttachment = (attachment) => attachment.type.startsWith('image/');
+
+// Why a file can't be attached, or null
+export const getAttachmentError = (file) => {
+  if (!file.type.startsWith('image/') && file.type !== 'application/pdf') {
+    return `${file.name} is not an image or PDF`;
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return `${file.name} is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`;
+  }
+  return null;
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Every attachment in a project, category, payment or expense, including those of the
+// records under it
+export const getRecordAttachments = (kind, record) => {
+  if (kind === 'project') {
+    return [
+      ...record.categories.flatMap(category => getRecordAttachments('category', category)),
+      ...record.payments.flatMap(payment => payment.attachments || [])
+    ];
+  }
+  if (kind === 'category') {
+    return record.expenses.flatMap(expense => expense.attachments || []);
+  }
+  return record.attachments || [];
+};
+
+// Projects with a url on each attachment that has a link ({ [attachmentId]: url }),
+// for exports
+export const withAttachmentLinks = (projects, links) => {
+  const link = (attachments) => (attachments || []).map(a => ({ ...a, url: links[a.id] || null }));
+
+  return projects.map(project => ({
+    ...project,
+    categories: project.categories.map(category => ({
+      ...category,
+      expenses: category.expenses.map(expense => ({ ...expense, attachments: link(expense.attachments) }))
+    })),
+    payments: project.payments.map(payment => ({ ...payment, attachments: link(payment.attachments) }))
+  }));
+};
@@ -0,0 +1,138 @@
+// Activity log of changes to a project's money records, and to the organization's
+// vendors (logged with no projectId). Entries are only ever added; each keeps the
+// record as it was before and after the change.
+
+export const AUDIT_ENTITY_LABELS = {
+  project: 'Project',
+  category: 'Category',
+  payment: 'Client payment',
+  expense: 'Expense',
+  changeOrder: 'Change order',
+  invoice: 'Invoice',
+  draw: 'Draw',
+  forecastItem: 'Expected item',
+  vendor: 'Vendor'
+};
+
+export const AUDIT_ACTION_LABELS = {
+  create: 'Added',
+  update: 'Edited',
+  delete: 'Deleted',
+  restore: 'Restored',
+  import: 'Imported'
+};
+
+// Child records are logged on their own, so snapshots leave them out
+const CHILD_FIELDS = {
+  project: ['categories', 'payments', 'invoices', 'forecastItems', 'drawSchedule'],
+  category: ['allocations', 'expenses', 'changeOrders']
+};
+
+const FIELD_LABELS = {
+  name: 'Name',
+  clientName: 'Client',
+  retainagePercent: 'Retainage %',
+  startDate: 'Start date',
+  targetDate: 'Target date',
+  completedDate: 'Completed',
+  mode: 'Mode',
+  totalBudget: 'Budget',
+  totalCost: 'Cost',
+  laborBudget: 'Labor budget',
+  laborCost: 'Labor cost',
+  materialsBudget: 'Materials budget',
+  totalAmount: 'Amount',
+  amount: 'Amount',
+  date: 'Date',
+  description: 'Description',
+  type: 'Type',
+  paymentMethod: 'Method',
+  reference: 'Reference',
+  vendorId: 'Vendor',
+  notes: 'Notes',
+  status: 'Status',
+  allocations: 'Allocations',
+  retainage: 'Retainage',
+  budgetDelta: 'Budget change',
+  costDelta: 'Cost change',
+  laborBudgetDelta: 'Labor budget change',
+  laborCostDelta: 'Labor cost change',
+  materialsBudgetDelta: 'Materials budget change',
+  lines: 'Lines',
+  attachments: 'Attachments',
+  proposal: 'Proposal',
+  basis: 'Basis',
+  percent: 'Percent',
+  dueDate: 'Due date',
+  split: 'Split',
+  paymentId: 'Payment',
+  kind: 'Kind',
+  categoryId: 'Category',
+  trade: 'Trade',
+  phone: 'Phone',
+  email: 'Email',
+  taxId: 'Tax ID',
+  insuranceExpiry: 'Insurance expires'
+};
+
+const snapshot = (entity, record) => {
+  if (!record) return null;
+  const copy = { ...record };
+  (CHILD_FIELDS[entity] || []).forEach(field => delete copy[field]);
+  // The drawn signature is kept on the project, not repeated in every entry
+  if (copy.proposal?.signature) {
+    const { image: _image, ...signature } = copy.proposal.signature;
+    copy.proposal = { ...copy.proposal, signature };
+  }
+  return copy;
+};
+
+const describe = (entity, record) => {
+  if (entity === 'payment') return `${record.reference ? `#${record.reference} · ` : ''}${record.date}`;
+  if (entity === 'invoice') return `#${record.number}`;
+  return record.name || record.description || '';
+};
+
+// Count of an import ({ id, amount, records }), e.g. "12 expenses from CSV"
+const describeImport = (entity, { records }) => (
+  `${records.length} ${AUDIT_ENTITY_LABELS[entity].toLowerCase()}${records.length === 1 ? '' : 's'} from CSV`
+);
+
+// Entry for one change. before is null for a new record, after for a deleted one; an
+// import logs every record it added in one entry.
+export const buildAuditEntry = ({ id, projectId, entity, action, before = null, after = null }) => ({
+  id,
+  at: new Date().toISOString(),
+  projectId,
+  entity,
+  entityId: (after || before).id,
+  action,
+  label: action === 'import' ? describeImport(entity, after) : describe(entity, after || before),
+  before: snapshot(entity, before),
+  after: snapshot(entity, after)
+});
+
+// Fields that differ between before and after: [{ field, label, before, after }]
+export const getAuditChanges = (entry) => {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => field !== 'id' && JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+  return fields.map(field => ({
+    field,
+    label: FIELD_LABELS[field] || field,
+    before: before[field],
+    after: after[field]
+  }));
+};
+
+// Newest first, limited to an entity type ('' for all) and an inclusive
+// { from, to } date range (YYYY-MM-DD)
+export const filterAuditEntries = (entries, { entity = '', from = '', to = '' } = {}) => entries
+  .filter(entry => !entity || entry.entity === entity)
+  .filter(entry => {
+    const day = new Date(entry.at).toLocaleDateString('en-CA'); // local YYYY-MM-DD
+    return (!from || day >= from) && (!to || day <= to);
+  })
+  .sort((a, b) => new Date(b.at) - new Date(a.at));
@@ -0,0 +1,44 @@
+// Supabase Auth wrapper. Only used in Supabase mode; localStorage mode has no accounts.
+// Actions resolve to an error message, or null on success.
+import { supabase } from './supabase';
+
+const errorMessage = (error) => (error ? error.message : null);
+
+export const auth = {
+  enabled: Boolean(supabase),
+
+  // Calls back with the current session (or null) right away, then again on sign-in,
+  // sign-out and token refresh.
+  // Returns an unsubscribe function.
+  onChange(callback) {
+    const { data } = supabase.auth.onAuthStateChange((_event, session) => callback(session));
+    return () => data.subscription.unsubscribe();
+  },
+
+  async signInWithPassword(email, password) {
+    const { error } = await supabase.auth.signInWithPassword({ email, password });
+    return errorMessage(error);
+  },
+
+  async signUp(email, password) {
+    const { error } = await supabase.auth.signUp({
+      email,
+      password,
+      options: { emailRedirectTo: window.location.origin }
+    });
+    return errorMessage(error);
+  },
+
+  async sendMagicLink(email) {
+    const { error } = await supabase.auth.signInWithOtp({
+      email,
+      options: { emailRedirectTo: window.location.origin }
+    });
+    return errorMessage(error);
+  },
+
+  async signOut() {
+    const { error } = await supabase.auth.signOut();
+    return errorMessage(error);
+  }
+};
@@ -0,0 +1,122 @@
+import { downloadFile } from './download';
+import { SCHEMA_VERSION, migrateData } from './supabase';
+
+// Full JSON backup and restore of the data store
+
+export const BACKUP_APP_ID = 'contractor-crm';
+
+// Backup document for the whole store: { projects, vendors, estimates, templates }
+export const buildBackup = (store) => ({
+  app: BACKUP_APP_ID,
+  schemaVersion: SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  ...store
+});
+
+// Trigger a browser download of the backup file
+export const downloadBackup = (store) => {
+  const backup = buildBackup(store);
+  downloadFile(
+    `contractor-crm-backup-${backup.exportedAt.split('T')[0]}.json`,
+    JSON.stringify(backup, null, 2),
+    'application/json'
+  );
+};
+
+// Parse and validate a backup file, migrating older schemas.
+// Returns { backup, error } - backup is null when the file can't be used.
+export const parseBackup = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { backup: null, error: 'This file is not valid JSON.' };
+  }
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.projects)) {
+    return { backup: null, error: 'This file is not a ContractorCRM backup (no projects list).' };
+  }
+  if (data.app && data.app !== BACKUP_APP_ID) {
+    return { backup: null, error: `This backup was made by "${data.app}", not ContractorCRM.` };
+  }
+
+  const version = data.schemaVersion || 1;
+  if (version > SCHEMA_VERSION) {
+    return {
+      backup: null,
+      error: `This backup uses schema v${version}, newer than this app (v${SCHEMA_VERSION}). Update the app first.`
+    };
+  }
+  if (data.projects.length === 0) {
+    return { backup: null, error: 'This backup contains no projects.' };
+  }
+
+  const invalid = data.projects.find(p =>
+    !p || p.id === undefined || typeof p.name !== 'string' ||
+    !Array.isArray(p.categories) || !Array.isArray(p.payments)
+  );
+  if (invalid) {
+    return { backup: null, error: `Project "${invalid?.name || invalid?.id || '?'}" is missing required fields.` };
+  }
+
+  // Backups made before estimates and templates were included have no list for them;
+  // restoring those leaves the current ones alone
+  if (data.estimates !== undefined) {
+    if (!Array.isArray(data.estimates)) {
+      return { backup: null, error: 'The estimates in this backup are not a list.' };
+    }
+    const invalidEstimate = data.estimates.find(e =>
+      !e || e.id === undefined || typeof e.name !== 'string' || !Array.isArray(e.groups)
+    );
+    if (invalidEstimate) {
+      return { backup: null, error: `Estimate "${invalidEstimate?.name || invalidEstimate?.id || '?'}" is missing required fields.` };
+    }
+  }
+  if (data.templates !== undefined) {
+    if (!Array.isArray(data.templates)) {
+      return { backup: null, error: 'The templates in this backup are not a list.' };
+    }
+    const invalidTemplate = data.templates.find(t =>
+      !t || t.id === undefined || typeof t.name !== 'string' || !Array.isArray(t.categories)
+    );
+    if (invalidTemplate) {
+      return { backup: null, error: `Template "${invalidTemplate?.name || invalidTemplate?.id || '?'}" is missing required fields.` };
+    }
+  }
+
+  const backup = migrateData({ ...data, projects: data.projects.map(p => ({ ...p })) });
+  return {
+    backup: {
+      ...backup,
+      // Estimates from before proposals have no terms of their own
+      estimates: data.estimates?.map(e => ({ ...e, terms: e.terms ?? null })) ?? null,
+      templates: data.templates?.map(t => ({ ...t, basis: t.basis || 'none' })) ?? null,
+      originalSchemaVersion: version
+    },
+    error: null
+  };
+};
+
+// What restoring would do: projects added, replaced (same id) and, for a full
+// replace, removed from the current data
+export const diffBackup = (currentProjects, backupProjects) => {
+  const currentIds = new Set(currentProjects.map(p => p.id));
+  const backupIds = new Set(backupProjects.map(p => p.id));
+
+  return {
+    added: backupProjects.filter(p => !currentIds.has(p.id)),
+    replaced: backupProjects.filter(p => currentIds.has(p.id)),
+    removed: currentProjects.filter(p => !backupIds.has(p.id))
+  };
+};
+
+// Records (projects, vendors, estimates, templates) after restoring in 'merge' or 'replace' mode
+export const restoreRecords = (currentRecords, backupRecords, mode) => {
+  if (mode === 'replace') return backupRecords;
+
+  const currentIds = new Set(currentRecords.map(r => r.id));
+  return [
+    ...currentRecords.map(r => backupRecords.find(incoming => incoming.id === r.id) || r),
+    ...backupRecords.filter(r => !currentIds.has(r.id))
+  ];
+};
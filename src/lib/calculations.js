@@ -0,0 +1,223 @@
+// Budget, collection and warning calculations shared across views
+
+// Sum a delta field across a category's approved change orders
+const sumApprovedChangeOrders = (category, field) =>
+  (category.changeOrders || [])
+    .filter(co => co.status === 'approved')
+    .reduce((sum, co) => sum + (co[field] || 0), 0);
+
+// Sum a field across allocations or expenses
+const sumField = (items, field) => (items || []).reduce((sum, item) => sum + (item[field] || 0), 0);
+
+// Labor expense: labor-typed in separate mode, anything in all-inclusive mode
+// (the sub supplies labor and materials for one price)
+export const isLaborExpense = (category, expense) => (
+  category.mode === 'separate' ? expense.type === 'labor' : true
+);
+
+// Retainage percentage for a category: its own override, else the project default
+export const getRetainagePercent = (project, category) =>
+  category?.retainagePercent ?? project?.retainagePercent ?? 0;
+
+// Retainage withheld behind a net (cash) amount, to the cent:
+// receiving $9,000 at 10% retainage means $1,000 of the $10,000 billed was held back
+export const getRetainageWithheld = (netAmount, percent) => {
+  if (!netAmount || !percent || percent >= 100) return 0;
+  return Math.round(netAmount * percent / (100 - percent) * 100) / 100;
+};
+
+// Retainage still held back from each sub on a category's labor expenses:
+// [{ vendorId, amount }] (vendorId is null for expenses with no vendor picked)
+export const getRetainagePayableByVendor = (category) => {
+  const byVendor = new Map();
+  (category.expenses || [])
+    .filter(expense => isLaborExpense(category, expense))
+    .forEach(expense => {
+      const vendorId = expense.vendorId ?? null;
+      byVendor.set(vendorId, (byVendor.get(vendorId) || 0) + (expense.retainage || 0));
+    });
+
+  return [...byVendor.entries()]
+    .map(([vendorId, amount]) => ({ vendorId, amount: Math.round(amount * 100) / 100 }))
+    .filter(row => row.amount > 0);
+};
+
+// Warning level calculation
+// Retainage we hold back from subs isn't due until the category is released
+export const getWarningLevel = (buffer, remainingToPay, retainagePayable = 0) => {
+  const dueToSubs = remainingToPay - retainagePayable;
+  if (dueToSubs <= 0) return 'green'; // All paid, no risk
+  const threshold = dueToSubs * 0.20;
+  if (buffer < 0) return 'red';      // SHORTFALL
+  if (buffer <= threshold) return 'yellow';  // Low buffer
+  return 'green';  // Healthy buffer
+};
+
+// Calculate totals for a category (supports both modes)
+// Budgets and costs are revised by approved change orders.
+// Buffers leave out retainage on both sides: what the client holds back can't
+// fund subs now, and what we hold back from subs isn't owed until release.
+export const getCategoryTotals = (category) => {
+  const mode = category.mode || 'all-inclusive';
+  const changeOrders = category.changeOrders || [];
+  const approvedChangeOrders = changeOrders.filter(co => co.status === 'approved').length;
+  const pendingChangeOrders = changeOrders.filter(co => co.status === 'pending').length;
+
+  if (mode === 'separate') {
+    // Separate mode: Labor + Materials
+    const laborCollected = category.allocations?.reduce((sum, a) => sum + (a.laborAmount || 0), 0) || 0;
+    const materialsCollected = category.allocations?.reduce((sum, a) => sum + (a.materialsAmount || 0), 0) || 0;
+    const laborPaid = category.expenses?.filter(e => e.type === 'labor').reduce((sum, e) => sum + e.amount, 0) || 0;
+    const materialsPaid = category.expenses?.filter(e => e.type === 'materials').reduce((sum, e) => sum + e.amount, 0) || 0;
+
+    const originalLaborBudget = category.laborBudget || 0;
+    const originalLaborCost = category.laborCost || 0;
+    const originalMaterialsBudget = category.materialsBudget || 0;
+
+    const laborBudget = originalLaborBudget + sumApprovedChangeOrders(category, 'laborBudgetDelta');
+    const laborCost = originalLaborCost + sumApprovedChangeOrders(category, 'laborCostDelta');
+    const materialsBudget = originalMaterialsBudget + sumApprovedChangeOrders(category, 'materialsBudgetDelta');
+
+    const laborRetainageReceivable = sumField(category.allocations, 'laborRetainage');
+    const materialsRetainageReceivable = sumField(category.allocations, 'materialsRetainage');
+    const laborRetainagePayable = sumField(category.expenses?.filter(e => e.type === 'labor'), 'retainage');
+
+    const laborRemainingToCollect = laborBudget - laborCollected;
+    const laborRemainingToPay = laborCost - laborPaid;
+    const laborBuffer = (laborRemainingToCollect - laborRetainageReceivable) -
+      (laborRemainingToPay - laborRetainagePayable);
+
+    const materialsRemainingToCollect = materialsBudget - materialsCollected;
+    const materialsRemainingToPay = materialsBudget - materialsPaid; // Materials: budget = cost (pass-through)
+
+    const retainageReceivable = laborRetainageReceivable + materialsRetainageReceivable;
+
+    return {
+      mode: 'separate',
+      // Original vs. revised (after approved change orders)
+      originalLaborBudget,
+      originalLaborCost,
+      originalMaterialsBudget,
+      laborBudget,
+      laborCost,
+      materialsBudget,
+      approvedChangeOrders,
+      pendingChangeOrders,
+      // Labor metrics
+      laborCollected,
+      laborPaid,
+      laborRemainingToCollect,
+      laborRemainingToPay,
+      laborBuffer,
+      laborWarningLevel: getWarningLevel(laborBuffer, laborRemainingToPay, laborRetainagePayable),
+      laborProfit: laborBudget - laborCost, // Projected profit from labor
+      // Materials metrics (pass-through, no profit margin)
+      materialsCollected,
+      materialsPaid,
+      materialsRemainingToCollect,
+      materialsRemainingToPay,
+      // Retainage held by the client (receivable) and held back from subs (payable)
+      laborRetainageReceivable,
+      materialsRetainageReceivable,
+      retainageReceivable,
+      retainagePayable: laborRetainagePayable,
+      // Everything billed and all sub work paid - only retainage is left to settle
+      workComplete: laborBudget + materialsBudget > 0 &&
+        laborCollected + materialsCollected + retainageReceivable >= laborBudget + materialsBudget &&
+        laborPaid + laborRetainagePayable >= laborCost,
+      // Combined totals for project-level calculations
+      totalCollected: laborCollected + materialsCollected,
+      totalPaid: laborPaid + materialsPaid,
+      totalBudget: laborBudget + materialsBudget,
+      totalCost: laborCost + materialsBudget, // Materials are pass-through
+      projectedProfit: laborBudget - laborCost, // Only labor has margin
+      currentProfit: (laborCollected + materialsCollected) - (laborPaid + materialsPaid)
+    };
+  } else {
+    // All-inclusive mode (default, also handles migrated data)
+    const originalBudget = category.totalBudget ?? category.clientBudget ?? 0;
+    const originalCost = category.totalCost ?? category.yourCost ?? 0;
+
+    const budget = originalBudget + sumApprovedChangeOrders(category, 'budgetDelta');
+    const cost = originalCost + sumApprovedChangeOrders(category, 'costDelta');
+
+    const collected = category.allocations?.reduce((sum, a) => sum + (a.amount || 0), 0) || 0;
+    const paid = category.expenses?.reduce((sum, e) => sum + e.amount, 0) || 0;
+
+    const retainageReceivable = sumField(category.allocations, 'retainage');
+    const retainagePayable = sumField(category.expenses, 'retainage');
+
+    const remainingToCollect = budget - collected;
+    const remainingToPay = cost - paid;
+    const buffer = (remainingToCollect - retainageReceivable) - (remainingToPay - retainagePayable);
+
+    return {
+      mode: 'all-inclusive',
+      originalBudget,
+      originalCost,
+      approvedChangeOrders,
+      pendingChangeOrders,
+      budget,
+      cost,
+      collected,
+      paid,
+      remainingToCollect,
+      remainingToPay,
+      buffer,
+      warningLevel: getWarningLevel(buffer, remainingToPay, retainagePayable),
+      retainageReceivable,
+      retainagePayable,
+      workComplete: budget > 0 && collected + retainageReceivable >= budget && paid + retainagePayable >= cost,
+      projectedProfit: budget - cost,
+      currentMargin: collected - paid,
+      // For backward compatibility with old code
+      clientPaid: collected,
+      youPaid: paid,
+      remaining: remainingToCollect,
+      yourRemaining: remainingToPay,
+      profit: collected - paid,
+      // For project totals
+      totalCollected: collected,
+      totalPaid: paid,
+      totalBudget: budget,
+      totalCost: cost
+    };
+  }
+};
+
+// Totals across a project's categories, with how many are at each warning level
+// (separate-mode categories are judged on labor, where the margin is)
+export const getProjectTotals = (project) => {
+  let totalBudget = 0;
+  let totalCost = 0;
+  let totalPaid = 0;
+  let totalSpent = 0;
+  let shortfall = 0;
+  const categoryHealth = { green: 0, yellow: 0, red: 0 };
+
+  (project?.categories || []).forEach(cat => {
+    const totals = getCategoryTotals(cat);
+
+    totalBudget += totals.totalBudget || 0;
+    totalCost += totals.totalCost || 0;
+    totalPaid += totals.totalCollected || 0;
+    totalSpent += totals.totalPaid || 0;
+
+    const buffer = totals.mode === 'separate' ? totals.laborBuffer : totals.buffer;
+    const warningLevel = totals.mode === 'separate' ? totals.laborWarningLevel : totals.warningLevel;
+    if (warningLevel === 'red') shortfall += Math.min(buffer, 0);
+    categoryHealth[warningLevel]++;
+  });
+
+  return {
+    totalBudget,
+    totalCost,
+    totalPaid,
+    totalSpent,
+    projectedProfit: totalBudget - totalCost,
+    currentProfit: totalPaid - totalSpent,
+    // Sum of the red categories' negative buffers (0 or less)
+    shortfall,
+    categoryHealth
+  };
+};
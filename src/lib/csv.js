@@ -0,0 +1,75 @@
+import { downloadFile } from './download';
+
+// CSV helpers for exports and imports
+
+// Quote a value when needed; text that a spreadsheet would treat as a formula is prefixed with '
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Build CSV text from row objects; columns are [{ key, label }]
+export const toCsv = (rows, columns) => {
+  const header = columns.map(col => escapeCsvValue(col.label)).join(',');
+  const body = rows.map(row =>
+    columns.map(col => escapeCsvValue(row[col.key])).join(',')
+  );
+  return [header, ...body].join('\r\n');
+};
+
+// Trigger a browser download of CSV text
+export const downloadCsv = (filename, csv) => {
+  downloadFile(filename, csv, 'text/csv;charset=utf-8');
+};
+
+// Parse CSV text into an array of rows (arrays of strings); handles quoted fields,
+// escaped quotes, and commas/newlines inside quotes. Blank lines are dropped.
+export const parseCsv = (csvText) => {
+  const text = csvText.replace(/^\uFEFF/, ''); // Excel byte-order mark
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
@@ -0,0 +1,64 @@
+import { getCategoryTotals, getProjectTotals, getRetainagePercent } from './calculations';
+
+// Draw schedule: the contract's billing milestones (deposit, rough-in, completion...).
+// Stored on each project as drawSchedule: [{ id, name, basis, percent, amount, dueDate,
+// split, paymentId }] where basis is 'percent' (of the contract total) or 'amount',
+// split is [{ categoryId, percent }] of the draw per category, and paymentId links
+// the client payment recorded against the draw.
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+export const getContractTotal = (project) => getProjectTotals(project).totalBudget;
+
+export const getDrawAmount = (project, draw) => (draw.basis === 'percent'
+  ? roundCents(getContractTotal(project) * (Number(draw.percent) || 0) / 100)
+  : Number(draw.amount) || 0);
+
+// Split in proportion to each category's client budget (evenly when there are none)
+export const getBudgetSplit = (categories) => {
+  const budgets = categories.map(category => getCategoryTotals(category).totalBudget);
+  const total = budgets.reduce((sum, budget) => sum + budget, 0);
+  const percents = categories.map((_, idx) => (total > 0 ? budgets[idx] / total * 100 : 100 / categories.length));
+  const rounded = percents.map(roundCents);
+  // The last category takes the rounding, so the split adds up to exactly 100
+  if (rounded.length > 0) rounded[rounded.length - 1] = roundCents(100 - rounded.slice(0, -1).reduce((sum, p) => sum + p, 0));
+  return categories.map((category, idx) => ({ categoryId: category.id, percent: rounded[idx] }));
+};
+
+// 'received' once a payment that still exists is linked, else 'overdue' or 'upcoming'
+export const getDrawStatus = (project, draw, today = new Date().toISOString().split('T')[0]) => {
+  if (draw.paymentId && project.payments.some(payment => payment.id === draw.paymentId)) return 'received';
+  return draw.dueDate && draw.dueDate < today ? 'overdue' : 'upcoming';
+};
+
+// Draws by due date (undated last)
+export const sortDraws = (draws) => [...draws].sort((a, b) =>
+  (a.dueDate || '9999-12-31').localeCompare(b.dueDate || '9999-12-31'));
+
+// Payment allocations expected for a draw: its split of the draw amount, less the
+// retainage the client holds back on each category. Separate-mode categories divide
+// their share between labor and materials by budget. Cents left over from rounding go
+// to the last category, so the allocations add up to the expected payment.
+export const getDrawAllocations = (project, draw) => {
+  const drawAmount = getDrawAmount(project, draw);
+  const shares = (draw.split || [])
+    .map(share => ({ share, category: project.categories.find(c => c.id === share.categoryId) }))
+    .filter(({ share, category }) => category && Number(share.percent) > 0);
+
+  const amounts = shares.map(({ share }) => roundCents(drawAmount * Number(share.percent) / 100));
+  const splitTotal = shares.reduce((sum, { share }) => sum + Number(share.percent), 0);
+  if (amounts.length > 0 && Math.abs(splitTotal - 100) < 0.01) {
+    amounts[amounts.length - 1] = roundCents(drawAmount - amounts.slice(0, -1).reduce((sum, a) => sum + a, 0));
+  }
+
+  return shares.map(({ category }, idx) => {
+    const net = roundCents(amounts[idx] * (1 - getRetainagePercent(project, category) / 100));
+    if ((category.mode || 'all-inclusive') !== 'separate') {
+      return { categoryId: category.id, amount: net, laborAmount: 0, materialsAmount: 0 };
+    }
+    const totals = getCategoryTotals(category);
+    const budget = totals.laborBudget + totals.materialsBudget;
+    const laborAmount = budget > 0 ? roundCents(net * totals.laborBudget / budget) : net;
+    return { categoryId: category.id, amount: 0, laborAmount, materialsAmount: roundCents(net - laborAmount) };
+  });
+};
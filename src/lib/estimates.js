@@ -0,0 +1,84 @@
+// Estimates (bids) priced line by line before a job becomes a project.
+// An estimate is { id, name, clientName, status, projectId, notes, createdAt,
+// acceptedAt, groups }, each group { id, name, mode, lines } becoming a cost category,
+// and each line { id, description, quantity, unit, unitCost, markupPercent, type }
+// where type is 'labor' or 'materials'.
+
+export const ESTIMATE_STATUSES = [
+  { id: 'draft', label: 'Draft' },
+  { id: 'accepted', label: 'Accepted' },
+  { id: 'declined', label: 'Declined' }
+];
+
+export const ESTIMATE_UNITS = ['ea', 'hr', 'day', 'sq ft', 'ln ft', 'cu yd', 'lot'];
+
+export const getEstimateStatusLabel = (status) =>
+  ESTIMATE_STATUSES.find(s => s.id === status)?.label || status;
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// What the line costs us, and what the client pays with markup
+export const getLineCost = (line) => roundCents((Number(line.quantity) || 0) * (Number(line.unitCost) || 0));
+
+export const getLinePrice = (line) => roundCents(getLineCost(line) * (1 + (Number(line.markupPercent) || 0) / 100));
+
+export const getGroupTotals = (group) => {
+  const sum = (type, amountOf) => roundCents(
+    group.lines.filter(line => line.type === type).reduce((total, line) => total + amountOf(line), 0)
+  );
+  const laborCost = sum('labor', getLineCost);
+  const laborPrice = sum('labor', getLinePrice);
+  const materialsCost = sum('materials', getLineCost);
+  const materialsPrice = sum('materials', getLinePrice);
+
+  return {
+    laborCost,
+    laborPrice,
+    materialsCost,
+    materialsPrice,
+    cost: roundCents(laborCost + materialsCost),
+    price: roundCents(laborPrice + materialsPrice)
+  };
+};
+
+// Proposal total and our cost across every group
+export const getEstimateTotals = (estimate) => {
+  const groups = estimate.groups.map(getGroupTotals);
+  const cost = roundCents(groups.reduce((sum, totals) => sum + totals.cost, 0));
+  const price = roundCents(groups.reduce((sum, totals) => sum + totals.price, 0));
+  return { cost, price, profit: roundCents(price - cost) };
+};
+
+// Category form data for a group, in the group's mode. Separate mode treats materials
+// as pass-through, so their budget is what the client pays for them.
+export const buildCategoryData = (group) => {
+  const totals = getGroupTotals(group);
+  if (group.mode === 'separate') {
+    return {
+      name: group.name,
+      mode: 'separate',
+      laborBudget: totals.laborPrice,
+      laborCost: totals.laborCost,
+      materialsBudget: totals.materialsPrice,
+      retainagePercent: null
+    };
+  }
+  return {
+    name: group.name,
+    mode: 'all-inclusive',
+    totalBudget: totals.price,
+    totalCost: totals.cost,
+    retainagePercent: null
+  };
+};
+
+// Why an estimate can't be accepted yet, or null
+export const getAcceptBlocker = (estimate) => {
+  if (estimate.status === 'accepted') return 'Already accepted';
+  if (estimate.groups.length === 0) return 'Add at least one group';
+  if (estimate.groups.some(group => !group.name.trim())) return 'Every group needs a name';
+  if (new Set(estimate.groups.map(group => group.name.trim().toLowerCase())).size < estimate.groups.length) {
+    return 'Group names must be different';
+  }
+  return null;
+};
@@ -0,0 +1,213 @@
+import { getCategoryTotals } from './calculations';
+import { toCsv } from './csv';
+
+// CSV exports for the bookkeeper. Each builder takes a list of projects (one or all)
+// and an optional { from, to } date range (inclusive, YYYY-MM-DD).
+
+const inRange = (date, { from, to } = {}) => {
+  if (from && date < from) return false;
+  if (to && date > to) return false;
+  return true;
+};
+
+const modeLabel = (mode) => (mode === 'separate' ? 'Separate' : 'All-Inclusive');
+
+// Attachment links (see withAttachmentLinks), or file names when there's no link
+const attachmentList = (attachments) => (attachments || []).map(a => a.url || a.name).join(' | ');
+
+// Client payments, one row per category allocation
+export const buildPaymentsCsv = (projects, range) => {
+  const rows = [];
+
+  projects.forEach(project => {
+    (project.payments || [])
+      .filter(payment => inRange(payment.date, range))
+      .forEach(payment => {
+        const base = {
+          project: project.name,
+          client: project.clientName,
+          date: payment.date,
+          paymentMethod: payment.paymentMethod || '',
+          reference: payment.reference || payment.checkNumber || '',
+          totalAmount: payment.totalAmount,
+          notes: payment.notes || '',
+          attachments: attachmentList(payment.attachments)
+        };
+        const allocations = (payment.allocations || []).filter(a =>
+          (a.amount > 0) || (a.laborAmount > 0) || (a.materialsAmount > 0)
+        );
+
+        if (allocations.length === 0) {
+          rows.push(base);
+          return;
+        }
+
+        allocations.forEach(alloc => {
+          const category = project.categories.find(c => c.id === alloc.categoryId);
+          rows.push({
+            ...base,
+            category: category?.name || 'Unknown',
+            amount: alloc.amount || '',
+            laborAmount: alloc.laborAmount || '',
+            materialsAmount: alloc.materialsAmount || ''
+          });
+        });
+      });
+  });
+
+  rows.sort((a, b) => a.date.localeCompare(b.date));
+
+  return toCsv(rows, [
+    { key: 'project', label: 'Project' },
+    { key: 'client', label: 'Client' },
+    { key: 'date', label: 'Date' },
+    { key: 'paymentMethod', label: 'Payment Method' },
+    { key: 'reference', label: 'Reference' },
+    { key: 'totalAmount', label: 'Payment Total' },
+    { key: 'category', label: 'Category' },
+    { key: 'amount', label: 'Allocated Amount' },
+    { key: 'laborAmount', label: 'Labor Amount' },
+    { key: 'materialsAmount', label: 'Materials Amount' },
+    { key: 'notes', label: 'Notes' },
+    { key: 'attachments', label: 'Attachments' }
+  ]);
+};
+
+// Expenses (payments to subs) across all categories
+export const buildExpensesCsv = (projects, range, vendors = []) => {
+  const rows = [];
+
+  projects.forEach(project => {
+    project.categories.forEach(category => {
+      (category.expenses || [])
+        .filter(expense => inRange(expense.date, range))
+        .forEach(expense => {
+          rows.push({
+            project: project.name,
+            category: category.name,
+            mode: modeLabel(category.mode),
+            date: expense.date,
+            description: expense.description,
+            vendor: vendors.find(v => v.id === expense.vendorId)?.name || '',
+            type: expense.type || '',
+            amount: expense.amount,
+            paymentMethod: expense.paymentMethod || '',
+            reference: expense.reference || '',
+            attachments: attachmentList(expense.attachments)
+          });
+        });
+    });
+  });
+
+  rows.sort((a, b) => a.date.localeCompare(b.date));
+
+  return toCsv(rows, [
+    { key: 'project', label: 'Project' },
+    { key: 'category', label: 'Category' },
+    { key: 'mode', label: 'Category Mode' },
+    { key: 'date', label: 'Date' },
+    { key: 'description', label: 'Description' },
+    { key: 'vendor', label: 'Vendor' },
+    { key: 'type', label: 'Type' },
+    { key: 'amount', label: 'Amount' },
+    { key: 'paymentMethod', label: 'Payment Method' },
+    { key: 'reference', label: 'Reference' },
+    { key: 'attachments', label: 'Attachments' }
+  ]);
+};
+
+// Per-category totals from getCategoryTotals. With a date range, collected and paid
+// only count allocations and expenses dated inside it; budgets and costs are unaffected.
+export const buildCategoryTotalsCsv = (projects, range) => {
+  const rows = [];
+
+  projects.forEach(project => {
+    project.categories.forEach(category => {
+      const totals = getCategoryTotals({
+        ...category,
+        allocations: (category.allocations || []).filter(a => inRange(a.date, range)),
+        expenses: (category.expenses || []).filter(e => inRange(e.date, range))
+      });
+      const isSeparate = totals.mode === 'separate';
+
+      rows.push({
+        project: project.name,
+        category: category.name,
+        mode: modeLabel(totals.mode),
+        budget: totals.totalBudget,
+        cost: totals.totalCost,
+        collected: totals.totalCollected,
+        paid: totals.totalPaid,
+        remainingToCollect: totals.totalBudget - totals.totalCollected,
+        remainingToPay: totals.totalCost - totals.totalPaid,
+        buffer: isSeparate ? totals.laborBuffer : totals.buffer,
+        warningLevel: isSeparate ? totals.laborWarningLevel : totals.warningLevel,
+        projectedProfit: totals.projectedProfit,
+        retainageReceivable: totals.retainageReceivable,
+        retainagePayable: totals.retainagePayable,
+        laborBudget: isSeparate ? totals.laborBudget : '',
+        laborCost: isSeparate ? totals.laborCost : '',
+        laborCollected: isSeparate ? totals.laborCollected : '',
+        laborPaid: isSeparate ? totals.laborPaid : '',
+        materialsBudget: isSeparate ? totals.materialsBudget : '',
+        materialsCollected: isSeparate ? totals.materialsCollected : '',
+        materialsPaid: isSeparate ? totals.materialsPaid : ''
+      });
+    });
+  });
+
+  return toCsv(rows, [
+    { key: 'project', label: 'Project' },
+    { key: 'category', label: 'Category' },
+    { key: 'mode', label: 'Mode' },
+    { key: 'budget', label: 'Client Budget' },
+    { key: 'cost', label: 'Your Cost' },
+    { key: 'collected', label: 'Collected' },
+    { key: 'paid', label: 'Paid' },
+    { key: 'remainingToCollect', label: 'Remaining to Collect' },
+    { key: 'remainingToPay', label: 'Remaining to Pay' },
+    { key: 'buffer', label: 'Buffer' },
+    { key: 'warningLevel', label: 'Warning Level' },
+    { key: 'projectedProfit', label: 'Projected Profit' },
+    { key: 'retainageReceivable', label: 'Retainage Receivable' },
+    { key: 'retainagePayable', label: 'Retainage Payable' },
+    { key: 'laborBudget', label: 'Labor Budget' },
+    { key: 'laborCost', label: 'Labor Cost' },
+    { key: 'laborCollected', label: 'Labor Collected' },
+    { key: 'laborPaid', label: 'Labor Paid' },
+    { key: 'materialsBudget', label: 'Materials Budget' },
+    { key: 'materialsCollected', label: 'Materials Collected' },
+    { key: 'materialsPaid', label: 'Materials Paid' }
+  ]);
+};
+
+// 1099 year-end report from build1099Report, one row per payee, for the tax preparer
+export const build1099Csv = (report) => {
+  const rows = report.payees.map(({ vendor, total, count, byMethod }) => ({
+    year: report.year,
+    payee: vendor.name,
+    taxId: vendor.taxId || '',
+    trade: vendor.trade || '',
+    email: vendor.email || '',
+    phone: vendor.phone || '',
+    total,
+    ...byMethod,
+    count
+  }));
+
+  return toCsv(rows, [
+    { key: 'year', label: 'Tax Year' },
+    { key: 'payee', label: 'Payee' },
+    { key: 'taxId', label: 'Tax ID' },
+    { key: 'trade', label: 'Trade' },
+    { key: 'email', label: 'Email' },
+    { key: 'phone', label: 'Phone' },
+    { key: 'total', label: 'Total Paid' },
+    { key: 'check', label: 'Check' },
+    { key: 'zelle', label: 'Zelle' },
+    { key: 'cash', label: 'Cash' },
+    { key: 'other', label: 'Other' },
+    { key: 'unspecified', label: 'Method Not Recorded' },
+    { key: 'count', label: 'Expense Count' }
+  ]);
+};
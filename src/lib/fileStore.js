@@ -0,0 +1,36 @@
+// Attachment files kept in the browser's IndexedDB, keyed by attachment id.
+// localStorage only holds strings and runs out at a few MB, so files live here.
+
+const DB_NAME = 'contractor-crm-files';
+const STORE_NAME = 'files';
+
+let openRequest = null;
+
+const openDatabase = () => {
+  if (!openRequest) {
+    openRequest = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return openRequest;
+};
+
+// Run one request against the store and resolve with its result
+const run = async (mode, makeRequest) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const putFile = (id, blob) => run('readwrite', store => store.put(blob, id));
+
+// Resolves to the Blob, or undefined when this device doesn't have it
+export const getFile = (id) => run('readonly', store => store.get(id));
+
+export const deleteFile = (id) => run('readwrite', store => store.delete(id));
@@ -0,0 +1,75 @@
+import { getCategoryTotals } from './calculations';
+
+// Week-by-week cash-flow forecast from expected client draws and sub payments.
+// Items are stored on each project as forecastItems:
+// { id, kind: 'draw' | 'sub', date, amount, description, categoryId }
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (dateStr) => new Date(`${dateStr}T00:00:00Z`);
+const toDateStr = (date) => date.toISOString().split('T')[0];
+
+// Monday of the week containing dateStr (YYYY-MM-DD)
+export const getWeekStart = (dateStr) => {
+  const date = toDate(dateStr);
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return toDateStr(new Date(date.getTime() - daysSinceMonday * DAY_MS));
+};
+
+// Net cash from what's been recorded so far: collected from clients less paid to subs
+export const getCashOnHand = (projects) => projects.reduce((sum, project) =>
+  sum + project.categories.reduce((catSum, category) => {
+    const totals = getCategoryTotals(category);
+    return catSum + totals.totalCollected - totals.totalPaid;
+  }, 0), 0);
+
+// Forecast starting this week and running through the last expected item
+// (at least minWeeks). Items dated before this week haven't been recorded yet,
+// so they're still expected and land in the first week.
+// Returns { openingBalance, weeks, firstNegativeWeek } where each week is
+// { start, end, inflow, outflow, balance, items: [{ project, item }] }.
+export const buildCashFlowForecast = (projects, {
+  today = new Date().toLocaleDateString('en-CA'), // local YYYY-MM-DD
+  openingBalance = getCashOnHand(projects),
+  minWeeks = 12
+} = {}) => {
+  const firstWeek = getWeekStart(today);
+  const entries = projects.flatMap(project =>
+    (project.forecastItems || []).map(item => ({ project, item }))
+  );
+
+  const lastWeek = entries.reduce((latest, { item }) => {
+    const week = getWeekStart(item.date);
+    return week > latest ? week : latest;
+  }, firstWeek);
+  const weekCount = Math.max(
+    minWeeks,
+    Math.round((toDate(lastWeek) - toDate(firstWeek)) / (7 * DAY_MS)) + 1
+  );
+
+  let balance = openingBalance;
+  const weeks = [];
+  for (let i = 0; i < weekCount; i++) {
+    const start = toDateStr(new Date(toDate(firstWeek).getTime() + i * 7 * DAY_MS));
+    const end = toDateStr(new Date(toDate(start).getTime() + 6 * DAY_MS));
+    const items = entries
+      .filter(({ item }) => (i === 0 ? item.date <= end : item.date >= start && item.date <= end))
+      .sort((a, b) => a.item.date.localeCompare(b.item.date));
+
+    const inflow = items
+      .filter(({ item }) => item.kind === 'draw')
+      .reduce((sum, { item }) => sum + item.amount, 0);
+    const outflow = items
+      .filter(({ item }) => item.kind === 'sub')
+      .reduce((sum, { item }) => sum + item.amount, 0);
+    balance += inflow - outflow;
+
+    weeks.push({ start, end, inflow, outflow, balance, items });
+  }
+
+  return {
+    openingBalance,
+    weeks,
+    firstNegativeWeek: weeks.find(week => week.balance < 0) || null
+  };
+};
@@ -0,0 +1,170 @@
+// CSV import of historical expenses and client payments: column mapping and
+// row validation. Valid rows come out in the same shape NewExpenseForm and
+// NewPaymentForm submit, so they can go through addExpense/addPayment.
+
+export const IMPORT_FIELDS = {
+  expenses: [
+    { key: 'date', label: 'Date', required: true },
+    { key: 'amount', label: 'Amount', required: true },
+    { key: 'description', label: 'Description', required: true },
+    { key: 'category', label: 'Category', required: true },
+    { key: 'type', label: 'Type (labor/materials)' },
+    { key: 'method', label: 'Payment Method' },
+    { key: 'reference', label: 'Reference' }
+  ],
+  payments: [
+    { key: 'date', label: 'Date', required: true },
+    { key: 'amount', label: 'Amount', required: true },
+    { key: 'category', label: 'Category', required: true },
+    { key: 'type', label: 'Type (labor/materials)' },
+    { key: 'method', label: 'Payment Method' },
+    { key: 'reference', label: 'Reference' },
+    { key: 'description', label: 'Notes' }
+  ]
+};
+
+// Header keywords used to guess the column for each field
+const HEADER_HINTS = {
+  date: ['date', 'paid on', 'posted'],
+  amount: ['amount', 'total', 'paid', 'debit', 'credit'],
+  description: ['description', 'memo', 'notes', 'payee', 'vendor'],
+  category: ['category', 'cost code', 'trade', 'phase'],
+  type: ['type', 'labor', 'materials'],
+  method: ['method', 'payment type', 'paid by'],
+  reference: ['reference', 'ref', 'check', 'confirmation']
+};
+
+const PAYMENT_METHODS = ['check', 'zelle', 'cash', 'card', 'other'];
+
+// Guess a { field: columnIndex } mapping from the header row
+export const guessColumnMapping = (headers, kind) => {
+  const mapping = {};
+  const used = new Set();
+
+  IMPORT_FIELDS[kind].forEach(field => {
+    const index = headers.findIndex((header, idx) => {
+      const name = header.trim().toLowerCase();
+      return !used.has(idx) && HEADER_HINTS[field.key].some(hint => name.includes(hint));
+    });
+    if (index >= 0) {
+      mapping[field.key] = index;
+      used.add(index);
+    } else {
+      mapping[field.key] = '';
+    }
+  });
+
+  return mapping;
+};
+
+// "$1,250.00" / "(300)" -> number, or NaN
+const parseAmount = (value) => {
+  const text = (value || '').trim();
+  const negative = /^\(.*\)$/.test(text);
+  const amount = parseFloat(text.replace(/[$,()\s]/g, ''));
+  return negative ? -amount : amount;
+};
+
+// YYYY-MM-DD, M/D/YYYY or M/D/YY -> YYYY-MM-DD, or null
+const parseDate = (value) => {
+  const text = (value || '').trim();
+  let year, month, day;
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (iso) {
+    [, year, month, day] = iso.map(Number);
+  } else if (us) {
+    [, month, day, year] = us.map(Number);
+    if (year < 100) year += 2000;
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().split('T')[0];
+};
+
+const parseType = (value) => {
+  const text = (value || '').trim().toLowerCase();
+  if (text.startsWith('lab')) return 'labor';
+  if (text.startsWith('mat')) return 'materials';
+  return null;
+};
+
+const parseMethod = (value) => {
+  const text = (value || '').trim().toLowerCase();
+  if (!text) return null;
+  return PAYMENT_METHODS.includes(text) ? text : 'other';
+};
+
+// Validate data rows against a mapping and the project's categories.
+// Row numbers match the spreadsheet (the header is row 1).
+// Returns [{ rowNumber, values, errors, record }] where record is ready for
+// addExpense/addPayment when errors is empty.
+export const validateImportRows = (rows, mapping, kind, categories) => {
+  const cell = (row, key) => (mapping[key] === '' || mapping[key] === undefined)
+    ? ''
+    : (row[mapping[key]] || '').trim();
+
+  return rows.map((row, idx) => {
+    const errors = [];
+    const values = {};
+    IMPORT_FIELDS[kind].forEach(field => { values[field.key] = cell(row, field.key); });
+
+    IMPORT_FIELDS[kind]
+      .filter(field => field.required && !values[field.key])
+      .forEach(field => errors.push(`Missing ${field.label.toLowerCase()}`));
+
+    const date = parseDate(values.date);
+    if (values.date && !date) errors.push(`Invalid date "${values.date}"`);
+
+    const amount = parseAmount(values.amount);
+    if (values.amount && Number.isNaN(amount)) {
+      errors.push(`Amount "${values.amount}" is not a number`);
+    } else if (values.amount && amount <= 0) {
+      errors.push('Amount must be greater than 0');
+    }
+
+    const category = categories.find(c =>
+      c.name.trim().toLowerCase() === values.category.toLowerCase()
+    );
+    if (values.category && !category) errors.push(`Unknown category "${values.category}"`);
+
+    const isSeparate = category?.mode === 'separate';
+    const type = parseType(values.type);
+    if (isSeparate && !type) errors.push(`Type (labor/materials) required for separate category "${category.name}"`);
+
+    if (errors.length > 0) {
+      return { rowNumber: idx + 2, values, errors, record: null };
+    }
+
+    const paymentMethod = parseMethod(values.method);
+    const record = kind === 'payments'
+      ? {
+        paymentMethod: paymentMethod || 'check',
+        reference: values.reference,
+        totalAmount: amount,
+        date,
+        notes: values.description,
+        allocations: [{
+          categoryId: category.id,
+          amount: isSeparate ? 0 : amount,
+          laborAmount: isSeparate && type === 'labor' ? amount : 0,
+          materialsAmount: isSeparate && type === 'materials' ? amount : 0
+        }]
+      }
+      : {
+        categoryId: category.id,
+        amount,
+        date,
+        description: values.description,
+        type: isSeparate ? type : null,
+        paymentMethod,
+        reference: values.reference || null
+      };
+
+    return { rowNumber: idx + 2, values, errors, record };
+  });
+};
@@ -0,0 +1,257 @@
+import { getCategoryTotals, getRetainagePercent } from './calculations';
+
+// Client invoices / pay applications, printed in the AIA G702/G703 style.
+// Invoices are stored on the project as snapshots so they reprint identically.
+
+// Print formatting, shared with proposals (lib/proposal)
+export const formatMoney = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(amount || 0);
+};
+
+export const formatPrintDate = (dateStr) => {
+  return new Date(`${dateStr}T00:00:00`).toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+};
+
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Next sequential application number for a project
+export const getNextInvoiceNumber = (project) => {
+  return (project.invoices || []).reduce((max, inv) => Math.max(max, inv.number), 0) + 1;
+};
+
+// Most recent invoice on a project (highest application number)
+export const getLatestInvoice = (project) => {
+  return (project.invoices || []).reduce(
+    (latest, inv) => (!latest || inv.number > latest.number ? inv : latest),
+    null
+  );
+};
+
+// Draft continuation sheet lines for a new invoice:
+// - scheduled value is the category budget revised by approved change orders
+// - previously billed carries forward from the latest invoice
+// - this period is prefilled with collections through periodTo not yet billed
+//   (including retainage the client held back, since that work was billed)
+// - the retainage percent in effect is kept so the invoice reprints the same
+export const buildInvoiceLines = (project, periodTo) => {
+  const latestInvoice = getLatestInvoice(project);
+
+  return project.categories.map(category => {
+    const totals = getCategoryTotals(category);
+    const originalValue = totals.mode === 'separate'
+      ? totals.originalLaborBudget + totals.originalMaterialsBudget
+      : totals.originalBudget;
+
+    const previousLine = latestInvoice?.lines.find(l => l.categoryId === category.id);
+    const previouslyBilled = previousLine
+      ? previousLine.previouslyBilled + previousLine.thisPeriod
+      : 0;
+
+    const collectedToDate = (category.allocations || [])
+      .filter(a => !periodTo || a.date <= periodTo)
+      .reduce((sum, a) => sum + (a.amount || 0) + (a.laborAmount || 0) + (a.materialsAmount || 0) +
+        (a.retainage || 0) + (a.laborRetainage || 0) + (a.materialsRetainage || 0), 0);
+
+    return {
+      categoryId: category.id,
+      description: category.name,
+      originalValue,
+      scheduledValue: totals.totalBudget,
+      previouslyBilled,
+      thisPeriod: Math.max(collectedToDate - previouslyBilled, 0),
+      retainagePercent: getRetainagePercent(project, category)
+    };
+  });
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Retainage percent on a continuation sheet line. Invoices from before lines kept it
+// fall back to the project's current rate.
+const getLineRetainagePercent = (line, project) => line.retainagePercent ??
+  getRetainagePercent(project, project?.categories.find(c => c.id === line.categoryId));
+
+// Retainage held on a line's work completed to date
+const getLineRetainage = (line, project) => roundCents(
+  (line.previouslyBilled + line.thisPeriod) * getLineRetainagePercent(line, project) / 100
+);
+
+// G702 summary figures for an invoice. Retainage is held on completed work at each
+// line's rate, so the payment due is what was earned less retainage and less what
+// previous applications certified. retainagePercent is null when lines differ.
+export const getInvoiceSummary = (invoice, project) => {
+  const sum = (field) => invoice.lines.reduce((total, line) => total + (line[field] || 0), 0);
+  const sumRetainage = (amountOf) => roundCents(invoice.lines.reduce(
+    (total, line) => total + roundCents(amountOf(line) * getLineRetainagePercent(line, project) / 100), 0));
+
+  const originalContractSum = sum('originalValue');
+  const contractSumToDate = sum('scheduledValue');
+  const previouslyBilled = sum('previouslyBilled');
+  const thisPeriod = sum('thisPeriod');
+  const completedToDate = previouslyBilled + thisPeriod;
+  const retainage = sumRetainage(line => line.previouslyBilled + line.thisPeriod);
+  const earnedLessRetainage = completedToDate - retainage;
+  const previousCertificates = previouslyBilled - sumRetainage(line => line.previouslyBilled);
+  const percents = [...new Set(invoice.lines.map(line => getLineRetainagePercent(line, project)))];
+
+  return {
+    originalContractSum,
+    netChangeOrders: contractSumToDate - originalContractSum,
+    contractSumToDate,
+    previouslyBilled,
+    thisPeriod,
+    completedToDate,
+    retainagePercent: percents.length === 1 ? percents[0] : null,
+    retainage,
+    earnedLessRetainage,
+    previousCertificates,
+    currentPaymentDue: earnedLessRetainage - previousCertificates,
+    balanceToFinish: contractSumToDate - completedToDate,
+    balanceIncludingRetainage: contractSumToDate - earnedLessRetainage
+  };
+};
+
+// Standalone print-styled HTML document for an invoice
+export const buildInvoiceHtml = (project, invoice) => {
+  const summary = getInvoiceSummary(invoice, project);
+
+  const rows = invoice.lines.map((line, idx) => {
+    const completed = line.previouslyBilled + line.thisPeriod;
+    const pct = line.scheduledValue > 0 ? (completed / line.scheduledValue) * 100 : 0;
+    return `
+      <tr>
+        <td class="center">${idx + 1}</td>
+        <td>${escapeHtml(line.description)}</td>
+        <td class="num">${formatMoney(line.scheduledValue)}</td>
+        <td class="num">${formatMoney(line.previouslyBilled)}</td>
+        <td class="num">${formatMoney(line.thisPeriod)}</td>
+        <td class="num">${formatMoney(completed)}</td>
+        <td class="num">${pct.toFixed(1)}%</td>
+        <td class="num">${formatMoney(line.scheduledValue - completed)}</td>
+        <td class="num">${formatMoney(getLineRetainage(line, project))}</td>
+      </tr>`;
+  }).join('');
+
+  const totalPct = summary.contractSumToDate > 0
+    ? (summary.completedToDate / summary.contractSumToDate) * 100 : 0;
+  const retainageRate = summary.retainagePercent === null ? '' : `${summary.retainagePercent}% of `;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Application #${invoice.number} - ${escapeHtml(project.name)}</title>
+<style>
+  * { box-sizing: border-box; }
+  body { font-family: 'DM Sans', -apple-system, BlinkMacSystemFont, sans-serif; color: #0f172a; margin: 32px; font-size: 12px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 14px; margin: 28px 0 8px; text-transform: uppercase; letter-spacing: 0.5px; }
+  .meta { display: flex; justify-content: space-between; margin: 16px 0; }
+  .meta div { line-height: 1.6; }
+  .label { color: #64748b; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #cbd5e1; padding: 6px 8px; }
+  th { background: #f1f5f9; font-size: 11px; text-align: left; }
+  .num { text-align: right; white-space: nowrap; }
+  .center { text-align: center; }
+  .summary td:first-child { width: 70%; }
+  .summary .sub td:first-child { padding-left: 28px; }
+  .total td { font-weight: 700; background: #f8fafc; }
+  .due td { font-weight: 700; font-size: 14px; }
+  @media print {
+    body { margin: 0.5in; }
+    @page { size: letter landscape; margin: 0.5in; }
+    .page-break { page-break-before: always; }
+  }
+</style>
+</head>
+<body>
+  <h1>Application and Certificate for Payment</h1>
+  <div class="label">Continuation sheet attached</div>
+
+  <div class="meta">
+    <div>
+      <div><span class="label">Project:</span> ${escapeHtml(project.name)}</div>
+      <div><span class="label">To (Client):</span> ${escapeHtml(project.clientName)}</div>
+    </div>
+    <div>
+      <div><span class="label">Application No.:</span> ${invoice.number}</div>
+      <div><span class="label">Application Date:</span> ${formatPrintDate(invoice.date)}</div>
+      <div><span class="label">Period To:</span> ${formatPrintDate(invoice.periodTo)}</div>
+    </div>
+  </div>
+
+  <h2>Contractor's Application for Payment</h2>
+  <table class="summary">
+    <tr><td>1. Original Contract Sum</td><td class="num">${formatMoney(summary.originalContractSum)}</td></tr>
+    <tr><td>2. Net Change by Change Orders</td><td class="num">${formatMoney(summary.netChangeOrders)}</td></tr>
+    <tr><td>3. Contract Sum to Date (Line 1 ± 2)</td><td class="num">${formatMoney(summary.contractSumToDate)}</td></tr>
+    <tr><td>4. Total Completed &amp; Stored to Date</td><td class="num">${formatMoney(summary.completedToDate)}</td></tr>
+    <tr><td>5. Retainage:</td><td></td></tr>
+    <tr class="sub"><td>a. ${retainageRate}Completed Work</td><td class="num">${formatMoney(summary.retainage)}</td></tr>
+    <tr class="sub"><td>b. ${retainageRate}Stored Material</td><td class="num">${formatMoney(0)}</td></tr>
+    <tr class="sub"><td>Total Retainage (Line 5a + 5b)</td><td class="num">${formatMoney(summary.retainage)}</td></tr>
+    <tr><td>6. Total Earned Less Retainage (Line 4 less Line 5 Total)</td><td class="num">${formatMoney(summary.earnedLessRetainage)}</td></tr>
+    <tr><td>7. Less Previous Certificates for Payment (Line 6 from prior Certificate)</td><td class="num">${formatMoney(summary.previousCertificates)}</td></tr>
+    <tr class="due"><td>8. Current Payment Due</td><td class="num">${formatMoney(summary.currentPaymentDue)}</td></tr>
+    <tr><td>9. Balance to Finish, Including Retainage (Line 3 less Line 6)</td><td class="num">${formatMoney(summary.balanceIncludingRetainage)}</td></tr>
+  </table>
+
+  <h2 class="page-break">Continuation Sheet</h2>
+  <table>
+    <thead>
+      <tr>
+        <th class="center">Item</th>
+        <th>Description of Work</th>
+        <th class="num">Scheduled Value</th>
+        <th class="num">From Previous Application</th>
+        <th class="num">This Period</th>
+        <th class="num">Total Completed to Date</th>
+        <th class="num">%</th>
+        <th class="num">Balance to Finish</th>
+        <th class="num">Retainage</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${rows}
+      <tr class="total">
+        <td></td>
+        <td>Grand Total</td>
+        <td class="num">${formatMoney(summary.contractSumToDate)}</td>
+        <td class="num">${formatMoney(summary.previouslyBilled)}</td>
+        <td class="num">${formatMoney(summary.thisPeriod)}</td>
+        <td class="num">${formatMoney(summary.completedToDate)}</td>
+        <td class="num">${totalPct.toFixed(1)}%</td>
+        <td class="num">${formatMoney(summary.balanceToFinish)}</td>
+        <td class="num">${formatMoney(summary.retainage)}</td>
+      </tr>
+    </tbody>
+  </table>
+</body>
+</html>`;
+};
+
+// Open the invoice in a new window and bring up the print dialog ("Save as PDF")
+export const printInvoice = (project, invoice) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    console.error('Could not open print window (blocked by the browser?)');
+    return false;
+  }
+  printWindow.document.write(buildInvoiceHtml(project, invoice));
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+};
@@ -0,0 +1,121 @@
+import { getCategoryTotals } from './calculations';
+
+// Suggested splits of a client payment across categories, for the payment form to
+// fill in before the user adjusts them. Amounts are what was received, so the
+// retainage the client holds back comes on top of them.
+
+export const ALLOCATION_STRATEGIES = [
+  { value: 'remaining', label: 'In proportion to what is left to collect' },
+  { value: 'red-first', label: 'Categories in the red first' },
+  { value: 'budget', label: 'In proportion to budget' }
+];
+
+const WARNING_ORDER = { red: 0, yellow: 1, green: 2 };
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Each category as the pots a payment can go to: [{ field, budget, toCollect }], one
+// for all-inclusive categories and labor + materials for separate ones. toCollect is
+// the cash still to come, after retainage already held and what will be held next.
+const getPots = (category, retainagePercent = 0) => {
+  const totals = getCategoryTotals(category);
+  const keep = 1 - retainagePercent / 100;
+  const cash = (remaining, held) => Math.max(0, (remaining - held) * keep);
+
+  if (totals.mode === 'separate') {
+    return [
+      { field: 'laborAmount', budget: totals.laborBudget, toCollect: cash(totals.laborRemainingToCollect, totals.laborRetainageReceivable) },
+      { field: 'materialsAmount', budget: totals.materialsBudget, toCollect: cash(totals.materialsRemainingToCollect, totals.materialsRetainageReceivable) }
+    ];
+  }
+  return [{ field: 'amount', budget: totals.budget, toCollect: cash(totals.remainingToCollect, totals.retainageReceivable) }];
+};
+
+// Split total by weight, to the cent; the last weighted pot takes the rounding
+const splitByWeight = (total, weights) => {
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weightTotal <= 0) return null;
+
+  const amounts = weights.map(weight => roundCents(total * weight / weightTotal));
+  const last = weights.map(weight => weight > 0).lastIndexOf(true);
+  amounts[last] = roundCents(total - amounts.reduce((sum, amount, idx) => (idx === last ? sum : sum + amount), 0));
+  return amounts;
+};
+
+// Fill pots in order up to what each has left to collect; anything beyond that stays
+// unallocated
+const fillInOrder = (total, pots) => {
+  let left = total;
+  return pots.map(pot => {
+    const amount = roundCents(Math.min(left, pot.toCollect));
+    left = roundCents(left - amount);
+    return amount;
+  });
+};
+
+// Suggested allocations ([{ categoryId, amount, laborAmount, materialsAmount }]) of a
+// payment of total, or null when the strategy has nothing to go on (no budgets, or
+// nothing left to collect). excludePaymentId leaves a payment being edited out of
+// what has been collected.
+export const suggestAllocations = (strategy, categories, total, {
+  retainagePercents = {},
+  excludePaymentId = null
+} = {}) => {
+  const pots = categories.flatMap(category => {
+    const collected = excludePaymentId
+      ? { ...category, allocations: (category.allocations || []).filter(a => a.paymentId !== excludePaymentId) }
+      : category;
+    const totals = getCategoryTotals(collected);
+    const warningLevel = totals.mode === 'separate' ? totals.laborWarningLevel : totals.warningLevel;
+    const buffer = totals.mode === 'separate' ? totals.laborBuffer : totals.buffer;
+    return getPots(collected, retainagePercents[category.id]).map(pot => ({
+      ...pot,
+      categoryId: category.id,
+      warningLevel,
+      buffer
+    }));
+  });
+
+  let amounts = null;
+  if (strategy === 'remaining') {
+    amounts = splitByWeight(total, pots.map(pot => pot.toCollect));
+  } else if (strategy === 'budget') {
+    amounts = splitByWeight(total, pots.map(pot => Math.max(0, pot.budget)));
+  } else if (strategy === 'red-first') {
+    if (!pots.some(pot => pot.toCollect > 0)) return null;
+    // Worst first: by warning level, then the smallest buffer
+    const order = pots
+      .map((pot, idx) => ({ pot, idx }))
+      .sort((a, b) => (WARNING_ORDER[a.pot.warningLevel] - WARNING_ORDER[b.pot.warningLevel]) ||
+        (a.pot.buffer - b.pot.buffer));
+    const filled = fillInOrder(total, order.map(({ pot }) => pot));
+    amounts = [];
+    order.forEach(({ idx }, position) => { amounts[idx] = filled[position]; });
+  }
+  if (!amounts) return null;
+
+  return categories.map(category => {
+    const allocation = { categoryId: category.id, amount: 0, laborAmount: 0, materialsAmount: 0 };
+    pots.forEach((pot, idx) => {
+      if (pot.categoryId === category.id) allocation[pot.field] = amounts[idx];
+    });
+    return allocation;
+  });
+};
+
+export const getAllocationsTotal = (allocations) => roundCents(allocations.reduce(
+  (sum, a) => sum + (a.amount || 0) + (a.laborAmount || 0) + (a.materialsAmount || 0), 0));
+
+// A draw's expected allocations ([{ categoryId, ... }], see getDrawAllocations)
+// scaled to the payment actually received
+export const scaleAllocations = (allocations, total) => {
+  const fields = ['amount', 'laborAmount', 'materialsAmount'];
+  const weights = allocations.flatMap(a => fields.map(field => a[field] || 0));
+  const amounts = splitByWeight(total, weights);
+  if (!amounts) return null;
+
+  return allocations.map((a, idx) => ({
+    categoryId: a.categoryId,
+    ...Object.fromEntries(fields.map((field, f) => [field, amounts[idx * fields.length + f]]))
+  }));
+};
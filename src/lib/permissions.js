@@ -0,0 +1,42 @@
+// Team roles and what each may change. Every member can view and export;
+// the RLS policies in supabase/migrations enforce the same table on the server.
+
+export const ROLES = [
+  { value: 'owner', label: 'Owner', description: 'Everything, including the team and backups' },
+  { value: 'project_manager', label: 'Project Manager', description: 'Estimates, projects, categories, change orders, sub payments and vendors' },
+  { value: 'bookkeeper', label: 'Bookkeeper', description: 'Client payments, invoices and vendors' },
+  { value: 'read_only', label: 'Read-only', description: 'View and export only' }
+];
+
+// Actions owners can take that other roles can't are left out (project.delete,
+// backup.restore, team.manage)
+const ROLE_ACTIONS = {
+  project_manager: [
+    'project.write',
+    'category.write',
+    'category.delete',
+    'changeOrder.write',
+    'changeOrder.delete',
+    'expense.write',
+    'expense.delete',
+    'vendor.write',
+    'vendor.delete',
+    'forecast.write',
+    'estimate.write',
+    'estimate.delete'
+  ],
+  bookkeeper: [
+    'payment.write',
+    'payment.delete',
+    'invoice.write',
+    'vendor.write',
+    'forecast.write'
+  ],
+  read_only: []
+};
+
+export const can = (role, action) => (
+  role === 'owner' || (ROLE_ACTIONS[role] || []).includes(action)
+);
+
+export const getRoleLabel = (role) => ROLES.find(r => r.value === role)?.label || role;
@@ -0,0 +1,40 @@
+import { getProjectTotals } from './calculations';
+import { isArchived } from './projectStatus';
+
+// Totals across every project for the dashboard
+
+const TOTAL_FIELDS = ['totalBudget', 'totalCost', 'totalPaid', 'totalSpent', 'projectedProfit', 'currentProfit'];
+
+const getMargin = (totals) => (totals.totalBudget > 0 ? totals.projectedProfit / totals.totalBudget : 0);
+
+// Riskiest first: most red categories, then most yellow, then the deepest shortfall,
+// then the thinnest projected margin
+const compareRisk = (a, b) =>
+  b.totals.categoryHealth.red - a.totals.categoryHealth.red ||
+  b.totals.categoryHealth.yellow - a.totals.categoryHealth.yellow ||
+  a.totals.shortfall - b.totals.shortfall ||
+  getMargin(a.totals) - getMargin(b.totals) ||
+  a.project.name.localeCompare(b.project.name);
+
+// { rows: [{ project, totals }] sorted by risk, totals } where totals sums every project
+// and counts their categories at each warning level. Archived projects are left out
+// unless includeArchived.
+export const getPortfolioSummary = (projects, { includeArchived = false } = {}) => {
+  const rows = projects
+    .filter(project => includeArchived || !isArchived(project))
+    .map(project => ({ project, totals: getProjectTotals(project) }))
+    .sort(compareRisk);
+
+  const totals = { categoryHealth: { green: 0, yellow: 0, red: 0 }, projectsAtRisk: 0 };
+  TOTAL_FIELDS.forEach(field => {
+    totals[field] = rows.reduce((sum, row) => sum + row.totals[field], 0);
+  });
+  rows.forEach(({ totals: projectTotals }) => {
+    ['green', 'yellow', 'red'].forEach(level => {
+      totals.categoryHealth[level] += projectTotals.categoryHealth[level];
+    });
+    if (projectTotals.categoryHealth.red > 0) totals.projectsAtRisk++;
+  });
+
+  return { rows, totals };
+};
@@ -0,0 +1,35 @@
+// Where a project stands in its lifecycle. Stored on each project as status, with
+// startDate, targetDate and completedDate (YYYY-MM-DD or null).
+
+export const PROJECT_STATUSES = [
+  { id: 'bid', label: 'Bid' },
+  { id: 'active', label: 'Active' },
+  { id: 'on_hold', label: 'On Hold' },
+  { id: 'complete', label: 'Complete' },
+  { id: 'archived', label: 'Archived' }
+];
+
+export const DEFAULT_PROJECT_STATUS = 'active';
+
+export const getProjectStatus = (project) => project.status || DEFAULT_PROJECT_STATUS;
+
+export const getProjectStatusLabel = (status) =>
+  PROJECT_STATUSES.find(s => s.id === status)?.label || status;
+
+export const isArchived = (project) => getProjectStatus(project) === 'archived';
+
+// Statuses that finish the job, so the form fills in the completion date
+export const isFinishedStatus = (status) => status === 'complete' || status === 'archived';
+
+// Projects grouped by status in lifecycle order, skipping empty groups:
+// [{ status, label, projects }]. status '' keeps every status; archived projects
+// are left out unless showArchived or they're the status asked for.
+export const groupProjectsByStatus = (projects, { status = '', showArchived = false } = {}) =>
+  PROJECT_STATUSES
+    .filter(s => (status ? s.id === status : showArchived || s.id !== 'archived'))
+    .map(s => ({
+      status: s.id,
+      label: s.label,
+      projects: projects.filter(p => getProjectStatus(p) === s.id)
+    }))
+    .filter(group => group.projects.length > 0);
@@ -0,0 +1,145 @@
+import { getEstimateTotals, getGroupTotals } from './estimates';
+import { escapeHtml, formatMoney, formatPrintDate } from './invoice';
+
+// Client-facing proposals built from estimates. A proposal is a snapshot of what the
+// client sees and signs: scope and budgets per category, never our costs or markup.
+// The signed copy is stored on the project as proposal:
+// { estimateId, companyName, projectName, clientName, date, terms, notes, total,
+//   sections: [{ name, budget, scope: [{ description, quantity, unit }] }],
+//   signature: { name, date, image } } (image is a PNG data URL)
+
+export const DEFAULT_PROPOSAL_TERMS = [
+  'This proposal is valid for 30 days from the date above.',
+  'Payment is due in draws as work progresses; retainage, if any, is released at completion.',
+  'Work not described above is excluded and will be priced as a change order before it starts.',
+  'Permits, inspections and cleanup of our own debris are included unless noted otherwise.'
+].join('\n');
+
+export const buildProposal = (estimate, { companyName, date = new Date().toLocaleDateString('en-CA') }) => ({
+  estimateId: estimate.id,
+  companyName: companyName || '',
+  projectName: estimate.name,
+  clientName: estimate.clientName,
+  date,
+  terms: estimate.terms ?? DEFAULT_PROPOSAL_TERMS,
+  notes: estimate.notes || '',
+  total: getEstimateTotals(estimate).price,
+  sections: estimate.groups.map(group => ({
+    name: group.name,
+    budget: getGroupTotals(group).price,
+    scope: group.lines
+      .filter(line => line.description.trim())
+      .map(line => ({ description: line.description, quantity: Number(line.quantity) || 0, unit: line.unit }))
+  })),
+  signature: null
+});
+
+// Why the client can't sign yet, or null
+export const getSignatureBlocker = ({ name, image }) => {
+  if (!name.trim()) return 'Enter the signer\'s name';
+  if (!image) return 'Draw a signature';
+  return null;
+};
+
+export const buildProposalHtml = (proposal) => {
+  const sections = proposal.sections.map((section, idx) => `
+    <tr class="section">
+      <td class="center">${idx + 1}</td>
+      <td>${escapeHtml(section.name)}</td>
+      <td class="num">${formatMoney(section.budget)}</td>
+    </tr>
+    ${section.scope.map(item => `
+    <tr class="scope">
+      <td></td>
+      <td>${escapeHtml(item.description)}${item.quantity !== 1 || item.unit !== 'ea'
+        ? ` <span class="label">(${item.quantity} ${escapeHtml(item.unit)})</span>` : ''}</td>
+      <td></td>
+    </tr>`).join('')}`).join('');
+
+  const signature = proposal.signature
+    ? `<img class="signature" src="${escapeHtml(proposal.signature.image)}" alt="Signature" />
+      <div>${escapeHtml(proposal.signature.name)} · Signed ${formatPrintDate(proposal.signature.date)}</div>`
+    : '<div class="signature-line"></div><div class="label">Client signature and date</div>';
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Proposal - ${escapeHtml(proposal.projectName)}</title>
+<style>
+  * { box-sizing: border-box; }
+  body { font-family: 'DM Sans', -apple-system, BlinkMacSystemFont, sans-serif; color: #0f172a; margin: 32px; font-size: 12px; }
+  .brand { border-bottom: 3px solid #f97316; padding-bottom: 12px; margin-bottom: 16px; }
+  .brand h1 { font-size: 22px; margin: 0; }
+  h2 { font-size: 14px; margin: 28px 0 8px; text-transform: uppercase; letter-spacing: 0.5px; }
+  .meta { display: flex; justify-content: space-between; margin: 16px 0; }
+  .meta div { line-height: 1.6; }
+  .label { color: #64748b; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border-bottom: 1px solid #cbd5e1; padding: 6px 8px; }
+  th { background: #f1f5f9; font-size: 11px; text-align: left; }
+  .num { text-align: right; white-space: nowrap; }
+  .center { text-align: center; width: 40px; }
+  .section td { font-weight: 600; }
+  .scope td { border-bottom: none; padding-top: 2px; padding-bottom: 2px; }
+  .total td { font-weight: 700; font-size: 14px; background: #f8fafc; }
+  .terms { white-space: pre-line; line-height: 1.6; }
+  .signature { height: 80px; margin-top: 8px; }
+  .signature-line { border-bottom: 1px solid #0f172a; width: 320px; height: 60px; }
+  @media print {
+    body { margin: 0.5in; }
+    @page { size: letter portrait; margin: 0.5in; }
+  }
+</style>
+</head>
+<body>
+  <div class="brand">
+    <h1>${escapeHtml(proposal.companyName || 'Proposal')}</h1>
+    ${proposal.companyName ? '<div class="label">Proposal</div>' : ''}
+  </div>
+
+  <div class="meta">
+    <div>
+      <div><span class="label">Project:</span> ${escapeHtml(proposal.projectName)}</div>
+      <div><span class="label">Prepared for:</span> ${escapeHtml(proposal.clientName)}</div>
+    </div>
+    <div>
+      <div><span class="label">Date:</span> ${formatPrintDate(proposal.date)}</div>
+    </div>
+  </div>
+
+  <h2>Scope of Work</h2>
+  <table>
+    <thead>
+      <tr><th class="center">Item</th><th>Description</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>
+      ${sections}
+      <tr class="total"><td></td><td>Total</td><td class="num">${formatMoney(proposal.total)}</td></tr>
+    </tbody>
+  </table>
+
+  ${proposal.notes ? `<h2>Notes</h2><div class="terms">${escapeHtml(proposal.notes)}</div>` : ''}
+
+  <h2>Terms</h2>
+  <div class="terms">${escapeHtml(proposal.terms)}</div>
+
+  <h2>Acceptance</h2>
+  <div>The scope, price and terms above are accepted.</div>
+  ${signature}
+</body>
+</html>`;
+};
+
+export const printProposal = (proposal) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    console.error('Could not open print window (blocked by the browser?)');
+    return false;
+  }
+  printWindow.document.write(buildProposalHtml(proposal));
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+};
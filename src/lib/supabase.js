@@ -1,4 +1,9 @@
 import { createClient } from '@supabase/supabase-js';
+import { can, getRoleLabel } from './permissions';
+import { createSyncQueue } from './sync';
+import { isTrashExpired } from './trash';
+import { getRecordAttachments } from './attachments';
+import { deleteFile, getFile, putFile } from './fileStore';
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
@@ -7,15 +12,135 @@ if (!supabaseUrl || !supabaseAnonKey) {
   console.warn('Supabase credentials not found. Using local storage fallback.');
 }
 
+// Whether the last request failed to reach the server (offline, no signal)
+let isNetworkDown = false;
+const trackedFetch = async (...args) => {
+  try {
+    const response = await fetch(...args);
+    isNetworkDown = false;
+    return response;
+  } catch (error) {
+    isNetworkDown = true;
+    throw error;
+  }
+};
+
 export const supabase = supabaseUrl && supabaseAnonKey
-  ? createClient(supabaseUrl, supabaseAnonKey)
+  ? createClient(supabaseUrl, supabaseAnonKey, { global: { fetch: trackedFetch } })
   : null;
 
+// Private Storage bucket for attachment files, one folder per organization
+const ATTACHMENT_BUCKET = 'attachments';
+const VIEW_LINK_SECONDS = 60 * 60;
+const EXPORT_LINK_SECONDS = 7 * 24 * 60 * 60;
+
+// Server versions (updated_at) of records, for conflict checks before replaying a write
+const getVersions = async (table, ids) => {
+  const { data, error } = await supabase
+    .from(table)
+    .select('id, updated_at')
+    .in('id', ids);
+
+  if (error) {
+    console.error(`Error checking ${table} versions:`, error);
+    return null;
+  }
+  return data;
+};
+
+// Writes in Supabase mode go through this queue (see lib/sync.js)
+const syncQueue = createSyncQueue({
+  run: (method, args) => remote[method](...args),
+  getVersions,
+  isNetworkDown: () => isNetworkDown
+});
+
+// Signed-in user and the organization they work in, stamped on every row written.
+// The role gates writes here as well as in RLS; localStorage mode has a single owner.
+let ownerId = null;
+let userEmail = null;
+let organizationId = null;
+let role = 'owner';
+if (supabase) {
+  supabase.auth.onAuthStateChange((_event, session) => {
+    const userId = session?.user?.id ?? null;
+    userEmail = session?.user?.email ?? null;
+    if (userId !== ownerId) {
+      organizationId = null;
+      role = 'read_only';
+      syncQueue.open(userId ? `contractor-crm-sync-${userId}` : null);
+    }
+    ownerId = userId;
+  });
+
+  window.addEventListener('online', () => syncQueue.flush());
+  window.addEventListener('offline', () => syncQueue.flush());
+}
+
+// Last data shown on this device, for starting up without a connection
+const getCacheKey = () => `contractor-crm-cache-${organizationId}`;
+
+const readCache = () => {
+  const stored = localStorage.getItem(getCacheKey());
+  return stored ? migrateData(JSON.parse(stored)) : null;
+};
+
+// Trash items on this device: the trash itself in localStorage mode, an offline copy
+// in Supabase mode
+const getTrashKey = () => (supabase ? `contractor-crm-trash-${organizationId}` : 'contractor-crm-trash');
+
+const readTrash = () => JSON.parse(localStorage.getItem(getTrashKey()) || '[]');
+
+const writeTrash = (items) => localStorage.setItem(getTrashKey(), JSON.stringify(items));
+
+// Estimates on this device: the estimates themselves in localStorage mode, an offline
+// copy in Supabase mode
+const getEstimatesKey = () => (supabase ? `contractor-crm-estimates-${organizationId}` : 'contractor-crm-estimates');
+
+const readEstimates = () => JSON.parse(localStorage.getItem(getEstimatesKey()) || '[]');
+
+const writeEstimates = (estimates) => localStorage.setItem(getEstimatesKey(), JSON.stringify(estimates));
+
+// Project templates on this device, the same way as estimates
+const getTemplatesKey = () => (supabase ? `contractor-crm-templates-${organizationId}` : 'contractor-crm-templates');
+
+const readTemplates = () => JSON.parse(localStorage.getItem(getTemplatesKey()) || '[]');
+
+const writeTemplates = (templates) => localStorage.setItem(getTemplatesKey(), JSON.stringify(templates));
+
+// Activity log: the log itself in localStorage mode; in Supabase mode the latest
+// entries made on this device, shown while the server can't be reached
+const AUDIT_CACHE_LIMIT = 500;
+const getAuditKey = () => (supabase ? `contractor-crm-audit-${organizationId}` : 'contractor-crm-audit');
+
+const readAuditLog = () => JSON.parse(localStorage.getItem(getAuditKey()) || '[]');
+
+const writeAuditLog = (entries) => localStorage.setItem(
+  getAuditKey(),
+  JSON.stringify(supabase ? entries.slice(-AUDIT_CACHE_LIMIT) : entries)
+);
+
+const isAllowed = (action) => {
+  if (can(role, action)) return true;
+  console.error(`${getRoleLabel(role)} role is not allowed to ${action}`);
+  return false;
+};
+
 // Schema version for migrations
-const SCHEMA_VERSION = 2;
+export const SCHEMA_VERSION = 11;
 
-// Migrate data from v1 (original) to v2 (PRD v3 with modes)
-const migrateData = (data) => {
+// Migrate data from older schemas up to SCHEMA_VERSION
+// v1 -> v2: PRD v3 with modes
+// v2 -> v3: change orders per category
+// v3 -> v4: invoices (pay applications) per project
+// v4 -> v5: vendor directory, expenses linked by vendorId
+// v5 -> v6: retainage percent per project (category override)
+// v6 -> v7: expected draws and sub payments for the cash-flow forecast
+// v7 -> v8: receipt and document attachments on expenses and payments
+// v8 -> v9: project status with start, target and completion dates
+// v9 -> v10: signed client proposal per project
+// v10 -> v11: draw schedule per project
+export const migrateData = (data) => {
   const currentVersion = data.schemaVersion || 1;
 
   if (currentVersion >= SCHEMA_VERSION) {
@@ -68,248 +193,1828 @@ const migrateData = (data) => {
     }));
   }
 
+  // Migrate from v2 to v3
+  if (currentVersion < 3) {
+    data.projects = (data.projects || []).map(project => ({
+      ...project,
+      categories: (project.categories || []).map(cat => ({
+        ...cat,
+        changeOrders: cat.changeOrders || []
+      }))
+    }));
+  }
+
+  // Migrate from v3 to v4
+  if (currentVersion < 4) {
+    data.projects = (data.projects || []).map(project => ({
+      ...project,
+      invoices: project.invoices || []
+    }));
+  }
+
+  // Migrate from v4 to v5
+  if (currentVersion < 5) {
+    data.vendors = data.vendors || [];
+    data.projects = (data.projects || []).map(project => ({
+      ...project,
+      categories: (project.categories || []).map(cat => ({
+        ...cat,
+        expenses: (cat.expenses || []).map(exp => ({
+          ...exp,
+          vendorId: exp.vendorId ?? null
+        }))
+      }))
+    }));
+  }
+
+  // Migrate from v5 to v6
+  if (currentVersion < 6) {
+    data.projects = (data.projects || []).map(project => ({
+      ...project,
+      retainagePercent: project.retainagePercent ?? 0,
+      categories: (project.categories || []).map(cat => ({
+        ...cat,
+        retainagePercent: cat.retainagePercent ?? null
+      }))
+    }));
+  }
+
+  // Migrate from v6 to v7
+  if (currentVersion < 7) {
+    data.projects = (data.projects || []).map(project => ({
+      ...project,
+      forecastItems: project.forecastItems || []
+    }));
+  }
+
+  // Migrate from v7 to v8
+  if (currentVersion < 8) {
+    data.projects = (data.projects || []).map(project => ({
+      ...project,
+      categories: (project.categories || []).map(cat => ({
+        ...cat,
+        expenses: (cat.expenses || []).map(exp => ({
+          ...exp,
+          attachments: exp.attachments || []
+        }))
+      })),
+      payments: (project.payments || []).map(pay => ({
+        ...pay,
+        attachments: pay.attachments || []
+      }))
+    }));
+  }
+
+  // Migrate from v8 to v9
+  if (currentVersion < 9) {
+    data.projects = (data.projects || []).map(project => ({
+      ...project,
+      status: project.status || 'active',
+      startDate: project.startDate || null,
+      targetDate: project.targetDate || null,
+      completedDate: project.completedDate || null
+    }));
+  }
+
+  // Migrate from v9 to v10
+  if (currentVersion < 10) {
+    data.projects = (data.projects || []).map(project => ({
+      ...project,
+      proposal: project.proposal || null
+    }));
+  }
+
+  // Migrate from v10 to v11
+  if (currentVersion < 11) {
+    data.projects = (data.projects || []).map(project => ({
+      ...project,
+      drawSchedule: project.drawSchedule || []
+    }));
+  }
+
   data.schemaVersion = SCHEMA_VERSION;
   return data;
 };
 
-// Database operations with localStorage fallback
-export const db = {
-  async getProjects() {
-    if (supabase) {
-      const { data, error } = await supabase
-        .from('projects')
-        .select(`
-          *,
-          categories (
-            *,
-            allocations (*),
-            expenses (*)
-          ),
-          payments (*)
-        `)
-        .order('created_at', { ascending: false });
+// Row mapping between Supabase and the app.
+// Rows are flat and snake_case; the app works with camelCase projects that nest
+// categories (allocations, expenses, change orders) and payments. Allocations are
+// stored once, linking a payment to a category, and appear in the app both on the
+// category (with paymentId and date) and on the payment (with categoryId).
 
-      if (error) {
-        console.error('Error fetching projects:', error);
-        return [];
-      }
-      return data || [];
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+const byId = (a, b) => a.id - b.id;
+
+const allocationAmountsFromRow = (row) => ({
+  amount: toNumber(row.amount),
+  laborAmount: toNumber(row.labor_amount),
+  materialsAmount: toNumber(row.materials_amount),
+  retainage: toNumber(row.retainage),
+  laborRetainage: toNumber(row.labor_retainage),
+  materialsRetainage: toNumber(row.materials_retainage)
+});
+
+const expenseFromRow = (row) => ({
+  id: row.id,
+  amount: toNumber(row.amount),
+  date: row.date,
+  description: row.description,
+  type: row.type,
+  paymentMethod: row.payment_method,
+  reference: row.reference,
+  vendorId: row.vendor_id,
+  retainage: toNumber(row.retainage) ?? 0,
+  retainageRelease: Boolean(row.retainage_release),
+  attachments: row.attachments || []
+});
+
+const changeOrderFromRow = (row) => ({
+  id: row.id,
+  description: row.description,
+  date: row.date,
+  status: row.status,
+  budgetDelta: toNumber(row.budget_delta) ?? 0,
+  costDelta: toNumber(row.cost_delta) ?? 0,
+  laborBudgetDelta: toNumber(row.labor_budget_delta) ?? 0,
+  laborCostDelta: toNumber(row.labor_cost_delta) ?? 0,
+  materialsBudgetDelta: toNumber(row.materials_budget_delta) ?? 0
+});
+
+const categoryFromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  mode: row.mode,
+  totalBudget: toNumber(row.total_budget),
+  totalCost: toNumber(row.total_cost),
+  laborBudget: toNumber(row.labor_budget),
+  laborCost: toNumber(row.labor_cost),
+  materialsBudget: toNumber(row.materials_budget),
+  retainagePercent: toNumber(row.retainage_percent),
+  allocations: [...(row.allocations || [])].sort(byId).map(a => ({
+    paymentId: a.payment_id,
+    ...allocationAmountsFromRow(a),
+    date: a.date
+  })),
+  expenses: [...(row.expenses || [])].sort(byId).map(expenseFromRow),
+  changeOrders: [...(row.change_orders || [])].sort(byId).map(changeOrderFromRow)
+});
+
+const paymentFromRow = (row, allocationRows) => ({
+  id: row.id,
+  paymentMethod: row.payment_method,
+  reference: row.reference,
+  totalAmount: toNumber(row.total_amount),
+  date: row.date,
+  notes: row.notes,
+  retainageRelease: Boolean(row.retainage_release),
+  attachments: row.attachments || [],
+  allocations: allocationRows
+    .filter(a => a.payment_id === row.id)
+    .map(a => ({ categoryId: a.category_id, ...allocationAmountsFromRow(a) }))
+});
+
+const projectFromRow = (row) => {
+  const categoryRows = [...(row.categories || [])].sort(byId);
+  const allocationRows = categoryRows.flatMap(c => [...(c.allocations || [])].sort(byId));
+
+  return {
+    id: row.id,
+    name: row.name,
+    clientName: row.client_name,
+    retainagePercent: toNumber(row.retainage_percent) ?? 0,
+    status: row.status || 'active',
+    startDate: row.start_date || null,
+    targetDate: row.target_date || null,
+    completedDate: row.completed_date || null,
+    proposal: row.proposal || null,
+    categories: categoryRows.map(categoryFromRow),
+    payments: [...(row.payments || [])].sort(byId).map(p => paymentFromRow(p, allocationRows)),
+    invoices: row.invoices || [],
+    forecastItems: row.forecast_items || [],
+    drawSchedule: row.draw_schedule || [],
+    createdAt: row.created_at
+  };
+};
+
+const vendorFromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  trade: row.trade,
+  phone: row.phone,
+  email: row.email,
+  taxId: row.tax_id,
+  insuranceExpiry: row.insurance_expiry
+});
+
+// Rows a project save writes, for conflict checks
+const projectRecords = (project) => [
+  { table: 'projects', id: project.id },
+  ...(project.categories || []).flatMap(c => [
+    { table: 'categories', id: c.id },
+    ...(c.expenses || []).map(e => ({ table: 'expenses', id: e.id })),
+    ...(c.changeOrders || []).map(co => ({ table: 'change_orders', id: co.id }))
+  ]),
+  ...(project.payments || []).map(p => ({ table: 'payments', id: p.id }))
+];
+
+// Restored records: the backup's list for 'replace'; for 'merge', matching records
+// replaced in place and new ones appended
+const mergeRestored = (current, incoming, mode) => {
+  if (mode === 'replace') return incoming;
+
+  const existingIds = new Set(current.map(r => r.id));
+  return [
+    ...current.map(r => incoming.find(i => i.id === r.id) || r),
+    ...incoming.filter(r => !existingIds.has(r.id))
+  ];
+};
+
+// Delete the organization's rows in a table except the listed ids (all of them when
+// the list is empty; PostgREST rejects an empty `in ()`)
+const deleteOrgRowsExcept = (table, ids) => {
+  const query = supabase
+    .from(table)
+    .delete()
+    .eq('organization_id', organizationId);
+  return ids.length > 0 ? query.not('id', 'in', `(${ids.join(',')})`) : query;
+};
+
+// owner_id is left to its auth.uid() default so it stays whoever created the row; an
+// upsert that updates a row doesn't touch it
+const withOrganization = (row) => ({ ...row, organization_id: organizationId });
+
+const projectToRow = (project) => withOrganization({
+  id: project.id,
+  name: project.name,
+  client_name: project.clientName,
+  retainage_percent: project.retainagePercent || 0,
+  status: project.status || 'active',
+  start_date: project.startDate || null,
+  target_date: project.targetDate || null,
+  completed_date: project.completedDate || null,
+  proposal: project.proposal || null,
+  invoices: project.invoices || [],
+  forecast_items: project.forecastItems || [],
+  draw_schedule: project.drawSchedule || [],
+  created_at: project.createdAt
+});
+
+const categoryToRow = (projectId, category) => withOrganization({
+  id: category.id,
+  project_id: projectId,
+  name: category.name,
+  mode: category.mode || 'all-inclusive',
+  total_budget: category.totalBudget ?? null,
+  total_cost: category.totalCost ?? null,
+  labor_budget: category.laborBudget ?? null,
+  labor_cost: category.laborCost ?? null,
+  materials_budget: category.materialsBudget ?? null,
+  retainage_percent: category.retainagePercent ?? null
+});
+
+const paymentToRow = (projectId, payment) => withOrganization({
+  id: payment.id,
+  project_id: projectId,
+  payment_method: payment.paymentMethod || null,
+  reference: payment.reference || payment.checkNumber || null,
+  total_amount: payment.totalAmount,
+  date: payment.date,
+  notes: payment.notes || null,
+  retainage_release: Boolean(payment.retainageRelease),
+  attachments: payment.attachments || []
+});
+
+const allocationToRow = (paymentId, date, allocation) => withOrganization({
+  payment_id: paymentId,
+  category_id: allocation.categoryId,
+  amount: allocation.amount || null,
+  labor_amount: allocation.laborAmount || null,
+  materials_amount: allocation.materialsAmount || null,
+  retainage: allocation.retainage || null,
+  labor_retainage: allocation.laborRetainage || null,
+  materials_retainage: allocation.materialsRetainage || null,
+  date
+});
+
+const hasAllocatedAmount = (a) => (a.amount > 0) || (a.laborAmount > 0) || (a.materialsAmount > 0);
+
+const expenseToRow = (categoryId, expense) => withOrganization({
+  id: expense.id,
+  category_id: categoryId,
+  amount: expense.amount,
+  date: expense.date,
+  description: expense.description,
+  type: expense.type || null,
+  payment_method: expense.paymentMethod || null,
+  reference: expense.reference || null,
+  vendor_id: expense.vendorId || null,
+  retainage: expense.retainage || null,
+  retainage_release: Boolean(expense.retainageRelease),
+  attachments: expense.attachments || []
+});
+
+const changeOrderToRow = (categoryId, changeOrder) => withOrganization({
+  id: changeOrder.id,
+  category_id: categoryId,
+  description: changeOrder.description,
+  date: changeOrder.date,
+  status: changeOrder.status,
+  budget_delta: changeOrder.budgetDelta || 0,
+  cost_delta: changeOrder.costDelta || 0,
+  labor_budget_delta: changeOrder.laborBudgetDelta || 0,
+  labor_cost_delta: changeOrder.laborCostDelta || 0,
+  materials_budget_delta: changeOrder.materialsBudgetDelta || 0
+});
+
+const memberFromRow = (row) => ({
+  userId: row.user_id,
+  email: row.email,
+  role: row.role,
+  joinedAt: row.joined_at
+});
+
+const inviteFromRow = (row) => ({
+  id: row.id,
+  email: row.email,
+  role: row.role,
+  createdAt: row.created_at
+});
+
+const vendorToRow = (vendor) => withOrganization({
+  id: vendor.id,
+  name: vendor.name,
+  trade: vendor.trade || null,
+  phone: vendor.phone || null,
+  email: vendor.email || null,
+  tax_id: vendor.taxId || null,
+  insurance_expiry: vendor.insuranceExpiry || null
+});
+
+const estimateFromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  clientName: row.client_name,
+  status: row.status,
+  projectId: row.project_id,
+  groups: row.groups || [],
+  notes: row.notes || '',
+  terms: row.terms ?? null,
+  createdAt: row.created_at,
+  acceptedAt: row.accepted_at
+});
+
+const estimateToRow = (estimate) => withOrganization({
+  id: estimate.id,
+  name: estimate.name,
+  client_name: estimate.clientName || '',
+  status: estimate.status,
+  project_id: estimate.projectId || null,
+  groups: estimate.groups,
+  notes: estimate.notes || null,
+  terms: estimate.terms ?? null,
+  created_at: estimate.createdAt,
+  accepted_at: estimate.acceptedAt || null
+});
+
+const templateFromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  basis: row.basis,
+  categories: row.categories || [],
+  createdAt: row.created_at
+});
+
+const templateToRow = (template) => withOrganization({
+  id: template.id,
+  name: template.name,
+  basis: template.basis,
+  categories: template.categories,
+  created_at: template.createdAt
+});
+
+const trashItemFromRow = (row) => ({
+  id: row.id,
+  kind: row.kind,
+  label: row.label,
+  projectId: row.project_id,
+  projectName: row.project_name,
+  categoryId: row.category_id,
+  deletedAt: row.deleted_at,
+  record: row.record
+});
+
+const trashItemToRow = (item) => withOrganization({
+  id: item.id,
+  kind: item.kind,
+  label: item.label,
+  project_id: item.projectId,
+  project_name: item.projectName || '',
+  category_id: item.categoryId,
+  deleted_at: item.deletedAt,
+  record: item.record
+});
+
+const auditEntryFromRow = (row) => ({
+  id: row.id,
+  at: row.created_at,
+  clientAt: row.client_at,
+  projectId: row.project_id,
+  entity: row.entity,
+  entityId: row.entity_id,
+  action: row.action,
+  label: row.label,
+  before: row.before,
+  after: row.after,
+  userId: row.user_id,
+  userEmail: row.user_email
+});
+
+// The database numbers entries and stamps created_at; client_at is when the change was
+// made on this device, which for offline changes is before it synced
+const auditEntryToRow = (entry) => ({
+  organization_id: organizationId,
+  user_id: entry.userId,
+  user_email: entry.userEmail,
+  project_id: entry.projectId,
+  entity: entry.entity,
+  entity_id: entry.entityId,
+  action: entry.action,
+  label: entry.label,
+  before: entry.before,
+  after: entry.after,
+  client_at: entry.at
+});
+
+// Upsert a project's child rows and delete the ones under the same parents
+// that are no longer in the list
+const syncRows = async (table, parentColumn, parentIds, rows) => {
+  if (rows.length > 0) {
+    const { error } = await supabase.from(table).upsert(rows);
+    if (error) return error;
+  }
+  if (parentIds.length === 0) return null;
+
+  let query = supabase.from(table).delete().in(parentColumn, parentIds);
+  if (rows.length > 0) {
+    query = query.not('id', 'in', `(${rows.map(r => r.id).join(',')})`);
+  }
+  const { error } = await query;
+  return error;
+};
+
+// Supabase writes, replayed in order by the sync queue. Each resolves to the saved
+// value, or null/false when the request fails.
+const remote = {
+  async saveProject(project) {
+    const { data: savedProject, error } = await supabase
+      .from('projects')
+      .upsert(projectToRow(project))
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error saving project:', error);
+      return null;
     }
 
-    // localStorage fallback with migration
-    const stored = localStorage.getItem('contractor-crm-data');
-    if (stored) {
-      let data = JSON.parse(stored);
-      // Run migration if needed
-      data = migrateData(data);
-      // Save migrated data back
-      localStorage.setItem('contractor-crm-data', JSON.stringify(data));
-      return data.projects || [];
+    const categories = project.categories || [];
+    const payments = project.payments || [];
+    const categoryIds = categories.map(c => c.id);
+    const paymentIds = payments.map(p => p.id);
+
+    // Parents before children so foreign keys resolve
+    const syncError =
+      await syncRows('categories', 'project_id', [project.id], categories.map(c => categoryToRow(project.id, c))) ||
+      await syncRows('payments', 'project_id', [project.id], payments.map(p => paymentToRow(project.id, p))) ||
+      await syncRows('expenses', 'category_id', categoryIds,
+        categories.flatMap(c => (c.expenses || []).map(e => expenseToRow(c.id, e)))) ||
+      await syncRows('change_orders', 'category_id', categoryIds,
+        categories.flatMap(c => (c.changeOrders || []).map(co => changeOrderToRow(c.id, co))));
+
+    if (syncError) {
+      console.error('Error saving project records:', syncError);
+      return null;
     }
-    return [];
-  },
 
-  async saveProject(project) {
-    if (supabase) {
-      const { id, categories, payments, ...projectData } = project;
+    // Allocations have no id of their own - rewrite them per payment
+    if (paymentIds.length > 0) {
+      const { error: clearError } = await supabase
+        .from('allocations')
+        .delete()
+        .in('payment_id', paymentIds);
 
-      // Upsert project
-      const { data: savedProject, error } = await supabase
-        .from('projects')
-        .upsert({
-          id: id || undefined,
-          ...projectData
-        })
-        .select()
-        .single();
+      const allocationRows = payments.flatMap(p =>
+        (p.allocations || []).filter(hasAllocatedAmount).map(a => allocationToRow(p.id, p.date, a))
+      );
+      const { error: allocError } = allocationRows.length > 0
+        ? await supabase.from('allocations').insert(allocationRows)
+        : { error: null };
 
-      if (error) {
-        console.error('Error saving project:', error);
+      if (clearError || allocError) {
+        console.error('Error saving allocations:', clearError || allocError);
         return null;
       }
+    }
 
-      return savedProject;
+    return projectFromRow(savedProject);
+  },
+
+  async saveProjectDetails(project) {
+    const {
+      name, client_name, retainage_percent, status, start_date, target_date, completed_date
+    } = projectToRow(project);
+    const { error } = await supabase
+      .from('projects')
+      .update({ name, client_name, retainage_percent, status, start_date, target_date, completed_date })
+      .eq('id', project.id);
+
+    if (error) {
+      console.error('Error saving project details:', error);
+      return null;
     }
+    return project;
+  },
 
-    // localStorage fallback
-    const stored = localStorage.getItem('contractor-crm-data');
-    const data = stored ? JSON.parse(stored) : { projects: [] };
+  async saveInvoices(projectId, invoices) {
+    const { error } = await supabase
+      .from('projects')
+      .update({ invoices })
+      .eq('id', projectId);
 
-    const existingIndex = data.projects.findIndex(p => p.id === project.id);
-    if (existingIndex >= 0) {
-      data.projects[existingIndex] = project;
-    } else {
-      data.projects.push(project);
+    if (error) {
+      console.error('Error saving invoices:', error);
+      return null;
     }
+    return invoices;
+  },
 
-    localStorage.setItem('contractor-crm-data', JSON.stringify(data));
-    return project;
+  async saveDrawSchedule(projectId, drawSchedule) {
+    const { error } = await supabase
+      .from('projects')
+      .update({ draw_schedule: drawSchedule })
+      .eq('id', projectId);
+
+    if (error) {
+      console.error('Error saving draw schedule:', error);
+      return null;
+    }
+    return drawSchedule;
+  },
+
+  async saveProposal(projectId, proposal) {
+    const { error } = await supabase
+      .from('projects')
+      .update({ proposal, status: 'active' })
+      .eq('id', projectId);
+
+    if (error) {
+      console.error('Error saving proposal:', error);
+      return null;
+    }
+    return proposal;
+  },
+
+  async saveForecastItems(projectId, forecastItems) {
+    const { error } = await supabase
+      .from('projects')
+      .update({ forecast_items: forecastItems })
+      .eq('id', projectId);
+
+    if (error) {
+      console.error('Error saving forecast items:', error);
+      return null;
+    }
+    return forecastItems;
   },
 
   async deleteProject(projectId) {
-    if (supabase) {
-      const { error } = await supabase
-        .from('projects')
-        .delete()
-        .eq('id', projectId);
+    const { error } = await supabase
+      .from('projects')
+      .delete()
+      .eq('id', projectId);
+
+    if (error) {
+      console.error('Error deleting project:', error);
+      return false;
+    }
+    return true;
+  },
+
+  async importProjects(projects, mode) {
+    if (mode === 'replace') {
+      const { error } = await deleteOrgRowsExcept('projects', projects.map(p => p.id));
 
       if (error) {
-        console.error('Error deleting project:', error);
+        console.error('Error clearing projects for restore:', error);
         return false;
       }
-      return true;
     }
 
-    // localStorage fallback
-    const stored = localStorage.getItem('contractor-crm-data');
-    if (stored) {
-      const data = JSON.parse(stored);
-      data.projects = data.projects.filter(p => p.id !== projectId);
-      localStorage.setItem('contractor-crm-data', JSON.stringify(data));
+    for (const project of projects) {
+      await remote.saveProject(project);
     }
     return true;
   },
 
   async saveCategory(projectId, category) {
-    if (supabase) {
-      const { id, allocations, expenses, ...categoryData } = category;
-
-      const { data, error } = await supabase
-        .from('categories')
-        .upsert({
-          id: id || undefined,
-          project_id: projectId,
-          ...categoryData
-        })
-        .select()
-        .single();
+    const { data, error } = await supabase
+      .from('categories')
+      .upsert(categoryToRow(projectId, category))
+      .select()
+      .single();
 
-      if (error) {
-        console.error('Error saving category:', error);
-        return null;
-      }
-      return data;
+    if (error) {
+      console.error('Error saving category:', error);
+      return null;
     }
-    return category;
+    return categoryFromRow(data);
   },
 
   async deleteCategory(categoryId) {
-    if (supabase) {
-      const { error } = await supabase
-        .from('categories')
-        .delete()
-        .eq('id', categoryId);
+    const { error } = await supabase
+      .from('categories')
+      .delete()
+      .eq('id', categoryId);
 
-      if (error) {
-        console.error('Error deleting category:', error);
-        return false;
-      }
+    if (error) {
+      console.error('Error deleting category:', error);
+      return false;
     }
     return true;
   },
 
   async savePayment(projectId, payment, allocations) {
-    if (supabase) {
-      const { id, ...paymentData } = payment;
+    const { data: savedPayment, error: paymentError } = await supabase
+      .from('payments')
+      .upsert(paymentToRow(projectId, payment))
+      .select()
+      .single();
 
-      const { data: savedPayment, error: paymentError } = await supabase
-        .from('payments')
-        .upsert({
-          id: id || undefined,
-          project_id: projectId,
-          ...paymentData
-        })
-        .select()
-        .single();
+    if (paymentError) {
+      console.error('Error saving payment:', paymentError);
+      return null;
+    }
 
-      if (paymentError) {
-        console.error('Error saving payment:', paymentError);
-        return null;
-      }
+    // Replace any allocations from a previous save of this payment (edits)
+    const { error: clearError } = await supabase
+      .from('allocations')
+      .delete()
+      .eq('payment_id', payment.id);
 
-      // Save allocations (supports both all-inclusive amount and separate labor/materials)
-      if (allocations && allocations.length > 0) {
-        const allocationsToSave = allocations
-          .filter(a => (a.amount > 0) || (a.laborAmount > 0) || (a.materialsAmount > 0))
-          .map(a => ({
-            payment_id: savedPayment.id,
-            category_id: a.categoryId,
-            amount: a.amount || null,
-            labor_amount: a.laborAmount || null,
-            materials_amount: a.materialsAmount || null,
-            date: payment.date
-          }));
-
-        const { error: allocError } = await supabase
-          .from('allocations')
-          .insert(allocationsToSave);
-
-        if (allocError) {
-          console.error('Error saving allocations:', allocError);
-        }
-      }
+    if (clearError) {
+      console.error('Error clearing allocations:', clearError);
+    }
+
+    // Save allocations (supports both all-inclusive amount and separate labor/materials)
+    const allocationsToSave = (allocations || [])
+      .filter(hasAllocatedAmount)
+      .map(a => allocationToRow(payment.id, payment.date, a));
 
-      return savedPayment;
+    if (allocationsToSave.length > 0) {
+      const { error: allocError } = await supabase
+        .from('allocations')
+        .insert(allocationsToSave);
+
+      if (allocError) {
+        console.error('Error saving allocations:', allocError);
+      }
     }
-    return payment;
+
+    return paymentFromRow(savedPayment, allocationsToSave);
   },
 
   async deletePayment(paymentId) {
-    if (supabase) {
-      // Allocations will be deleted by CASCADE
-      const { error } = await supabase
-        .from('payments')
-        .delete()
-        .eq('id', paymentId);
+    // Allocations will be deleted by CASCADE
+    const { error } = await supabase
+      .from('payments')
+      .delete()
+      .eq('id', paymentId);
 
-      if (error) {
-        console.error('Error deleting payment:', error);
-        return false;
-      }
+    if (error) {
+      console.error('Error deleting payment:', error);
+      return false;
     }
     return true;
   },
 
   async saveExpense(categoryId, expense) {
-    if (supabase) {
-      const { id, ...expenseData } = expense;
+    const { data, error } = await supabase
+      .from('expenses')
+      .upsert(expenseToRow(categoryId, expense))
+      .select()
+      .single();
 
-      const { data, error } = await supabase
-        .from('expenses')
-        .upsert({
-          id: id || undefined,
-          category_id: categoryId,
-          amount: expenseData.amount,
-          date: expenseData.date,
-          description: expenseData.description,
-          type: expenseData.type || null,
-          payment_method: expenseData.paymentMethod || null,
-          reference: expenseData.reference || null
-        })
-        .select()
-        .single();
+    if (error) {
+      console.error('Error saving expense:', error);
+      return null;
+    }
+    return expenseFromRow(data);
+  },
 
-      if (error) {
-        console.error('Error saving expense:', error);
-        return null;
-      }
-      return data;
+  // New payments (with their allocations) and expenses ([{ categoryId, expense }])
+  // from a CSV import, written together
+  async importRecords(projectId, { payments = [], expenses = [] }) {
+    const paymentIds = payments.map(p => p.id);
+    const allocationRows = payments.flatMap(p =>
+      p.allocations.filter(hasAllocatedAmount).map(a => allocationToRow(p.id, p.date, a))
+    );
+
+    const { error: paymentError } = payments.length > 0
+      ? await supabase.from('payments').upsert(payments.map(p => paymentToRow(projectId, p)))
+      : { error: null };
+    // Cleared first so a retried import doesn't duplicate them
+    const { error: clearError } = !paymentError && paymentIds.length > 0
+      ? await supabase.from('allocations').delete().in('payment_id', paymentIds)
+      : { error: null };
+    const { error: allocError } = !paymentError && !clearError && allocationRows.length > 0
+      ? await supabase.from('allocations').insert(allocationRows)
+      : { error: null };
+    const { error: expenseError } = expenses.length > 0
+      ? await supabase.from('expenses').upsert(expenses.map(({ categoryId, expense }) => expenseToRow(categoryId, expense)))
+      : { error: null };
+
+    const error = paymentError || clearError || allocError || expenseError;
+    if (error) {
+      console.error('Error importing records:', error);
+      return false;
     }
-    return expense;
+    return true;
   },
 
   async deleteExpense(expenseId) {
-    if (supabase) {
-      const { error } = await supabase
-        .from('expenses')
-        .delete()
-        .eq('id', expenseId);
+    const { error } = await supabase
+      .from('expenses')
+      .delete()
+      .eq('id', expenseId);
+
+    if (error) {
+      console.error('Error deleting expense:', error);
+      return false;
+    }
+    return true;
+  },
+
+  async saveChangeOrder(categoryId, changeOrder) {
+    const { data, error } = await supabase
+      .from('change_orders')
+      .upsert(changeOrderToRow(categoryId, changeOrder))
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error saving change order:', error);
+      return null;
+    }
+    return changeOrderFromRow(data);
+  },
+
+  async saveVendor(vendor) {
+    const { data, error } = await supabase
+      .from('vendors')
+      .upsert(vendorToRow(vendor))
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error saving vendor:', error);
+      return null;
+    }
+    return vendorFromRow(data);
+  },
+
+  async deleteVendor(vendorId) {
+    // Linked expenses keep their amounts; vendor_id is cleared by ON DELETE SET NULL
+    const { error } = await supabase
+      .from('vendors')
+      .delete()
+      .eq('id', vendorId);
+
+    if (error) {
+      console.error('Error deleting vendor:', error);
+      return false;
+    }
+    return true;
+  },
+
+  async deleteChangeOrder(changeOrderId) {
+    const { error } = await supabase
+      .from('change_orders')
+      .delete()
+      .eq('id', changeOrderId);
+
+    if (error) {
+      console.error('Error deleting change order:', error);
+      return false;
+    }
+    return true;
+  },
+
+  async saveEstimate(estimate) {
+    const { error } = await supabase
+      .from('estimates')
+      .upsert(estimateToRow(estimate));
+
+    if (error) {
+      console.error('Error saving estimate:', error);
+      return null;
+    }
+    return estimate;
+  },
+
+  async deleteEstimate(estimateId) {
+    const { error } = await supabase
+      .from('estimates')
+      .delete()
+      .eq('id', estimateId);
+
+    if (error) {
+      console.error('Error deleting estimate:', error);
+      return false;
+    }
+    return true;
+  },
+
+  async importEstimates(estimates, mode) {
+    if (mode === 'replace') {
+      const { error } = await deleteOrgRowsExcept('estimates', estimates.map(e => e.id));
+
+      if (error) {
+        console.error('Error clearing estimates for restore:', error);
+        return false;
+      }
+    }
+    if (estimates.length === 0) return true;
+
+    const { error } = await supabase
+      .from('estimates')
+      .upsert(estimates.map(estimateToRow));
+
+    if (error) {
+      console.error('Error restoring estimates:', error);
+      return false;
+    }
+    return true;
+  },
+
+  async saveTemplate(template) {
+    const { error } = await supabase
+      .from('project_templates')
+      .upsert(templateToRow(template));
+
+    if (error) {
+      console.error('Error saving template:', error);
+      return null;
+    }
+    return template;
+  },
+
+  async importTemplates(templates, mode) {
+    if (mode === 'replace') {
+      const { error } = await deleteOrgRowsExcept('project_templates', templates.map(t => t.id));
 
       if (error) {
-        console.error('Error deleting expense:', error);
+        console.error('Error clearing templates for restore:', error);
         return false;
       }
     }
+    if (templates.length === 0) return true;
+
+    const { error } = await supabase
+      .from('project_templates')
+      .upsert(templates.map(templateToRow));
+
+    if (error) {
+      console.error('Error restoring templates:', error);
+      return false;
+    }
+    return true;
+  },
+
+  async deleteTemplate(templateId) {
+    const { error } = await supabase
+      .from('project_templates')
+      .delete()
+      .eq('id', templateId);
+
+    if (error) {
+      console.error('Error deleting template:', error);
+      return false;
+    }
+    return true;
+  },
+
+  async saveTrashItem(item) {
+    const { error } = await supabase
+      .from('trash_items')
+      .upsert(trashItemToRow(item));
+
+    if (error) {
+      console.error('Error saving trash item:', error);
+      return null;
+    }
+    return item;
+  },
+
+  async deleteTrashItem(itemId) {
+    const { error } = await supabase
+      .from('trash_items')
+      .delete()
+      .eq('id', itemId);
+
+    if (error) {
+      console.error('Error deleting trash item:', error);
+      return false;
+    }
+    return true;
+  },
+
+  // Sends a file stored on this device by db.saveAttachment
+  async uploadAttachment(attachment) {
+    const file = await getFile(attachment.id);
+    if (!file) {
+      console.error('Attachment file is missing on this device:', attachment.name);
+      return null;
+    }
+
+    const { error } = await supabase.storage
+      .from(ATTACHMENT_BUCKET)
+      .upload(attachment.path, file, { contentType: attachment.type, upsert: true });
+
+    if (error) {
+      console.error('Error uploading attachment:', error);
+      return null;
+    }
+    return attachment;
+  },
+
+  async deleteAttachments(paths) {
+    const { error } = await supabase.storage
+      .from(ATTACHMENT_BUCKET)
+      .remove(paths);
+
+    if (error) {
+      console.error('Error deleting attachments:', error);
+      return false;
+    }
+    return true;
+  },
+
+  async addAuditEntry(entry) {
+    const { error } = await supabase
+      .from('audit_log')
+      .insert(auditEntryToRow(entry));
+
+    if (error) {
+      console.error('Error saving activity log entry:', error);
+      return null;
+    }
+    return entry;
+  }
+};
+
+// Database operations with localStorage fallback
+export const db = {
+  // Joins pending invites or creates an organization on first sign-in, and sets the
+  // organization and role later calls work with
+  async getMembership() {
+    if (supabase) {
+      const membershipKey = `contractor-crm-membership-${ownerId}`;
+      const { data, error } = await supabase.rpc('ensure_organization');
+      const row = data?.[0];
+      const membership = row
+        ? { organizationId: row.organization_id, organizationName: row.organization_name, role: row.role }
+        : JSON.parse(localStorage.getItem(membershipKey));
+
+      if (!membership) {
+        console.error('Error loading membership:', error);
+        return null;
+      }
+      localStorage.setItem(membershipKey, JSON.stringify(membership));
+      organizationId = membership.organizationId;
+      role = membership.role;
+      return membership;
+    }
+    return { organizationId: null, organizationName: null, role: 'owner' };
+  },
+
+  async getProjects() {
+    if (supabase) {
+      // Send queued writes first; while some can't be sent yet, the server copy would
+      // be missing them, so show what this device saved last
+      await syncQueue.flush();
+      const cached = readCache();
+      if (syncQueue.hasPendingWrites() && cached) {
+        return cached.projects || [];
+      }
+
+      const { data, error } = await supabase
+        .from('projects')
+        .select(`
+          *,
+          categories (
+            *,
+            allocations (*),
+            expenses (*),
+            change_orders (*)
+          ),
+          payments (*)
+        `)
+        .eq('organization_id', organizationId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching projects:', error);
+        return cached?.projects || [];
+      }
+
+      const categoryRows = (data || []).flatMap(p => p.categories || []);
+      syncQueue.rememberVersions('projects', data || []);
+      syncQueue.rememberVersions('categories', categoryRows);
+      syncQueue.rememberVersions('payments', (data || []).flatMap(p => p.payments || []));
+      syncQueue.rememberVersions('expenses', categoryRows.flatMap(c => c.expenses || []));
+      syncQueue.rememberVersions('change_orders', categoryRows.flatMap(c => c.change_orders || []));
+      return (data || []).map(projectFromRow);
+    }
+
+    // localStorage fallback with migration
+    const stored = localStorage.getItem('contractor-crm-data');
+    if (stored) {
+      let data = JSON.parse(stored);
+      // Run migration if needed
+      data = migrateData(data);
+      // Save migrated data back
+      localStorage.setItem('contractor-crm-data', JSON.stringify(data));
+      return data.projects || [];
+    }
+    return [];
+  },
+
+  // Saves the whole project tree: categories with their expenses and change orders,
+  // and payments with their allocations. Child rows the project no longer has are removed.
+  async saveProject(project) {
+    if (!isAllowed('project.write')) return null;
+
+    if (supabase) {
+      syncQueue.add('saveProject', [project], {
+        action: 'save',
+        records: projectRecords(project),
+        label: `Project "${project.name}"`
+      });
+      return project;
+    }
+
+    // localStorage fallback
+    const stored = localStorage.getItem('contractor-crm-data');
+    const data = stored ? JSON.parse(stored) : { projects: [] };
+
+    const existingIndex = data.projects.findIndex(p => p.id === project.id);
+    if (existingIndex >= 0) {
+      data.projects[existingIndex] = project;
+    } else {
+      data.projects.push(project);
+    }
+
+    localStorage.setItem('contractor-crm-data', JSON.stringify(data));
+    return project;
+  },
+
+  // Project fields only (name, client, retainage, status and dates); categories and payments save separately
+  async saveProjectDetails(project) {
+    if (!isAllowed('project.write')) return null;
+
+    if (supabase) {
+      syncQueue.add('saveProjectDetails', [project], {
+        action: 'save',
+        records: [{ table: 'projects', id: project.id }],
+        label: `Project "${project.name}" details`
+      });
+    }
+    return project;
+  },
+
+  async saveInvoices(projectId, invoices) {
+    if (!isAllowed('invoice.write')) return null;
+
+    if (supabase) {
+      syncQueue.add('saveInvoices', [projectId, invoices], {
+        action: 'save',
+        records: [{ table: 'projects', id: projectId }],
+        label: 'Invoices'
+      });
+    }
+    return invoices;
+  },
+
+  // Draws are billed to the client, so whoever records client payments schedules them
+  async saveDrawSchedule(projectId, drawSchedule) {
+    if (!isAllowed('payment.write')) return null;
+
+    if (supabase) {
+      syncQueue.add('saveDrawSchedule', [projectId, drawSchedule], {
+        action: 'save',
+        records: [{ table: 'projects', id: projectId }],
+        label: 'Draw schedule'
+      });
+    }
+    return drawSchedule;
+  },
+
+  // A signed proposal, which also makes the project active
+  async saveProposal(projectId, proposal) {
+    if (!isAllowed('project.write')) return null;
+
+    if (supabase) {
+      syncQueue.add('saveProposal', [projectId, proposal], {
+        action: 'save',
+        records: [{ table: 'projects', id: projectId }],
+        label: 'Signed proposal'
+      });
+    }
+    return proposal;
+  },
+
+  async saveForecastItems(projectId, forecastItems) {
+    if (!isAllowed('forecast.write')) return null;
+
+    if (supabase) {
+      syncQueue.add('saveForecastItems', [projectId, forecastItems], {
+        action: 'save',
+        records: [{ table: 'projects', id: projectId }],
+        label: 'Cash-flow forecast items'
+      });
+    }
+    return forecastItems;
+  },
+
+  async deleteProject(projectId) {
+    if (!isAllowed('project.delete')) return false;
+
+    if (supabase) {
+      syncQueue.add('deleteProject', [projectId], {
+        action: 'delete',
+        records: [{ table: 'projects', id: projectId }],
+        label: 'Project deletion'
+      });
+      return true;
+    }
+
+    // localStorage fallback
+    const stored = localStorage.getItem('contractor-crm-data');
+    if (stored) {
+      const data = JSON.parse(stored);
+      data.projects = data.projects.filter(p => p.id !== projectId);
+      localStorage.setItem('contractor-crm-data', JSON.stringify(data));
+    }
+    return true;
+  },
+
+  // Write a restored backup. 'replace' removes projects that aren't in the list;
+  // 'merge' upserts the listed projects and leaves the rest alone.
+  async importProjects(projects, mode) {
+    if (!isAllowed('backup.restore')) return false;
+
+    if (supabase) {
+      syncQueue.add('importProjects', [projects, mode], {
+        action: 'save',
+        records: [],
+        label: 'Backup restore'
+      });
+      return true;
+    }
+
+    // localStorage fallback
+    const stored = localStorage.getItem('contractor-crm-data');
+    const data = stored ? JSON.parse(stored) : { projects: [] };
+    data.schemaVersion = SCHEMA_VERSION;
+
+    data.projects = mergeRestored(data.projects, projects, mode);
+
+    localStorage.setItem('contractor-crm-data', JSON.stringify(data));
+    return true;
+  },
+
+  // Category fields only; allocations, expenses and change orders save separately
+  async saveCategory(projectId, category) {
+    if (!isAllowed('category.write')) return null;
+
+    if (supabase) {
+      syncQueue.add('saveCategory', [projectId, category], {
+        action: 'save',
+        records: [{ table: 'categories', id: category.id }],
+        label: `Category "${category.name}"`
+      });
+    }
+    return category;
+  },
+
+  async deleteCategory(categoryId) {
+    if (!isAllowed('category.delete')) return false;
+
+    if (supabase) {
+      syncQueue.add('deleteCategory', [categoryId], {
+        action: 'delete',
+        records: [{ table: 'categories', id: categoryId }],
+        label: 'Category deletion'
+      });
+    }
+    return true;
+  },
+
+  async savePayment(projectId, payment, allocations) {
+    if (!isAllowed('payment.write')) return null;
+
+    if (supabase) {
+      syncQueue.add('savePayment', [projectId, payment, allocations], {
+        action: 'save',
+        records: [{ table: 'payments', id: payment.id }],
+        label: `Payment of ${payment.totalAmount}`
+      });
+    }
+    return payment;
+  },
+
+  async deletePayment(paymentId) {
+    if (!isAllowed('payment.delete')) return false;
+
+    if (supabase) {
+      syncQueue.add('deletePayment', [paymentId], {
+        action: 'delete',
+        records: [{ table: 'payments', id: paymentId }],
+        label: 'Payment deletion'
+      });
+    }
+    return true;
+  },
+
+  async saveExpense(categoryId, expense) {
+    if (!isAllowed('expense.write')) return null;
+
+    if (supabase) {
+      syncQueue.add('saveExpense', [categoryId, expense], {
+        action: 'save',
+        records: [{ table: 'expenses', id: expense.id }],
+        label: `Expense "${expense.description}"`
+      });
+    }
+    return expense;
+  },
+
+  async importRecords(projectId, { payments = [], expenses = [] }) {
+    if (payments.length > 0 && !isAllowed('payment.write')) return false;
+    if (expenses.length > 0 && !isAllowed('expense.write')) return false;
+
+    if (supabase) {
+      syncQueue.add('importRecords', [projectId, { payments, expenses }], {
+        action: 'save',
+        records: [
+          ...payments.map(p => ({ table: 'payments', id: p.id })),
+          ...expenses.map(({ expense }) => ({ table: 'expenses', id: expense.id }))
+        ],
+        label: `Import of ${payments.length + expenses.length} records`
+      });
+    }
+    return true;
+  },
+
+  async deleteExpense(expenseId) {
+    if (!isAllowed('expense.delete')) return false;
+
+    if (supabase) {
+      syncQueue.add('deleteExpense', [expenseId], {
+        action: 'delete',
+        records: [{ table: 'expenses', id: expenseId }],
+        label: 'Expense deletion'
+      });
+    }
+    return true;
+  },
+
+  async saveChangeOrder(categoryId, changeOrder) {
+    if (!isAllowed('changeOrder.write')) return null;
+
+    if (supabase) {
+      syncQueue.add('saveChangeOrder', [categoryId, changeOrder], {
+        action: 'save',
+        records: [{ table: 'change_orders', id: changeOrder.id }],
+        label: `Change order "${changeOrder.description}"`
+      });
+    }
+    return changeOrder;
+  },
+
+  async getVendors() {
+    if (supabase) {
+      const cached = readCache();
+      if (syncQueue.hasPendingWrites() && cached) {
+        return cached.vendors || [];
+      }
+
+      const { data, error } = await supabase
+        .from('vendors')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .order('name');
+
+      if (error) {
+        console.error('Error fetching vendors:', error);
+        return cached?.vendors || [];
+      }
+      syncQueue.rememberVersions('vendors', data || []);
+      return (data || []).map(vendorFromRow);
+    }
+
+    // localStorage fallback
+    const stored = localStorage.getItem('contractor-crm-data');
+    if (stored) {
+      const data = migrateData(JSON.parse(stored));
+      return data.vendors || [];
+    }
+    return [];
+  },
+
+  async saveVendor(vendor) {
+    if (!isAllowed('vendor.write')) return null;
+
+    if (supabase) {
+      syncQueue.add('saveVendor', [vendor], {
+        action: 'save',
+        records: [{ table: 'vendors', id: vendor.id }],
+        label: `Vendor "${vendor.name}"`
+      });
+      return vendor;
+    }
+
+    // localStorage fallback
+    const stored = localStorage.getItem('contractor-crm-data');
+    const data = stored ? JSON.parse(stored) : { schemaVersion: SCHEMA_VERSION, projects: [] };
+    const vendors = data.vendors || [];
+
+    const existingIndex = vendors.findIndex(v => v.id === vendor.id);
+    if (existingIndex >= 0) {
+      vendors[existingIndex] = vendor;
+    } else {
+      vendors.push(vendor);
+    }
+    data.vendors = vendors;
+
+    localStorage.setItem('contractor-crm-data', JSON.stringify(data));
+    return vendor;
+  },
+
+  async deleteVendor(vendorId) {
+    if (!isAllowed('vendor.delete')) return false;
+
+    if (supabase) {
+      syncQueue.add('deleteVendor', [vendorId], {
+        action: 'delete',
+        records: [{ table: 'vendors', id: vendorId }],
+        label: 'Vendor deletion'
+      });
+      return true;
+    }
+
+    // localStorage fallback
+    const stored = localStorage.getItem('contractor-crm-data');
+    if (stored) {
+      const data = JSON.parse(stored);
+      data.vendors = (data.vendors || []).filter(v => v.id !== vendorId);
+      localStorage.setItem('contractor-crm-data', JSON.stringify(data));
+    }
+    return true;
+  },
+
+  async deleteChangeOrder(changeOrderId) {
+    if (!isAllowed('changeOrder.delete')) return false;
+
+    if (supabase) {
+      syncQueue.add('deleteChangeOrder', [changeOrderId], {
+        action: 'delete',
+        records: [{ table: 'change_orders', id: changeOrderId }],
+        label: 'Change order deletion'
+      });
+    }
+    return true;
+  },
+
+  // The organization's estimates, newest first
+  async getEstimates() {
+    let estimates = readEstimates();
+
+    if (supabase && !syncQueue.hasPendingWrites()) {
+      const { data, error } = await supabase
+        .from('estimates')
+        .select('*')
+        .eq('organization_id', organizationId);
+
+      if (error) {
+        console.error('Error fetching estimates:', error);
+      } else {
+        syncQueue.rememberVersions('estimates', data);
+        estimates = data.map(estimateFromRow);
+      }
+    }
+
+    estimates.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    writeEstimates(estimates);
+    return estimates;
+  },
+
+  async saveEstimate(estimate) {
+    if (!isAllowed('estimate.write')) return null;
+
+    writeEstimates([estimate, ...readEstimates().filter(e => e.id !== estimate.id)]);
+    if (supabase) {
+      syncQueue.add('saveEstimate', [estimate], {
+        action: 'save',
+        records: [{ table: 'estimates', id: estimate.id }],
+        label: `Estimate "${estimate.name}"`
+      });
+    }
+    return estimate;
+  },
+
+  async deleteEstimate(estimate) {
+    if (!isAllowed('estimate.delete')) return false;
+
+    writeEstimates(readEstimates().filter(e => e.id !== estimate.id));
+    if (supabase) {
+      syncQueue.add('deleteEstimate', [estimate.id], {
+        action: 'delete',
+        records: [{ table: 'estimates', id: estimate.id }],
+        label: `Estimate "${estimate.name}" deletion`
+      });
+    }
+    return true;
+  },
+
+  // Write restored estimates, 'replace' or 'merge' like importProjects
+  async importEstimates(estimates, mode) {
+    if (!isAllowed('backup.restore')) return false;
+
+    writeEstimates(mergeRestored(readEstimates(), estimates, mode));
+    if (supabase) {
+      syncQueue.add('importEstimates', [estimates, mode], {
+        action: 'save',
+        records: [],
+        label: 'Estimates restore'
+      });
+    }
+    return true;
+  },
+
+  async getTemplates() {
+    let templates = readTemplates();
+
+    if (supabase && !syncQueue.hasPendingWrites()) {
+      const { data, error } = await supabase
+        .from('project_templates')
+        .select('*')
+        .eq('organization_id', organizationId);
+
+      if (error) {
+        console.error('Error fetching templates:', error);
+      } else {
+        syncQueue.rememberVersions('project_templates', data);
+        templates = data.map(templateFromRow);
+      }
+    }
+
+    templates.sort((a, b) => a.name.localeCompare(b.name));
+    writeTemplates(templates);
+    return templates;
+  },
+
+  // Templates are managed by whoever may set up projects
+  async saveTemplate(template) {
+    if (!isAllowed('project.write')) return null;
+
+    writeTemplates([...readTemplates().filter(t => t.id !== template.id), template]);
+    if (supabase) {
+      syncQueue.add('saveTemplate', [template], {
+        action: 'save',
+        records: [{ table: 'project_templates', id: template.id }],
+        label: `Template "${template.name}"`
+      });
+    }
+    return template;
+  },
+
+  // Write restored templates, 'replace' or 'merge' like importProjects
+  async importTemplates(templates, mode) {
+    if (!isAllowed('backup.restore')) return false;
+
+    writeTemplates(mergeRestored(readTemplates(), templates, mode));
+    if (supabase) {
+      syncQueue.add('importTemplates', [templates, mode], {
+        action: 'save',
+        records: [],
+        label: 'Templates restore'
+      });
+    }
+    return true;
+  },
+
+  async deleteTemplate(template) {
+    if (!isAllowed('project.write')) return false;
+
+    writeTemplates(readTemplates().filter(t => t.id !== template.id));
+    if (supabase) {
+      syncQueue.add('deleteTemplate', [template.id], {
+        action: 'delete',
+        records: [{ table: 'project_templates', id: template.id }],
+        label: `Template "${template.name}" deletion`
+      });
+    }
+    return true;
+  },
+
+  // Deleted records that can still be restored, newest first. Expired items are dropped.
+  async getTrash() {
+    let items = readTrash();
+
+    if (supabase && !syncQueue.hasPendingWrites()) {
+      const { data, error } = await supabase
+        .from('trash_items')
+        .select('*')
+        .eq('organization_id', organizationId);
+
+      if (error) {
+        console.error('Error fetching trash:', error);
+      } else {
+        items = data.map(trashItemFromRow);
+      }
+    }
+
+    const expired = items.filter(item => isTrashExpired(item));
+    const kept = items
+      .filter(item => !isTrashExpired(item))
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    writeTrash(kept);
+    for (const item of expired.filter(item => can(role, `${item.kind}.delete`))) {
+      await db.deleteTrashItem(item);
+      await db.deleteAttachments(getRecordAttachments(item.kind, item.record));
+    }
+    return kept;
+  },
+
+  // Whoever may delete a kind of record may trash, restore and purge it
+  async saveTrashItem(item) {
+    if (!isAllowed(`${item.kind}.delete`)) return null;
+
+    writeTrash([item, ...readTrash().filter(i => i.id !== item.id)]);
+    if (supabase) {
+      syncQueue.add('saveTrashItem', [item], {
+        action: 'save',
+        records: [],
+        label: `${item.label} to trash`
+      });
+    }
+    return item;
+  },
+
+  // Called when an item is restored or purged
+  async deleteTrashItem(item) {
+    if (!isAllowed(`${item.kind}.delete`)) return false;
+
+    writeTrash(readTrash().filter(i => i.id !== item.id));
+    if (supabase) {
+      syncQueue.add('deleteTrashItem', [item.id], {
+        action: 'delete',
+        records: [],
+        label: `${item.label} out of trash`
+      });
+    }
+    return true;
+  },
+
+  // Keeps a file for an expense or payment and resolves to its attachment details. The
+  // file is stored on this device first; in Supabase mode the upload is queued with
+  // the other writes, so attaching works offline. action is the write the attachment
+  // belongs to ('payment.write' or 'expense.write'). Resolves to null when it isn't
+  // allowed or the file can't be stored here (IndexedDB unavailable or full).
+  async saveAttachment(file, action) {
+    if (!isAllowed(action)) return null;
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const attachment = {
+      id,
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      path: supabase ? `${organizationId}/${id}` : id
+    };
+
+    try {
+      await putFile(id, file);
+    } catch (error) {
+      console.error('Error storing attachment:', error);
+      return null;
+    }
+    if (supabase) {
+      syncQueue.add('uploadAttachment', [attachment], {
+        action: 'save',
+        records: [],
+        label: `Attachment "${file.name}"`
+      });
+    }
+    return attachment;
+  },
+
+  // URL to show or open an attachment: the copy on this device when there is one,
+  // otherwise a short-lived link to Storage. Revoke blob: URLs when done.
+  async getAttachmentUrl(attachment) {
+    const file = await getFile(attachment.id).catch(() => null);
+    if (file) return URL.createObjectURL(file);
+    if (!supabase) return null;
+
+    const { data, error } = await supabase.storage
+      .from(ATTACHMENT_BUCKET)
+      .createSignedUrl(attachment.path, VIEW_LINK_SECONDS);
+
+    if (error) {
+      console.error('Error loading attachment:', error);
+      return null;
+    }
+    return data.signedUrl;
+  },
+
+  async deleteAttachments(attachments) {
+    if (attachments.length === 0) return true;
+
+    for (const attachment of attachments) {
+      await deleteFile(attachment.id).catch(() => null);
+    }
+    if (supabase) {
+      syncQueue.add('deleteAttachments', [attachments.map(a => a.path)], {
+        action: 'delete',
+        records: [],
+        label: `${attachments.length} attachment(s) removed`
+      });
+    }
+    return true;
+  },
+
+  // Links for exports, valid for a week: { [attachmentId]: url }. Files kept only on
+  // this device (localStorage mode) have no link.
+  async getAttachmentLinks(attachments) {
+    if (!supabase || attachments.length === 0) return {};
+
+    const { data, error } = await supabase.storage
+      .from(ATTACHMENT_BUCKET)
+      .createSignedUrls(attachments.map(a => a.path), EXPORT_LINK_SECONDS);
+
+    if (error) {
+      console.error('Error creating attachment links:', error);
+      return {};
+    }
+    return Object.fromEntries(
+      attachments.map((a, index) => [a.id, data[index]?.signedUrl]).filter(([, url]) => url)
+    );
+  },
+
+  // A project's activity log, with the organization-wide entries (vendors). Entries
+  // not synced yet show up once they are.
+  async getAuditLog(projectId) {
+    if (supabase) {
+      await syncQueue.flush();
+      const { data, error } = await supabase
+        .from('audit_log')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .or(`project_id.eq.${projectId},project_id.is.null`)
+        .order('created_at', { ascending: false });
+
+      if (!error) return data.map(auditEntryFromRow);
+      console.error('Error fetching activity log:', error);
+    }
+    return readAuditLog().filter(entry => entry.projectId === projectId || entry.projectId == null);
+  },
+
+  // Entries are stamped with the signed-in user and never changed afterwards
+  async addAuditEntry(entry) {
+    const stamped = { ...entry, userId: ownerId, userEmail };
+
+    writeAuditLog([...readAuditLog(), stamped]);
+    if (supabase) {
+      syncQueue.add('addAuditEntry', [stamped], {
+        action: 'save',
+        records: [],
+        label: `Activity log: ${stamped.label}`
+      });
+    }
+    return stamped;
+  },
+
+  // Keep a copy of what's on screen: the data itself in localStorage mode, an offline
+  // cache of the organization's data in Supabase mode
+  cacheData({ projects, vendors }) {
+    const key = supabase ? getCacheKey() : 'contractor-crm-data';
+    localStorage.setItem(key, JSON.stringify({ schemaVersion: SCHEMA_VERSION, projects, vendors }));
+  },
+
+  // Pending writes and conflicts in Supabase mode; null in localStorage mode
+  getSyncStatus() {
+    return supabase ? syncQueue.getStatus() : null;
+  },
+
+  // Calls back when the sync status changes; returns an unsubscribe function
+  onSyncChange(listener) {
+    return supabase ? syncQueue.subscribe(listener) : () => {};
+  },
+
+  // 'mine' sends the local change anyway, 'server' drops it
+  resolveSyncConflict(writeId, choice) {
+    syncQueue.resolveConflict(writeId, choice);
+  },
+
+  // Team members and pending invites of the current organization (Supabase mode only)
+  async getTeam() {
+    const [members, invites] = await Promise.all([
+      supabase
+        .from('organization_members')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .order('joined_at'),
+      supabase
+        .from('organization_invites')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .order('created_at')
+    ]);
+
+    if (members.error || invites.error) {
+      console.error('Error fetching team:', members.error || invites.error);
+      return null;
+    }
+    return {
+      members: members.data.map(memberFromRow),
+      invites: invites.data.map(inviteFromRow)
+    };
+  },
+
+  // The invite is accepted when someone signs in with this email
+  async inviteMember(email, memberRole) {
+    if (!isAllowed('team.manage')) return null;
+
+    const { data, error } = await supabase
+      .from('organization_invites')
+      .upsert(
+        { organization_id: organizationId, email: email.toLowerCase(), role: memberRole },
+        { onConflict: 'organization_id,email' }
+      )
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error inviting member:', error);
+      return null;
+    }
+    return inviteFromRow(data);
+  },
+
+  async cancelInvite(inviteId) {
+    if (!isAllowed('team.manage')) return false;
+
+    const { error } = await supabase
+      .from('organization_invites')
+      .delete()
+      .eq('id', inviteId);
+
+    if (error) {
+      console.error('Error cancelling invite:', error);
+      return false;
+    }
+    return true;
+  },
+
+  async updateMemberRole(userId, memberRole) {
+    if (!isAllowed('team.manage')) return false;
+
+    const { error } = await supabase
+      .from('organization_members')
+      .update({ role: memberRole })
+      .eq('organization_id', organizationId)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Error updating member role:', error);
+      return false;
+    }
+    return true;
+  },
+
+  async removeMember(userId) {
+    if (!isAllowed('team.manage')) return false;
+
+    const { error } = await supabase
+      .from('organization_members')
+      .delete()
+      .eq('organization_id', organizationId)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Error removing member:', error);
+      return false;
+    }
     return true;
   }
 };
@@ -0,0 +1,190 @@
+// Offline-first write queue for Supabase mode.
+// Writes are stored in localStorage first and replayed in order whenever the server can
+// be reached. Each write lists the records it touches; if one of them changed on the
+// server since we last read or wrote it, the write is set aside as a conflict for the
+// user to resolve instead of overwriting someone else's change.
+
+const RETRY_DELAY_MS = 30000;
+
+const emptyState = () => ({ writes: [], conflicts: [], versions: {} });
+
+const versionKey = (table, id) => `${table}:${id}`;
+
+// run(method, args) replays a write and resolves truthy on success.
+// getVersions(table, ids) resolves to [{ id, updated_at }], or null when the request fails.
+// isNetworkDown() tells a failed request apart from one the server rejected.
+export const createSyncQueue = ({ run, getVersions, isNetworkDown }) => {
+  let storageKey = null;
+  let state = emptyState();
+  let isSyncing = false;
+  let retryTimer = null;
+  const listeners = new Set();
+
+  const persist = () => {
+    if (storageKey) localStorage.setItem(storageKey, JSON.stringify(state));
+  };
+
+  const getStatus = () => ({
+    pending: state.writes.length,
+    conflicts: state.conflicts,
+    isSyncing,
+    isOnline: !isNetworkDown() && navigator.onLine
+  });
+
+  const notify = () => {
+    const status = getStatus();
+    listeners.forEach(listener => listener(status));
+  };
+
+  const groupByTable = (records) => records.reduce((groups, record) => {
+    groups[record.table] = [...(groups[record.table] || []), record.id];
+    return groups;
+  }, {});
+
+  const rememberVersions = (table, rows) => {
+    rows.forEach(row => {
+      state.versions[versionKey(table, row.id)] = row.updated_at;
+    });
+    persist();
+  };
+
+  // Re-read versions after a write so our own change isn't seen as a conflict later
+  const refreshVersions = async (records) => {
+    for (const [table, ids] of Object.entries(groupByTable(records))) {
+      const rows = await getVersions(table, ids);
+      ids.forEach(id => delete state.versions[versionKey(table, id)]);
+      if (rows) rememberVersions(table, rows);
+    }
+    persist();
+  };
+
+  // Records that were changed or deleted on the server since we last saw them.
+  // Records created here have no known version and are never in conflict.
+  // Resolves to null when the server can't be reached.
+  const findChangedRecords = async (write) => {
+    const known = write.records.filter(r => state.versions[versionKey(r.table, r.id)] !== undefined);
+    const changed = [];
+
+    for (const [table, ids] of Object.entries(groupByTable(known))) {
+      const rows = await getVersions(table, ids);
+      if (!rows) return null;
+
+      ids.forEach(id => {
+        const row = rows.find(r => r.id === id);
+        if (row ? row.updated_at !== state.versions[versionKey(table, id)] : write.action !== 'delete') {
+          changed.push({ table, id, deleted: !row });
+        }
+      });
+    }
+    return changed;
+  };
+
+  // Resolves to 'done', 'offline', or a conflict/failure reason
+  const replay = async (write) => {
+    if (!write.force) {
+      const changed = await findChangedRecords(write);
+      if (!changed) return 'offline';
+      if (changed.length > 0) {
+        return changed.some(c => c.deleted)
+          ? 'Deleted on the server by someone else'
+          : 'Changed on the server by someone else';
+      }
+    }
+
+    if (!(await run(write.method, write.args))) {
+      return isNetworkDown() ? 'offline' : 'Rejected by the server';
+    }
+    await refreshVersions(write.records);
+    return 'done';
+  };
+
+  const scheduleRetry = () => {
+    if (retryTimer) return;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      queue.flush();
+    }, RETRY_DELAY_MS);
+  };
+
+  const queue = {
+    // Switch to a signed-in user's queue (null when signed out)
+    open(key) {
+      storageKey = key;
+      const stored = key ? localStorage.getItem(key) : null;
+      state = stored ? { ...emptyState(), ...JSON.parse(stored) } : emptyState();
+      notify();
+    },
+
+    getStatus,
+
+    hasPendingWrites() {
+      return state.writes.length > 0;
+    },
+
+    // Calls back with the status whenever it changes; returns an unsubscribe function
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    rememberVersions,
+
+    // Queue a write and try to send it right away
+    add(method, args, { action, records, label }) {
+      state.writes.push({
+        id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+        method,
+        args,
+        action,
+        records,
+        label,
+        queuedAt: new Date().toISOString()
+      });
+      persist();
+      notify();
+      queue.flush();
+    },
+
+    async flush() {
+      if (isSyncing || !storageKey) return;
+      isSyncing = true;
+      notify();
+
+      while (state.writes.length > 0) {
+        const write = state.writes[0];
+        const result = await replay(write);
+        if (result === 'offline') {
+          scheduleRetry();
+          break;
+        }
+
+        state.writes.shift();
+        if (result !== 'done') {
+          state.conflicts.push({ ...write, reason: result });
+        }
+        persist();
+        notify();
+      }
+
+      isSyncing = false;
+      notify();
+    },
+
+    // 'mine' sends the local change anyway; 'server' drops it (reload to see the server's)
+    resolveConflict(writeId, choice) {
+      const conflict = state.conflicts.find(c => c.id === writeId);
+      if (!conflict) return;
+
+      state.conflicts = state.conflicts.filter(c => c.id !== writeId);
+      if (choice === 'mine') {
+        const { reason: _reason, ...write } = conflict;
+        state.writes.push({ ...write, force: true });
+      }
+      persist();
+      notify();
+      if (choice === 'mine') queue.flush();
+    }
+  };
+
+  return queue;
+};
@@ -0,0 +1,61 @@
+import { isLaborExpense } from './calculations';
+
+// Year-end 1099-NEC report: what was paid to each subcontractor for labor.
+// Card payments are left out - the card processor reports those on a 1099-K.
+
+// Reporting threshold for a tax year ($600 through 2025, $2,000 from 2026)
+export const get1099Threshold = (year) => (Number(year) >= 2026 ? 2000 : 600);
+
+export const REPORT_1099_METHODS = ['check', 'zelle', 'cash', 'other', 'unspecified'];
+
+// Payees at or above the threshold for a calendar year.
+// Returns { year, threshold, payees, belowThreshold, unlinked }:
+// - payees: [{ vendor, total, count, byMethod }] sorted by total, largest first
+// - belowThreshold: count of payees paid something but under the threshold
+// - unlinked: { total, count } of qualifying expenses with no vendor picked
+export const build1099Report = (projects, vendors, year, threshold = get1099Threshold(year)) => {
+  const byVendor = {};
+  const unlinked = { total: 0, count: 0 };
+
+  projects.forEach(project => {
+    project.categories.forEach(category => {
+      (category.expenses || [])
+        .filter(expense => expense.date?.startsWith(`${year}-`))
+        .filter(expense => expense.paymentMethod !== 'card')
+        .filter(expense => isLaborExpense(category, expense))
+        .forEach(expense => {
+          const vendor = vendors.find(v => v.id === expense.vendorId);
+          if (!vendor) {
+            unlinked.total += expense.amount;
+            unlinked.count += 1;
+            return;
+          }
+
+          const row = byVendor[vendor.id] || {
+            vendor,
+            total: 0,
+            count: 0,
+            byMethod: Object.fromEntries(REPORT_1099_METHODS.map(m => [m, 0]))
+          };
+          const method = REPORT_1099_METHODS.includes(expense.paymentMethod) ? expense.paymentMethod : 'unspecified';
+          row.total += expense.amount;
+          row.count += 1;
+          row.byMethod[method] += expense.amount;
+          byVendor[vendor.id] = row;
+        });
+    });
+  });
+
+  const rows = Object.values(byVendor);
+  const payees = rows
+    .filter(row => row.total >= threshold)
+    .sort((a, b) => b.total - a.total);
+
+  return {
+    year: Number(year),
+    threshold,
+    payees,
+    belowThreshold: rows.length - payees.length,
+    unlinked
+  };
+};
@@ -0,0 +1,67 @@
+import { getCategoryTotals } from './calculations';
+
+// Project templates: a named list of categories to start a project with.
+// A template is { id, name, basis, categories, createdAt }, each category
+// { name, mode, totalBudget, totalCost, laborBudget, laborCost, materialsBudget }.
+// basis says what the amounts are: 'none' (names and modes only), 'amount' (dollars)
+// or 'percent' (of the contract total entered when the project is created).
+
+export const TEMPLATE_BASES = [
+  { id: 'none', label: 'Category names and modes only' },
+  { id: 'amount', label: 'With budgets and costs' },
+  { id: 'percent', label: 'With budgets and costs as % of the contract total' }
+];
+
+const AMOUNT_FIELDS = {
+  'all-inclusive': ['totalBudget', 'totalCost'],
+  separate: ['laborBudget', 'laborCost', 'materialsBudget']
+};
+
+const roundTo = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Template from a project's categories as they stand now (with approved change orders).
+// Percentages are of the project's total client budget.
+export const buildTemplateFromProject = (project, { id, name, basis }) => {
+  const categories = project.categories.map(category => ({ category, totals: getCategoryTotals(category) }));
+  const contractTotal = categories.reduce((sum, { totals }) => sum + totals.totalBudget, 0);
+  const toValue = (amount) => {
+    if (basis === 'amount') return amount || 0;
+    if (basis === 'percent') return contractTotal > 0 ? roundTo((amount || 0) / contractTotal * 100, 2) : 0;
+    return null;
+  };
+
+  return {
+    id,
+    name,
+    basis,
+    createdAt: new Date().toISOString(),
+    categories: categories.map(({ category, totals }) => {
+      const mode = category.mode || 'all-inclusive';
+      const values = mode === 'separate'
+        ? { laborBudget: totals.laborBudget, laborCost: totals.laborCost, materialsBudget: totals.materialsBudget }
+        : { totalBudget: totals.budget, totalCost: totals.cost };
+      return {
+        name: category.name,
+        mode,
+        ...Object.fromEntries(AMOUNT_FIELDS[mode].map(field => [field, toValue(values[field])]))
+      };
+    })
+  };
+};
+
+// Category form data for each of a template's categories. Percent templates are
+// priced against contractTotal.
+export const buildCategoriesFromTemplate = (template, contractTotal = 0) => template.categories.map(category => {
+  const toAmount = (value) => {
+    if (template.basis === 'amount') return Number(value) || 0;
+    if (template.basis === 'percent') return roundTo((Number(value) || 0) * (Number(contractTotal) || 0) / 100, 2);
+    return 0;
+  };
+
+  return {
+    name: category.name,
+    mode: category.mode,
+    ...Object.fromEntries(AMOUNT_FIELDS[category.mode].map(field => [field, toAmount(category[field])])),
+    retainagePercent: null
+  };
+});
@@ -0,0 +1,189 @@
+// Trash bin for deleted projects, categories, payments and expenses.
+// An entry keeps the deleted record with everything under it, so restoring puts back
+// the category's expenses, change orders and allocations, or the payment's allocations.
+// The same entries describe added records for undo.
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TRASH_KIND_LABELS = {
+  project: 'Project',
+  category: 'Category',
+  payment: 'Payment',
+  expense: 'Expense'
+};
+
+const describeRecord = (kind, record) => {
+  if (kind === 'payment') {
+    const ref = record.reference ? `#${record.reference} · ` : '';
+    return `${ref}$${(record.totalAmount || 0).toLocaleString()} on ${record.date}`;
+  }
+  if (kind === 'expense') return record.description;
+  return record.name;
+};
+
+// Entry for a record in a project. categoryId is only needed for expenses.
+export const buildTrashEntry = (kind, project, record, categoryId = null) => ({
+  id: `${kind}-${record.id}`,
+  kind,
+  label: describeRecord(kind, record),
+  projectId: project.id,
+  projectName: project.name,
+  categoryId,
+  deletedAt: new Date().toISOString(),
+  record
+});
+
+// The entry rebuilt from the record as it is in projects now (it may have been edited,
+// or an expense moved to another category, since), or null when it's gone
+export const refreshTrashEntry = (projects, entry) => {
+  const project = projects.find(p => p.id === entry.projectId);
+  if (!project) return null;
+  if (entry.kind === 'project') return buildTrashEntry('project', project, project);
+
+  if (entry.kind === 'category') {
+    const category = project.categories.find(c => c.id === entry.record.id);
+    return category ? buildTrashEntry('category', project, category) : null;
+  }
+  if (entry.kind === 'payment') {
+    const payment = project.payments.find(pay => pay.id === entry.record.id);
+    return payment ? buildTrashEntry('payment', project, payment) : null;
+  }
+  const category = project.categories.find(c => c.expenses.some(e => e.id === entry.record.id));
+  return category
+    ? buildTrashEntry('expense', project, category.expenses.find(e => e.id === entry.record.id), category.id)
+    : null;
+};
+
+export const getTrashExpiry = (entry) => new Date(new Date(entry.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+export const isTrashExpired = (entry, now = new Date()) => getTrashExpiry(entry) <= now;
+
+// Allocation as stored on a category, from one stored on a payment
+const toCategoryAllocation = (payment, allocation) => ({
+  paymentId: payment.id,
+  amount: allocation.amount || null,
+  laborAmount: allocation.laborAmount || null,
+  materialsAmount: allocation.materialsAmount || null,
+  retainage: allocation.retainage || null,
+  laborRetainage: allocation.laborRetainage || null,
+  materialsRetainage: allocation.materialsRetainage || null,
+  date: payment.date
+});
+
+// Allocation as stored on a payment, from one stored on a category
+const toPaymentAllocation = (categoryId, allocation) => ({
+  categoryId,
+  amount: allocation.amount,
+  laborAmount: allocation.laborAmount,
+  materialsAmount: allocation.materialsAmount,
+  retainage: allocation.retainage,
+  laborRetainage: allocation.laborRetainage,
+  materialsRetainage: allocation.materialsRetainage
+});
+
+// Why an entry can't be restored right now (its parent is gone), or null
+export const getRestoreBlocker = (projects, entry) => {
+  if (entry.kind === 'project') {
+    return projects.some(p => p.id === entry.projectId) ? 'A project with this id already exists' : null;
+  }
+  const project = projects.find(p => p.id === entry.projectId);
+  if (!project) return `Restore project "${entry.projectName}" first`;
+  if (entry.kind === 'expense' && !project.categories.some(c => c.id === entry.categoryId)) {
+    return 'Restore its category first';
+  }
+  return null;
+};
+
+// Projects without the entry's record; removing a category or payment also removes
+// the allocations that link it to the other side
+export const removeTrashEntry = (projects, entry) => {
+  if (entry.kind === 'project') {
+    return projects.filter(p => p.id !== entry.projectId);
+  }
+
+  return projects.map(p => {
+    if (p.id !== entry.projectId) return p;
+
+    if (entry.kind === 'category') {
+      return {
+        ...p,
+        categories: p.categories.filter(c => c.id !== entry.record.id),
+        payments: p.payments.map(pay => ({
+          ...pay,
+          allocations: pay.allocations.filter(a => a.categoryId !== entry.record.id)
+        }))
+      };
+    }
+    if (entry.kind === 'payment') {
+      return {
+        ...p,
+        payments: p.payments.filter(pay => pay.id !== entry.record.id),
+        categories: p.categories.map(cat => ({
+          ...cat,
+          allocations: cat.allocations.filter(a => a.paymentId !== entry.record.id)
+        }))
+      };
+    }
+    return {
+      ...p,
+      categories: p.categories.map(cat => cat.id === entry.categoryId
+        ? { ...cat, expenses: cat.expenses.filter(e => e.id !== entry.record.id) }
+        : cat
+      )
+    };
+  });
+};
+
+// Projects with the entry's record put back, relinking allocations to payments and
+// categories that still exist
+export const restoreTrashEntry = (projects, entry) => {
+  if (entry.kind === 'project') {
+    return [...projects, entry.record];
+  }
+
+  return projects.map(p => {
+    if (p.id !== entry.projectId) return p;
+
+    if (entry.kind === 'category') {
+      const category = {
+        ...entry.record,
+        allocations: entry.record.allocations.filter(a => p.payments.some(pay => pay.id === a.paymentId))
+      };
+      return {
+        ...p,
+        categories: [...p.categories, category],
+        payments: p.payments.map(pay => {
+          const restored = category.allocations.filter(a => a.paymentId === pay.id);
+          return restored.length > 0
+            ? { ...pay, allocations: [...pay.allocations, ...restored.map(a => toPaymentAllocation(category.id, a))] }
+            : pay;
+        })
+      };
+    }
+    if (entry.kind === 'payment') {
+      const payment = {
+        ...entry.record,
+        allocations: entry.record.allocations.filter(a => p.categories.some(c => c.id === a.categoryId))
+      };
+      return {
+        ...p,
+        payments: [...p.payments, payment],
+        categories: p.categories.map(cat => {
+          const allocation = payment.allocations.find(a => a.categoryId === cat.id);
+          return allocation
+            ? { ...cat, allocations: [...cat.allocations, toCategoryAllocation(payment, allocation)] }
+            : cat;
+        })
+      };
+    }
+    return {
+      ...p,
+      categories: p.categories.map(cat => cat.id === entry.categoryId
+        ? { ...cat, expenses: [...cat.expenses, entry.record] }
+        : cat
+      )
+    };
+  });
+};
@@ -0,0 +1,43 @@
+// Vendor / subcontractor aggregation across projects
+
+// Every expense linked to a vendor, with its project and category
+export const getVendorExpenses = (projects, vendorId) => {
+  const entries = [];
+
+  projects.forEach(project => {
+    project.categories.forEach(category => {
+      (category.expenses || [])
+        .filter(expense => expense.vendorId === vendorId)
+        .forEach(expense => entries.push({ project, category, expense }));
+    });
+  });
+
+  return entries.sort((a, b) => b.expense.date.localeCompare(a.expense.date));
+};
+
+// Totals per calendar year (newest first) for a list of vendor expense entries
+export const getVendorTotalsByYear = (entries) => {
+  const byYear = {};
+
+  entries.forEach(({ expense }) => {
+    const year = expense.date.slice(0, 4);
+    byYear[year] = byYear[year] || { year, total: 0, labor: 0, materials: 0, count: 0 };
+    byYear[year].total += expense.amount;
+    byYear[year].count += 1;
+    if (expense.type === 'labor') byYear[year].labor += expense.amount;
+    if (expense.type === 'materials') byYear[year].materials += expense.amount;
+  });
+
+  return Object.values(byYear).sort((a, b) => b.year.localeCompare(a.year));
+};
+
+// Certificate of insurance status: 'missing', 'expired', 'expiring' (within 30 days) or 'ok'
+export const getInsuranceStatus = (vendor, today = new Date().toISOString().split('T')[0]) => {
+  if (!vendor.insuranceExpiry) return 'missing';
+  if (vendor.insuranceExpiry < today) return 'expired';
+
+  const soon = new Date(`${today}T00:00:00Z`);
+  soon.setUTCDate(soon.getUTCDate() + 30);
+  if (vendor.insuranceExpiry <= soon.toISOString().split('T')[0]) return 'expiring';
+  return 'ok';
+};
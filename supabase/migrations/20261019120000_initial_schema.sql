@@ -0,0 +1,120 @@
+-- Tables for the Supabase backend, matching the rows src/lib/supabase.js reads and writes.
+-- Ids come from the app (generateId) except allocations, which the database numbers.
+-- Money is numeric(12,2); child rows go away with their parent.
+
+create table public.projects (
+  id bigint primary key,
+  owner_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  name text not null,
+  client_name text not null default '',
+  retainage_percent numeric(5,2) not null default 0
+    check (retainage_percent >= 0 and retainage_percent < 100),
+  -- Pay applications and forecast items are only ever read with their project
+  invoices jsonb not null default '[]'::jsonb,
+  forecast_items jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create table public.vendors (
+  id bigint primary key,
+  owner_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  name text not null,
+  trade text,
+  phone text,
+  email text,
+  tax_id text,
+  insurance_expiry date
+);
+
+create table public.categories (
+  id bigint primary key,
+  owner_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  project_id bigint not null references public.projects (id) on delete cascade,
+  name text not null,
+  mode text not null default 'all-inclusive' check (mode in ('all-inclusive', 'separate')),
+  -- All-inclusive categories use the totals, separate ones the labor/materials split
+  total_budget numeric(12,2),
+  total_cost numeric(12,2),
+  labor_budget numeric(12,2),
+  labor_cost numeric(12,2),
+  materials_budget numeric(12,2),
+  -- Null falls back to the project's retainage_percent
+  retainage_percent numeric(5,2)
+    check (retainage_percent >= 0 and retainage_percent < 100)
+);
+
+create table public.payments (
+  id bigint primary key,
+  owner_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  project_id bigint not null references public.projects (id) on delete cascade,
+  payment_method text check (payment_method in ('check', 'zelle', 'cash', 'card', 'other')),
+  reference text,
+  total_amount numeric(12,2) not null,
+  date date not null,
+  notes text,
+  retainage_release boolean not null default false
+);
+
+-- Splits a client payment across categories
+create table public.allocations (
+  id bigint generated by default as identity primary key,
+  owner_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  payment_id bigint not null references public.payments (id) on delete cascade,
+  category_id bigint not null references public.categories (id) on delete cascade,
+  amount numeric(12,2),
+  labor_amount numeric(12,2),
+  materials_amount numeric(12,2),
+  retainage numeric(12,2),
+  labor_retainage numeric(12,2),
+  materials_retainage numeric(12,2),
+  date date not null
+);
+
+-- Payments to subs
+create table public.expenses (
+  id bigint primary key,
+  owner_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  category_id bigint not null references public.categories (id) on delete cascade,
+  amount numeric(12,2) not null,
+  date date not null,
+  description text not null,
+  type text check (type in ('labor', 'materials')),
+  payment_method text check (payment_method in ('check', 'zelle', 'cash', 'card', 'other')),
+  reference text,
+  -- Deleting a vendor keeps its expenses, unlinked
+  vendor_id bigint references public.vendors (id) on delete set null,
+  retainage numeric(12,2),
+  retainage_release boolean not null default false
+);
+
+create table public.change_orders (
+  id bigint primary key,
+  owner_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  category_id bigint not null references public.categories (id) on delete cascade,
+  description text not null,
+  date date not null,
+  status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+  budget_delta numeric(12,2) not null default 0,
+  cost_delta numeric(12,2) not null default 0,
+  labor_budget_delta numeric(12,2) not null default 0,
+  labor_cost_delta numeric(12,2) not null default 0,
+  materials_budget_delta numeric(12,2) not null default 0
+);
+
+-- Foreign keys used by the nested select in getProjects and by cascades
+create index categories_project_id_idx on public.categories (project_id);
+create index payments_project_id_idx on public.payments (project_id);
+create index allocations_payment_id_idx on public.allocations (payment_id);
+create index allocations_category_id_idx on public.allocations (category_id);
+create index expenses_category_id_idx on public.expenses (category_id);
+create index expenses_vendor_id_idx on public.expenses (vendor_id);
+create index change_orders_category_id_idx on public.change_orders (category_id);
+
+-- Row level security filters on owner_id
+create index projects_owner_id_idx on public.projects (owner_id);
+create index vendors_owner_id_idx on public.vendors (owner_id);
+create index categories_owner_id_idx on public.categories (owner_id);
+create index payments_owner_id_idx on public.payments (owner_id);
+create index allocations_owner_id_idx on public.allocations (owner_id);
+create index expenses_owner_id_idx on public.expenses (owner_id);
+create index change_orders_owner_id_idx on public.change_orders (owner_id);
@@ -0,0 +1,99 @@
+-- Each signed-in user only sees and writes their own rows. owner_id defaults to
+-- auth.uid(), so the app doesn't have to send it. Writes to child rows also check
+-- that the parent belongs to the same user - foreign keys alone would let a row
+-- point at someone else's project.
+
+alter table public.projects enable row level security;
+alter table public.vendors enable row level security;
+alter table public.categories enable row level security;
+alter table public.payments enable row level security;
+alter table public.allocations enable row level security;
+alter table public.expenses enable row level security;
+alter table public.change_orders enable row level security;
+
+grant select, insert, update, delete on
+  public.projects,
+  public.vendors,
+  public.categories,
+  public.payments,
+  public.allocations,
+  public.expenses,
+  public.change_orders
+to authenticated;
+grant usage on sequence public.allocations_id_seq to authenticated;
+
+create policy "Owners manage their projects" on public.projects
+  for all to authenticated
+  using (owner_id = (select auth.uid()))
+  with check (owner_id = (select auth.uid()));
+
+create policy "Owners manage their vendors" on public.vendors
+  for all to authenticated
+  using (owner_id = (select auth.uid()))
+  with check (owner_id = (select auth.uid()));
+
+create policy "Owners manage their categories" on public.categories
+  for all to authenticated
+  using (owner_id = (select auth.uid()))
+  with check (
+    owner_id = (select auth.uid())
+    and exists (
+      select 1 from public.projects p
+      where p.id = project_id and p.owner_id = (select auth.uid())
+    )
+  );
+
+create policy "Owners manage their payments" on public.payments
+  for all to authenticated
+  using (owner_id = (select auth.uid()))
+  with check (
+    owner_id = (select auth.uid())
+    and exists (
+      select 1 from public.projects p
+      where p.id = project_id and p.owner_id = (select auth.uid())
+    )
+  );
+
+create policy "Owners manage their allocations" on public.allocations
+  for all to authenticated
+  using (owner_id = (select auth.uid()))
+  with check (
+    owner_id = (select auth.uid())
+    and exists (
+      select 1 from public.payments p
+      where p.id = payment_id and p.owner_id = (select auth.uid())
+    )
+    and exists (
+      select 1 from public.categories c
+      where c.id = category_id and c.owner_id = (select auth.uid())
+    )
+  );
+
+create policy "Owners manage their expenses" on public.expenses
+  for all to authenticated
+  using (owner_id = (select auth.uid()))
+  with check (
+    owner_id = (select auth.uid())
+    and exists (
+      select 1 from public.categories c
+      where c.id = category_id and c.owner_id = (select auth.uid())
+    )
+    and (
+      vendor_id is null
+      or exists (
+        select 1 from public.vendors v
+        where v.id = vendor_id and v.owner_id = (select auth.uid())
+      )
+    )
+  );
+
+create policy "Owners manage their change orders" on public.change_orders
+  for all to authenticated
+  using (owner_id = (select auth.uid()))
+  with check (
+    owner_id = (select auth.uid())
+    and exists (
+      select 1 from public.categories c
+      where c.id = category_id and c.owner_id = (select auth.uid())
+    )
+  );
@@ -0,0 +1,374 @@
+-- Organizations with invited members and roles. Data rows belong to an organization
+-- instead of a single user; owner_id now just records who created the row.
+--
+-- What each role may write (everyone in the organization can read):
+--   owner            everything, plus members and invites
+--   project_manager  projects (not delete), categories, change orders, expenses, vendors, forecast
+--   bookkeeper       payments and allocations, invoices, vendors, forecast
+--   read_only        nothing
+-- src/lib/permissions.js holds the same table for the UI.
+
+create table public.organizations (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_at timestamptz not null default now()
+);
+
+create table public.organization_members (
+  organization_id uuid not null references public.organizations (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  -- Copied from the account so members can see each other without reading auth.users
+  email text not null,
+  role text not null check (role in ('owner', 'project_manager', 'bookkeeper', 'read_only')),
+  joined_at timestamptz not null default now(),
+  primary key (organization_id, user_id)
+);
+
+-- Accepted by ensure_organization() the next time someone signs in with the email
+create table public.organization_invites (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations (id) on delete cascade,
+  email text not null,
+  role text not null check (role in ('owner', 'project_manager', 'bookkeeper', 'read_only')),
+  created_at timestamptz not null default now(),
+  unique (organization_id, email)
+);
+
+create index organization_members_user_id_idx on public.organization_members (user_id);
+create index organization_invites_email_idx on public.organization_invites (lower(email));
+
+-- True when the signed-in user belongs to the organization with one of the roles.
+-- Security definer so policies on organization_members can use it without recursing.
+create function public.has_org_role(org uuid, roles text[])
+returns boolean
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select exists (
+    select 1 from public.organization_members m
+    where m.organization_id = org
+      and m.user_id = (select auth.uid())
+      and m.role = any (roles)
+  );
+$$;
+
+create function public.is_org_member(org uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select public.has_org_role(org, array['owner', 'project_manager', 'bookkeeper', 'read_only']);
+$$;
+
+-- Called by the app after sign-in: accepts pending invites for the user's email, creates
+-- an organization for users who have none, and returns the membership the app works in
+-- (the earliest joined).
+create function public.ensure_organization()
+returns table (organization_id uuid, organization_name text, role text)
+language plpgsql
+security definer
+set search_path = ''
+as $$
+#variable_conflict use_column
+declare
+  uid uuid := auth.uid();
+  user_email text := coalesce(auth.jwt() ->> 'email', '');
+  new_org uuid;
+begin
+  if uid is null then
+    raise exception 'Not signed in' using errcode = '42501';
+  end if;
+
+  insert into public.organization_members (organization_id, user_id, email, role)
+  select i.organization_id, uid, user_email, i.role
+  from public.organization_invites i
+  where lower(i.email) = lower(user_email)
+  on conflict on constraint organization_members_pkey do nothing;
+
+  delete from public.organization_invites i where lower(i.email) = lower(user_email);
+
+  if not exists (select 1 from public.organization_members m where m.user_id = uid) then
+    insert into public.organizations (name) values (user_email) returning id into new_org;
+    insert into public.organization_members (organization_id, user_id, email, role)
+    values (new_org, uid, user_email, 'owner');
+  end if;
+
+  return query
+    select m.organization_id, o.name, m.role
+    from public.organization_members m
+    join public.organizations o on o.id = m.organization_id
+    where m.user_id = uid
+    order by m.joined_at
+    limit 1;
+end;
+$$;
+
+revoke execute on function public.ensure_organization() from public, anon;
+grant execute on function public.ensure_organization() to authenticated;
+
+-- Move existing data into one organization per owner
+
+alter table public.organizations add column legacy_owner_id uuid;
+
+insert into public.organizations (name, legacy_owner_id)
+select coalesce(u.email, 'My Company'), u.id
+from auth.users u
+where exists (select 1 from public.projects p where p.owner_id = u.id)
+   or exists (select 1 from public.vendors v where v.owner_id = u.id);
+
+insert into public.organization_members (organization_id, user_id, email, role)
+select o.id, u.id, coalesce(u.email, ''), 'owner'
+from public.organizations o
+join auth.users u on u.id = o.legacy_owner_id;
+
+alter table public.projects add column organization_id uuid references public.organizations (id) on delete cascade;
+alter table public.vendors add column organization_id uuid references public.organizations (id) on delete cascade;
+alter table public.categories add column organization_id uuid references public.organizations (id) on delete cascade;
+alter table public.payments add column organization_id uuid references public.organizations (id) on delete cascade;
+alter table public.allocations add column organization_id uuid references public.organizations (id) on delete cascade;
+alter table public.expenses add column organization_id uuid references public.organizations (id) on delete cascade;
+alter table public.change_orders add column organization_id uuid references public.organizations (id) on delete cascade;
+
+update public.projects t set organization_id = o.id from public.organizations o where o.legacy_owner_id = t.owner_id;
+update public.vendors t set organization_id = o.id from public.organizations o where o.legacy_owner_id = t.owner_id;
+update public.categories t set organization_id = o.id from public.organizations o where o.legacy_owner_id = t.owner_id;
+update public.payments t set organization_id = o.id from public.organizations o where o.legacy_owner_id = t.owner_id;
+update public.allocations t set organization_id = o.id from public.organizations o where o.legacy_owner_id = t.owner_id;
+update public.expenses t set organization_id = o.id from public.organizations o where o.legacy_owner_id = t.owner_id;
+update public.change_orders t set organization_id = o.id from public.organizations o where o.legacy_owner_id = t.owner_id;
+
+alter table public.organizations drop column legacy_owner_id;
+
+alter table public.projects alter column organization_id set not null;
+alter table public.vendors alter column organization_id set not null;
+alter table public.categories alter column organization_id set not null;
+alter table public.payments alter column organization_id set not null;
+alter table public.allocations alter column organization_id set not null;
+alter table public.expenses alter column organization_id set not null;
+alter table public.change_orders alter column organization_id set not null;
+
+create index projects_organization_id_idx on public.projects (organization_id);
+create index vendors_organization_id_idx on public.vendors (organization_id);
+create index categories_organization_id_idx on public.categories (organization_id);
+create index payments_organization_id_idx on public.payments (organization_id);
+create index allocations_organization_id_idx on public.allocations (organization_id);
+create index expenses_organization_id_idx on public.expenses (organization_id);
+create index change_orders_organization_id_idx on public.change_orders (organization_id);
+
+-- A member leaving shouldn't take the rows they entered with them
+
+alter table public.projects alter column owner_id drop not null;
+alter table public.vendors alter column owner_id drop not null;
+alter table public.categories alter column owner_id drop not null;
+alter table public.payments alter column owner_id drop not null;
+alter table public.allocations alter column owner_id drop not null;
+alter table public.expenses alter column owner_id drop not null;
+alter table public.change_orders alter column owner_id drop not null;
+
+alter table public.projects drop constraint projects_owner_id_fkey,
+  add foreign key (owner_id) references auth.users (id) on delete set null;
+alter table public.vendors drop constraint vendors_owner_id_fkey,
+  add foreign key (owner_id) references auth.users (id) on delete set null;
+alter table public.categories drop constraint categories_owner_id_fkey,
+  add foreign key (owner_id) references auth.users (id) on delete set null;
+alter table public.payments drop constraint payments_owner_id_fkey,
+  add foreign key (owner_id) references auth.users (id) on delete set null;
+alter table public.allocations drop constraint allocations_owner_id_fkey,
+  add foreign key (owner_id) references auth.users (id) on delete set null;
+alter table public.expenses drop constraint expenses_owner_id_fkey,
+  add foreign key (owner_id) references auth.users (id) on delete set null;
+alter table public.change_orders drop constraint change_orders_owner_id_fkey,
+  add foreign key (owner_id) references auth.users (id) on delete set null;
+
+-- Replace the per-user policies with per-organization, per-role ones
+
+drop policy "Owners manage their projects" on public.projects;
+drop policy "Owners manage their vendors" on public.vendors;
+drop policy "Owners manage their categories" on public.categories;
+drop policy "Owners manage their payments" on public.payments;
+drop policy "Owners manage their allocations" on public.allocations;
+drop policy "Owners manage their expenses" on public.expenses;
+drop policy "Owners manage their change orders" on public.change_orders;
+
+alter table public.organizations enable row level security;
+alter table public.organization_members enable row level security;
+alter table public.organization_invites enable row level security;
+
+grant select, update on public.organizations to authenticated;
+grant select, update, delete on public.organization_members to authenticated;
+grant select, insert, update, delete on public.organization_invites to authenticated;
+
+create policy "Members see their organization" on public.organizations
+  for select to authenticated
+  using (public.is_org_member(id));
+
+create policy "Owners rename their organization" on public.organizations
+  for update to authenticated
+  using (public.has_org_role(id, array['owner']));
+
+create policy "Members see each other" on public.organization_members
+  for select to authenticated
+  using (public.is_org_member(organization_id));
+
+-- Owners can't change or remove themselves, so an organization always keeps one
+create policy "Owners change member roles" on public.organization_members
+  for update to authenticated
+  using (public.has_org_role(organization_id, array['owner']) and user_id <> (select auth.uid()))
+  with check (public.has_org_role(organization_id, array['owner']) and user_id <> (select auth.uid()));
+
+create policy "Owners remove members" on public.organization_members
+  for delete to authenticated
+  using (public.has_org_role(organization_id, array['owner']) and user_id <> (select auth.uid()));
+
+create policy "Owners manage invites" on public.organization_invites
+  for all to authenticated
+  using (public.has_org_role(organization_id, array['owner']))
+  with check (public.has_org_role(organization_id, array['owner']));
+
+-- Data tables: members read; insert/update/delete by role. Child rows also check that
+-- the parent is in the same organization.
+
+create policy "Members see projects" on public.projects
+  for select to authenticated
+  using (public.is_org_member(organization_id));
+create policy "Managers add projects" on public.projects
+  for insert to authenticated
+  with check (public.has_org_role(organization_id, array['owner', 'project_manager']));
+-- Bookkeepers update the invoice and forecast columns; projects_check_update limits them to those
+create policy "Staff update projects" on public.projects
+  for update to authenticated
+  using (public.has_org_role(organization_id, array['owner', 'project_manager', 'bookkeeper']))
+  with check (public.has_org_role(organization_id, array['owner', 'project_manager', 'bookkeeper']));
+create policy "Owners delete projects" on public.projects
+  for delete to authenticated
+  using (public.has_org_role(organization_id, array['owner']));
+
+create policy "Members see vendors" on public.vendors
+  for select to authenticated
+  using (public.is_org_member(organization_id));
+create policy "Staff add vendors" on public.vendors
+  for insert to authenticated
+  with check (public.has_org_role(organization_id, array['owner', 'project_manager', 'bookkeeper']));
+create policy "Staff update vendors" on public.vendors
+  for update to authenticated
+  using (public.has_org_role(organization_id, array['owner', 'project_manager', 'bookkeeper']))
+  with check (public.has_org_role(organization_id, array['owner', 'project_manager', 'bookkeeper']));
+create policy "Managers delete vendors" on public.vendors
+  for delete to authenticated
+  using (public.has_org_role(organization_id, array['owner', 'project_manager']));
+
+create policy "Members see categories" on public.categories
+  for select to authenticated
+  using (public.is_org_member(organization_id));
+create policy "Managers write categories" on public.categories
+  for all to authenticated
+  using (public.has_org_role(organization_id, array['owner', 'project_manager']))
+  with check (
+    public.has_org_role(organization_id, array['owner', 'project_manager'])
+    and exists (
+      select 1 from public.projects p
+      where p.id = project_id and p.organization_id = categories.organization_id
+    )
+  );
+
+create policy "Members see change orders" on public.change_orders
+  for select to authenticated
+  using (public.is_org_member(organization_id));
+create policy "Managers write change orders" on public.change_orders
+  for all to authenticated
+  using (public.has_org_role(organization_id, array['owner', 'project_manager']))
+  with check (
+    public.has_org_role(organization_id, array['owner', 'project_manager'])
+    and exists (
+      select 1 from public.categories c
+      where c.id = category_id and c.organization_id = change_orders.organization_id
+    )
+  );
+
+create policy "Members see expenses" on public.expenses
+  for select to authenticated
+  using (public.is_org_member(organization_id));
+create policy "Managers write expenses" on public.expenses
+  for all to authenticated
+  using (public.has_org_role(organization_id, array['owner', 'project_manager']))
+  with check (
+    public.has_org_role(organization_id, array['owner', 'project_manager'])
+    and exists (
+      select 1 from public.categories c
+      where c.id = category_id and c.organization_id = expenses.organization_id
+    )
+    and (
+      vendor_id is null
+      or exists (
+        select 1 from public.vendors v
+        where v.id = vendor_id and v.organization_id = expenses.organization_id
+      )
+    )
+  );
+
+create policy "Members see payments" on public.payments
+  for select to authenticated
+  using (public.is_org_member(organization_id));
+create policy "Bookkeepers write payments" on public.payments
+  for all to authenticated
+  using (public.has_org_role(organization_id, array['owner', 'bookkeeper']))
+  with check (
+    public.has_org_role(organization_id, array['owner', 'bookkeeper'])
+    and exists (
+      select 1 from public.projects p
+      where p.id = project_id and p.organization_id = payments.organization_id
+    )
+  );
+
+create policy "Members see allocations" on public.allocations
+  for select to authenticated
+  using (public.is_org_member(organization_id));
+create policy "Bookkeepers write allocations" on public.allocations
+  for all to authenticated
+  using (public.has_org_role(organization_id, array['owner', 'bookkeeper']))
+  with check (
+    public.has_org_role(organization_id, array['owner', 'bookkeeper'])
+    and exists (
+      select 1 from public.payments p
+      where p.id = payment_id and p.organization_id = allocations.organization_id
+    )
+    and exists (
+      select 1 from public.categories c
+      where c.id = category_id and c.organization_id = allocations.organization_id
+    )
+  );
+
+-- Row policies can't see which columns changed, so a trigger splits project updates:
+-- details need owner or project manager, invoices need owner or bookkeeper.
+-- Updates without a signed-in user (migrations, the service role) aren't checked.
+create function public.check_project_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (select auth.uid()) is null then
+    return new;
+  end if;
+  if new.organization_id is distinct from old.organization_id then
+    raise exception 'Projects cannot move between organizations' using errcode = '42501';
+  end if;
+  if (new.name, new.client_name, new.retainage_percent) is distinct from
+     (old.name, old.client_name, old.retainage_percent)
+     and not public.has_org_role(old.organization_id, array['owner', 'project_manager']) then
+    raise exception 'Only owners and project managers can edit project details' using errcode = '42501';
+  end if;
+  if new.invoices is distinct from old.invoices
+     and not public.has_org_role(old.organization_id, array['owner', 'bookkeeper']) then
+    raise exception 'Only owners and bookkeepers can change invoices' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger projects_check_update
+  before update on public.projects
+  for each row execute function public.check_project_update();
@@ -0,0 +1,33 @@
+-- Last-modified time per row. The app remembers the version it last read or wrote
+-- and holds back an offline change as a conflict if the row has moved on since.
+-- Allocations are rewritten with their payment and aren't versioned separately.
+
+create function public.set_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+alter table public.projects add column updated_at timestamptz not null default now();
+alter table public.vendors add column updated_at timestamptz not null default now();
+alter table public.categories add column updated_at timestamptz not null default now();
+alter table public.payments add column updated_at timestamptz not null default now();
+alter table public.expenses add column updated_at timestamptz not null default now();
+alter table public.change_orders add column updated_at timestamptz not null default now();
+
+create trigger projects_set_updated_at before update on public.projects
+  for each row execute function public.set_updated_at();
+create trigger vendors_set_updated_at before update on public.vendors
+  for each row execute function public.set_updated_at();
+create trigger categories_set_updated_at before update on public.categories
+  for each row execute function public.set_updated_at();
+create trigger payments_set_updated_at before update on public.payments
+  for each row execute function public.set_updated_at();
+create trigger expenses_set_updated_at before update on public.expenses
+  for each row execute function public.set_updated_at();
+create trigger change_orders_set_updated_at before update on public.change_orders
+  for each row execute function public.set_updated_at();
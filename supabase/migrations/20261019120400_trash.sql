@@ -0,0 +1,50 @@
+-- Trash bin: deleted projects, categories, payments and expenses, kept for 30 days so
+-- they can be restored. The record column holds the app's copy of the deleted record
+-- with everything under it (src/lib/trash.js); restoring writes it back through the
+-- regular tables. Rows aren't linked to the deleted parent, which no longer exists.
+
+create table public.trash_items (
+  id text primary key,
+  organization_id uuid not null references public.organizations (id) on delete cascade,
+  owner_id uuid default auth.uid() references auth.users (id) on delete set null,
+  kind text not null check (kind in ('project', 'category', 'payment', 'expense')),
+  label text not null,
+  project_id bigint not null,
+  project_name text not null default '',
+  category_id bigint,
+  deleted_at timestamptz not null default now(),
+  record jsonb not null
+);
+
+create index trash_items_organization_id_idx on public.trash_items (organization_id, deleted_at);
+
+alter table public.trash_items enable row level security;
+
+-- Whoever may delete a kind of record may trash, restore and purge it
+create function public.can_trash(org uuid, kind text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select public.has_org_role(org, case kind
+    when 'project' then array['owner']
+    when 'payment' then array['owner', 'bookkeeper']
+    else array['owner', 'project_manager']
+  end);
+$$;
+
+create policy "Members see the trash" on public.trash_items
+  for select to authenticated
+  using (public.is_org_member(organization_id));
+create policy "Staff trash records" on public.trash_items
+  for insert to authenticated
+  with check (public.can_trash(organization_id, kind));
+create policy "Staff update trashed records" on public.trash_items
+  for update to authenticated
+  using (public.can_trash(organization_id, kind))
+  with check (public.can_trash(organization_id, kind));
+create policy "Staff restore and purge records" on public.trash_items
+  for delete to authenticated
+  using (public.can_trash(organization_id, kind));
@@ -0,0 +1,37 @@
+-- Activity log of changes to project records (src/lib/audit.js). Append-only: members
+-- who can change data add entries in their own name, and nobody edits or removes them.
+-- Entries outlive the records they describe, so project_id and entity_id aren't keys.
+
+create table public.audit_log (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations (id) on delete cascade,
+  user_id uuid default auth.uid() references auth.users (id) on delete set null,
+  -- Kept for members who have since left
+  user_email text,
+  project_id bigint not null,
+  entity text not null
+    check (entity in ('project', 'category', 'payment', 'expense', 'changeOrder', 'invoice')),
+  entity_id bigint not null,
+  action text not null check (action in ('create', 'update', 'delete', 'restore')),
+  label text not null default '',
+  before jsonb,
+  after jsonb,
+  -- When the change was made, which for offline changes is before the entry arrives
+  created_at timestamptz not null default now()
+);
+
+create index audit_log_project_idx on public.audit_log (organization_id, project_id, created_at desc);
+
+alter table public.audit_log enable row level security;
+
+create policy "Members see the activity log" on public.audit_log
+  for select to authenticated
+  using (public.is_org_member(organization_id));
+create policy "Staff log their own changes" on public.audit_log
+  for insert to authenticated
+  with check (
+    public.has_org_role(organization_id, array['owner', 'project_manager', 'bookkeeper'])
+    and user_id = (select auth.uid())
+  );
+
+revoke update, delete on public.audit_log from anon, authenticated;
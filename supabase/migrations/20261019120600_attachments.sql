@@ -0,0 +1,47 @@
+-- Receipt and document attachments on expenses and payments. Each record lists its
+-- attachments (id, name, type, size, path); the files are in the private
+-- "attachments" Storage bucket under a folder named after the organization id.
+
+alter table public.expenses add column attachments jsonb not null default '[]'::jsonb;
+alter table public.payments add column attachments jsonb not null default '[]'::jsonb;
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('attachments', 'attachments', false, 10485760, array['image/*', 'application/pdf']);
+
+-- Organization the file's folder belongs to
+create function public.attachment_organization(object_name text)
+returns uuid
+language sql
+immutable
+as $$
+  select case
+    when (storage.foldername(object_name))[1] ~ '^[0-9a-f-]{36}$'
+      then ((storage.foldername(object_name))[1])::uuid
+  end;
+$$;
+
+-- Members open files; staff who record expenses or payments add and remove them
+create policy "Members see attachments" on storage.objects
+  for select to authenticated
+  using (
+    bucket_id = 'attachments'
+    and public.is_org_member(public.attachment_organization(name))
+  );
+create policy "Staff add attachments" on storage.objects
+  for insert to authenticated
+  with check (
+    bucket_id = 'attachments'
+    and public.has_org_role(public.attachment_organization(name), array['owner', 'project_manager', 'bookkeeper'])
+  );
+create policy "Staff replace attachments" on storage.objects
+  for update to authenticated
+  using (
+    bucket_id = 'attachments'
+    and public.has_org_role(public.attachment_organization(name), array['owner', 'project_manager', 'bookkeeper'])
+  );
+create policy "Staff remove attachments" on storage.objects
+  for delete to authenticated
+  using (
+    bucket_id = 'attachments'
+    and public.has_org_role(public.attachment_organization(name), array['owner', 'project_manager', 'bookkeeper'])
+  );
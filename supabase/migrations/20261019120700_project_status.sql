@@ -0,0 +1,36 @@
+-- Project lifecycle: where a job stands, with its start, target and completion dates.
+-- Existing projects are treated as active.
+
+alter table public.projects
+  add column status text not null default 'active'
+    check (status in ('bid', 'active', 'on_hold', 'complete', 'archived')),
+  add column start_date date,
+  add column target_date date,
+  add column completed_date date;
+
+-- Status and dates are project details: owner or project manager, like the name
+create or replace function public.check_project_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (select auth.uid()) is null then
+    return new;
+  end if;
+  if new.organization_id is distinct from old.organization_id then
+    raise exception 'Projects cannot move between organizations' using errcode = '42501';
+  end if;
+  if (new.name, new.client_name, new.retainage_percent,
+      new.status, new.start_date, new.target_date, new.completed_date) is distinct from
+     (old.name, old.client_name, old.retainage_percent,
+      old.status, old.start_date, old.target_date, old.completed_date)
+     and not public.has_org_role(old.organization_id, array['owner', 'project_manager']) then
+    raise exception 'Only owners and project managers can edit project details' using errcode = '42501';
+  end if;
+  if new.invoices is distinct from old.invoices
+     and not public.has_org_role(old.organization_id, array['owner', 'bookkeeper']) then
+    raise exception 'Only owners and bookkeepers can change invoices' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
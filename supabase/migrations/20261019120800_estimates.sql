@@ -0,0 +1,40 @@
+-- Estimates (bids): priced line items grouped into future cost categories. The groups
+-- column holds the app's groups with their lines (src/lib/estimates.js). Accepting an
+-- estimate creates its project through the regular tables and links it here.
+
+create table public.estimates (
+  id bigint primary key,
+  organization_id uuid not null references public.organizations (id) on delete cascade,
+  owner_id uuid default auth.uid() references auth.users (id) on delete set null,
+  name text not null,
+  client_name text not null default '',
+  status text not null default 'draft' check (status in ('draft', 'accepted', 'declined')),
+  project_id bigint references public.projects (id) on delete set null,
+  groups jsonb not null default '[]'::jsonb,
+  notes text,
+  created_at timestamptz not null default now(),
+  accepted_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+create index estimates_organization_id_idx on public.estimates (organization_id);
+
+create trigger estimates_set_updated_at before update on public.estimates
+  for each row execute function public.set_updated_at();
+
+alter table public.estimates enable row level security;
+
+-- Estimators are whoever may set up projects: owners and project managers
+create policy "Members see estimates" on public.estimates
+  for select to authenticated
+  using (public.is_org_member(organization_id));
+create policy "Managers add estimates" on public.estimates
+  for insert to authenticated
+  with check (public.has_org_role(organization_id, array['owner', 'project_manager']));
+create policy "Managers update estimates" on public.estimates
+  for update to authenticated
+  using (public.has_org_role(organization_id, array['owner', 'project_manager']))
+  with check (public.has_org_role(organization_id, array['owner', 'project_manager']));
+create policy "Managers delete estimates" on public.estimates
+  for delete to authenticated
+  using (public.has_org_role(organization_id, array['owner', 'project_manager']));
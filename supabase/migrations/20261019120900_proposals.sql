@@ -0,0 +1,33 @@
+-- Client proposals. An estimate keeps the terms printed on its proposal; the signed
+-- proposal (scope, budgets, terms and the drawn signature, see src/lib/proposal.js)
+-- is stored on the project it created.
+
+alter table public.estimates add column terms text;
+alter table public.projects add column proposal jsonb;
+
+-- The signed proposal is a project detail: owner or project manager
+create or replace function public.check_project_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (select auth.uid()) is null then
+    return new;
+  end if;
+  if new.organization_id is distinct from old.organization_id then
+    raise exception 'Projects cannot move between organizations' using errcode = '42501';
+  end if;
+  if (new.name, new.client_name, new.retainage_percent,
+      new.status, new.start_date, new.target_date, new.completed_date, new.proposal) is distinct from
+     (old.name, old.client_name, old.retainage_percent,
+      old.status, old.start_date, old.target_date, old.completed_date, old.proposal)
+     and not public.has_org_role(old.organization_id, array['owner', 'project_manager']) then
+    raise exception 'Only owners and project managers can edit project details' using errcode = '42501';
+  end if;
+  if new.invoices is distinct from old.invoices
+     and not public.has_org_role(old.organization_id, array['owner', 'bookkeeper']) then
+    raise exception 'Only owners and bookkeepers can change invoices' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
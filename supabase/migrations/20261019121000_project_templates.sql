@@ -0,0 +1,36 @@
+-- Project templates: a saved list of categories with their mode and optional default
+-- amounts or percentages of the contract total (src/lib/templates.js), picked when
+-- creating a project.
+
+create table public.project_templates (
+  id bigint primary key,
+  organization_id uuid not null references public.organizations (id) on delete cascade,
+  owner_id uuid default auth.uid() references auth.users (id) on delete set null,
+  name text not null,
+  basis text not null default 'none' check (basis in ('none', 'amount', 'percent')),
+  categories jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index project_templates_organization_id_idx on public.project_templates (organization_id);
+
+create trigger project_templates_set_updated_at before update on public.project_templates
+  for each row execute function public.set_updated_at();
+
+alter table public.project_templates enable row level security;
+
+-- Whoever may set up projects manages the templates they start from
+create policy "Members see templates" on public.project_templates
+  for select to authenticated
+  using (public.is_org_member(organization_id));
+create policy "Managers add templates" on public.project_templates
+  for insert to authenticated
+  with check (public.has_org_role(organization_id, array['owner', 'project_manager']));
+create policy "Managers update templates" on public.project_templates
+  for update to authenticated
+  using (public.has_org_role(organization_id, array['owner', 'project_manager']))
+  with check (public.has_org_role(organization_id, array['owner', 'project_manager']));
+create policy "Managers delete templates" on public.project_templates
+  for delete to authenticated
+  using (public.has_org_role(organization_id, array['owner', 'project_manager']));
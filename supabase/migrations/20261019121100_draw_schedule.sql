@@ -0,0 +1,36 @@
+-- Draw schedule per project: billing milestones with their amount or percentage of the
+-- contract, due date, split across categories and the payment recorded against each.
+-- Only ever read with its project, like invoices and forecast items.
+
+alter table public.projects add column draw_schedule jsonb not null default '[]'::jsonb;
+
+-- Draws are billing, like invoices: owner or bookkeeper
+create or replace function public.check_project_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (select auth.uid()) is null then
+    return new;
+  end if;
+  if new.organization_id is distinct from old.organization_id then
+    raise exception 'Projects cannot move between organizations' using errcode = '42501';
+  end if;
+  if (new.name, new.client_name, new.retainage_percent,
+      new.status, new.start_date, new.target_date, new.completed_date, new.proposal) is distinct from
+     (old.name, old.client_name, old.retainage_percent,
+      old.status, old.start_date, old.target_date, old.completed_date, old.proposal)
+     and not public.has_org_role(old.organization_id, array['owner', 'project_manager']) then
+    raise exception 'Only owners and project managers can edit project details' using errcode = '42501';
+  end if;
+  if new.invoices is distinct from old.invoices
+     and not public.has_org_role(old.organization_id, array['owner', 'bookkeeper']) then
+    raise exception 'Only owners and bookkeepers can change invoices' using errcode = '42501';
+  end if;
+  if new.draw_schedule is distinct from old.draw_schedule
+     and not public.has_org_role(old.organization_id, array['owner', 'bookkeeper']) then
+    raise exception 'Only owners and bookkeepers can change the draw schedule' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
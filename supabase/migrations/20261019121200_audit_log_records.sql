@@ -0,0 +1,9 @@
+-- The activity log also covers draws, forecast items and vendors. Vendors belong to the
+-- organization rather than a project, so their entries have no project_id.
+
+alter table public.audit_log alter column project_id drop not null;
+
+alter table public.audit_log drop constraint audit_log_entity_check;
+alter table public.audit_log add constraint audit_log_entity_check
+  check (entity in ('project', 'category', 'payment', 'expense', 'changeOrder', 'invoice',
+                    'draw', 'forecastItem', 'vendor'));
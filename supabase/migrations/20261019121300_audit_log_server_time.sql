@@ -0,0 +1,19 @@
+-- Activity log times come from the server, so entries can't be back- or forward-dated.
+-- client_at keeps when the change was made on the device, which for offline changes
+-- is before the entry arrives.
+
+alter table public.audit_log add column client_at timestamptz;
+
+create function public.stamp_audit_entry()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.created_at := now();
+  return new;
+end;
+$$;
+
+create trigger audit_log_stamp
+  before insert on public.audit_log
+  for each row execute function public.stamp_audit_entry();
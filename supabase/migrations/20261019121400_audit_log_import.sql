@@ -0,0 +1,5 @@
+-- A CSV import is logged as one entry listing every record it added.
+
+alter table public.audit_log drop constraint audit_log_action_check;
+alter table public.audit_log add constraint audit_log_action_check
+  check (action in ('create', 'update', 'delete', 'restore', 'import'));
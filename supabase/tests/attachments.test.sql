@@ -0,0 +1,53 @@
+-- Runs with `npm run db:test`. Attachment files are only visible inside their
+-- organization's folder, and read-only members can't add any.
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(4);
+
+insert into auth.users (id, email) values
+  ('22222222-2222-2222-2222-222222222222', 'pm@example.com'),
+  ('44444444-4444-4444-4444-444444444444', 'viewer@example.com'),
+  ('66666666-6666-6666-6666-666666666666', 'other@example.com');
+insert into public.organizations (id, name) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Acme Builders'),
+  ('bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', 'Other Co');
+insert into public.organization_members (organization_id, user_id, email, role) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '22222222-2222-2222-2222-222222222222', 'pm@example.com', 'project_manager'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '44444444-4444-4444-4444-444444444444', 'viewer@example.com', 'read_only'),
+  ('bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', '66666666-6666-6666-6666-666666666666', 'other@example.com', 'owner');
+
+set local role authenticated;
+
+set local request.jwt.claims to '{"sub": "22222222-2222-2222-2222-222222222222", "role": "authenticated"}';
+
+select lives_ok(
+  $$ insert into storage.objects (bucket_id, name)
+     values ('attachments', 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa/receipt-1') $$,
+  'project manager adds a file in their organization''s folder'
+);
+select throws_ok(
+  $$ insert into storage.objects (bucket_id, name)
+     values ('attachments', 'bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb/receipt-2') $$,
+  '42501', null,
+  'files cannot be added to another organization''s folder'
+);
+
+set local request.jwt.claims to '{"sub": "44444444-4444-4444-4444-444444444444", "role": "authenticated"}';
+
+select is(
+  (select count(*)::int from storage.objects where bucket_id = 'attachments'),
+  1,
+  'read-only member sees the organization''s files'
+);
+
+set local request.jwt.claims to '{"sub": "66666666-6666-6666-6666-666666666666", "role": "authenticated"}';
+
+select is(
+  (select count(*)::int from storage.objects where bucket_id = 'attachments'),
+  0,
+  'other organizations see none of them'
+);
+
+select * from finish();
+rollback;
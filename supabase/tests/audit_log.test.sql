@@ -0,0 +1,84 @@
+-- Runs with `npm run db:test`. The activity log only grows: staff add entries in their
+-- own name, read-only members add none, and no one edits or removes them. Vendor
+-- entries belong to no project, a CSV import is one entry, and the server sets when
+-- each was logged.
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(11);
+
+insert into auth.users (id, email) values
+  ('22222222-2222-2222-2222-222222222222', 'pm@example.com'),
+  ('33333333-3333-3333-3333-333333333333', 'books@example.com'),
+  ('44444444-4444-4444-4444-444444444444', 'viewer@example.com');
+insert into public.organizations (id, name) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Acme Builders');
+insert into public.organization_members (organization_id, user_id, email, role) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '22222222-2222-2222-2222-222222222222', 'pm@example.com', 'project_manager'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '33333333-3333-3333-3333-333333333333', 'books@example.com', 'bookkeeper'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '44444444-4444-4444-4444-444444444444', 'viewer@example.com', 'read_only');
+
+set local role authenticated;
+
+set local request.jwt.claims to '{"sub": "22222222-2222-2222-2222-222222222222", "role": "authenticated"}';
+
+select lives_ok(
+  $$ insert into public.audit_log (organization_id, user_email, project_id, entity, entity_id, action, after)
+     values ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'pm@example.com', 1, 'expense', 30, 'create', '{"amount": 500}') $$,
+  'project manager logs a change'
+);
+select lives_ok(
+  $$ insert into public.audit_log (organization_id, project_id, entity, entity_id, action, after)
+     values ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', null, 'vendor', 40, 'update', '{"name": "Ace Plumbing"}') $$,
+  'vendor changes are logged without a project'
+);
+select throws_ok(
+  $$ insert into public.audit_log (organization_id, project_id, entity, entity_id, action)
+     values ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 1, 'estimate', 50, 'create') $$,
+  '23514', null,
+  'unknown record types are rejected'
+);
+select throws_ok(
+  $$ insert into public.audit_log (organization_id, user_id, project_id, entity, entity_id, action)
+     values ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '33333333-3333-3333-3333-333333333333', 1, 'expense', 30, 'delete') $$,
+  '42501', null,
+  'entries cannot be logged in someone else''s name'
+);
+select lives_ok(
+  $$ insert into public.audit_log (organization_id, project_id, entity, entity_id, action, client_at, created_at)
+     values ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 1, 'expense', 31, 'create', '2026-10-18 09:00', '2020-01-01') $$,
+  'project manager logs an offline change'
+);
+select is(
+  (select created_at from public.audit_log where entity_id = 31),
+  now(),
+  'entries are stamped with the server time, not the one sent'
+);
+select lives_ok(
+  $$ insert into public.audit_log (organization_id, project_id, entity, entity_id, action, after)
+     values ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 1, 'expense', 32, 'import', '{"amount": 900, "records": []}') $$,
+  'a CSV import is logged as one entry'
+);
+select throws_ok(
+  $$ update public.audit_log set after = '{"amount": 5}' $$,
+  '42501', null,
+  'entries cannot be edited'
+);
+select throws_ok(
+  $$ delete from public.audit_log $$,
+  '42501', null,
+  'entries cannot be removed'
+);
+
+set local request.jwt.claims to '{"sub": "44444444-4444-4444-4444-444444444444", "role": "authenticated"}';
+
+select is((select count(*)::int from public.audit_log), 4, 'read-only member sees the log');
+select throws_ok(
+  $$ insert into public.audit_log (organization_id, project_id, entity, entity_id, action)
+     values ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 1, 'payment', 20, 'create') $$,
+  '42501', null,
+  'read-only member cannot log changes'
+);
+
+select * from finish();
+rollback;
@@ -0,0 +1,49 @@
+-- Runs with `npm run db:test`. Projects start with an empty draw schedule, and only
+-- owners and bookkeepers change it.
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(4);
+
+insert into auth.users (id, email) values
+  ('11111111-1111-1111-1111-111111111111', 'owner@example.com'),
+  ('22222222-2222-2222-2222-222222222222', 'pm@example.com'),
+  ('33333333-3333-3333-3333-333333333333', 'books@example.com');
+insert into public.organizations (id, name) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Acme Builders');
+insert into public.organization_members (organization_id, user_id, email, role) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '11111111-1111-1111-1111-111111111111', 'owner@example.com', 'owner'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '22222222-2222-2222-2222-222222222222', 'pm@example.com', 'project_manager'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '33333333-3333-3333-3333-333333333333', 'books@example.com', 'bookkeeper');
+insert into public.projects (id, organization_id, name) values
+  (1, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Kitchen');
+
+select has_column('public', 'projects', 'draw_schedule', 'projects.draw_schedule');
+
+select is(
+  (select draw_schedule from public.projects where id = 1),
+  '[]'::jsonb,
+  'new projects have no draws'
+);
+
+set local role authenticated;
+
+set local request.jwt.claims to '{"sub": "33333333-3333-3333-3333-333333333333", "role": "authenticated"}';
+
+select lives_ok(
+  $$ update public.projects
+     set draw_schedule = '[{"id": "d1", "name": "Deposit", "basis": "percent", "percent": 30}]'
+     where id = 1 $$,
+  'bookkeeper schedules a draw'
+);
+
+set local request.jwt.claims to '{"sub": "22222222-2222-2222-2222-222222222222", "role": "authenticated"}';
+
+select throws_ok(
+  $$ update public.projects set draw_schedule = '[]' where id = 1 $$,
+  '42501', null,
+  'project manager cannot change the draw schedule'
+);
+
+select * from finish();
+rollback;
@@ -0,0 +1,60 @@
+-- Runs with `npm run db:test`. Owners and project managers write estimates;
+-- bookkeepers only read them, and other organizations don't see them.
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(5);
+
+insert into auth.users (id, email) values
+  ('22222222-2222-2222-2222-222222222222', 'pm@example.com'),
+  ('33333333-3333-3333-3333-333333333333', 'books@example.com'),
+  ('66666666-6666-6666-6666-666666666666', 'other@example.com');
+insert into public.organizations (id, name) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Acme Builders'),
+  ('bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', 'Other Co');
+insert into public.organization_members (organization_id, user_id, email, role) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '22222222-2222-2222-2222-222222222222', 'pm@example.com', 'project_manager'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '33333333-3333-3333-3333-333333333333', 'books@example.com', 'bookkeeper'),
+  ('bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', '66666666-6666-6666-6666-666666666666', 'other@example.com', 'owner');
+
+set local role authenticated;
+
+set local request.jwt.claims to '{"sub": "22222222-2222-2222-2222-222222222222", "role": "authenticated"}';
+
+select lives_ok(
+  $$ insert into public.estimates (id, organization_id, name, groups)
+     values (1, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Kitchen bid',
+       '[{"id": 1, "name": "Plumbing", "mode": "all-inclusive", "lines": []}]') $$,
+  'project manager adds an estimate'
+);
+
+set local request.jwt.claims to '{"sub": "33333333-3333-3333-3333-333333333333", "role": "authenticated"}';
+
+select is(
+  (select name from public.estimates where id = 1),
+  'Kitchen bid',
+  'bookkeeper sees the organization''s estimates'
+);
+select throws_ok(
+  $$ insert into public.estimates (id, organization_id, name)
+     values (2, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Bath bid') $$,
+  '42501', null,
+  'bookkeeper cannot add estimates'
+);
+update public.estimates set name = 'Renamed' where id = 1;
+select is(
+  (select name from public.estimates where id = 1),
+  'Kitchen bid',
+  'bookkeeper cannot edit estimates'
+);
+
+set local request.jwt.claims to '{"sub": "66666666-6666-6666-6666-666666666666", "role": "authenticated"}';
+
+select is(
+  (select count(*)::int from public.estimates),
+  0,
+  'other organizations see no estimates'
+);
+
+select * from finish();
+rollback;
@@ -0,0 +1,62 @@
+-- Runs with `npm run db:test`. Projects default to active, only take the lifecycle
+-- statuses the app knows, and only owners and project managers change them.
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(7);
+
+insert into auth.users (id, email) values
+  ('11111111-1111-1111-1111-111111111111', 'owner@example.com'),
+  ('22222222-2222-2222-2222-222222222222', 'pm@example.com'),
+  ('33333333-3333-3333-3333-333333333333', 'books@example.com');
+insert into public.organizations (id, name) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Acme Builders');
+insert into public.organization_members (organization_id, user_id, email, role) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '11111111-1111-1111-1111-111111111111', 'owner@example.com', 'owner'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '22222222-2222-2222-2222-222222222222', 'pm@example.com', 'project_manager'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '33333333-3333-3333-3333-333333333333', 'books@example.com', 'bookkeeper');
+insert into public.projects (id, organization_id, name) values
+  (1, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Kitchen');
+
+select has_column('public', 'projects', 'completed_date', 'projects.completed_date');
+
+select is(
+  (select status from public.projects where id = 1),
+  'active',
+  'new projects are active'
+);
+
+select lives_ok(
+  $$ update public.projects set status = 'archived', completed_date = '2026-09-30' where id = 1 $$,
+  'a project can be archived'
+);
+select throws_ok(
+  $$ update public.projects set status = 'cancelled' where id = 1 $$,
+  '23514', null,
+  'unknown statuses are rejected'
+);
+
+set local role authenticated;
+
+set local request.jwt.claims to '{"sub": "33333333-3333-3333-3333-333333333333", "role": "authenticated"}';
+
+select throws_ok(
+  $$ update public.projects set status = 'active' where id = 1 $$,
+  '42501', null,
+  'bookkeeper cannot change a project status'
+);
+select throws_ok(
+  $$ update public.projects set target_date = '2026-12-31' where id = 1 $$,
+  '42501', null,
+  'bookkeeper cannot change project dates'
+);
+
+set local request.jwt.claims to '{"sub": "22222222-2222-2222-2222-222222222222", "role": "authenticated"}';
+
+select lives_ok(
+  $$ update public.projects set status = 'active', completed_date = null where id = 1 $$,
+  'project manager reopens a project'
+);
+
+select * from finish();
+rollback;
@@ -0,0 +1,54 @@
+-- Runs with `npm run db:test`. Project managers save templates for their
+-- organization; read-only members can only pick them.
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(4);
+
+insert into auth.users (id, email) values
+  ('22222222-2222-2222-2222-222222222222', 'pm@example.com'),
+  ('44444444-4444-4444-4444-444444444444', 'viewer@example.com'),
+  ('66666666-6666-6666-6666-666666666666', 'other@example.com');
+insert into public.organizations (id, name) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Acme Builders'),
+  ('bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', 'Other Co');
+insert into public.organization_members (organization_id, user_id, email, role) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '22222222-2222-2222-2222-222222222222', 'pm@example.com', 'project_manager'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '44444444-4444-4444-4444-444444444444', 'viewer@example.com', 'read_only'),
+  ('bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', '66666666-6666-6666-6666-666666666666', 'other@example.com', 'owner');
+
+set local role authenticated;
+
+set local request.jwt.claims to '{"sub": "22222222-2222-2222-2222-222222222222", "role": "authenticated"}';
+
+select lives_ok(
+  $$ insert into public.project_templates (id, organization_id, name, basis, categories)
+     values (1, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Kitchen remodel', 'percent',
+       '[{"name": "Demo", "mode": "all-inclusive", "totalBudget": 5, "totalCost": 4}]') $$,
+  'project manager saves a template'
+);
+
+set local request.jwt.claims to '{"sub": "44444444-4444-4444-4444-444444444444", "role": "authenticated"}';
+
+select is(
+  (select name from public.project_templates where id = 1),
+  'Kitchen remodel',
+  'read-only member sees the organization''s templates'
+);
+select throws_ok(
+  $$ insert into public.project_templates (id, organization_id, name)
+     values (2, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Bath remodel') $$,
+  '42501', null,
+  'read-only member cannot save templates'
+);
+
+set local request.jwt.claims to '{"sub": "66666666-6666-6666-6666-666666666666", "role": "authenticated"}';
+
+select is(
+  (select count(*)::int from public.project_templates),
+  0,
+  'other organizations see no templates'
+);
+
+select * from finish();
+rollback;
@@ -0,0 +1,64 @@
+-- Runs with `npm run db:test`. Signed proposals live on the project, and only owners
+-- and project managers can store or change one.
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(5);
+
+insert into auth.users (id, email) values
+  ('11111111-1111-1111-1111-111111111111', 'owner@example.com'),
+  ('22222222-2222-2222-2222-222222222222', 'pm@example.com'),
+  ('33333333-3333-3333-3333-333333333333', 'books@example.com'),
+  ('44444444-4444-4444-4444-444444444444', 'viewer@example.com');
+insert into public.organizations (id, name) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Acme Builders');
+insert into public.organization_members (organization_id, user_id, email, role) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '11111111-1111-1111-1111-111111111111', 'owner@example.com', 'owner'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '22222222-2222-2222-2222-222222222222', 'pm@example.com', 'project_manager'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '33333333-3333-3333-3333-333333333333', 'books@example.com', 'bookkeeper'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '44444444-4444-4444-4444-444444444444', 'viewer@example.com', 'read_only');
+insert into public.projects (id, organization_id, name, status) values
+  (1, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Kitchen', 'bid');
+
+select has_column('public', 'estimates', 'terms', 'estimates.terms');
+
+set local role authenticated;
+
+-- Project manager signs: the proposal is stored and the project set active
+set local request.jwt.claims to '{"sub": "22222222-2222-2222-2222-222222222222", "role": "authenticated"}';
+
+select lives_ok(
+  $$ update public.projects
+     set proposal = '{"total": 25000, "signature": {"name": "Jane Smith", "date": "2026-10-19"}}',
+         status = 'active'
+     where id = 1 $$,
+  'project manager stores a signed proposal'
+);
+
+-- Bookkeeper: cannot overwrite or clear it
+set local request.jwt.claims to '{"sub": "33333333-3333-3333-3333-333333333333", "role": "authenticated"}';
+
+select throws_ok(
+  $$ update public.projects set proposal = null where id = 1 $$,
+  '42501', null,
+  'bookkeeper cannot clear a signed proposal'
+);
+
+-- Read-only: the update matches no rows it may change
+set local request.jwt.claims to '{"sub": "44444444-4444-4444-4444-444444444444", "role": "authenticated"}';
+
+update public.projects set proposal = '{"total": 1}' where id = 1;
+
+select is(
+  (select proposal -> 'signature' ->> 'name' from public.projects where id = 1),
+  'Jane Smith',
+  'read-only member cannot change a signed proposal'
+);
+select is(
+  (select status from public.projects where id = 1),
+  'active',
+  'the project stays active'
+);
+
+select * from finish();
+rollback;
@@ -0,0 +1,88 @@
+-- Runs with `npm run db:test` against the local stack. Two users in separate
+-- organizations; checks that RLS keeps them apart and that deletes cascade.
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(16);
+
+-- Columns the app writes
+select has_column('public', 'allocations', 'labor_amount', 'allocations.labor_amount');
+select has_column('public', 'allocations', 'materials_amount', 'allocations.materials_amount');
+select has_column('public', 'payments', 'payment_method', 'payments.payment_method');
+select has_column('public', 'payments', 'reference', 'payments.reference');
+select has_column('public', 'expenses', 'type', 'expenses.type');
+
+insert into auth.users (id, email) values
+  ('11111111-1111-1111-1111-111111111111', 'alice@example.com'),
+  ('22222222-2222-2222-2222-222222222222', 'bob@example.com');
+
+insert into public.organizations (id, name) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Alice Builders'),
+  ('bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', 'Bob Remodeling');
+insert into public.organization_members (organization_id, user_id, email, role) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '11111111-1111-1111-1111-111111111111', 'alice@example.com', 'owner'),
+  ('bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', '22222222-2222-2222-2222-222222222222', 'bob@example.com', 'owner');
+
+-- Act as alice
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "11111111-1111-1111-1111-111111111111", "role": "authenticated"}';
+
+insert into public.projects (id, organization_id, name, client_name) values (1, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Kitchen', 'Smith');
+insert into public.categories (id, organization_id, project_id, name, mode, labor_budget, labor_cost, materials_budget)
+  values (10, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 1, 'Cabinets', 'separate', 5000, 3000, 4000);
+insert into public.payments (id, organization_id, project_id, payment_method, reference, total_amount, date)
+  values (20, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 1, 'check', '1001', 2500, '2026-01-15');
+insert into public.allocations (organization_id, payment_id, category_id, labor_amount, materials_amount, date)
+  values ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 20, 10, 1000, 1500, '2026-01-15');
+insert into public.expenses (id, organization_id, category_id, amount, date, description, type)
+  values (30, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 10, 800, '2026-01-20', 'Install crew', 'labor');
+
+select is(
+  (select owner_id from public.projects where id = 1),
+  '11111111-1111-1111-1111-111111111111'::uuid,
+  'owner_id defaults to the signed-in user'
+);
+select is((select count(*)::int from public.allocations), 1, 'alice sees her allocation');
+
+-- Act as bob
+set local request.jwt.claims to '{"sub": "22222222-2222-2222-2222-222222222222", "role": "authenticated"}';
+
+select is((select count(*)::int from public.projects), 0, 'bob cannot see alice''s projects');
+select is((select count(*)::int from public.expenses), 0, 'bob cannot see alice''s expenses');
+
+select throws_ok(
+  $$ insert into public.categories (id, organization_id, project_id, name)
+     values (11, 'bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', 1, 'Hijack') $$,
+  '42501',
+  null,
+  'bob cannot add a category to alice''s project'
+);
+select throws_ok(
+  $$ insert into public.projects (id, organization_id, name)
+     values (2, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Spoofed') $$,
+  '42501',
+  null,
+  'bob cannot create a project in alice''s organization'
+);
+
+update public.projects set name = 'Renamed' where id = 1;
+delete from public.payments where id = 20;
+
+-- Back to alice
+set local request.jwt.claims to '{"sub": "11111111-1111-1111-1111-111111111111", "role": "authenticated"}';
+
+select is((select name from public.projects where id = 1), 'Kitchen', 'bob''s update did not touch alice''s project');
+select is((select count(*)::int from public.payments), 1, 'bob''s delete did not touch alice''s payment');
+
+delete from public.projects where id = 1;
+
+select is((select count(*)::int from public.categories), 0, 'deleting a project removes its categories');
+select is((select count(*)::int from public.payments), 0, 'deleting a project removes its payments');
+select is(
+  (select count(*)::int from public.allocations) + (select count(*)::int from public.expenses),
+  0,
+  'allocations and expenses cascade with their category and payment'
+);
+
+select * from finish();
+rollback;
@@ -0,0 +1,115 @@
+-- Runs with `npm run db:test`. One organization with a member per role; checks
+-- what each role can write, and that invites are accepted on sign-in.
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(14);
+
+insert into auth.users (id, email) values
+  ('11111111-1111-1111-1111-111111111111', 'owner@example.com'),
+  ('22222222-2222-2222-2222-222222222222', 'pm@example.com'),
+  ('33333333-3333-3333-3333-333333333333', 'books@example.com'),
+  ('44444444-4444-4444-4444-444444444444', 'viewer@example.com'),
+  ('55555555-5555-5555-5555-555555555555', 'new@example.com');
+
+insert into public.organizations (id, name) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Acme Builders');
+insert into public.organization_members (organization_id, user_id, email, role) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '11111111-1111-1111-1111-111111111111', 'owner@example.com', 'owner'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '22222222-2222-2222-2222-222222222222', 'pm@example.com', 'project_manager'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '33333333-3333-3333-3333-333333333333', 'books@example.com', 'bookkeeper'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '44444444-4444-4444-4444-444444444444', 'viewer@example.com', 'read_only');
+insert into public.projects (id, organization_id, name) values
+  (1, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Kitchen');
+insert into public.categories (id, organization_id, project_id, name, total_budget, total_cost) values
+  (10, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 1, 'Plumbing', 8000, 6000);
+
+set local role authenticated;
+
+-- Project manager: sub payments yes, client payments no
+set local request.jwt.claims to '{"sub": "22222222-2222-2222-2222-222222222222", "role": "authenticated"}';
+
+select lives_ok(
+  $$ insert into public.expenses (id, organization_id, category_id, amount, date, description)
+     values (30, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 10, 500, '2026-02-01', 'Rough-in') $$,
+  'project manager records a sub payment'
+);
+select throws_ok(
+  $$ insert into public.payments (id, organization_id, project_id, total_amount, date)
+     values (20, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 1, 1000, '2026-02-01') $$,
+  '42501', null,
+  'project manager cannot record a client payment'
+);
+select throws_ok(
+  $$ update public.projects set invoices = '[{"number": 1}]'::jsonb where id = 1 $$,
+  '42501', null,
+  'project manager cannot change invoices'
+);
+
+-- Bookkeeper: client payments and invoices yes, categories and project details no
+set local request.jwt.claims to '{"sub": "33333333-3333-3333-3333-333333333333", "role": "authenticated"}';
+
+select lives_ok(
+  $$ insert into public.payments (id, organization_id, project_id, total_amount, date)
+     values (20, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 1, 1000, '2026-02-01') $$,
+  'bookkeeper records a client payment'
+);
+select lives_ok(
+  $$ update public.projects set invoices = '[{"number": 1}]'::jsonb where id = 1 $$,
+  'bookkeeper saves an invoice'
+);
+select throws_ok(
+  $$ update public.projects set name = 'Renamed' where id = 1 $$,
+  '42501', null,
+  'bookkeeper cannot edit project details'
+);
+select throws_ok(
+  $$ insert into public.categories (id, organization_id, project_id, name)
+     values (11, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 1, 'Framing') $$,
+  '42501', null,
+  'bookkeeper cannot add a category'
+);
+
+-- Read-only: sees everything, changes nothing
+set local request.jwt.claims to '{"sub": "44444444-4444-4444-4444-444444444444", "role": "authenticated"}';
+
+select is((select count(*)::int from public.expenses), 1, 'read-only member sees expenses');
+delete from public.expenses where id = 30;
+select is((select count(*)::int from public.expenses), 1, 'read-only member cannot delete expenses');
+
+-- Owner: deletes projects, manages the team but not their own membership
+set local request.jwt.claims to '{"sub": "11111111-1111-1111-1111-111111111111", "role": "authenticated"}';
+
+insert into public.organization_invites (organization_id, email, role)
+  values ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'new@example.com', 'bookkeeper');
+delete from public.organization_members where user_id = '11111111-1111-1111-1111-111111111111';
+select is(
+  (select count(*)::int from public.organization_members where role = 'owner'),
+  1,
+  'owner cannot remove themselves'
+);
+
+-- Invited user signs in
+set local request.jwt.claims to '{"sub": "55555555-5555-5555-5555-555555555555", "email": "new@example.com", "role": "authenticated"}';
+
+select results_eq(
+  $$ select organization_id, role from public.ensure_organization() $$,
+  $$ values ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa'::uuid, 'bookkeeper'::text) $$,
+  'ensure_organization accepts the invite'
+);
+
+-- A member signing in again stays in the organization they joined first
+set local request.jwt.claims to '{"sub": "44444444-4444-4444-4444-444444444444", "email": "viewer@example.com", "role": "authenticated"}';
+select is(
+  (select role from public.ensure_organization()),
+  'read_only',
+  'existing members keep their organization'
+);
+
+set local request.jwt.claims to '{"sub": "11111111-1111-1111-1111-111111111111", "role": "authenticated"}';
+select is((select count(*)::int from public.organization_invites), 0, 'accepted invite is removed');
+delete from public.projects where id = 1;
+select is((select count(*)::int from public.projects), 0, 'owner deletes a project');
+
+select * from finish();
+rollback;
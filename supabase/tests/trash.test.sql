@@ -0,0 +1,47 @@
+-- Runs with `npm run db:test`. Trashed records are visible to the whole organization
+-- and can only be trashed or purged by roles allowed to delete that kind of record.
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(5);
+
+insert into auth.users (id, email) values
+  ('11111111-1111-1111-1111-111111111111', 'owner@example.com'),
+  ('22222222-2222-2222-2222-222222222222', 'pm@example.com'),
+  ('44444444-4444-4444-4444-444444444444', 'viewer@example.com');
+insert into public.organizations (id, name) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Acme Builders');
+insert into public.organization_members (organization_id, user_id, email, role) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '11111111-1111-1111-1111-111111111111', 'owner@example.com', 'owner'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '22222222-2222-2222-2222-222222222222', 'pm@example.com', 'project_manager'),
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '44444444-4444-4444-4444-444444444444', 'viewer@example.com', 'read_only');
+
+set local role authenticated;
+
+set local request.jwt.claims to '{"sub": "22222222-2222-2222-2222-222222222222", "role": "authenticated"}';
+
+select lives_ok(
+  $$ insert into public.trash_items (id, organization_id, kind, label, project_id, category_id, record)
+     values ('expense-30', 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'expense', 'Rough-in', 1, 10, '{"id": 30}') $$,
+  'project manager trashes an expense'
+);
+select throws_ok(
+  $$ insert into public.trash_items (id, organization_id, kind, label, project_id, record)
+     values ('project-1', 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'project', 'Kitchen', 1, '{"id": 1}') $$,
+  '42501', null,
+  'project manager cannot trash a project'
+);
+
+set local request.jwt.claims to '{"sub": "44444444-4444-4444-4444-444444444444", "role": "authenticated"}';
+
+select is((select count(*)::int from public.trash_items), 1, 'read-only member sees the trash');
+delete from public.trash_items where id = 'expense-30';
+select is((select count(*)::int from public.trash_items), 1, 'read-only member cannot purge the trash');
+
+set local request.jwt.claims to '{"sub": "22222222-2222-2222-2222-222222222222", "role": "authenticated"}';
+
+delete from public.trash_items where id = 'expense-30';
+select is((select count(*)::int from public.trash_items), 0, 'project manager restores the expense');
+
+select * from finish();
+rollback;
@@ -0,0 +1,32 @@
+-- Runs with `npm run db:test`. updated_at moves on every update, which is what the
+-- app's offline sync compares to detect conflicting changes.
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(3);
+
+insert into auth.users (id, email) values
+  ('11111111-1111-1111-1111-111111111111', 'owner@example.com');
+insert into public.organizations (id, name) values
+  ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Acme Builders');
+insert into public.projects (id, organization_id, name, updated_at) values
+  (1, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'Kitchen', '2026-01-01T00:00:00Z');
+insert into public.categories (id, organization_id, project_id, name, updated_at) values
+  (10, 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 1, 'Plumbing', '2026-01-01T00:00:00Z');
+
+select has_column('public', 'expenses', 'updated_at', 'expenses.updated_at');
+
+update public.projects set name = 'Kitchen remodel' where id = 1;
+select cmp_ok(
+  (select updated_at from public.projects where id = 1), '>', '2026-01-01T00:00:00Z'::timestamptz,
+  'updating a project moves updated_at'
+);
+
+update public.categories set total_budget = 5000 where id = 10;
+select cmp_ok(
+  (select updated_at from public.categories where id = 10), '>', '2026-01-01T00:00:00Z'::timestamptz,
+  'updating a category moves updated_at'
+);
+
+select * from finish();
+rollback;